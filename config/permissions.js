@@ -0,0 +1,129 @@
+// Catalog of named permissions that can be granted to roles
+const PERMISSIONS = {
+  'students.view': 'View students',
+  'students.create': 'Enroll students',
+  'students.update': 'Edit students',
+  'students.delete': 'Delete students',
+  'students.viewLedger': 'View student fee ledgers and outstanding balances',
+  'students.manageInstallments': 'Change student installment plans',
+  'students.transfer': 'Request student transfers to another branch or course',
+  'students.approveTransfers': 'Approve and reject student transfers into the branch',
+
+  'attendance.view': 'View and export attendance',
+  'attendance.mark': 'Mark attendance (single and bulk)',
+  'attendance.update': 'Edit attendance records',
+  'attendance.delete': 'Delete attendance records',
+  'attendance.approveCorrections': 'Approve attendance corrections and edit locked attendance',
+
+  'waitlist.view': 'View course waitlists',
+  'waitlist.manage': 'Add, reorder and remove waitlisted applicants and enroll offered places',
+
+  'leave.view': 'View student leave requests',
+  'leave.create': 'Record and cancel student leave requests',
+  'leave.approve': 'Approve and reject student leave requests',
+
+  'courses.view': 'View courses',
+  'courses.create': 'Create courses',
+  'courses.update': 'Edit courses',
+  'courses.delete': 'Delete and restore courses',
+  'courses.manageSessions': 'Set course timetables and manage class sessions',
+
+  'intakes.view': 'View course intakes and their rosters',
+  'intakes.manage': 'Create, edit and delete course intakes',
+
+  'branches.manage': 'View, create, edit and delete branches',
+
+  'calendar.view': 'View holidays and branch closures',
+  'calendar.manage': 'Add, import and remove holidays and branch closures',
+
+  'budgets.view': 'View budgets',
+  'budgets.create': 'Create budgets',
+  'budgets.update': 'Edit budgets',
+  'budgets.delete': 'Delete budgets',
+  'budgets.refresh': 'Recalculate budget spending',
+
+  'transactions.view': 'View transactions',
+  'transactions.create': 'Record transactions',
+  'transactions.update': 'Edit transactions',
+  'transactions.approve': 'Change the status of transactions',
+  'transactions.delete': 'Delete transactions',
+  'transactions.printReceipt': 'Print payment receipts',
+
+  'users.view': 'View users',
+  'users.create': 'Create users',
+  'users.update': 'Edit users',
+  'users.delete': 'Delete and restore users',
+  'users.changeRole': 'Change the role of branch users',
+  'users.unlock': 'Unlock locked accounts',
+  'users.reset2fa': 'Reset two-factor authentication of users',
+  'users.viewLoginAttempts': 'Review failed login attempts',
+
+  'uploads.create': 'Upload files',
+  'uploads.delete': 'Delete uploaded files',
+
+  'reports.view': 'View and export reports',
+  'reports.financial': 'View financial reports',
+
+  'roles.manage': 'Edit role permissions',
+
+  'audit.view': 'View the audit log'
+};
+
+// Roles are fixed; their permissions are editable (superAdmin always has every permission)
+const ROLES = ['superAdmin', 'admin', 'moderator', 'staff'];
+
+// Default permissions for each role, matching the original hard-coded role checks
+const DEFAULT_ROLE_PERMISSIONS = {
+  superAdmin: Object.keys(PERMISSIONS),
+
+  admin: [
+    'students.view', 'students.create', 'students.update', 'students.delete',
+    'students.viewLedger', 'students.manageInstallments',
+    'students.transfer', 'students.approveTransfers',
+    'attendance.view', 'attendance.mark', 'attendance.update', 'attendance.delete',
+    'attendance.approveCorrections',
+    'waitlist.view', 'waitlist.manage',
+    'leave.view', 'leave.create', 'leave.approve',
+    'courses.view', 'courses.manageSessions',
+    'intakes.view', 'intakes.manage',
+    'calendar.view', 'calendar.manage',
+    'budgets.view', 'budgets.refresh',
+    'transactions.view', 'transactions.create', 'transactions.update', 'transactions.approve',
+    'transactions.delete', 'transactions.printReceipt',
+    'users.view', 'users.create', 'users.update', 'users.delete', 'users.changeRole',
+    'users.unlock', 'users.reset2fa', 'users.viewLoginAttempts',
+    'uploads.create', 'uploads.delete',
+    'reports.view', 'reports.financial',
+    'audit.view'
+  ],
+
+  moderator: [
+    'students.view', 'students.create', 'students.update', 'students.delete',
+    'students.transfer',
+    'attendance.view', 'attendance.mark', 'attendance.update',
+    'waitlist.view', 'waitlist.manage',
+    'leave.view', 'leave.create',
+    'courses.view',
+    'intakes.view',
+    'calendar.view',
+    'uploads.create', 'uploads.delete',
+    'reports.view', 'reports.financial'
+  ],
+
+  staff: [
+    'students.view',
+    'attendance.view',
+    'waitlist.view',
+    'leave.view',
+    'courses.view',
+    'intakes.view',
+    'calendar.view',
+    'reports.view', 'reports.financial'
+  ]
+};
+
+module.exports = {
+  PERMISSIONS,
+  ROLES,
+  DEFAULT_ROLE_PERMISSIONS
+};
@@ -0,0 +1,54 @@
+// Parse a comma separated list from the environment
+const parseList = (value, fallback = []) => {
+  if (value === undefined) return fallback;
+  return value.split(',').map(item => item.trim()).filter(Boolean);
+};
+
+// Two-factor authentication settings
+const twoFactor = {
+  // Roles that must use 2FA, e.g. TWO_FACTOR_ENFORCED_ROLES=superAdmin,admin
+  enforcedRoles: parseList(process.env.TWO_FACTOR_ENFORCED_ROLES),
+  // Lifetime of the challenge token handed out between the password and code steps
+  challengeExpire: process.env.TWO_FACTOR_CHALLENGE_EXPIRE || '5m',
+  // Accepted clock drift in 30 second steps
+  window: parseInt(process.env.TWO_FACTOR_WINDOW, 10) || 1,
+  backupCodeCount: 10,
+  issuer: process.env.TWO_FACTOR_ISSUER || 'Wintergreen Academy'
+};
+
+// Failed login throttling and lockout settings (per account, not per IP)
+const lockout = {
+  // Failures allowed before every further attempt has to wait
+  delayAfterAttempts: parseInt(process.env.LOGIN_DELAY_AFTER_ATTEMPTS, 10) || 3,
+  // Wait after the first delayed failure, doubled for every further failure
+  baseDelaySeconds: parseInt(process.env.LOGIN_BASE_DELAY_SECONDS, 10) || 2,
+  maxDelaySeconds: 60,
+  // Failures that lock the account and for how long
+  maxAttempts: parseInt(process.env.LOGIN_MAX_ATTEMPTS, 10) || 5,
+  lockMinutes: parseInt(process.env.LOGIN_LOCK_MINUTES, 10) || 15,
+  // How long login attempts are kept for review
+  attemptRetentionDays: parseInt(process.env.LOGIN_ATTEMPT_RETENTION_DAYS, 10) || 90
+};
+
+// QR code self check-in settings
+const selfCheckIn = {
+  // Lifetime of the code on the instructor's screen; the screen asks for a new one before it expires
+  tokenExpire: process.env.CHECKIN_TOKEN_EXPIRE || '2m',
+  // Check-in opens this many minutes before the class starts and closes when it ends
+  opensMinutesBefore: parseInt(process.env.CHECKIN_OPENS_MINUTES_BEFORE, 10) || 15,
+  // Check-in attempts allowed per IP address (a classroom often shares one)
+  maxAttempts: parseInt(process.env.CHECKIN_MAX_ATTEMPTS, 10) || 100,
+  windowMinutes: 15
+};
+
+// Check if 2FA is mandatory for a role
+const isTwoFactorEnforced = (role) => {
+  return twoFactor.enforcedRoles.includes(role);
+};
+
+module.exports = {
+  twoFactor,
+  lockout,
+  selfCheckIn,
+  isTwoFactorEnforced
+};
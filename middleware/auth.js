@@ -1,5 +1,65 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const Role = require('../models/Role');
+const CalendarFeed = require('../models/CalendarFeed');
+
+// How often the last used time of a session is refreshed
+const SESSION_TOUCH_INTERVAL = 5 * 60 * 1000; // 5 minutes
+
+// Middleware to accept the access token as ?token= for clients that cannot send headers
+// (EventSource streams); must run before authenticateToken
+const acceptQueryToken = (req, res, next) => {
+  if (!req.headers['authorization'] && req.query.token) {
+    req.headers['authorization'] = `Bearer ${req.query.token}`;
+  }
+  next();
+};
+
+// Load an active user working in the selected branch, with the role held there
+// (the returned user is only for reading, it must never be saved). Returns { user } or { error }
+const loadBranchUser = async (userId, selectedBranchId) => {
+  // Get user from database to ensure they still exist and are active
+  const user = await User.findById(userId)
+    .populate('branch', 'name isActive')
+    .select('-password');
+
+  if (!user || !user.isActive) {
+    return { error: 'Invalid or expired token' };
+  }
+
+  // For superAdmin, use the selected branch if available
+  if (user.role === 'superAdmin' && selectedBranchId) {
+    const Branch = require('../models/Branch');
+    const selectedBranch = await Branch.findById(selectedBranchId);
+    if (selectedBranch && selectedBranch.isActive) {
+      // Override the user's branch with the selected branch from token
+      user.branch = selectedBranch;
+    }
+  }
+
+  if (user.role !== 'superAdmin') {
+    // Other users must still be assigned to the selected branch
+    const branchRole = user.getRoleForBranch(selectedBranchId);
+    if (!branchRole) {
+      return { error: 'Access denied to this branch' };
+    }
+
+    // Work with the selected branch and the role held there
+    if (!user.branch || user.branch._id.toString() !== selectedBranchId.toString()) {
+      const Branch = require('../models/Branch');
+      user.branch = await Branch.findById(selectedBranchId).select('name isActive');
+    }
+    user.role = branchRole;
+  }
+
+  // Check if user's branch is still active (except for superAdmin without selected branch)
+  if (user.role !== 'superAdmin' && (!user.branch || !user.branch.isActive)) {
+    return { error: 'User branch is inactive' };
+  }
+
+  return { user };
+};
 
 // Middleware to verify JWT token
 const authenticateToken = async (req, res, next) => {
@@ -13,31 +73,28 @@ const authenticateToken = async (req, res, next) => {
 
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
-    // Get user from database to ensure they still exist and are active
-    const user = await User.findById(decoded.userId)
-      .populate('branch', 'name isActive')
-      .select('-password');
-
-    if (!user || !user.isActive) {
+    // Access tokens are only valid while their session is active
+    if (!decoded.sid) {
       return res.status(401).json({ message: 'Invalid or expired token' });
     }
 
-    // For superAdmin, use the branch from JWT token if available
-    if (user.role === 'superAdmin' && decoded.branchId) {
-      const Branch = require('../models/Branch');
-      const selectedBranch = await Branch.findById(decoded.branchId);
-      if (selectedBranch && selectedBranch.isActive) {
-        // Override the user's branch with the selected branch from token
-        user.branch = selectedBranch;
-      }
+    const session = await Session.findById(decoded.sid);
+    if (!session || !session.isValid || session.user.toString() !== decoded.userId.toString()) {
+      return res.status(401).json({ message: 'Session has been revoked or expired' });
+    }
+
+    if (Date.now() - session.lastUsedAt.getTime() > SESSION_TOUCH_INTERVAL) {
+      await Session.updateOne({ _id: session._id }, { $set: { lastUsedAt: new Date() } });
     }
 
-    // Check if user's branch is still active (except for superAdmin without selected branch)
-    if (user.role !== 'superAdmin' && (!user.branch || !user.branch.isActive)) {
-      return res.status(401).json({ message: 'User branch is inactive' });
+    // The session holds the selected branch (changed by switch-branch)
+    const { user, error } = await loadBranchUser(decoded.userId, session.branch);
+    if (error) {
+      return res.status(401).json({ message: error });
     }
 
     req.user = user;
+    req.sessionId = session._id;
     next();
   } catch (error) {
     if (error.name === 'JsonWebTokenError') {
@@ -51,6 +108,73 @@ const authenticateToken = async (req, res, next) => {
   }
 };
 
+// Middleware for calendar feeds: accepts a normal access token, or the ?token= of a feed issued
+// for the course in the URL, so calendar subscriptions keep working after access tokens expire
+const authenticateCalendarFeed = async (req, res, next) => {
+  if (req.headers['authorization'] || !req.query.token) {
+    return authenticateToken(req, res, next);
+  }
+
+  try {
+    const feed = await CalendarFeed.findByToken(String(req.query.token));
+    if (!feed || feed.course.toString() !== req.params.id) {
+      return res.status(401).json({ message: 'Calendar feed is invalid or has been revoked' });
+    }
+
+    // The feed works with the access the user still has in the branch it was issued in
+    const { user, error } = await loadBranchUser(feed.user, feed.branch);
+    if (error) {
+      return res.status(401).json({ message: error });
+    }
+
+    if (!feed.lastUsedAt || Date.now() - feed.lastUsedAt.getTime() > SESSION_TOUCH_INTERVAL) {
+      await CalendarFeed.updateOne({ _id: feed._id }, { $set: { lastUsedAt: new Date() } });
+    }
+
+    req.user = user;
+    req.calendarFeed = feed;
+    next();
+  } catch (error) {
+    console.error('Calendar feed authentication error:', error);
+    return res.status(500).json({ message: 'Authentication failed' });
+  }
+};
+
+// Middleware for 2FA enrollment: accepts a normal access token, or the challenge
+// token from the login step when the user's role must enroll before logging in
+const authenticateTwoFactorSetup = async (req, res, next) => {
+  const authHeader = req.headers['authorization'];
+  const token = authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
+
+  let decoded = null;
+  try {
+    decoded = token ? jwt.verify(token, process.env.JWT_SECRET) : null;
+  } catch (error) {
+    decoded = null;
+  }
+
+  if (!decoded || decoded.purpose !== 'mfa') {
+    return authenticateToken(req, res, next);
+  }
+
+  try {
+    const user = await User.findById(decoded.userId)
+      .populate('branch', 'name isActive')
+      .select('-password');
+
+    if (!user || !user.isActive) {
+      return res.status(401).json({ message: 'Invalid or expired token' });
+    }
+
+    req.user = user;
+    req.twoFactorChallenge = decoded;
+    next();
+  } catch (error) {
+    console.error('Authentication error:', error);
+    return res.status(500).json({ message: 'Authentication failed' });
+  }
+};
+
 // Middleware to check if user has required role
 const requireRole = (...roles) => {
   return (req, res, next) => {
@@ -70,6 +194,39 @@ const requireRole = (...roles) => {
   };
 };
 
+// Middleware to check if user's role has all of the given permissions
+const requirePermission = (...permissions) => {
+  return async (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({ message: 'Authentication required' });
+    }
+
+    try {
+      const granted = await Role.getPermissions(req.user.role);
+      const missing = permissions.filter(permission => !granted.includes(permission));
+
+      if (missing.length > 0) {
+        return res.status(403).json({
+          message: 'Insufficient permissions',
+          required: permissions,
+          missing,
+          current: req.user.role
+        });
+      }
+
+      next();
+    } catch (error) {
+      console.error('Permission check error:', error);
+      return res.status(500).json({ message: 'Authorization failed' });
+    }
+  };
+};
+
+// Check a permission inside a route handler
+const hasPermission = async (user, permission) => {
+  return await Role.hasPermission(user.role, permission);
+};
+
 // Middleware to check if user is superAdmin
 const requireSuperAdmin = (req, res, next) => {
   if (!req.user) {
@@ -147,8 +304,13 @@ const validateBranchOwnership = (req, res, next) => {
 };
 
 module.exports = {
+  acceptQueryToken,
   authenticateToken,
+  authenticateCalendarFeed,
+  authenticateTwoFactorSetup,
   requireRole,
+  requirePermission,
+  hasPermission,
   requireSuperAdmin,
   requireBranchAdmin,
   requireBranchAccess,
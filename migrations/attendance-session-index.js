@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+const Attendance = require('../models/Attendance');
+require('dotenv').config();
+
+// Usage: npm run migrate:attendance-sessions [-- --dry-run]
+// Attendance used to allow one record per student, course and day; it is now one per class session,
+// so the old unique index has to be replaced before a second class of the day can be recorded
+const dryRun = process.argv.includes('--dry-run');
+const OLD_INDEX = 'student_1_date_1_course_1';
+
+const migrateAttendanceIndex = async () => {
+  try {
+    // Migrations rewrite data, so the database must be named explicitly
+    if (!process.env.MONGODB_URI) {
+      console.error('MONGODB_URI is not set; refusing to run the migration');
+      process.exit(1);
+    }
+
+    // Connect to MongoDB
+    await mongoose.connect(process.env.MONGODB_URI, {
+      useNewUrlParser: true,
+      useUnifiedTopology: true,
+    });
+
+    console.log('Connected to MongoDB');
+    if (dryRun) {
+      console.log('Dry run: no changes will be saved');
+    }
+
+    const indexes = await Attendance.collection.indexes();
+    const hasOldIndex = indexes.some(index => index.name === OLD_INDEX);
+
+    if (hasOldIndex) {
+      console.log(`Dropping index ${OLD_INDEX}`);
+      if (!dryRun) {
+        await Attendance.collection.dropIndex(OLD_INDEX);
+      }
+    } else {
+      console.log(`Index ${OLD_INDEX} not found`);
+    }
+
+    if (!dryRun) {
+      await Attendance.createIndexes();
+    }
+
+    console.log('\n=== ATTENDANCE SESSION INDEX MIGRATION COMPLETE ===');
+    console.log(`Old index dropped: ${hasOldIndex && !dryRun ? 'yes' : 'no'}`);
+
+    process.exit(0);
+  } catch (error) {
+    console.error('Attendance index migration error:', error);
+    process.exit(1);
+  }
+};
+
+// Run if called directly
+if (require.main === module) {
+  migrateAttendanceIndex();
+}
+
+module.exports = migrateAttendanceIndex;
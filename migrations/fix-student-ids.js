@@ -0,0 +1,131 @@
+const mongoose = require('mongoose');
+const Branch = require('../models/Branch');
+const Course = require('../models/Course');
+const Student = require('../models/Student');
+const Counter = require('../models/Counter');
+require('dotenv').config();
+
+// Usage: npm run migrate:student-ids [-- --dry-run]
+const dryRun = process.argv.includes('--dry-run');
+
+const fixStudentIds = async () => {
+  try {
+    // Migrations rewrite data, so the database must be named explicitly
+    if (!process.env.MONGODB_URI) {
+      console.error('MONGODB_URI is not set; refusing to run the migration');
+      process.exit(1);
+    }
+
+    // Connect to MongoDB
+    await mongoose.connect(process.env.MONGODB_URI, {
+      useNewUrlParser: true,
+      useUnifiedTopology: true,
+    });
+
+    console.log('Connected to MongoDB');
+    if (dryRun) {
+      console.log('Dry run: no changes will be saved');
+    }
+
+    // Assign codes to branches created before branch codes existed
+    const branchesWithoutCode = await Branch.find({ $or: [{ code: { $exists: false } }, { code: null }] });
+    for (const branch of branchesWithoutCode) {
+      const code = await Branch.generateCode(branch.name, branch._id);
+      console.log(`Branch "${branch.name}" -> code ${code}`);
+      if (!dryRun) {
+        branch.code = code;
+        await branch.save();
+      }
+    }
+
+    // Start every counter after the highest number already issued for its prefix
+    // Soft deleted students are included so their IDs are never handed out again
+    // Prefixes can end in digits ({YY}, {YYYY}), so they are rebuilt the way generateStudentId builds them
+    const students = await Student.find({}, 'studentId course branch createdAt').lean();
+    const branches = new Map((await Branch.find({}).lean()).map(branch => [branch._id.toString(), branch]));
+    const courses = new Map((await Course.find({}).lean()).map(course => [course._id.toString(), course]));
+    const highest = new Map();
+
+    for (const student of students) {
+      const studentId = student.studentId || '';
+      const branch = student.branch ? branches.get(student.branch.toString()) : null;
+      const course = student.course ? courses.get(student.course.toString()) : null;
+
+      let prefix = null;
+      if (course) {
+        prefix = Branch.buildStudentIdPrefix(branch ? branch.studentIdFormat : '{COURSE}', {
+          branchCode: branch ? branch.code : '',
+          courseCode: Student.getCourseCode(course),
+          date: student.createdAt || new Date()
+        }).substring(0, 16);
+      }
+
+      // IDs issued under another format or year: the number is the last 4 digits
+      if (!prefix || !studentId.startsWith(prefix) || !/^\d{4,}$/.test(studentId.substring(prefix.length))) {
+        const match = /^(.*)(\d{4})$/.exec(studentId);
+        if (!match) continue;
+        prefix = match[1];
+      }
+
+      const number = parseInt(studentId.substring(prefix.length), 10);
+      if (!highest.has(prefix) || highest.get(prefix) < number) {
+        highest.set(prefix, number);
+      }
+    }
+
+    for (const [prefix, number] of highest) {
+      console.log(`Counter studentId:${prefix} -> ${number}`);
+      if (!dryRun) {
+        await Counter.ensureAtLeast(`studentId:${prefix}`, number);
+      }
+    }
+
+    // Re-issue IDs for duplicates, keeping the oldest student on the original ID
+    const duplicates = await Student.aggregate([
+      { $group: { _id: '$studentId', ids: { $push: '$_id' }, count: { $sum: 1 } } },
+      { $match: { count: { $gt: 1 } } }
+    ]);
+
+    let reissued = 0;
+    for (const duplicate of duplicates) {
+      const affected = await Student.find({ _id: { $in: duplicate.ids } }).sort({ createdAt: 1 });
+
+      for (const student of affected.slice(1)) {
+        if (dryRun) {
+          console.log(`${student.studentId} (${student.fullName}) would get a new ID`);
+        } else {
+          const newStudentId = await Student.generateStudentId(student.course, student.branch);
+          console.log(`${student.studentId} (${student.fullName}) -> ${newStudentId}`);
+          await Student.updateOne({ _id: student._id }, { $set: { studentId: newStudentId, updatedAt: new Date() } });
+        }
+        reissued += 1;
+      }
+    }
+
+    // The unique index cannot be built while duplicates exist, so build it now
+    if (!dryRun) {
+      try {
+        await Student.collection.createIndex({ studentId: 1 }, { unique: true });
+      } catch (error) {
+        console.warn('Could not create unique student ID index:', error.message);
+      }
+    }
+
+    console.log('\n=== STUDENT ID MIGRATION COMPLETE ===');
+    console.log(`Branch codes assigned: ${branchesWithoutCode.length}`);
+    console.log(`Counters seeded: ${highest.size}`);
+    console.log(`Duplicate student IDs re-issued: ${reissued}`);
+
+    process.exit(0);
+  } catch (error) {
+    console.error('Student ID migration error:', error);
+    process.exit(1);
+  }
+};
+
+// Run if called directly
+if (require.main === module) {
+  fixStudentIds();
+}
+
+module.exports = fixStudentIds;
@@ -0,0 +1,91 @@
+const mongoose = require('mongoose');
+const Course = require('../models/Course');
+const Intake = require('../models/Intake');
+const Student = require('../models/Student');
+const WaitlistEntry = require('../models/WaitlistEntry');
+require('dotenv').config();
+
+// Usage: npm run migrate:enrollment-counts [-- --dry-run]
+// Graduated students used to keep their place; enrollment counts are rebuilt from the students
+// that still hold one plus the places held by open waitlist offers
+const dryRun = process.argv.includes('--dry-run');
+const SEAT_FREE_STATUSES = ['Dropped', 'Graduated'];
+
+// Count seats held per course or intake, keyed by id
+const countSeats = async (field) => {
+  const [students, offers] = await Promise.all([
+    Student.aggregate([
+      { $match: { isActive: true, status: { $nin: SEAT_FREE_STATUSES }, [field]: { $ne: null } } },
+      { $group: { _id: `$${field}`, count: { $sum: 1 } } }
+    ]),
+    WaitlistEntry.aggregate([
+      { $match: { status: 'offered', [field]: { $ne: null } } },
+      { $group: { _id: `$${field}`, count: { $sum: 1 } } }
+    ])
+  ]);
+
+  const counts = new Map();
+  for (const row of [...students, ...offers]) {
+    const key = row._id.toString();
+    counts.set(key, (counts.get(key) || 0) + row.count);
+  }
+  return counts;
+};
+
+// Set currentEnrolled on every document of the model to the counted seats; returns how many changed
+const applyCounts = async (Model, counts, label) => {
+  let changed = 0;
+  const docs = await Model.find({}).select('currentEnrolled');
+
+  for (const doc of docs) {
+    const count = counts.get(doc._id.toString()) || 0;
+    if (doc.currentEnrolled === count) continue;
+
+    console.log(`${label} ${doc._id}: ${doc.currentEnrolled} -> ${count}`);
+    if (!dryRun) {
+      await Model.updateOne({ _id: doc._id }, { $set: { currentEnrolled: count } });
+    }
+    changed++;
+  }
+  return changed;
+};
+
+const recountEnrollment = async () => {
+  try {
+    // Migrations rewrite data, so the database must be named explicitly
+    if (!process.env.MONGODB_URI) {
+      console.error('MONGODB_URI is not set; refusing to run the migration');
+      process.exit(1);
+    }
+
+    // Connect to MongoDB
+    await mongoose.connect(process.env.MONGODB_URI, {
+      useNewUrlParser: true,
+      useUnifiedTopology: true,
+    });
+
+    console.log('Connected to MongoDB');
+    if (dryRun) {
+      console.log('Dry run: no changes will be saved');
+    }
+
+    const courseChanges = await applyCounts(Course, await countSeats('course'), 'Course');
+    const intakeChanges = await applyCounts(Intake, await countSeats('intake'), 'Intake');
+
+    console.log('\n=== ENROLLMENT COUNT MIGRATION COMPLETE ===');
+    console.log(`Courses ${dryRun ? 'to update' : 'updated'}: ${courseChanges}`);
+    console.log(`Intakes ${dryRun ? 'to update' : 'updated'}: ${intakeChanges}`);
+
+    process.exit(0);
+  } catch (error) {
+    console.error('Enrollment count migration error:', error);
+    process.exit(1);
+  }
+};
+
+// Run if called directly
+if (require.main === module) {
+  recountEnrollment();
+}
+
+module.exports = recountEnrollment;
@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+
+const ACTIVITY_TYPES = ['user_registration', 'student_enrollment', 'payment', 'attendance', 'budget_exceeded'];
+
+// Entry in the dashboard recent activity feed
+const activitySchema = new mongoose.Schema({
+  type: {
+    type: String,
+    required: [true, 'Activity type is required'],
+    enum: {
+      values: ACTIVITY_TYPES,
+      message: `Activity type must be one of: ${ACTIVITY_TYPES.join(', ')}`
+    }
+  },
+  message: {
+    type: String,
+    required: [true, 'Activity message is required'],
+    trim: true,
+    maxlength: [300, 'Activity message cannot exceed 300 characters']
+  },
+  // Extra values shown with the entry (amounts, names, counts)
+  details: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  branch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Branch',
+    default: null
+  },
+  // User who caused the activity (not set for automatic events)
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Indexes for better query performance
+activitySchema.index({ branch: 1, createdAt: -1 });
+activitySchema.index({ type: 1, createdAt: -1 });
+activitySchema.index({ createdAt: -1 });
+
+// Static method to add an entry to the feed; failures never block the action that caused it
+activitySchema.statics.record = async function({ type, message, details = {}, branch = null, user = null }) {
+  try {
+    return await this.create({
+      type,
+      message,
+      details,
+      branch: branch && branch._id ? branch._id : branch,
+      user: user && user._id ? user._id : user
+    });
+  } catch (error) {
+    console.error('Error recording activity:', error);
+    return null;
+  }
+};
+
+module.exports = mongoose.model('Activity', activitySchema);
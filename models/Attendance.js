@@ -1,4 +1,13 @@
 const mongoose = require('mongoose');
+const { liveEventsPlugin } = require('../utils/liveEvents');
+
+const TIME_PATTERN = /^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/;
+
+// Convert an HH:MM time to minutes after midnight
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
 
 const attendanceSchema = new mongoose.Schema({
   student: {
@@ -11,11 +20,29 @@ const attendanceSchema = new mongoose.Schema({
     ref: 'Course',
     required: [true, 'Course is required']
   },
+  // Intake of the student when the attendance was marked
+  intake: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Intake',
+    default: null
+  },
   branch: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Branch',
     required: [true, 'Branch is required']
   },
+  // Scheduled class the attendance was taken for; not set for courses without a timetable
+  session: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ClassSession',
+    default: null
+  },
+  // Approved leave the student was excused under
+  leaveRequest: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'LeaveRequest',
+    default: null
+  },
   date: {
     type: Date,
     required: [true, 'Date is required'],
@@ -45,16 +72,42 @@ const attendanceSchema = new mongoose.Schema({
         // Only validate if timeIn is provided
         if (!value) return true;
         // Validate HH:MM format
-        return /^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/.test(value);
+        return TIME_PATTERN.test(value);
       },
       message: 'Time must be in HH:MM format'
     }
   },
+  timeOut: {
+    type: String,
+    validate: {
+      validator: function(value) {
+        if (!value) return true;
+        if (!TIME_PATTERN.test(value)) return false;
+        return !this.timeIn || !TIME_PATTERN.test(this.timeIn) || toMinutes(value) > toMinutes(this.timeIn);
+      },
+      message: 'Time out must be in HH:MM format and after time in'
+    }
+  },
+  // Minutes between time in and time out; null until the student checks out
+  attendedMinutes: {
+    type: Number,
+    min: [0, 'Attended minutes cannot be negative'],
+    default: null
+  },
   notes: {
     type: String,
     trim: true,
     maxlength: [500, 'Notes cannot exceed 500 characters']
   },
+  // How the record was taken; QR self check-ins are marked by the kiosk account
+  source: {
+    type: String,
+    enum: {
+      values: ['manual', 'qr'],
+      message: 'Source must be one of: manual, qr'
+    },
+    default: 'manual'
+  },
   markedBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -81,34 +134,72 @@ const attendanceSchema = new mongoose.Schema({
 });
 
 // Compound indexes for better query performance
-attendanceSchema.index({ student: 1, date: 1, course: 1 }, { unique: true }); // Prevent duplicate attendance for same student, date, course
+attendanceSchema.index({ student: 1, date: 1, course: 1, session: 1 }, { unique: true }); // One record per student and class (course, date and session)
 attendanceSchema.index({ course: 1, date: 1 }); // For course-wise attendance queries
+attendanceSchema.index({ intake: 1, date: 1 }); // For intake-wise attendance queries
+attendanceSchema.index({ session: 1 }); // For session attendance lookups
+attendanceSchema.index({ leaveRequest: 1 }); // For records excused by a leave request
 attendanceSchema.index({ branch: 1, date: 1 }); // For branch-wise attendance queries
 attendanceSchema.index({ date: 1, status: 1 }); // For date and status filtering
 attendanceSchema.index({ student: 1, date: -1 }); // For student attendance history
 attendanceSchema.index({ markedBy: 1, createdAt: -1 }); // For audit trails
 attendanceSchema.index({ isActive: 1 });
 
-// Pre-save middleware to update the updatedAt field and set lastModifiedBy
+// Pre-save middleware to update the updatedAt field, fill in times and the attended minutes
 attendanceSchema.pre('save', function(next) {
   this.updatedAt = Date.now();
   
-  // Set timeIn automatically for Present/Late status if not provided
+  // Set timeIn automatically for Present/Late status if not provided (only for today's classes)
   if ((this.status === 'Present' || this.status === 'Late') && !this.timeIn) {
-    const now = new Date();
-    this.timeIn = now.toTimeString().slice(0, 5); // HH:MM format
+    this.timeIn = this.constructor.defaultTimeIn(this.date);
   }
   
-  // Clear timeIn for Absent/Excused status
+  // Clear times for Absent/Excused status
   if (this.status === 'Absent' || this.status === 'Excused') {
     this.timeIn = undefined;
+    this.timeOut = undefined;
   }
+
+  this.attendedMinutes = this.constructor.getAttendedMinutes(this.timeIn, this.timeOut);
   
   next();
 });
 
+// Static method to get the time in to record when none is entered: the current time for
+// today's attendance, nothing for back-dated records
+attendanceSchema.statics.defaultTimeIn = function(date) {
+  const now = new Date();
+  const today = Date.UTC(now.getFullYear(), now.getMonth(), now.getDate());
+  return new Date(date).getTime() === today ? now.toTimeString().slice(0, 5) : undefined; // HH:MM format
+};
+
+// Static method to get when attendance for a date becomes read-only: the lock window counted
+// from the end of the class day. Returns null when the branch never locks attendance
+attendanceSchema.statics.getLockTime = function(date, lockHours) {
+  if (!lockHours) return null;
+  const day = new Date(date);
+  const dayEnd = Date.UTC(day.getUTCFullYear(), day.getUTCMonth(), day.getUTCDate() + 1);
+  return new Date(dayEnd + lockHours * 60 * 60 * 1000);
+};
+
+// Static method to calculate the minutes between time in and time out (null when either is missing)
+attendanceSchema.statics.getAttendedMinutes = function(timeIn, timeOut) {
+  if (!timeIn || !timeOut || !TIME_PATTERN.test(timeIn) || !TIME_PATTERN.test(timeOut)) {
+    return null;
+  }
+  return Math.max(0, toMinutes(timeOut) - toMinutes(timeIn));
+};
+
+// Static method to check whether an arrival is after the class start plus the grace period
+attendanceSchema.statics.isLateArrival = function(timeIn, startTime, graceMinutes = 0) {
+  if (!timeIn || !startTime || !TIME_PATTERN.test(timeIn) || !TIME_PATTERN.test(startTime)) {
+    return false;
+  }
+  return toMinutes(timeIn) > toMinutes(startTime) + graceMinutes;
+};
+
 // Static method to get attendance statistics for a course on a specific date
-attendanceSchema.statics.getAttendanceStats = async function(courseId, date, branchId = null) {
+attendanceSchema.statics.getAttendanceStats = async function(courseId, date, branchId = null, intakeId = null) {
   const matchQuery = {
     course: courseId,
     date: new Date(date),
@@ -118,6 +209,10 @@ attendanceSchema.statics.getAttendanceStats = async function(courseId, date, bra
   if (branchId) {
     matchQuery.branch = branchId;
   }
+
+  if (intakeId) {
+    matchQuery.intake = intakeId;
+  }
   
   const stats = await this.aggregate([
     { $match: matchQuery },
@@ -150,6 +245,7 @@ attendanceSchema.statics.getAttendanceStats = async function(courseId, date, bra
 attendanceSchema.statics.getFilteredAttendance = function(filters = {}, options = {}) {
   const {
     courseId,
+    intakeId,
     branchId,
     studentId,
     date,
@@ -170,6 +266,7 @@ attendanceSchema.statics.getFilteredAttendance = function(filters = {}, options
   
   // Apply filters
   if (courseId) matchQuery.course = courseId;
+  if (intakeId) matchQuery.intake = intakeId;
   if (studentId) matchQuery.student = studentId;
   if (status) matchQuery.status = status;
   
@@ -192,6 +289,7 @@ attendanceSchema.statics.getFilteredAttendance = function(filters = {}, options
   return this.find(matchQuery)
     .populate('student', 'studentId fullName email')
     .populate('course', 'title')
+    .populate('intake', 'name startDate')
     .populate('branch', 'name')
     .populate('markedBy', 'fullName username')
     .populate('lastModifiedBy', 'fullName username')
@@ -200,32 +298,166 @@ attendanceSchema.statics.getFilteredAttendance = function(filters = {}, options
     .limit(limit);
 };
 
-// Static method to bulk create/update attendance
-attendanceSchema.statics.bulkUpsertAttendance = async function(attendanceRecords, markedByUserId) {
-  const operations = attendanceRecords.map(record => ({
-    updateOne: {
-      filter: {
-        student: record.student,
-        course: record.course,
-        date: new Date(record.date)
-      },
-      update: {
-        $set: {
-          status: record.status,
-          timeIn: record.timeIn,
-          notes: record.notes,
-          branch: record.branch,
-          lastModifiedBy: markedByUserId,
-          updatedAt: new Date()
-        },
-        $setOnInsert: {
-          markedBy: markedByUserId,
-          createdAt: new Date()
+// Static method to summarize attendance and contact hours per student
+attendanceSchema.statics.getStudentSummary = async function(filters = {}) {
+  const { courseId, intakeId, studentId, branchId, dateFrom, dateTo } = filters;
+  const toObjectId = value => new mongoose.Types.ObjectId(value.toString());
+
+  const matchQuery = { isActive: true };
+  if (courseId) matchQuery.course = toObjectId(courseId);
+  if (intakeId) matchQuery.intake = toObjectId(intakeId);
+  if (studentId) matchQuery.student = toObjectId(studentId);
+  if (branchId) matchQuery.branch = toObjectId(branchId);
+  if (dateFrom || dateTo) {
+    matchQuery.date = {};
+    if (dateFrom) matchQuery.date.$gte = new Date(dateFrom);
+    if (dateTo) matchQuery.date.$lte = new Date(dateTo);
+  }
+
+  const attendedStatuses = ['Present', 'Late'];
+  const rows = await this.aggregate([
+    { $match: matchQuery },
+    {
+      $group: {
+        _id: '$student',
+        totalRecords: { $sum: 1 },
+        present: { $sum: { $cond: [{ $eq: ['$status', 'Present'] }, 1, 0] } },
+        late: { $sum: { $cond: [{ $eq: ['$status', 'Late'] }, 1, 0] } },
+        absent: { $sum: { $cond: [{ $eq: ['$status', 'Absent'] }, 1, 0] } },
+        excused: { $sum: { $cond: [{ $eq: ['$status', 'Excused'] }, 1, 0] } },
+        // Excused under an approved leave request
+        onLeave: { $sum: { $cond: [{ $ne: [{ $ifNull: ['$leaveRequest', null] }, null] }, 1, 0] } },
+        attendedMinutes: { $sum: { $ifNull: ['$attendedMinutes', 0] } },
+        // Attended classes without a time out add no contact hours until completed
+        missingTimeOut: {
+          $sum: {
+            $cond: [{ $and: [{ $in: ['$status', attendedStatuses] }, { $eq: [{ $ifNull: ['$attendedMinutes', null] }, null] }] }, 1, 0]
+          }
         }
+      }
+    },
+    {
+      $lookup: {
+        from: 'students',
+        localField: '_id',
+        foreignField: '_id',
+        as: 'student'
+      }
+    },
+    { $unwind: '$student' },
+    { $sort: { 'student.fullName': 1 } }
+  ]);
+
+  return rows.map(row => {
+    const counted = row.totalRecords - row.excused;
+    return {
+      student: {
+        _id: row.student._id,
+        studentId: row.student.studentId,
+        fullName: row.student.fullName,
+        email: row.student.email
       },
-      upsert: true
+      totalRecords: row.totalRecords,
+      present: row.present,
+      late: row.late,
+      absent: row.absent,
+      excused: row.excused,
+      onLeave: row.onLeave,
+      attendanceRate: counted > 0 ? Math.round(((row.present + row.late) / counted) * 1000) / 10 : 0,
+      attendedMinutes: row.attendedMinutes,
+      contactHours: Math.round((row.attendedMinutes / 60) * 100) / 100,
+      missingTimeOut: row.missingTimeOut
+    };
+  });
+};
+
+// Static method to get the attendance percentage of students in a course, excluding excused absences
+// filters: { courseId, studentIds, intakeId, branchId, dateFrom, dateTo }
+// Returns a Map of student id to { attended, absent, excused, counted, percentage } (percentage null without records)
+attendanceSchema.statics.getAttendanceRates = async function(filters = {}) {
+  const { courseId, studentIds, intakeId, branchId, dateFrom, dateTo } = filters;
+  const toObjectId = value => new mongoose.Types.ObjectId(value.toString());
+
+  const matchQuery = { course: toObjectId(courseId), isActive: true };
+  if (studentIds) matchQuery.student = { $in: studentIds.map(toObjectId) };
+  if (intakeId) matchQuery.intake = toObjectId(intakeId);
+  if (branchId) matchQuery.branch = toObjectId(branchId);
+  if (dateFrom || dateTo) {
+    matchQuery.date = {};
+    if (dateFrom) matchQuery.date.$gte = new Date(dateFrom);
+    if (dateTo) matchQuery.date.$lte = new Date(dateTo);
+  }
+
+  const rows = await this.aggregate([
+    { $match: matchQuery },
+    {
+      $group: {
+        _id: '$student',
+        attended: { $sum: { $cond: [{ $in: ['$status', ['Present', 'Late']] }, 1, 0] } },
+        absent: { $sum: { $cond: [{ $eq: ['$status', 'Absent'] }, 1, 0] } },
+        excused: { $sum: { $cond: [{ $eq: ['$status', 'Excused'] }, 1, 0] } }
+      }
     }
+  ]);
+
+  return new Map(rows.map(row => {
+    const counted = row.attended + row.absent;
+    return [row._id.toString(), {
+      attended: row.attended,
+      absent: row.absent,
+      excused: row.excused,
+      counted,
+      percentage: counted > 0 ? Math.round((row.attended / counted) * 1000) / 10 : null
+    }];
   }));
+};
+
+// Static method to bulk create/update attendance
+// Bulk writes skip the pre-save hook, so the times and minutes it would set are worked out here
+attendanceSchema.statics.bulkUpsertAttendance = async function(attendanceRecords, markedByUserId) {
+  const operations = attendanceRecords.map(record => {
+    const attended = record.status === 'Present' || record.status === 'Late';
+    const timeIn = attended ? (record.timeIn || this.defaultTimeIn(record.date)) : undefined;
+    const timeOut = attended ? record.timeOut : undefined;
+
+    const update = {
+      $set: {
+        status: record.status,
+        attendedMinutes: this.getAttendedMinutes(timeIn, timeOut),
+        notes: record.notes,
+        branch: record.branch,
+        intake: record.intake || null,
+        leaveRequest: record.leaveRequest || null,
+        lastModifiedBy: markedByUserId,
+        updatedAt: new Date()
+      },
+      $setOnInsert: {
+        markedBy: markedByUserId,
+        createdAt: new Date()
+      }
+    };
+
+    // Times are cleared for Absent/Excused
+    if (attended) {
+      update.$set.timeIn = timeIn;
+      update.$set.timeOut = timeOut;
+    } else {
+      update.$unset = { timeIn: 1, timeOut: 1 };
+    }
+
+    return {
+      updateOne: {
+        filter: {
+          student: record.student,
+          course: record.course,
+          date: new Date(record.date),
+          session: record.session || null
+        },
+        update,
+        upsert: true
+      }
+    };
+  });
   
   return this.bulkWrite(operations);
 };
@@ -257,4 +489,7 @@ attendanceSchema.virtual('formattedTime').get(function() {
 attendanceSchema.set('toJSON', { virtuals: true });
 attendanceSchema.set('toObject', { virtuals: true });
 
+// Notify live dashboards of changes
+attendanceSchema.plugin(liveEventsPlugin, { type: 'attendance', fields: ['status', 'course', 'intake', 'date'] });
+
 module.exports = mongoose.model('Attendance', attendanceSchema);
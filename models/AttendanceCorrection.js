@@ -0,0 +1,105 @@
+const mongoose = require('mongoose');
+
+// Request to change a locked attendance record, applied once an admin approves it
+const attendanceCorrectionSchema = new mongoose.Schema({
+  attendance: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Attendance',
+    required: [true, 'Attendance record is required']
+  },
+  // Copied from the record for filtering
+  student: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Student',
+    required: [true, 'Student is required']
+  },
+  course: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course',
+    required: [true, 'Course is required']
+  },
+  branch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Branch',
+    required: [true, 'Branch is required']
+  },
+  date: {
+    type: Date,
+    required: [true, 'Date is required']
+  },
+  // Requested values; fields that are not set stay as they are
+  changes: {
+    status: {
+      type: String,
+      enum: {
+        values: ['Present', 'Absent', 'Late', 'Excused'],
+        message: 'Status must be one of: Present, Absent, Late, Excused'
+      }
+    },
+    timeIn: {
+      type: String
+    },
+    timeOut: {
+      type: String
+    },
+    notes: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Notes cannot exceed 500 characters']
+    }
+  },
+  reason: {
+    type: String,
+    required: [true, 'Reason is required'],
+    trim: true,
+    maxlength: [500, 'Reason cannot exceed 500 characters']
+  },
+  status: {
+    type: String,
+    required: [true, 'Status is required'],
+    enum: {
+      values: ['pending', 'approved', 'rejected'],
+      message: 'Status must be one of: pending, approved, rejected'
+    },
+    default: 'pending'
+  },
+  requestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Requested by user is required']
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: {
+    type: Date
+  },
+  reviewNotes: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Review notes cannot exceed 500 characters']
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+attendanceCorrectionSchema.index({ branch: 1, status: 1, createdAt: -1 });
+attendanceCorrectionSchema.index({ attendance: 1, status: 1 });
+
+// Pre-save middleware to update the updatedAt field
+attendanceCorrectionSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+module.exports = mongoose.model('AttendanceCorrection', attendanceCorrectionSchema);
@@ -0,0 +1,135 @@
+const mongoose = require('mongoose');
+
+// Fields of an attendance record kept in each version
+const VERSIONED_FIELDS = ['status', 'timeIn', 'timeOut', 'attendedMinutes', 'notes', 'session', 'leaveRequest', 'isActive'];
+
+// Append-only copy of an attendance record after each change
+const attendanceVersionSchema = new mongoose.Schema({
+  attendance: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Attendance',
+    required: [true, 'Attendance record is required']
+  },
+  // 1 for the first version of a record, counting up
+  version: {
+    type: Number,
+    required: [true, 'Version is required'],
+    min: [1, 'Version must be at least 1']
+  },
+  action: {
+    type: String,
+    required: [true, 'Action is required'],
+    enum: {
+      values: ['create', 'update', 'delete', 'correction'],
+      message: 'Action must be one of: create, update, delete, correction'
+    }
+  },
+  // The record as it was after the change
+  snapshot: {
+    type: mongoose.Schema.Types.Mixed,
+    required: [true, 'Snapshot is required']
+  },
+  // Not set for versions recorded before the history existed
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  // Correction request the change was approved through
+  correction: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AttendanceCorrection',
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Indexes for better query performance
+attendanceVersionSchema.index({ attendance: 1, version: 1 }, { unique: true });
+
+// Versions are never changed or removed once written
+attendanceVersionSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return next(new Error('Attendance versions cannot be modified'));
+  }
+  next();
+});
+
+const rejectChange = function(next) {
+  next(new Error('Attendance versions cannot be modified'));
+};
+
+['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace',
+  'deleteOne', 'deleteMany', 'findOneAndDelete'].forEach(operation => {
+  attendanceVersionSchema.pre(operation, rejectChange);
+});
+
+// Copy the versioned fields of a record (document or plain object)
+const takeSnapshot = (record) => {
+  const plain = typeof record.toObject === 'function' ? record.toObject({ depopulate: true }) : record;
+  const snapshot = {};
+  for (const field of VERSIONED_FIELDS) {
+    const value = plain[field];
+    snapshot[field] = value === undefined ? null : (value instanceof mongoose.Types.ObjectId ? value.toString() : value);
+  }
+  return snapshot;
+};
+
+// Static method to add a version after a record changed; failures never block the request
+// options: { action, user, description, correction, before }
+// `before` is the record before the change; it becomes version 1 for records older than the history
+attendanceVersionSchema.statics.record = async function(attendance, options = {}) {
+  const { action = 'update', user = null, description, correction = null, before = null } = options;
+
+  try {
+    const latest = await this.findOne({ attendance: attendance._id }).sort({ version: -1 });
+    const snapshot = takeSnapshot(attendance);
+
+    // Nothing changed since the last version (e.g. a bulk save that repeated the same values)
+    if (latest && JSON.stringify(latest.snapshot) === JSON.stringify(snapshot)) {
+      return latest;
+    }
+
+    let version = latest ? latest.version + 1 : 1;
+    if (!latest && before) {
+      await this.create({
+        attendance: attendance._id,
+        version,
+        action: 'create',
+        snapshot: takeSnapshot(before),
+        description: 'Recorded before version history'
+      });
+      version += 1;
+    }
+
+    return await this.create({
+      attendance: attendance._id,
+      version,
+      action,
+      snapshot,
+      changedBy: user ? (user._id || user) : null,
+      description,
+      correction
+    });
+  } catch (error) {
+    console.error('Error recording attendance version:', error);
+    return null;
+  }
+};
+
+// Static method to get the versions of a record, oldest first
+attendanceVersionSchema.statics.getHistory = function(attendanceId) {
+  return this.find({ attendance: attendanceId })
+    .populate('changedBy', 'fullName username')
+    .sort({ version: 1 });
+};
+
+module.exports = mongoose.model('AttendanceVersion', attendanceVersionSchema);
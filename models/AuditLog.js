@@ -0,0 +1,219 @@
+const mongoose = require('mongoose');
+
+// Fields never copied into the audit log
+const SENSITIVE_FIELDS = [
+  'password',
+  'twoFactor',
+  'tokenHash',
+  'previousTokenHashes',
+  'failedLoginAttempts',
+  'lastFailedLoginAt',
+  'nextAttemptAt',
+  'lockUntil'
+];
+
+// Bookkeeping fields that change on every save and are not worth recording
+const IGNORED_FIELDS = ['_id', '__v', 'createdAt', 'updatedAt', 'updatedBy', 'lastModifiedBy'];
+
+const ENTITIES = ['Branch', 'User', 'Course', 'Student', 'Attendance', 'Transaction', 'Budget', 'Invoice', 'Role', 'Upload', 'Intake', 'ClassSession', 'Holiday', 'AttendanceCorrection', 'LeaveRequest', 'StudentTransfer', 'WaitlistEntry', 'Notification'];
+const ACTIONS = ['create', 'update', 'delete', 'restore'];
+
+// Append-only record of a change made through the API
+const auditLogSchema = new mongoose.Schema({
+  // Not set for changes made without a signed-in user
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // Copied so the entry stays readable after the user is removed
+  username: {
+    type: String,
+    trim: true
+  },
+  role: {
+    type: String,
+    trim: true
+  },
+  branch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Branch',
+    default: null
+  },
+  entity: {
+    type: String,
+    required: [true, 'Entity is required'],
+    enum: {
+      values: ENTITIES,
+      message: `Entity must be one of: ${ENTITIES.join(', ')}`
+    }
+  },
+  // String so non-ObjectId keys (role names, upload IDs) can be stored
+  entityId: {
+    type: String,
+    required: [true, 'Entity ID is required'],
+    trim: true
+  },
+  action: {
+    type: String,
+    required: [true, 'Action is required'],
+    enum: {
+      values: ACTIONS,
+      message: `Action must be one of: ${ACTIONS.join(', ')}`
+    }
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  // One entry per changed field: { field, from, to }
+  changes: [{
+    _id: false,
+    field: {
+      type: String,
+      required: true
+    },
+    from: mongoose.Schema.Types.Mixed,
+    to: mongoose.Schema.Types.Mixed
+  }],
+  ip: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'IP address cannot exceed 100 characters']
+  },
+  userAgent: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'User agent cannot exceed 500 characters']
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Indexes for better query performance
+auditLogSchema.index({ entity: 1, entityId: 1, createdAt: -1 });
+auditLogSchema.index({ user: 1, createdAt: -1 });
+auditLogSchema.index({ branch: 1, createdAt: -1 });
+auditLogSchema.index({ createdAt: -1 });
+
+// Entries are never changed or removed once written
+auditLogSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return next(new Error('Audit log entries cannot be modified'));
+  }
+  next();
+});
+
+const rejectChange = function(next) {
+  next(new Error('Audit log entries cannot be modified'));
+};
+
+['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace',
+  'deleteOne', 'deleteMany', 'findOneAndDelete'].forEach(operation => {
+  auditLogSchema.pre(operation, rejectChange);
+});
+
+// Turn a value into something comparable and storable (ObjectIds and refs become strings)
+const normalizeValue = (value) => {
+  if (value === undefined) return undefined;
+  if (value === null) return null;
+  if (value instanceof mongoose.Types.ObjectId) return value.toString();
+  if (value instanceof Date) return value.toISOString();
+  if (Array.isArray(value)) return value.map(normalizeValue);
+  if (typeof value === 'object') {
+    const result = {};
+    for (const [key, item] of Object.entries(value)) {
+      if (key === '__v' || SENSITIVE_FIELDS.includes(key)) continue;
+      result[key] = normalizeValue(item);
+    }
+    return result;
+  }
+  return value;
+};
+
+// Flatten nested objects into dotted paths; arrays are compared as a whole
+const flatten = (value, prefix = '', result = {}) => {
+  for (const [key, item] of Object.entries(value || {})) {
+    const path = prefix ? `${prefix}.${key}` : key;
+    if (SENSITIVE_FIELDS.includes(key) || (!prefix && IGNORED_FIELDS.includes(key))) continue;
+
+    if (item && typeof item === 'object' && !Array.isArray(item) && Object.keys(item).length > 0) {
+      flatten(item, path, result);
+    } else {
+      result[path] = item;
+    }
+  }
+  return result;
+};
+
+// Static method to take a plain copy of a document before it is changed
+auditLogSchema.statics.snapshot = function(doc) {
+  if (!doc) return null;
+  const plain = typeof doc.toObject === 'function'
+    ? doc.toObject({ depopulate: true, virtuals: false, transform: false })
+    : doc;
+  return normalizeValue(plain);
+};
+
+// Static method to list the fields that differ between two snapshots
+auditLogSchema.statics.diff = function(before, after) {
+  const from = flatten(this.snapshot(before));
+  const to = flatten(this.snapshot(after));
+  const fields = new Set([...Object.keys(from), ...Object.keys(to)]);
+  const changes = [];
+
+  for (const field of fields) {
+    if (JSON.stringify(from[field]) !== JSON.stringify(to[field])) {
+      changes.push({ field, from: from[field], to: to[field] });
+    }
+  }
+
+  return changes;
+};
+
+// Static method to record a change made by the current request; failures never block the request
+// options: { entity, entityId, action, before, after, branch, description, actor }
+// actor defaults to the signed-in user (set it for public routes such as password reset)
+auditLogSchema.statics.record = async function(req, options) {
+  try {
+    const { entity, entityId, action, before = null, after = null, description } = options;
+    const actor = options.actor !== undefined ? options.actor : req.user;
+    const changes = this.diff(before, after);
+
+    // Nothing changed, nothing to record
+    if (action === 'update' && changes.length === 0 && !description) return null;
+
+    // Branch of the changed record, falling back to the branch the user is working in
+    let branch = options.branch !== undefined
+      ? options.branch
+      : ((after && after.branch) || (before && before.branch) || actor?.branch || null);
+    if (branch && branch._id) branch = branch._id;
+    if (branch && !mongoose.isValidObjectId(branch)) branch = null;
+
+    return await this.create({
+      user: actor ? actor._id : null,
+      username: actor ? actor.username : undefined,
+      role: actor ? actor.role : undefined,
+      branch,
+      entity,
+      entityId: String(entityId),
+      action,
+      description,
+      changes,
+      ip: req.ip,
+      userAgent: (req.headers['user-agent'] || '').substring(0, 500)
+    });
+  } catch (error) {
+    console.error('Error recording audit log:', error);
+    return null;
+  }
+};
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
+
+// Shared with the audit log query validation
+module.exports.ENTITIES = ENTITIES;
+module.exports.ACTIONS = ACTIONS;
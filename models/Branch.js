@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { STUDENT_ID_FORMAT_TOKENS, isValidStudentIdFormat } = require('../utils/validation');
 
 const branchSchema = new mongoose.Schema({
   name: {
@@ -9,6 +10,42 @@ const branchSchema = new mongoose.Schema({
     minlength: [2, 'Branch name must be at least 2 characters long'],
     maxlength: [100, 'Branch name cannot exceed 100 characters']
   },
+  // Short code used in generated identifiers, e.g. COL
+  code: {
+    type: String,
+    trim: true,
+    uppercase: true,
+    unique: true,
+    sparse: true,
+    match: [/^[A-Z0-9]{2,6}$/, 'Branch code must be 2-6 letters or digits']
+  },
+  // Prefix format for student IDs, e.g. {BRANCH}-{COURSE}{YY}
+  studentIdFormat: {
+    type: String,
+    trim: true,
+    default: '{COURSE}',
+    maxlength: [30, 'Student ID format cannot exceed 30 characters'],
+    validate: {
+      validator: isValidStudentIdFormat,
+      message: `Student ID format may only contain letters, digits, dashes and the tokens ${STUDENT_ID_FORMAT_TOKENS.join(', ')}`
+    }
+  },
+  // What attendance marking does on holidays and closures: warn and continue, or refuse
+  closedDayPolicy: {
+    type: String,
+    enum: {
+      values: ['warn', 'block'],
+      message: 'Closed day policy must be one of: warn, block'
+    },
+    default: 'warn'
+  },
+  // Hours after the class day ends before attendance becomes read-only for moderators (0 never locks)
+  attendanceLockHours: {
+    type: Number,
+    default: 48,
+    min: [0, 'Attendance lock window cannot be negative'],
+    max: [8760, 'Attendance lock window cannot exceed 8760 hours']
+  },
   isActive: {
     type: Boolean,
     default: true
@@ -46,6 +83,45 @@ branchSchema.methods.getActiveUsersCount = async function() {
   return await User.countDocuments({ branch: this._id, isActive: true });
 };
 
+// Pre-validate middleware to assign a branch code when none is set
+branchSchema.pre('validate', async function(next) {
+  try {
+    if (!this.code && this.name) {
+      this.code = await this.constructor.generateCode(this.name, this._id);
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Static method to generate a unique branch code from the branch name
+branchSchema.statics.generateCode = async function(name, excludeId = null) {
+  const base = (name.replace(/[^A-Za-z0-9]/g, '').toUpperCase().substring(0, 3) || 'BR').padEnd(2, 'X');
+
+  let code = base;
+  let suffix = 1;
+
+  while (await this.exists({ code, _id: { $ne: excludeId } })) {
+    suffix += 1;
+    code = `${base}${suffix}`;
+  }
+
+  return code;
+};
+
+// Static method to build a student ID prefix from the branch format
+branchSchema.statics.buildStudentIdPrefix = function(format, { branchCode, courseCode, date = new Date() }) {
+  const year = String(date.getFullYear());
+
+  return (format || '{COURSE}')
+    .replace(/\{BRANCH\}/g, branchCode || '')
+    .replace(/\{COURSE\}/g, courseCode || '')
+    .replace(/\{YYYY\}/g, year)
+    .replace(/\{YY\}/g, year.substring(2))
+    .toUpperCase();
+};
+
 // Static method to find active branches
 branchSchema.statics.findActive = function() {
   return this.find({ isActive: true }).sort({ name: 1 });
@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const { liveEventsPlugin } = require('../utils/liveEvents');
+const Activity = require('./Activity');
 
 const budgetSchema = new mongoose.Schema({
   category: {
@@ -169,7 +171,9 @@ budgetSchema.methods.updateSpentAmount = async function() {
   ]);
   
   this.spent = result.length > 0 ? result[0].totalSpent : 0;
-  
+
+  const wasExceeded = this.status === 'exceeded';
+
   // Update status based on spending
   if (this.spent >= this.allocated) {
     this.status = 'exceeded';
@@ -178,8 +182,26 @@ budgetSchema.methods.updateSpentAmount = async function() {
   } else {
     this.status = 'active';
   }
-  
-  return this.save();
+
+  await this.save();
+
+  // Announce the budget going over its allocation once
+  if (this.status === 'exceeded' && !wasExceeded) {
+    const formatAmount = (amount) => Number(amount).toLocaleString('en-US', { maximumFractionDigits: 2 });
+    await Activity.record({
+      type: 'budget_exceeded',
+      message: `Budget exceeded: ${this.category} (${this.currency} ${formatAmount(this.spent)} of ${formatAmount(this.allocated)})`,
+      details: {
+        budget: this._id,
+        category: this.category,
+        allocated: this.allocated,
+        spent: this.spent
+      },
+      branch: this.branch
+    });
+  }
+
+  return this;
 };
 
 // Static method to get budget statistics
@@ -256,4 +278,7 @@ budgetSchema.statics.getStatistics = async function(branchId, userRole, filters
   return result;
 };
 
+// Notify live dashboards of changes
+budgetSchema.plugin(liveEventsPlugin, { type: 'budget', fields: ['category', 'status'] });
+
 module.exports = mongoose.model('Budget', budgetSchema);
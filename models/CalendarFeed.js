@@ -0,0 +1,95 @@
+const mongoose = require('mongoose');
+const { generateRefreshToken, hashToken } = require('../utils/jwt');
+
+// Subscription link for the iCalendar feed of a course, so calendar apps can poll it
+// without an access token; it lasts until the user revokes it or loses access to the course
+const calendarFeedSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required']
+  },
+  course: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course',
+    required: [true, 'Course is required']
+  },
+  // Branch the feed was issued in (null for superAdmin without a selected branch)
+  branch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Branch',
+    default: null
+  },
+  // Limits the feed to one intake of the course
+  intake: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Intake',
+    default: null
+  },
+  // Only the SHA-256 hash of the feed token is stored
+  tokenHash: {
+    type: String,
+    required: [true, 'Token hash is required'],
+    unique: true,
+    select: false
+  },
+  lastUsedAt: {
+    type: Date,
+    default: null
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+calendarFeedSchema.index({ user: 1, course: 1, revokedAt: 1 });
+
+// Pre-save middleware to update the updatedAt field
+calendarFeedSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+// Static method to issue a feed, returns the feed and the plain token
+calendarFeedSchema.statics.createForUser = async function(user, course, branchId = null, intakeId = null) {
+  const token = generateRefreshToken();
+
+  const feed = await this.create({
+    user: user._id,
+    course: course._id,
+    branch: branchId || null,
+    intake: intakeId || null,
+    tokenHash: hashToken(token)
+  });
+
+  return { feed, token };
+};
+
+// Static method to find an active feed by its token
+calendarFeedSchema.statics.findByToken = function(token) {
+  return this.findOne({ tokenHash: hashToken(token), revokedAt: null });
+};
+
+// Static method to revoke the feeds of a user for a course
+calendarFeedSchema.statics.revokeForUser = async function(userId, courseId) {
+  const result = await this.updateMany(
+    { user: userId, course: courseId, revokedAt: null },
+    { $set: { revokedAt: new Date(), updatedAt: new Date() } }
+  );
+
+  return result.modifiedCount;
+};
+
+module.exports = mongoose.model('CalendarFeed', calendarFeedSchema);
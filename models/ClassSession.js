@@ -0,0 +1,222 @@
+const mongoose = require('mongoose');
+
+// Times are zero-padded HH:MM so they compare and sort as strings
+const TIME_PATTERN = /^([0-1][0-9]|2[0-3]):[0-5][0-9]$/;
+
+// A single scheduled class of a course (or one of its intakes) in a branch
+const classSessionSchema = new mongoose.Schema({
+  course: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course',
+    required: [true, 'Course is required']
+  },
+  intake: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Intake',
+    default: null
+  },
+  branch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Branch',
+    required: [true, 'Branch is required']
+  },
+  // Day of the class, stored as midnight UTC like attendance dates
+  date: {
+    type: Date,
+    required: [true, 'Date is required']
+  },
+  startTime: {
+    type: String,
+    required: [true, 'Start time is required'],
+    match: [TIME_PATTERN, 'Start time must be in HH:MM format']
+  },
+  endTime: {
+    type: String,
+    required: [true, 'End time is required'],
+    match: [TIME_PATTERN, 'End time must be in HH:MM format'],
+    validate: {
+      validator: function(value) {
+        return !this.startTime || value > this.startTime;
+      },
+      message: 'End time must be after start time'
+    }
+  },
+  room: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Room cannot exceed 100 characters']
+  },
+  status: {
+    type: String,
+    required: [true, 'Session status is required'],
+    enum: {
+      values: ['Scheduled', 'Cancelled'],
+      message: 'Status must be one of: Scheduled, Cancelled'
+    },
+    default: 'Scheduled'
+  },
+  cancellationReason: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Cancellation reason cannot exceed 200 characters']
+  },
+  // Sessions changed or added by hand are left alone when the timetable is regenerated
+  isException: {
+    type: Boolean,
+    default: false
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Notes cannot exceed 500 characters']
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+classSessionSchema.index({ course: 1, intake: 1, branch: 1, date: 1, startTime: 1 }, { unique: true });
+classSessionSchema.index({ branch: 1, date: 1 });
+classSessionSchema.index({ isActive: 1 });
+
+// Pre-save middleware to update the updatedAt field
+classSessionSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+// Virtual for formatted date
+classSessionSchema.virtual('formattedDate').get(function() {
+  return this.date.toISOString().split('T')[0];
+});
+
+// Static method to normalize a date (or YYYY-MM-DD string) to midnight UTC
+classSessionSchema.statics.toDay = function(value) {
+  const date = new Date(value);
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+};
+
+// Static method to create the sessions of a timetable between two dates
+// Existing sessions are kept; dates in `holidays` ({ date, name }) are created as cancelled
+classSessionSchema.statics.generate = async function({ course, intake = null, branch, rules, from, to, holidays = [], userId }) {
+  const start = this.toDay(from);
+  const end = this.toDay(to);
+  const holidayNames = new Map(holidays.map(holiday => [this.toDay(holiday.date).getTime(), holiday.name || 'Holiday']));
+
+  const operations = [];
+  for (let day = new Date(start); day <= end; day.setUTCDate(day.getUTCDate() + 1)) {
+    for (const rule of rules) {
+      if (rule.weekday !== day.getUTCDay()) continue;
+
+      const holidayName = holidayNames.get(day.getTime());
+      operations.push({
+        updateOne: {
+          filter: { course, intake, branch, date: new Date(day), startTime: rule.startTime },
+          update: {
+            $setOnInsert: {
+              endTime: rule.endTime,
+              room: rule.room,
+              status: holidayName ? 'Cancelled' : 'Scheduled',
+              cancellationReason: holidayName,
+              isException: false,
+              createdBy: userId,
+              isActive: true,
+              createdAt: new Date(),
+              updatedAt: new Date()
+            }
+          },
+          upsert: true
+        }
+      });
+    }
+  }
+
+  if (operations.length === 0) {
+    return { created: 0, existing: 0, createdIds: [] };
+  }
+
+  const result = await this.bulkWrite(operations, { ordered: false });
+  return {
+    created: result.upsertedCount,
+    existing: operations.length - result.upsertedCount,
+    createdIds: Object.values(result.upsertedIds || {})
+  };
+};
+
+// Static method to remove generated sessions between from and to that no longer match the timetable
+// Sessions that are exceptions or already have attendance are kept; returns the removed sessions
+classSessionSchema.statics.removeGenerated = async function({ course, intake = null, branch, from, to }) {
+  const Attendance = mongoose.model('Attendance');
+  const candidates = await this.find({
+    course,
+    intake,
+    branch,
+    date: { $gte: this.toDay(from), $lte: this.toDay(to) },
+    isException: false,
+    isActive: true
+  });
+
+  const ids = candidates.map(session => session._id);
+  const withAttendance = await Attendance.distinct('session', { session: { $in: ids }, isActive: true });
+  const keep = new Set(withAttendance.map(id => id.toString()));
+
+  const removable = candidates.filter(session => !keep.has(session._id.toString()));
+  await this.deleteMany({ _id: { $in: removable.map(session => session._id) } });
+  return removable;
+};
+
+// Static method to find the session a student's attendance on a date belongs to
+// Intake students use their intake's sessions, falling back to the course sessions
+classSessionSchema.statics.findForAttendance = async function({ course, branch, intake = null, date }) {
+  const query = { course, branch, date: this.toDay(date), isActive: true };
+
+  if (intake) {
+    const intakeSession = await this.findOne({ ...query, intake }).sort({ status: -1, startTime: 1 });
+    if (intakeSession) return intakeSession;
+  }
+
+  return this.findOne({ ...query, intake: null }).sort({ status: -1, startTime: 1 });
+};
+
+// Static method to count the classes a student's attendance on a date could belong to
+// (the intake's sessions when it has any that day, otherwise the course sessions)
+classSessionSchema.statics.countForAttendance = async function({ course, branch, intake = null, date }) {
+  const query = { course, branch, date: this.toDay(date), isActive: true, status: { $ne: 'Cancelled' } };
+
+  if (intake) {
+    const intakeCount = await this.countDocuments({ ...query, intake });
+    if (intakeCount > 0) return intakeCount;
+  }
+
+  return this.countDocuments({ ...query, intake: null });
+};
+
+// Static method to check whether a course runs on a timetable in a branch
+classSessionSchema.statics.hasTimetable = async function(course, branch) {
+  return Boolean(await this.exists({ course, branch, isActive: true }));
+};
+
+classSessionSchema.set('toJSON', { virtuals: true });
+classSessionSchema.set('toObject', { virtuals: true });
+
+module.exports = mongoose.model('ClassSession', classSessionSchema);
@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+
+// Named sequences that are incremented atomically and never reused
+const counterSchema = new mongoose.Schema({
+  _id: {
+    type: String,
+    required: [true, 'Counter key is required'],
+    trim: true
+  },
+  seq: {
+    type: Number,
+    default: 0,
+    min: [0, 'Counter value cannot be negative']
+  }
+}, {
+  timestamps: true
+});
+
+// Static method to get the next value of a sequence (creates the sequence on first use)
+counterSchema.statics.next = async function(key) {
+  const counter = await this.findOneAndUpdate(
+    { _id: key },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true, setDefaultsOnInsert: true }
+  );
+
+  return counter.seq;
+};
+
+// Static method to make sure a sequence is at least the given value
+counterSchema.statics.ensureAtLeast = async function(key, value) {
+  const counter = await this.findOneAndUpdate(
+    { _id: key },
+    { $max: { seq: value } },
+    { new: true, upsert: true }
+  );
+
+  return counter.seq;
+};
+
+module.exports = mongoose.model('Counter', counterSchema);
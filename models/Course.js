@@ -74,6 +74,60 @@ const courseSchema = new mongoose.Schema({
     trim: true,
     maxlength: [200, 'Module name cannot exceed 200 characters']
   }],
+  // Recurring weekly classes (0 = Sunday) used to generate the session timetable
+  sessionRules: [{
+    _id: false,
+    weekday: {
+      type: Number,
+      required: [true, 'Weekday is required'],
+      min: [0, 'Weekday must be between 0 and 6'],
+      max: [6, 'Weekday must be between 0 and 6']
+    },
+    startTime: {
+      type: String,
+      required: [true, 'Start time is required'],
+      match: [/^([0-1][0-9]|2[0-3]):[0-5][0-9]$/, 'Start time must be in HH:MM format']
+    },
+    endTime: {
+      type: String,
+      required: [true, 'End time is required'],
+      match: [/^([0-1][0-9]|2[0-3]):[0-5][0-9]$/, 'End time must be in HH:MM format']
+    },
+    room: {
+      type: String,
+      trim: true,
+      maxlength: [100, 'Room cannot exceed 100 characters']
+    }
+  }],
+  // How arrivals are classified when attendance is taken for a scheduled class,
+  // and the attendance students need to sit exams
+  attendanceRules: {
+    // Mark Present arrivals after the class start plus the grace period as Late
+    autoLate: {
+      type: Boolean,
+      default: true
+    },
+    lateGraceMinutes: {
+      type: Number,
+      default: 10,
+      min: [0, 'Grace period cannot be negative'],
+      max: [120, 'Grace period cannot exceed 120 minutes']
+    },
+    // Share of classes (excluding excused absences) a student must attend to be eligible for exams
+    minAttendancePercentage: {
+      type: Number,
+      default: 80,
+      min: [0, 'Minimum attendance cannot be negative'],
+      max: [100, 'Minimum attendance cannot exceed 100%']
+    },
+    // Students within this many percentage points above the minimum are reported as at risk
+    warningMargin: {
+      type: Number,
+      default: 5,
+      min: [0, 'Warning margin cannot be negative'],
+      max: [50, 'Warning margin cannot exceed 50 percentage points']
+    }
+  },
   branch: {
     type: mongoose.Schema.Types.Mixed, // Allow both ObjectId and string
     required: [true, 'Branch is required'],
@@ -176,7 +230,8 @@ courseSchema.methods.unenrollStudent = async function() {
 };
 
 // Static method to get course statistics
-courseSchema.statics.getStatistics = async function(branchId = null, userRole = null) {
+// Pass options.intakeId to get the statistics of a single intake
+courseSchema.statics.getStatistics = async function(branchId = null, userRole = null, options = {}) {
   const mongoose = require('mongoose');
   let matchQuery = { isActive: true };
 
@@ -222,6 +277,10 @@ courseSchema.statics.getStatistics = async function(branchId = null, userRole =
     }
   }
 
+  if (options.intakeId) {
+    return this.getIntakeStatistics(options.intakeId, branchId);
+  }
+
   const stats = await this.aggregate([
     { $match: matchQuery },
     {
@@ -249,4 +308,48 @@ courseSchema.statics.getStatistics = async function(branchId = null, userRole =
   };
 };
 
+// Static method to get the statistics of one intake, in the same shape as getStatistics
+courseSchema.statics.getIntakeStatistics = async function(intakeId, branchId = null) {
+  const Intake = mongoose.model('Intake');
+  const emptyStats = {
+    totalCourses: 0,
+    activeCourses: 0,
+    totalEnrolled: 0,
+    totalRevenue: 0,
+    averagePrice: 0,
+    totalCapacity: 0
+  };
+
+  if (!mongoose.Types.ObjectId.isValid(intakeId)) {
+    return emptyStats;
+  }
+
+  const intake = await Intake.findOne({ _id: intakeId, isActive: true });
+  if (!intake || (branchId && intake.branch.toString() !== branchId.toString())) {
+    return emptyStats;
+  }
+
+  const course = await this.findById(intake.course);
+  if (!course || !course.isActive) {
+    return emptyStats;
+  }
+
+  return {
+    totalCourses: 1,
+    activeCourses: course.status === 'Active' ? 1 : 0,
+    totalEnrolled: intake.currentEnrolled,
+    totalRevenue: course.price * intake.currentEnrolled,
+    averagePrice: course.price,
+    totalCapacity: intake.capacity,
+    intake: {
+      _id: intake._id,
+      name: intake.name,
+      status: intake.status,
+      startDate: intake.startDate,
+      endDate: intake.endDate,
+      availableSpots: intake.getAvailableSpots()
+    }
+  };
+};
+
 module.exports = mongoose.model('Course', courseSchema);
@@ -0,0 +1,137 @@
+const mongoose = require('mongoose');
+
+// A day (or range of days) on which a branch is closed: public holidays, Poya days and branch closures
+const holidaySchema = new mongoose.Schema({
+  // Branch that is closed; null for national holidays that close every branch
+  branch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Branch',
+    default: null
+  },
+  name: {
+    type: String,
+    required: [true, 'Holiday name is required'],
+    trim: true,
+    maxlength: [200, 'Holiday name cannot exceed 200 characters']
+  },
+  type: {
+    type: String,
+    required: [true, 'Holiday type is required'],
+    enum: {
+      values: ['Public Holiday', 'Poya Day', 'Branch Closure'],
+      message: 'Type must be one of: Public Holiday, Poya Day, Branch Closure'
+    },
+    default: 'Public Holiday'
+  },
+  // First and last closed day (inclusive), stored as midnight UTC like attendance dates
+  startDate: {
+    type: Date,
+    required: [true, 'Start date is required']
+  },
+  endDate: {
+    type: Date,
+    required: [true, 'End date is required'],
+    validate: {
+      validator: function(value) {
+        return !this.startDate || value >= this.startDate;
+      },
+      message: 'End date cannot be before start date'
+    }
+  },
+  // UID of the calendar event the holiday was imported from
+  sourceUid: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Notes cannot exceed 500 characters']
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+holidaySchema.index({ branch: 1, startDate: 1, endDate: 1 });
+holidaySchema.index({ sourceUid: 1, branch: 1 });
+holidaySchema.index({ isActive: 1 });
+
+// Pre-save middleware to update the updatedAt field
+holidaySchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+// Static method to normalize a date (or YYYY-MM-DD string) to midnight UTC
+holidaySchema.statics.toDay = function(value) {
+  const date = new Date(value);
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+};
+
+// Static method to find the holidays and closures of a branch that overlap a date range
+// National holidays apply to every branch; without a branch only national holidays are returned
+holidaySchema.statics.findForBranch = function(branchId, from, to) {
+  return this.find({
+    branch: branchId ? { $in: [branchId, null] } : null,
+    startDate: { $lte: this.toDay(to) },
+    endDate: { $gte: this.toDay(from) },
+    isActive: true
+  }).sort({ startDate: 1 });
+};
+
+// Static method to get the closed days of a branch in a date range
+// Returns a Map of day timestamp (midnight UTC) to holiday name
+holidaySchema.statics.getClosedDays = async function(branchId, from, to) {
+  const start = this.toDay(from);
+  const end = this.toDay(to);
+  const holidays = await this.findForBranch(branchId, start, end);
+
+  const closedDays = new Map();
+  for (const holiday of holidays) {
+    const first = holiday.startDate > start ? holiday.startDate : start;
+    const last = holiday.endDate < end ? holiday.endDate : end;
+    for (let day = new Date(first); day <= last; day.setUTCDate(day.getUTCDate() + 1)) {
+      if (!closedDays.has(day.getTime())) {
+        closedDays.set(day.getTime(), holiday.name);
+      }
+    }
+  }
+
+  return closedDays;
+};
+
+// Static method to find the holiday or closure that closes a branch on a date
+holidaySchema.statics.findClosure = async function(branchId, date) {
+  const day = this.toDay(date);
+  return this.findOne({
+    branch: { $in: [branchId, null] },
+    startDate: { $lte: day },
+    endDate: { $gte: day },
+    isActive: true
+  });
+};
+
+module.exports = mongoose.model('Holiday', holidaySchema);
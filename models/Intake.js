@@ -0,0 +1,217 @@
+const mongoose = require('mongoose');
+
+// A run (batch) of a course in a branch, with its own dates, capacity and roster
+const intakeSchema = new mongoose.Schema({
+  course: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course',
+    required: [true, 'Course is required']
+  },
+  branch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Branch',
+    required: [true, 'Branch is required']
+  },
+  name: {
+    type: String,
+    required: [true, 'Intake name is required'],
+    trim: true,
+    minlength: [2, 'Intake name must be at least 2 characters long'],
+    maxlength: [100, 'Intake name cannot exceed 100 characters']
+  },
+  startDate: {
+    type: Date,
+    required: [true, 'Start date is required']
+  },
+  endDate: {
+    type: Date,
+    required: [true, 'End date is required'],
+    validate: {
+      validator: function(value) {
+        return !this.startDate || value > this.startDate;
+      },
+      message: 'End date must be after start date'
+    }
+  },
+  capacity: {
+    type: Number,
+    required: [true, 'Capacity is required'],
+    min: [1, 'Capacity must be at least 1'],
+    max: [500, 'Capacity cannot exceed 500']
+  },
+  currentEnrolled: {
+    type: Number,
+    default: 0,
+    min: [0, 'Current enrolled cannot be negative']
+  },
+  instructor: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Instructor name cannot exceed 100 characters']
+  },
+  // Recurring weekly classes (0 = Sunday) of this intake; the course rules apply when empty
+  sessionRules: [{
+    _id: false,
+    weekday: {
+      type: Number,
+      required: [true, 'Weekday is required'],
+      min: [0, 'Weekday must be between 0 and 6'],
+      max: [6, 'Weekday must be between 0 and 6']
+    },
+    startTime: {
+      type: String,
+      required: [true, 'Start time is required'],
+      match: [/^([0-1][0-9]|2[0-3]):[0-5][0-9]$/, 'Start time must be in HH:MM format']
+    },
+    endTime: {
+      type: String,
+      required: [true, 'End time is required'],
+      match: [/^([0-1][0-9]|2[0-3]):[0-5][0-9]$/, 'End time must be in HH:MM format']
+    },
+    room: {
+      type: String,
+      trim: true,
+      maxlength: [100, 'Room cannot exceed 100 characters']
+    }
+  }],
+  status: {
+    type: String,
+    required: [true, 'Intake status is required'],
+    enum: {
+      values: ['Planned', 'Open', 'Running', 'Completed', 'Cancelled'],
+      message: 'Status must be one of: Planned, Open, Running, Completed, Cancelled'
+    },
+    default: 'Planned'
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+intakeSchema.index({ course: 1, branch: 1, startDate: 1 });
+intakeSchema.index({ branch: 1, status: 1 });
+intakeSchema.index({ isActive: 1 });
+
+// Pre-save middleware to update the updatedAt field
+intakeSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+// Virtual for enrollment percentage
+intakeSchema.virtual('enrollmentPercentage').get(function() {
+  return this.capacity > 0 ? Math.round((this.currentEnrolled / this.capacity) * 100) : 0;
+});
+
+// Instance method to check if the intake is full
+intakeSchema.methods.isFull = function() {
+  return this.currentEnrolled >= this.capacity;
+};
+
+// Instance method to get available spots
+intakeSchema.methods.getAvailableSpots = function() {
+  return Math.max(0, this.capacity - this.currentEnrolled);
+};
+
+// Instance method to check if students can still enroll
+intakeSchema.methods.isOpenForEnrollment = function() {
+  return this.isActive && ['Planned', 'Open', 'Running'].includes(this.status);
+};
+
+// Instance method to take a seat; the capacity check and increment are one atomic update
+intakeSchema.methods.enrollStudent = async function() {
+  const updated = await this.constructor.findOneAndUpdate(
+    { _id: this._id, $expr: { $lt: ['$currentEnrolled', '$capacity'] } },
+    { $inc: { currentEnrolled: 1 } },
+    { new: true }
+  );
+
+  if (!updated) {
+    throw new Error('Intake is full');
+  }
+
+  this.currentEnrolled = updated.currentEnrolled;
+  return this;
+};
+
+// Instance method to release a seat
+intakeSchema.methods.unenrollStudent = async function() {
+  const updated = await this.constructor.findOneAndUpdate(
+    { _id: this._id, currentEnrolled: { $gt: 0 } },
+    { $inc: { currentEnrolled: -1 } },
+    { new: true }
+  );
+
+  if (updated) {
+    this.currentEnrolled = updated.currentEnrolled;
+  }
+  return this;
+};
+
+// Static method to find the intakes of a course that accept students in a branch
+intakeSchema.statics.findOpen = function(courseId, branchId) {
+  return this.find({
+    course: courseId,
+    branch: branchId,
+    isActive: true,
+    status: { $in: ['Planned', 'Open', 'Running'] }
+  }).sort({ startDate: 1 });
+};
+
+// Static method to get intake statistics (per course or per intake)
+intakeSchema.statics.getStatistics = async function(filters = {}) {
+  const { courseId, branchId, intakeId } = filters;
+  const matchQuery = { isActive: true };
+
+  if (intakeId) matchQuery._id = new mongoose.Types.ObjectId(intakeId.toString());
+  if (courseId) matchQuery.course = new mongoose.Types.ObjectId(courseId.toString());
+  if (branchId) matchQuery.branch = new mongoose.Types.ObjectId(branchId.toString());
+
+  const stats = await this.aggregate([
+    { $match: matchQuery },
+    {
+      $group: {
+        _id: null,
+        totalIntakes: { $sum: 1 },
+        openIntakes: {
+          $sum: { $cond: [{ $in: ['$status', ['Planned', 'Open', 'Running']] }, 1, 0] }
+        },
+        totalEnrolled: { $sum: '$currentEnrolled' },
+        totalCapacity: { $sum: '$capacity' }
+      }
+    }
+  ]);
+
+  return stats.length > 0 ? stats[0] : {
+    totalIntakes: 0,
+    openIntakes: 0,
+    totalEnrolled: 0,
+    totalCapacity: 0
+  };
+};
+
+intakeSchema.set('toJSON', { virtuals: true });
+intakeSchema.set('toObject', { virtuals: true });
+
+module.exports = mongoose.model('Intake', intakeSchema);
@@ -0,0 +1,422 @@
+const mongoose = require('mongoose');
+
+// Round monetary values to 2 decimal places
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+const installmentSchema = new mongoose.Schema({
+  dueDate: {
+    type: Date,
+    required: [true, 'Installment due date is required']
+  },
+  amount: {
+    type: Number,
+    required: [true, 'Installment amount is required'],
+    min: [0.01, 'Installment amount must be greater than 0']
+  },
+  paidAmount: {
+    type: Number,
+    default: 0,
+    min: [0, 'Paid amount cannot be negative']
+  },
+  status: {
+    type: String,
+    enum: {
+      values: ['pending', 'partial', 'paid'],
+      message: 'Installment status must be one of: pending, partial, paid'
+    },
+    default: 'pending'
+  }
+});
+
+const allocationSchema = new mongoose.Schema({
+  transaction: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction',
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: [0.01, 'Allocated amount must be greater than 0']
+  },
+  allocatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const invoiceSchema = new mongoose.Schema({
+  student: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Student',
+    required: [true, 'Student is required']
+  },
+  course: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course',
+    required: [true, 'Course is required']
+  },
+  branch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Branch',
+    required: [true, 'Branch is required']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  amount: {
+    type: Number,
+    required: [true, 'Invoice amount is required'],
+    min: [0, 'Invoice amount cannot be negative'],
+    max: [10000000, 'Invoice amount cannot exceed 10,000,000 LKR']
+  },
+  currency: {
+    type: String,
+    default: 'LKR',
+    enum: ['LKR', 'USD'],
+    required: true
+  },
+  issueDate: {
+    type: Date,
+    required: [true, 'Issue date is required'],
+    default: Date.now
+  },
+  dueDate: {
+    type: Date,
+    required: [true, 'Due date is required'],
+    default: Date.now
+  },
+  installments: [installmentSchema],
+  allocations: [allocationSchema],
+  paidAmount: {
+    type: Number,
+    default: 0,
+    min: [0, 'Paid amount cannot be negative']
+  },
+  status: {
+    type: String,
+    required: [true, 'Invoice status is required'],
+    enum: {
+      values: ['unpaid', 'partial', 'paid', 'cancelled'],
+      message: 'Status must be one of: unpaid, partial, paid, cancelled'
+    },
+    default: 'unpaid'
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: false
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+invoiceSchema.index({ student: 1 });
+invoiceSchema.index({ course: 1 });
+invoiceSchema.index({ branch: 1 });
+invoiceSchema.index({ status: 1 });
+invoiceSchema.index({ isActive: 1 });
+
+// Compound indexes for common queries
+invoiceSchema.index({ student: 1, issueDate: 1 });
+invoiceSchema.index({ branch: 1, status: 1 });
+
+// Pre-save middleware to update the updatedAt field
+invoiceSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+// Virtual for outstanding balance
+invoiceSchema.virtual('balance').get(function() {
+  if (this.status === 'cancelled') return 0;
+  return Math.max(0, roundAmount(this.amount - this.paidAmount));
+});
+
+// Virtual for the amount that is past its due date and still unpaid
+invoiceSchema.virtual('overdueAmount').get(function() {
+  if (this.status === 'cancelled') return 0;
+
+  const now = new Date();
+
+  if (this.installments.length === 0) {
+    return this.dueDate < now ? this.balance : 0;
+  }
+
+  return roundAmount(this.installments
+    .filter(installment => installment.dueDate < now)
+    .reduce((sum, installment) => sum + (installment.amount - installment.paidAmount), 0));
+});
+
+// Instance method to recalculate paid amounts and statuses from the allocations
+invoiceSchema.methods.recalculate = function() {
+  this.paidAmount = roundAmount(this.allocations.reduce((sum, allocation) => sum + allocation.amount, 0));
+
+  // Spread the paid amount over installments in due date order
+  let remaining = this.paidAmount;
+  const installments = [...this.installments].sort((a, b) => a.dueDate - b.dueDate);
+
+  for (const installment of installments) {
+    installment.paidAmount = roundAmount(Math.min(installment.amount, remaining));
+    remaining = roundAmount(remaining - installment.paidAmount);
+
+    if (installment.paidAmount >= installment.amount) {
+      installment.status = 'paid';
+    } else if (installment.paidAmount > 0) {
+      installment.status = 'partial';
+    } else {
+      installment.status = 'pending';
+    }
+  }
+
+  if (this.status !== 'cancelled') {
+    if (this.paidAmount >= this.amount) {
+      this.status = 'paid';
+    } else if (this.paidAmount > 0) {
+      this.status = 'partial';
+    } else {
+      this.status = 'unpaid';
+    }
+  }
+
+  return this;
+};
+
+// Instance method to replace the installment schedule
+invoiceSchema.methods.setInstallments = function(installments) {
+  const total = roundAmount(installments.reduce((sum, installment) => sum + Number(installment.amount), 0));
+
+  if (total !== roundAmount(this.amount)) {
+    throw new Error(`Installments must add up to the invoice amount (${this.amount})`);
+  }
+
+  this.installments = installments
+    .map(installment => ({
+      dueDate: new Date(installment.dueDate),
+      amount: roundAmount(Number(installment.amount))
+    }))
+    .sort((a, b) => a.dueDate - b.dueDate);
+
+  // The invoice is due when its last installment is due
+  this.dueDate = this.installments[this.installments.length - 1].dueDate;
+
+  return this.recalculate();
+};
+
+// Static method to build an evenly split installment plan
+invoiceSchema.statics.buildInstallmentPlan = function(amount, count, firstDueDate, intervalMonths = 1) {
+  const baseAmount = Math.floor((amount / count) * 100) / 100;
+  const plan = [];
+
+  for (let i = 0; i < count; i++) {
+    const dueDate = new Date(firstDueDate);
+    dueDate.setMonth(dueDate.getMonth() + i * intervalMonths);
+
+    // The last installment absorbs any rounding difference
+    const installmentAmount = i === count - 1
+      ? roundAmount(amount - baseAmount * (count - 1))
+      : baseAmount;
+
+    plan.push({ dueDate, amount: installmentAmount });
+  }
+
+  return plan;
+};
+
+// Static method to create the course fee invoice for a newly enrolled student
+// issueDate defaults to the enrollment date (transfers issue the new course fee on the day they are approved)
+invoiceSchema.statics.createForEnrollment = async function(student, course, createdBy, issueDate = student.enrollmentDate || new Date()) {
+  if (!course.price || course.price <= 0) {
+    return null;
+  }
+
+  const invoice = new this({
+    student: student._id,
+    course: course._id,
+    branch: student.branch._id || student.branch,
+    description: `Course fee: ${course.title}`,
+    amount: course.price,
+    currency: course.currency || 'LKR',
+    issueDate,
+    dueDate: issueDate,
+    createdBy
+  });
+
+  await invoice.save();
+  return invoice;
+};
+
+// Static method to re-allocate all completed income transactions of a student against their invoices
+// Payments are applied oldest first to the oldest open invoice; any excess is reported as credit
+invoiceSchema.statics.syncStudentLedger = async function(studentId) {
+  const Transaction = mongoose.model('Transaction');
+
+  const [invoices, payments] = await Promise.all([
+    this.find({ student: studentId, isActive: true, status: { $ne: 'cancelled' } })
+      .sort({ issueDate: 1, createdAt: 1 }),
+    Transaction.find({
+      student: studentId,
+      type: 'income',
+      status: 'completed',
+      isActive: true
+    }).sort({ date: 1, createdAt: 1 })
+  ]);
+
+  invoices.forEach(invoice => {
+    invoice.allocations = [];
+  });
+
+  let credit = 0;
+
+  for (const payment of payments) {
+    let remaining = payment.amount;
+
+    for (const invoice of invoices) {
+      if (remaining <= 0) break;
+
+      const allocated = invoice.allocations.reduce((sum, allocation) => sum + allocation.amount, 0);
+      const open = roundAmount(invoice.amount - allocated);
+      if (open <= 0) continue;
+
+      const amount = roundAmount(Math.min(open, remaining));
+      invoice.allocations.push({ transaction: payment._id, amount, allocatedAt: payment.date });
+      remaining = roundAmount(remaining - amount);
+    }
+
+    credit = roundAmount(credit + remaining);
+  }
+
+  for (const invoice of invoices) {
+    invoice.recalculate();
+    await invoice.save();
+  }
+
+  return { invoices, payments, credit };
+};
+
+// Static method to get the part of a student's completed payments not yet allocated to an invoice
+// Read-only: allocations are kept current by syncStudentLedger whenever invoices or transactions change
+invoiceSchema.statics.getStudentCredit = async function(studentId) {
+  const Transaction = mongoose.model('Transaction');
+
+  const [allocated, paid] = await Promise.all([
+    this.aggregate([
+      { $match: { student: new mongoose.Types.ObjectId(studentId), isActive: true, status: { $ne: 'cancelled' } } },
+      { $unwind: '$allocations' },
+      { $group: { _id: null, total: { $sum: '$allocations.amount' } } }
+    ]),
+    Transaction.aggregate([
+      { $match: { student: new mongoose.Types.ObjectId(studentId), type: 'income', status: 'completed', isActive: true } },
+      { $group: { _id: null, total: { $sum: '$amount' } } }
+    ])
+  ]);
+
+  const credit = roundAmount((paid[0] ? paid[0].total : 0) - (allocated[0] ? allocated[0].total : 0));
+  return Math.max(credit, 0);
+};
+
+// Static method to get outstanding balances per student for a branch
+invoiceSchema.statics.getOutstandingBalances = async function(branchId, filters = {}) {
+  const matchQuery = {
+    isActive: true,
+    status: { $in: ['unpaid', 'partial'] }
+  };
+
+  if (branchId) {
+    // Validate ObjectId format first
+    if (typeof branchId === 'string' && !mongoose.Types.ObjectId.isValid(branchId)) {
+      console.warn('Invalid branch ID format in Invoice.getOutstandingBalances:', branchId);
+      return { students: [], totalOutstanding: 0, totalOverdue: 0 };
+    }
+
+    // Convert to ObjectId if it's a string
+    matchQuery.branch = typeof branchId === 'string' ? mongoose.Types.ObjectId.createFromHexString(branchId) : branchId;
+  }
+
+  if (filters.courseId && mongoose.Types.ObjectId.isValid(filters.courseId)) {
+    matchQuery.course = mongoose.Types.ObjectId.createFromHexString(filters.courseId.toString());
+  }
+
+  const invoices = await this.find(matchQuery)
+    .populate('student', 'studentId fullName email phone status isActive')
+    .populate('course', 'title')
+    .populate('branch', 'name')
+    .sort({ dueDate: 1 });
+
+  // Group invoices per student
+  const byStudent = new Map();
+
+  for (const invoice of invoices) {
+    if (!invoice.student || !invoice.student.isActive) continue;
+
+    const key = invoice.student._id.toString();
+    if (!byStudent.has(key)) {
+      byStudent.set(key, {
+        student: {
+          _id: invoice.student._id,
+          studentId: invoice.student.studentId,
+          fullName: invoice.student.fullName,
+          email: invoice.student.email,
+          phone: invoice.student.phone,
+          status: invoice.student.status
+        },
+        branch: invoice.branch,
+        courses: [],
+        totalBilled: 0,
+        totalPaid: 0,
+        outstanding: 0,
+        overdue: 0,
+        oldestDueDate: invoice.dueDate
+      });
+    }
+
+    const entry = byStudent.get(key);
+    if (invoice.course && !entry.courses.includes(invoice.course.title)) {
+      entry.courses.push(invoice.course.title);
+    }
+    entry.totalBilled = roundAmount(entry.totalBilled + invoice.amount);
+    entry.totalPaid = roundAmount(entry.totalPaid + invoice.paidAmount);
+    entry.outstanding = roundAmount(entry.outstanding + invoice.balance);
+    entry.overdue = roundAmount(entry.overdue + invoice.overdueAmount);
+  }
+
+  let students = [...byStudent.values()].filter(entry => entry.outstanding > 0);
+
+  if (filters.overdueOnly) {
+    students = students.filter(entry => entry.overdue > 0);
+  }
+
+  students.sort((a, b) => b.overdue - a.overdue || b.outstanding - a.outstanding);
+
+  return {
+    students,
+    totalOutstanding: roundAmount(students.reduce((sum, entry) => sum + entry.outstanding, 0)),
+    totalOverdue: roundAmount(students.reduce((sum, entry) => sum + entry.overdue, 0))
+  };
+};
+
+// Ensure virtual fields are serialized
+invoiceSchema.set('toJSON', { virtuals: true });
+invoiceSchema.set('toObject', { virtuals: true });
+
+module.exports = mongoose.model('Invoice', invoiceSchema);
@@ -0,0 +1,154 @@
+const mongoose = require('mongoose');
+
+// Leave of absence for a student over a range of days; approved leave is attended as Excused
+const leaveRequestSchema = new mongoose.Schema({
+  student: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Student',
+    required: [true, 'Student is required']
+  },
+  // Copied from the student when the request is made
+  course: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course',
+    required: [true, 'Course is required']
+  },
+  branch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Branch',
+    required: [true, 'Branch is required']
+  },
+  // First and last day of leave (inclusive), stored as midnight UTC like attendance dates
+  startDate: {
+    type: Date,
+    required: [true, 'Start date is required']
+  },
+  endDate: {
+    type: Date,
+    required: [true, 'End date is required'],
+    validate: {
+      validator: function(value) {
+        return !this.startDate || value >= this.startDate;
+      },
+      message: 'End date cannot be before start date'
+    }
+  },
+  reason: {
+    type: String,
+    required: [true, 'Reason is required'],
+    trim: true,
+    maxlength: [500, 'Reason cannot exceed 500 characters']
+  },
+  // Supporting document (e.g. a medical certificate) uploaded through /api/upload
+  document: {
+    name: {
+      type: String,
+      trim: true
+    },
+    url: {
+      type: String,
+      trim: true
+    },
+    publicId: {
+      type: String,
+      trim: true
+    },
+    type: {
+      type: String,
+      enum: {
+        values: ['image', 'pdf', 'document'],
+        message: 'Document type must be one of: image, pdf, document'
+      }
+    }
+  },
+  status: {
+    type: String,
+    required: [true, 'Status is required'],
+    enum: {
+      values: ['pending', 'approved', 'rejected', 'cancelled'],
+      message: 'Status must be one of: pending, approved, rejected, cancelled'
+    },
+    default: 'pending'
+  },
+  requestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Requested by user is required']
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: {
+    type: Date
+  },
+  reviewNotes: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Review notes cannot exceed 500 characters']
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+leaveRequestSchema.index({ student: 1, startDate: 1, endDate: 1 });
+leaveRequestSchema.index({ branch: 1, status: 1, createdAt: -1 });
+leaveRequestSchema.index({ course: 1, status: 1, startDate: 1 });
+
+// Pre-save middleware to update the updatedAt field
+leaveRequestSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+// Static method to normalize a date (or YYYY-MM-DD string) to midnight UTC
+leaveRequestSchema.statics.toDay = function(value) {
+  const date = new Date(value);
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+};
+
+// Static method to find pending or approved leave of a student that overlaps a date range
+leaveRequestSchema.statics.findOverlapping = function(studentId, startDate, endDate, excludeId = null) {
+  const query = {
+    student: studentId,
+    status: { $in: ['pending', 'approved'] },
+    startDate: { $lte: this.toDay(endDate) },
+    endDate: { $gte: this.toDay(startDate) }
+  };
+  if (excludeId) query._id = { $ne: excludeId };
+  return this.findOne(query);
+};
+
+// Static method to get the approved leave covering a date for a set of students
+// Returns a Map of student id to leave request
+leaveRequestSchema.statics.getApprovedForDate = async function(studentIds, date) {
+  const day = this.toDay(date);
+  const leaves = await this.find({
+    student: { $in: studentIds },
+    status: 'approved',
+    startDate: { $lte: day },
+    endDate: { $gte: day }
+  });
+  return new Map(leaves.map(leave => [leave.student.toString(), leave]));
+};
+
+// Static method to change the status only if the leave request is still in the expected status
+// Returns the updated leave request, or null when another request changed it first
+leaveRequestSchema.statics.changeStatus = function(id, fromStatus, changes) {
+  return this.findOneAndUpdate(
+    { _id: id, status: fromStatus },
+    { $set: { ...changes, updatedAt: new Date() } },
+    { new: true, runValidators: true }
+  );
+};
+
+module.exports = mongoose.model('LeaveRequest', leaveRequestSchema);
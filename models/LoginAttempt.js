@@ -0,0 +1,79 @@
+const mongoose = require('mongoose');
+const { lockout } = require('../config/security');
+
+// Record of a failed or blocked login, kept for admin review
+const loginAttemptSchema = new mongoose.Schema({
+  username: {
+    type: String,
+    required: [true, 'Username is required'],
+    trim: true,
+    lowercase: true,
+    maxlength: [100, 'Username cannot exceed 100 characters']
+  },
+  // Not set when the username does not exist
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  branch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Branch',
+    default: null
+  },
+  reason: {
+    type: String,
+    required: [true, 'Reason is required'],
+    enum: {
+      values: ['unknown_user', 'invalid_password', 'invalid_2fa_code', 'throttled', 'locked'],
+      message: 'Reason must be one of: unknown_user, invalid_password, invalid_2fa_code, throttled, locked'
+    }
+  },
+  ip: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'IP address cannot exceed 100 characters']
+  },
+  userAgent: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'User agent cannot exceed 500 characters']
+  },
+  // Failed attempts on the account after this one (0 for unknown users)
+  failedAttempts: {
+    type: Number,
+    default: 0
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Indexes for better query performance
+loginAttemptSchema.index({ username: 1, createdAt: -1 });
+loginAttemptSchema.index({ user: 1, createdAt: -1 });
+loginAttemptSchema.index({ branch: 1, createdAt: -1 });
+loginAttemptSchema.index({ ip: 1, createdAt: -1 });
+
+// Old attempts are removed by MongoDB automatically
+loginAttemptSchema.index({ createdAt: 1 }, { expireAfterSeconds: lockout.attemptRetentionDays * 24 * 60 * 60 });
+
+// Static method to record an attempt; failures here never block the login flow
+loginAttemptSchema.statics.record = async function(req, username, user, reason) {
+  try {
+    await this.create({
+      username,
+      user: user ? user._id : null,
+      branch: user && user.branch ? (user.branch._id || user.branch) : null,
+      reason,
+      ip: req.ip,
+      userAgent: (req.headers['user-agent'] || '').substring(0, 500),
+      failedAttempts: user ? user.failedLoginAttempts : 0
+    });
+  } catch (error) {
+    console.error('Error recording login attempt:', error);
+  }
+};
+
+module.exports = mongoose.model('LoginAttempt', loginAttemptSchema);
@@ -0,0 +1,82 @@
+const mongoose = require('mongoose');
+
+const NOTIFICATION_TYPES = ['low_attendance', 'attendance_correction', 'leave_request', 'student_transfer', 'waitlist_offer'];
+
+// In-app notification for a staff member
+const notificationSchema = new mongoose.Schema({
+  recipient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Recipient is required']
+  },
+  branch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Branch',
+    default: null
+  },
+  type: {
+    type: String,
+    required: [true, 'Notification type is required'],
+    enum: {
+      values: NOTIFICATION_TYPES,
+      message: `Notification type must be one of: ${NOTIFICATION_TYPES.join(', ')}`
+    }
+  },
+  title: {
+    type: String,
+    required: [true, 'Notification title is required'],
+    trim: true,
+    maxlength: [200, 'Notification title cannot exceed 200 characters']
+  },
+  message: {
+    type: String,
+    required: [true, 'Notification message is required'],
+    trim: true,
+    maxlength: [500, 'Notification message cannot exceed 500 characters']
+  },
+  // Records the notification is about (ids and values for links in the UI)
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  readAt: {
+    type: Date,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Indexes for better query performance
+notificationSchema.index({ recipient: 1, readAt: 1, createdAt: -1 });
+notificationSchema.index({ branch: 1, type: 1, createdAt: -1 });
+
+// Static method to notify the admins of a branch; failures never block the action that caused it
+notificationSchema.statics.notifyBranchAdmins = async function({ branch, type, title, message, data = {} }) {
+  try {
+    const User = mongoose.model('User');
+    const branchId = branch && branch._id ? branch._id : branch;
+    const users = await User.findByBranch(branchId);
+    const admins = users.filter(user => user.getRoleForBranch(branchId) === 'admin');
+
+    if (admins.length === 0) {
+      return [];
+    }
+
+    return await this.insertMany(admins.map(admin => ({
+      recipient: admin._id,
+      branch: branchId,
+      type,
+      title,
+      message,
+      data
+    })));
+  } catch (error) {
+    console.error('Error creating notifications:', error);
+    return [];
+  }
+};
+
+module.exports = mongoose.model('Notification', notificationSchema);
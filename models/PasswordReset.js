@@ -0,0 +1,86 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { hashToken } = require('../utils/jwt');
+
+const passwordResetSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required']
+  },
+  // Only the SHA-256 hash of the reset token is stored
+  tokenHash: {
+    type: String,
+    required: [true, 'Token hash is required'],
+    unique: true
+  },
+  expiresAt: {
+    type: Date,
+    required: [true, 'Expiry date is required']
+  },
+  usedAt: {
+    type: Date,
+    default: null
+  },
+  requestedIp: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'IP address cannot exceed 100 characters']
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+passwordResetSchema.index({ user: 1, usedAt: 1 });
+
+// Expired reset tokens are removed by MongoDB automatically
+passwordResetSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Pre-save middleware to update the updatedAt field
+passwordResetSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+// Static method to get the reset token lifetime in minutes
+passwordResetSchema.statics.getExpiryMinutes = function() {
+  return parseInt(process.env.PASSWORD_RESET_EXPIRE_MINUTES, 10) || 30;
+};
+
+// Static method to issue a reset token, returns the plain token
+// Any earlier unused token of the user stops working
+passwordResetSchema.statics.createForUser = async function(user, req) {
+  const token = crypto.randomBytes(32).toString('hex');
+
+  await this.updateMany({ user: user._id, usedAt: null }, { $set: { usedAt: new Date() } });
+
+  await this.create({
+    user: user._id,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + this.getExpiryMinutes() * 60 * 1000),
+    requestedIp: req.ip
+  });
+
+  return token;
+};
+
+// Static method to mark a token as used, returns the reset record if it was still valid
+// The update is atomic so a token can only ever be used once
+passwordResetSchema.statics.consume = function(token) {
+  return this.findOneAndUpdate(
+    { tokenHash: hashToken(token), usedAt: null, expiresAt: { $gt: new Date() } },
+    { $set: { usedAt: new Date(), updatedAt: new Date() } },
+    { new: true }
+  );
+};
+
+module.exports = mongoose.model('PasswordReset', passwordResetSchema);
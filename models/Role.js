@@ -0,0 +1,132 @@
+const mongoose = require('mongoose');
+const { PERMISSIONS, ROLES, DEFAULT_ROLE_PERMISSIONS } = require('../config/permissions');
+
+// How long role permissions are cached in memory
+const CACHE_TTL = 60 * 1000; // 1 minute
+
+let permissionCache = null;
+let permissionCacheLoadedAt = 0;
+
+const roleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Role name is required'],
+    unique: true,
+    enum: {
+      values: ROLES,
+      message: `Role must be one of: ${ROLES.join(', ')}`
+    }
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [300, 'Description cannot exceed 300 characters']
+  },
+  permissions: {
+    type: [String],
+    default: [],
+    validate: {
+      validator: function(values) {
+        return values.every(value => Object.prototype.hasOwnProperty.call(PERMISSIONS, value));
+      },
+      message: 'Permissions contain an unknown permission'
+    }
+  },
+  // Catalog permissions that existed when the role was last synced, so permissions
+  // added to the catalog later can be granted to roles that have them by default
+  knownPermissions: {
+    type: [String],
+    default: []
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+// Pre-save middleware to update the updatedAt field
+roleSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+// Any change to a role clears the permission cache
+roleSchema.post('save', function() {
+  permissionCache = null;
+});
+
+// Static method to create any missing default roles and grant permissions that were
+// added to the catalog since the role was last synced (existing choices are left untouched)
+roleSchema.statics.ensureDefaults = async function() {
+  const catalog = Object.keys(PERMISSIONS);
+
+  for (const name of ROLES) {
+    await this.updateOne(
+      { name },
+      { $setOnInsert: { name, permissions: DEFAULT_ROLE_PERMISSIONS[name], knownPermissions: catalog } },
+      { upsert: true }
+    );
+
+    const role = await this.findOne({ name });
+
+    // Roles created before permissions were tracked only start tracking from now
+    if (!role.knownPermissions || role.knownPermissions.length === 0) {
+      await this.updateOne({ _id: role._id }, { $set: { knownPermissions: catalog } });
+      continue;
+    }
+
+    const added = catalog.filter(permission => !role.knownPermissions.includes(permission));
+    if (added.length > 0) {
+      const granted = added.filter(permission => DEFAULT_ROLE_PERMISSIONS[name].includes(permission));
+      await this.updateOne(
+        { _id: role._id },
+        {
+          $addToSet: { permissions: { $each: granted } },
+          $set: { knownPermissions: catalog }
+        }
+      );
+    }
+  }
+
+  permissionCache = null;
+};
+
+// Static method to get the permissions of a role (cached)
+roleSchema.statics.getPermissions = async function(roleName) {
+  // SuperAdmin always has every permission so it can never be locked out
+  if (roleName === 'superAdmin') {
+    return Object.keys(PERMISSIONS);
+  }
+
+  if (!permissionCache || Date.now() - permissionCacheLoadedAt > CACHE_TTL) {
+    const roles = await this.find({}, 'name permissions').lean();
+    permissionCache = new Map(roles.map(role => [role.name, role.permissions]));
+    permissionCacheLoadedAt = Date.now();
+  }
+
+  // Fall back to the defaults until the roles have been seeded
+  return permissionCache.get(roleName) || DEFAULT_ROLE_PERMISSIONS[roleName] || [];
+};
+
+// Static method to check if a role has a permission
+roleSchema.statics.hasPermission = async function(roleName, permission) {
+  const permissions = await this.getPermissions(roleName);
+  return permissions.includes(permission);
+};
+
+// Static method to clear the permission cache
+roleSchema.statics.clearCache = function() {
+  permissionCache = null;
+};
+
+module.exports = mongoose.model('Role', roleSchema);
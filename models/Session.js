@@ -0,0 +1,169 @@
+const mongoose = require('mongoose');
+const { generateRefreshToken, hashToken, getRefreshTokenExpiry } = require('../utils/jwt');
+
+// Number of rotated refresh token hashes kept per session to detect token reuse
+const PREVIOUS_TOKEN_LIMIT = 5;
+
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required']
+  },
+  // Branch the session was opened for (null for superAdmin without a selected branch)
+  branch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Branch',
+    default: null
+  },
+  // Only the SHA-256 hash of the refresh token is stored
+  tokenHash: {
+    type: String,
+    required: [true, 'Token hash is required'],
+    unique: true,
+    select: false
+  },
+  previousTokenHashes: {
+    type: [String],
+    default: [],
+    select: false
+  },
+  ip: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'IP address cannot exceed 100 characters']
+  },
+  userAgent: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'User agent cannot exceed 500 characters']
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: [true, 'Expiry date is required']
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedReason: {
+    type: String,
+    enum: {
+      values: ['logout', 'password_change', 'password_reset', 'user_deactivated', 'revoked', 'token_reuse'],
+      message: 'Revoked reason must be one of: logout, password_change, password_reset, user_deactivated, revoked, token_reuse'
+    }
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+sessionSchema.index({ user: 1, revokedAt: 1 });
+sessionSchema.index({ previousTokenHashes: 1 });
+
+// Expired sessions are removed by MongoDB automatically
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Pre-save middleware to update the updatedAt field
+sessionSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+// Virtual for whether the session can still be used
+sessionSchema.virtual('isValid').get(function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+});
+
+// Instance method to revoke the session
+sessionSchema.methods.revoke = async function(reason = 'revoked') {
+  this.revokedAt = new Date();
+  this.revokedReason = reason;
+  return await this.save();
+};
+
+// Instance method to replace the refresh token, returns the new plain token
+// The update only matches while the old token is still current, so of two concurrent refreshes
+// with the same token only one succeeds; the other gets null
+sessionSchema.methods.rotate = async function() {
+  const refreshToken = generateRefreshToken();
+  const now = new Date();
+
+  const updated = await this.constructor.findOneAndUpdate(
+    { _id: this._id, tokenHash: this.tokenHash, revokedAt: null },
+    {
+      $set: {
+        tokenHash: hashToken(refreshToken),
+        lastUsedAt: now,
+        expiresAt: getRefreshTokenExpiry(),
+        updatedAt: now
+      },
+      $push: { previousTokenHashes: { $each: [this.tokenHash], $position: 0, $slice: PREVIOUS_TOKEN_LIMIT } }
+    },
+    { new: true }
+  );
+
+  return updated ? refreshToken : null;
+};
+
+// Static method to open a session, returns the session and the plain refresh token
+sessionSchema.statics.createForUser = async function(user, branchId, req) {
+  const refreshToken = generateRefreshToken();
+
+  const session = await this.create({
+    user: user._id,
+    branch: branchId || null,
+    tokenHash: hashToken(refreshToken),
+    ip: req.ip,
+    userAgent: (req.headers['user-agent'] || '').substring(0, 500),
+    expiresAt: getRefreshTokenExpiry()
+  });
+
+  return { session, refreshToken };
+};
+
+// Static method to find a session by its current refresh token
+sessionSchema.statics.findByRefreshToken = function(refreshToken) {
+  return this.findOne({ tokenHash: hashToken(refreshToken) })
+    .select('+tokenHash +previousTokenHashes');
+};
+
+// Static method to find the session a rotated (already used) refresh token belonged to
+sessionSchema.statics.findByPreviousToken = function(refreshToken) {
+  return this.findOne({ previousTokenHashes: hashToken(refreshToken) });
+};
+
+// Static method to revoke every active session of a user
+sessionSchema.statics.revokeAllForUser = async function(userId, reason = 'revoked') {
+  const result = await this.updateMany(
+    { user: userId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason, updatedAt: new Date() } }
+  );
+
+  return result.modifiedCount;
+};
+
+// Static method to find the active sessions of a user
+sessionSchema.statics.findActiveForUser = function(userId) {
+  return this.find({ user: userId, revokedAt: null, expiresAt: { $gt: new Date() } })
+    .populate('branch', 'name')
+    .sort({ lastUsedAt: -1 });
+};
+
+// Ensure virtual fields are serialized
+sessionSchema.set('toJSON', { virtuals: true });
+sessionSchema.set('toObject', { virtuals: true });
+
+module.exports = mongoose.model('Session', sessionSchema);
@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const { liveEventsPlugin } = require('../utils/liveEvents');
+const Counter = require('./Counter');
 
 const studentSchema = new mongoose.Schema({
   studentId: {
@@ -49,6 +51,12 @@ const studentSchema = new mongoose.Schema({
     ref: 'Course',
     required: [true, 'Course is required']
   },
+  // Intake (batch) of the course; not set for courses without intakes
+  intake: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Intake',
+    default: null
+  },
   modules: [{
     type: String,
     trim: true,
@@ -73,6 +81,11 @@ const studentSchema = new mongoose.Schema({
     required: [true, 'Enrollment date is required'],
     default: Date.now
   },
+  // When the student's attendance fell below the course minimum (null while above it)
+  lowAttendanceSince: {
+    type: Date,
+    default: null
+  },
   // Care services
   childBabyCare: {
     type: Boolean,
@@ -153,6 +166,80 @@ const studentSchema = new mongoose.Schema({
     trim: true,
     maxlength: [200, 'Certification name cannot exceed 200 characters']
   }],
+  // Status changes with their reason codes, oldest first
+  statusHistory: [{
+    from: {
+      type: String
+    },
+    to: {
+      type: String,
+      required: [true, 'New status is required']
+    },
+    reason: {
+      type: String,
+      required: [true, 'Reason is required']
+    },
+    notes: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Notes cannot exceed 500 characters']
+    },
+    // Day the change took effect (may be earlier than the day it was recorded)
+    effectiveDate: {
+      type: Date,
+      required: [true, 'Effective date is required']
+    },
+    // Course the student was on at the time
+    course: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Course'
+    },
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    changedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // Earlier enrollments, added when the student transfers or changes intake
+  enrollmentHistory: [{
+    branch: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Branch'
+    },
+    course: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Course'
+    },
+    intake: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Intake',
+      default: null
+    },
+    studentId: {
+      type: String
+    },
+    startDate: {
+      type: Date
+    },
+    endDate: {
+      type: Date
+    },
+    reason: {
+      type: String,
+      enum: {
+        values: ['transfer', 'intake_change'],
+        message: 'Enrollment change reason must be one of: transfer, intake_change'
+      }
+    },
+    transfer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'StudentTransfer',
+      default: null
+    }
+  }],
   createdBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -178,6 +265,7 @@ const studentSchema = new mongoose.Schema({
 studentSchema.index({ studentId: 1 });
 studentSchema.index({ email: 1 });
 studentSchema.index({ course: 1 });
+studentSchema.index({ intake: 1 });
 studentSchema.index({ branch: 1 });
 studentSchema.index({ status: 1 });
 studentSchema.index({ isActive: 1 });
@@ -189,15 +277,35 @@ studentSchema.pre('save', function(next) {
   next();
 });
 
-// Static method to generate student ID
-studentSchema.statics.generateStudentId = async function(courseId) {
-  const Course = mongoose.model('Course');
-  const course = await Course.findById(courseId);
-  
-  if (!course) {
-    throw new Error('Course not found');
-  }
-  
+// Instance method to move the current enrollment into the history before it changes
+studentSchema.methods.closeEnrollment = function(reason, transferId = null) {
+  const previous = this.enrollmentHistory[this.enrollmentHistory.length - 1];
+
+  this.enrollmentHistory.push({
+    branch: this.branch._id || this.branch,
+    course: this.course._id || this.course,
+    intake: this.intake ? (this.intake._id || this.intake) : null,
+    studentId: this.studentId,
+    startDate: previous ? previous.endDate : this.enrollmentDate,
+    endDate: new Date(),
+    reason,
+    transfer: transferId
+  });
+
+  return this;
+};
+
+// Instance method to check whether attendance can be taken for the student on a day
+// Students who are no longer Active attend only up to the day before their status changed
+studentSchema.methods.isAttendingOn = function(date) {
+  if (this.status === 'Active') return true;
+
+  const lastChange = this.statusHistory[this.statusHistory.length - 1];
+  return Boolean(lastChange) && new Date(date) < lastChange.effectiveDate;
+};
+
+// Static method to build the course part of a student ID from the course title initials
+studentSchema.statics.getCourseCode = function(course) {
   // Extract first letters from course title words
   const words = course.title.split(' ');
   let prefix = '';
@@ -214,13 +322,38 @@ studentSchema.statics.generateStudentId = async function(courseId) {
   }
   
   // Limit prefix to 6 characters max
-  prefix = prefix.substring(0, 6);
-  
-  // Get current enrolled count and increment
-  const nextNumber = course.currentEnrolled + 1;
+  return prefix.substring(0, 6);
+};
+
+// Static method to generate student ID
+// Numbers come from an atomic counter per prefix, so they are never handed out twice
+studentSchema.statics.generateStudentId = async function(courseId, branchId = null) {
+  const Course = mongoose.model('Course');
+  const Branch = mongoose.model('Branch');
+  const course = await Course.findById(courseId);
   
-  // Format with leading zeros (4 digits)
-  const studentId = `${prefix}${String(nextNumber).padStart(4, '0')}`;
+  if (!course) {
+    throw new Error('Course not found');
+  }
+
+  const branch = branchId ? await Branch.findById(branchId) : null;
+
+  let prefix = Branch.buildStudentIdPrefix(branch ? branch.studentIdFormat : '{COURSE}', {
+    branchCode: branch ? branch.code : '',
+    courseCode: this.getCourseCode(course)
+  });
+
+  // Leave room for at least 4 digits within the 20 character limit
+  prefix = prefix.substring(0, 16);
+
+  // Skip numbers already taken by IDs issued before the counter existed
+  let studentId;
+  do {
+    const nextNumber = await Counter.next(`studentId:${prefix}`);
+
+    // Format with leading zeros (4 digits)
+    studentId = `${prefix}${String(nextNumber).padStart(4, '0')}`;
+  } while (await this.exists({ studentId }));
   
   return studentId;
 };
@@ -300,4 +433,69 @@ studentSchema.statics.getStatistics = async function(branchId = null, userRole =
   };
 };
 
+// Static method to count drop-outs by course and reason code
+// Drop-outs belong to the course recorded in the status history, and the rate is taken over every student
+// who was on that course (now or at any status change), so students who later moved course still count
+// from/to limit the effective dates; returns [{ course, students, dropped, dropoutRate, reasons: [{ reason, count }] }]
+studentSchema.statics.getDropoutReasons = async function({ branchId = null, courseId = null, from = null, to = null } = {}) {
+  const matchQuery = { isActive: true };
+  if (branchId) matchQuery.branch = new mongoose.Types.ObjectId(branchId.toString());
+
+  const dropMatch = { 'statusHistory.to': 'Dropped' };
+  if (courseId) dropMatch['statusHistory.course'] = new mongoose.Types.ObjectId(courseId.toString());
+  if (from || to) {
+    dropMatch['statusHistory.effectiveDate'] = {};
+    if (from) dropMatch['statusHistory.effectiveDate'].$gte = new Date(from);
+    if (to) dropMatch['statusHistory.effectiveDate'].$lte = new Date(to);
+  }
+
+  const [drops, enrolled] = await Promise.all([
+    this.aggregate([
+      { $match: { ...matchQuery, 'statusHistory.to': 'Dropped' } },
+      { $unwind: '$statusHistory' },
+      { $match: dropMatch },
+      {
+        $group: {
+          _id: { course: '$statusHistory.course', reason: '$statusHistory.reason' },
+          count: { $sum: 1 },
+          students: { $addToSet: '$_id' }
+        }
+      }
+    ]),
+    this.aggregate([
+      { $match: matchQuery },
+      { $project: { courses: { $setUnion: [['$course'], { $ifNull: ['$statusHistory.course', []] }] } } },
+      { $unwind: '$courses' },
+      ...(courseId ? [{ $match: { courses: dropMatch['statusHistory.course'] } }] : []),
+      { $group: { _id: '$courses', students: { $sum: 1 } } }
+    ])
+  ]);
+
+  const studentsByCourse = new Map(enrolled.map(row => [row._id.toString(), row.students]));
+  const courses = new Map();
+
+  for (const { _id, count, students } of drops) {
+    const key = _id.course.toString();
+    if (!courses.has(key)) {
+      courses.set(key, { course: _id.course, students: studentsByCourse.get(key) || 0, dropped: 0, droppedStudents: new Set(), reasons: [] });
+    }
+    const entry = courses.get(key);
+    entry.dropped += count;
+    students.forEach(id => entry.droppedStudents.add(id.toString()));
+    entry.reasons.push({ reason: _id.reason, count });
+  }
+
+  // A student readmitted and dropped again counts once towards the rate
+  return [...courses.values()]
+    .map(({ droppedStudents, ...entry }) => ({
+      ...entry,
+      dropoutRate: entry.students > 0 ? Math.round((droppedStudents.size / entry.students) * 1000) / 10 : 0,
+      reasons: entry.reasons.sort((a, b) => b.count - a.count)
+    }))
+    .sort((a, b) => b.dropped - a.dropped);
+};
+
+// Notify live dashboards of changes
+studentSchema.plugin(liveEventsPlugin, { type: 'student', fields: ['status', 'course', 'intake'] });
+
 module.exports = mongoose.model('Student', studentSchema);
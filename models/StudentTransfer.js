@@ -0,0 +1,153 @@
+const mongoose = require('mongoose');
+
+const ATTENDANCE_ACTIONS = ['move', 'keep'];
+const FEE_ACTIONS = ['transfer', 'keep', 'cancel'];
+
+// Request to move a student to another branch and/or course; applied when the receiving branch approves it
+const studentTransferSchema = new mongoose.Schema({
+  student: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Student',
+    required: [true, 'Student is required']
+  },
+  // Copied from the student when the request is made
+  fromBranch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Branch',
+    required: [true, 'Current branch is required']
+  },
+  fromCourse: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course',
+    required: [true, 'Current course is required']
+  },
+  fromIntake: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Intake',
+    default: null
+  },
+  toBranch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Branch',
+    required: [true, 'Receiving branch is required']
+  },
+  toCourse: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course',
+    required: [true, 'New course is required']
+  },
+  toIntake: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Intake',
+    default: null
+  },
+  reason: {
+    type: String,
+    required: [true, 'Reason is required'],
+    trim: true,
+    maxlength: [500, 'Reason cannot exceed 500 characters']
+  },
+  // move: attendance of the course goes to the receiving branch (same course only)
+  // keep: attendance stays with the sending branch as history
+  attendanceAction: {
+    type: String,
+    enum: {
+      values: ATTENDANCE_ACTIONS,
+      message: `Attendance action must be one of: ${ATTENDANCE_ACTIONS.join(', ')}`
+    },
+    default: 'keep'
+  },
+  // transfer: open invoices are collected by the receiving branch
+  // keep: open invoices stay with the sending branch
+  // cancel: open invoices of the old course are cancelled (course changes only)
+  feeAction: {
+    type: String,
+    enum: {
+      values: FEE_ACTIONS,
+      message: `Fee action must be one of: ${FEE_ACTIONS.join(', ')}`
+    },
+    default: 'transfer'
+  },
+  // approving: claimed by an approval that is still being applied
+  status: {
+    type: String,
+    required: [true, 'Status is required'],
+    enum: {
+      values: ['pending', 'approving', 'approved', 'rejected', 'cancelled'],
+      message: 'Status must be one of: pending, approving, approved, rejected, cancelled'
+    },
+    default: 'pending'
+  },
+  requestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Requested by user is required']
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: {
+    type: Date
+  },
+  reviewNotes: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Review notes cannot exceed 500 characters']
+  },
+  // What the approval changed
+  result: {
+    previousStudentId: String,
+    newStudentId: String,
+    movedAttendance: Number,
+    movedInvoices: Number,
+    cancelledInvoices: Number,
+    invoice: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Invoice'
+    }
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+studentTransferSchema.index({ student: 1, status: 1 });
+studentTransferSchema.index({ toBranch: 1, status: 1, createdAt: -1 });
+studentTransferSchema.index({ fromBranch: 1, status: 1, createdAt: -1 });
+
+// Pre-save middleware to update the updatedAt field
+studentTransferSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+// Instance method to check whether the student changes branch
+studentTransferSchema.methods.changesBranch = function() {
+  return this.fromBranch.toString() !== this.toBranch.toString();
+};
+
+// Instance method to check whether the student changes course
+studentTransferSchema.methods.changesCourse = function() {
+  return this.fromCourse.toString() !== this.toCourse.toString();
+};
+
+// Static method to change the status only if the transfer is still in the expected status
+// Returns the updated transfer, or null when another request changed it first
+studentTransferSchema.statics.changeStatus = function(id, fromStatus, changes) {
+  return this.findOneAndUpdate(
+    { _id: id, status: fromStatus },
+    { $set: { ...changes, updatedAt: new Date() } },
+    { new: true, runValidators: true }
+  );
+};
+
+module.exports = mongoose.model('StudentTransfer', studentTransferSchema);
@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const { liveEventsPlugin } = require('../utils/liveEvents');
+const Counter = require('./Counter');
 
 const transactionSchema = new mongoose.Schema({
   type: {
@@ -79,6 +81,15 @@ const transactionSchema = new mongoose.Schema({
     ref: 'User',
     required: false
   },
+  // Receipt printing (reprints are marked as duplicates)
+  receiptPrintCount: {
+    type: Number,
+    default: 0,
+    min: [0, 'Receipt print count cannot be negative']
+  },
+  receiptLastPrintedAt: {
+    type: Date
+  },
   isActive: {
     type: Boolean,
     default: true
@@ -119,30 +130,36 @@ transactionSchema.pre('save', function(next) {
 });
 
 // Pre-save middleware to generate reference if not provided
+// References look like IN-COL-202610-0001 and are numbered per branch, type and month
 transactionSchema.pre('save', async function(next) {
-  if (!this.reference && this.isNew) {
-    const date = new Date();
-    const year = date.getFullYear();
-    const month = String(date.getMonth() + 1).padStart(2, '0');
-    const typePrefix = this.type === 'income' ? 'IN' : 'EX';
-    
-    // Find the last transaction with similar reference pattern
-    const lastTransaction = await this.constructor.findOne({
-      reference: new RegExp(`^${typePrefix}-${year}${month}-`),
-      branch: this.branch
-    }).sort({ reference: -1 });
-    
-    let sequence = 1;
-    if (lastTransaction && lastTransaction.reference) {
-      const lastSequence = parseInt(lastTransaction.reference.split('-').pop());
-      if (!isNaN(lastSequence)) {
-        sequence = lastSequence + 1;
+  try {
+    if (!this.reference && this.isNew) {
+      const Branch = mongoose.model('Branch');
+      const date = new Date();
+      const year = date.getFullYear();
+      const month = String(date.getMonth() + 1).padStart(2, '0');
+      const typePrefix = this.type === 'income' ? 'IN' : 'EX';
+
+      const branch = await Branch.findById(this.branch).select('code name');
+      let branchCode = branch ? branch.code : 'GEN';
+
+      // Assign a code to branches created before branch codes existed
+      if (branch && !branchCode) {
+        branchCode = await Branch.generateCode(branch.name, branch._id);
+        await Branch.updateOne({ _id: branch._id }, { $set: { code: branchCode } });
       }
+
+      const prefix = `${typePrefix}-${branchCode}-${year}${month}`;
+
+      // Atomic sequence, so concurrent saves never get the same number
+      const sequence = await Counter.next(`txref:${prefix}`);
+
+      this.reference = `${prefix}-${String(sequence).padStart(4, '0')}`;
     }
-    
-    this.reference = `${typePrefix}-${year}${month}-${String(sequence).padStart(4, '0')}`;
+    next();
+  } catch (error) {
+    next(error);
   }
-  next();
 });
 
 // Static method to get transaction statistics
@@ -258,4 +275,7 @@ transactionSchema.statics.getStatistics = async function(branchId, userRole, fil
   return result;
 };
 
+// Notify live dashboards of changes
+transactionSchema.plugin(liveEventsPlugin, { type: 'transaction', fields: ['type', 'amount', 'status', 'category'] });
+
 module.exports = mongoose.model('Transaction', transactionSchema);
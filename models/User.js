@@ -1,5 +1,9 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+const { verifyCode, normalizeBackupCode } = require('../utils/totp');
+const { hashToken } = require('../utils/jwt');
+const { twoFactor, lockout } = require('../config/security');
 
 const userSchema = new mongoose.Schema({
   fullName: {
@@ -57,16 +61,83 @@ const userSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Branch',
     required: function() {
-      return this.role !== 'superAdmin';
+      return this.role !== 'superAdmin' && !this.isSystem;
     }
   },
+  // Additional branches the user works in, optionally with a different role there
+  branches: [{
+    _id: false,
+    branch: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Branch',
+      required: [true, 'Branch is required']
+    },
+    role: {
+      type: String,
+      enum: {
+        values: ['admin', 'moderator', 'staff'],
+        message: 'Branch role must be one of: admin, moderator, staff'
+      }
+    }
+  }],
   isActive: {
     type: Boolean,
     default: true
   },
+  // Built-in account that records actions nobody signed in for (e.g. QR self check-in); it cannot log in
+  isSystem: {
+    type: Boolean,
+    default: false
+  },
   lastLogin: {
     type: Date
   },
+  // Failed login tracking
+  failedLoginAttempts: {
+    type: Number,
+    default: 0,
+    min: [0, 'Failed login attempts cannot be negative']
+  },
+  lastFailedLoginAt: {
+    type: Date
+  },
+  // Earliest time the next login attempt is accepted after recent failures
+  nextAttemptAt: {
+    type: Date
+  },
+  lockUntil: {
+    type: Date
+  },
+  // Two-factor authentication (TOTP)
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    secret: {
+      type: String,
+      select: false
+    },
+    // Secret waiting to be confirmed with a first code during enrollment
+    pendingSecret: {
+      type: String,
+      select: false
+    },
+    // SHA-256 hashes of the unused backup codes
+    backupCodes: {
+      type: [String],
+      default: [],
+      select: false
+    },
+    // Last accepted time step, so a code cannot be replayed
+    lastUsedStep: {
+      type: Number,
+      select: false
+    },
+    enabledAt: {
+      type: Date
+    }
+  },
   createdBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
@@ -89,6 +160,7 @@ userSchema.index({ email: 1 });
 userSchema.index({ nicOrPassport: 1 });
 userSchema.index({ role: 1 });
 userSchema.index({ branch: 1 });
+userSchema.index({ 'branches.branch': 1 });
 userSchema.index({ isActive: 1 });
 
 // Pre-save middleware to hash password
@@ -123,9 +195,214 @@ userSchema.methods.updateLastLogin = async function() {
   return await this.save();
 };
 
-// Static method to find users by branch
+// Instance method to check a TOTP code or a backup code (backup codes are used up)
+// The twoFactor secret fields must be selected
+userSchema.methods.verifySecondFactor = async function(code) {
+  const step = verifyCode(this.twoFactor.secret, code, twoFactor.window);
+  if (step !== null) {
+    if (this.twoFactor.lastUsedStep !== undefined && step <= this.twoFactor.lastUsedStep) {
+      return false;
+    }
+
+    this.twoFactor.lastUsedStep = step;
+    await this.save();
+    return true;
+  }
+
+  const backupHash = hashToken(normalizeBackupCode(code));
+  if (this.twoFactor.backupCodes.includes(backupHash)) {
+    this.twoFactor.backupCodes = this.twoFactor.backupCodes.filter(hash => hash !== backupHash);
+    await this.save();
+    return true;
+  }
+
+  return false;
+};
+
+// Instance method to list all branch assignments, home branch first
+userSchema.methods.getBranchAssignments = function() {
+  const assignments = [];
+
+  if (this.branch) {
+    assignments.push({ branch: this.branch, role: this.role });
+  }
+
+  for (const assignment of this.branches || []) {
+    if (!assignment.branch) continue;
+    const branchId = (assignment.branch._id || assignment.branch).toString();
+    if (!assignments.some(existing => (existing.branch._id || existing.branch).toString() === branchId)) {
+      assignments.push({ branch: assignment.branch, role: assignment.role || this.role });
+    }
+  }
+
+  return assignments;
+};
+
+// Instance method to check if the user is assigned to a branch
+userSchema.methods.belongsToBranch = function(branchId) {
+  if (!branchId) return false;
+  return this.getBranchAssignments()
+    .some(assignment => (assignment.branch._id || assignment.branch).toString() === branchId.toString());
+};
+
+// Instance method to get the role the user has in a branch (null when not assigned)
+userSchema.methods.getRoleForBranch = function(branchId) {
+  if (this.role === 'superAdmin') return 'superAdmin';
+  if (!branchId) return null;
+
+  const assignment = this.getBranchAssignments()
+    .find(item => (item.branch._id || item.branch).toString() === branchId.toString());
+
+  return assignment ? assignment.role : null;
+};
+
+// Instance method to check if the user is an admin or superAdmin in any of their branches
+// Branch admins must not manage such users, even when their home role is lower
+userSchema.methods.hasAdminRole = function() {
+  if (this.role === 'superAdmin') return true;
+  return this.getBranchAssignments()
+    .some(assignment => assignment.role === 'admin' || assignment.role === 'superAdmin');
+};
+
+// Virtual for whether the account is temporarily locked
+userSchema.virtual('isLocked').get(function() {
+  return !!(this.lockUntil && this.lockUntil > new Date());
+});
+
+// Instance method to get how many seconds the user has to wait before the next login attempt
+userSchema.methods.getLoginRetryAfter = function() {
+  const now = Date.now();
+
+  if (this.isLocked) {
+    return Math.ceil((this.lockUntil.getTime() - now) / 1000);
+  }
+
+  if (this.nextAttemptAt && this.nextAttemptAt.getTime() > now) {
+    return Math.ceil((this.nextAttemptAt.getTime() - now) / 1000);
+  }
+
+  return 0;
+};
+
+// Instance method to clear failed login tracking
+userSchema.methods.resetFailedLogins = async function() {
+  if (!this.failedLoginAttempts && !this.lockUntil) {
+    return this;
+  }
+
+  await this.constructor.updateOne(
+    { _id: this._id },
+    { $set: { failedLoginAttempts: 0 }, $unset: { lockUntil: 1, lastFailedLoginAt: 1, nextAttemptAt: 1 } }
+  );
+
+  this.failedLoginAttempts = 0;
+  this.lockUntil = undefined;
+  this.lastFailedLoginAt = undefined;
+  this.nextAttemptAt = undefined;
+  return this;
+};
+
+// Instance method to claim a login attempt before the password or code is checked
+// The attempt is counted as a failure up front, in the same update that checks the lock and delay,
+// so parallel guesses cannot all slip through before the counter moves
+// Returns false (with the lock state loaded) when the account is locked or must still wait
+userSchema.methods.claimLoginAttempt = async function() {
+  const now = new Date();
+
+  const updated = await this.constructor.findOneAndUpdate(
+    {
+      _id: this._id,
+      $and: [
+        { $or: [{ lockUntil: null }, { lockUntil: { $lte: now } }] },
+        { $or: [{ nextAttemptAt: null }, { nextAttemptAt: { $lte: now } }] }
+      ]
+    },
+    [
+      {
+        $set: {
+          // An expired lock starts a fresh count
+          failedLoginAttempts: {
+            $cond: [{ $ifNull: ['$lockUntil', false] }, 1, { $add: [{ $ifNull: ['$failedLoginAttempts', 0] }, 1] }]
+          },
+          lastFailedLoginAt: now
+        }
+      },
+      {
+        $set: {
+          lockUntil: {
+            $cond: [
+              { $gte: ['$failedLoginAttempts', lockout.maxAttempts] },
+              new Date(now.getTime() + lockout.lockMinutes * 60 * 1000),
+              null
+            ]
+          },
+          // Wait doubles for every failure past the free ones
+          nextAttemptAt: {
+            $cond: [
+              { $gte: ['$failedLoginAttempts', lockout.delayAfterAttempts] },
+              {
+                $add: [now, {
+                  $multiply: [1000, {
+                    $min: [
+                      lockout.maxDelaySeconds,
+                      { $multiply: [lockout.baseDelaySeconds, { $pow: [2, { $subtract: ['$failedLoginAttempts', lockout.delayAfterAttempts] }] }] }
+                    ]
+                  }]
+                }]
+              },
+              null
+            ]
+          }
+        }
+      }
+    ],
+    { new: true }
+  ).select('failedLoginAttempts lastFailedLoginAt nextAttemptAt lockUntil');
+
+  const state = updated || await this.constructor.findById(this._id)
+    .select('failedLoginAttempts lastFailedLoginAt nextAttemptAt lockUntil');
+
+  this.failedLoginAttempts = state.failedLoginAttempts;
+  this.lastFailedLoginAt = state.lastFailedLoginAt;
+  this.nextAttemptAt = state.nextAttemptAt;
+  this.lockUntil = state.lockUntil;
+
+  return !!updated;
+};
+
+// Instance method to give back a claimed attempt once the password turned out to be right
+// Earlier failures stay counted (they are cleared when the whole login succeeds)
+userSchema.methods.releaseLoginAttempt = async function() {
+  const updated = await this.constructor.findOneAndUpdate(
+    { _id: this._id, failedLoginAttempts: { $gt: 0 } },
+    [
+      {
+        $set: {
+          failedLoginAttempts: { $subtract: ['$failedLoginAttempts', 1] },
+          nextAttemptAt: null
+        }
+      },
+      {
+        $set: {
+          lockUntil: { $cond: [{ $gte: ['$failedLoginAttempts', lockout.maxAttempts] }, '$lockUntil', null] }
+        }
+      }
+    ],
+    { new: true }
+  ).select('failedLoginAttempts nextAttemptAt lockUntil');
+
+  if (updated) {
+    this.failedLoginAttempts = updated.failedLoginAttempts;
+    this.nextAttemptAt = updated.nextAttemptAt;
+    this.lockUntil = updated.lockUntil;
+  }
+
+  return this;
+};
+
+// Static method to find users by branch (home branch or additional assignment)
 userSchema.statics.findByBranch = function(branchId) {
-  return this.find({ branch: branchId, isActive: true })
+  return this.find({ $or: [{ branch: branchId }, { 'branches.branch': branchId }], isActive: true })
     .populate('branch', 'name')
     .select('-password')
     .sort({ fullName: 1 });
@@ -139,6 +416,35 @@ userSchema.statics.findActive = function() {
     .sort({ fullName: 1 });
 };
 
+// Static method to get the account that self check-ins are recorded under, creating it on first use
+// The account is inactive with an unknown password, so it can never be used to log in
+userSchema.statics.getKioskUser = async function() {
+  const existing = await this.findOne({ username: 'system_kiosk', isSystem: true });
+  if (existing) {
+    return existing;
+  }
+
+  try {
+    return await this.create({
+      fullName: 'Self Check-in Kiosk',
+      nicOrPassport: 'SYSTEM-KIOSK',
+      contactNumber: '0000000000',
+      email: 'kiosk@system.lan',
+      username: 'system_kiosk',
+      password: crypto.randomBytes(32).toString('hex'),
+      role: 'staff',
+      isSystem: true,
+      isActive: false
+    });
+  } catch (error) {
+    // Created by a parallel check-in
+    if (error.code === 11000) {
+      return this.findOne({ username: 'system_kiosk', isSystem: true });
+    }
+    throw error;
+  }
+};
+
 // Virtual for user's display name
 userSchema.virtual('displayName').get(function() {
   return this.fullName;
@@ -149,6 +455,12 @@ userSchema.set('toJSON', {
   virtuals: true,
   transform: function(doc, ret) {
     delete ret.password;
+    if (ret.twoFactor) {
+      ret.twoFactor = {
+        enabled: ret.twoFactor.enabled,
+        enabledAt: ret.twoFactor.enabledAt
+      };
+    }
     return ret;
   }
 });
@@ -0,0 +1,161 @@
+const mongoose = require('mongoose');
+
+const WAITLIST_STATUSES = ['waiting', 'offered', 'enrolled', 'declined', 'expired', 'withdrawn'];
+
+// Applicant waiting for a place in a full course (or intake)
+// An offer holds the freed place until the applicant is enrolled, declines or the offer expires
+const waitlistEntrySchema = new mongoose.Schema({
+  course: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course',
+    required: [true, 'Course is required']
+  },
+  // Not set for courses without intakes
+  intake: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Intake',
+    default: null
+  },
+  branch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Branch',
+    required: [true, 'Branch is required']
+  },
+  // Details needed to enroll the applicant once a place is offered
+  applicant: {
+    fullName: {
+      type: String,
+      required: [true, 'Full name is required'],
+      trim: true,
+      maxlength: [100, 'Full name cannot exceed 100 characters']
+    },
+    email: {
+      type: String,
+      required: [true, 'Email is required'],
+      lowercase: true,
+      trim: true
+    },
+    phone: {
+      type: String,
+      required: [true, 'Phone number is required'],
+      trim: true
+    },
+    address: {
+      type: String,
+      required: [true, 'Address is required'],
+      trim: true,
+      maxlength: [500, 'Address cannot exceed 500 characters']
+    },
+    dateOfBirth: {
+      type: Date,
+      required: [true, 'Date of birth is required']
+    },
+    level: {
+      type: String,
+      enum: {
+        values: ['Beginner', 'Intermediate', 'Advanced'],
+        message: 'Level must be one of: Beginner, Intermediate, Advanced'
+      },
+      default: 'Beginner'
+    }
+  },
+  // Place in the queue of the course (or intake); lower goes first
+  position: {
+    type: Number,
+    required: [true, 'Position is required'],
+    min: [1, 'Position must be at least 1']
+  },
+  status: {
+    type: String,
+    required: [true, 'Status is required'],
+    enum: {
+      values: WAITLIST_STATUSES,
+      message: `Status must be one of: ${WAITLIST_STATUSES.join(', ')}`
+    },
+    default: 'waiting'
+  },
+  offeredAt: {
+    type: Date
+  },
+  offerExpiresAt: {
+    type: Date
+  },
+  // Student created when the applicant took up the offer
+  student: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Student',
+    default: null
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Notes cannot exceed 500 characters']
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+waitlistEntrySchema.index({ course: 1, intake: 1, status: 1, position: 1 });
+waitlistEntrySchema.index({ branch: 1, status: 1 });
+waitlistEntrySchema.index({ status: 1, offerExpiresAt: 1 });
+waitlistEntrySchema.index({ 'applicant.email': 1 });
+
+// Pre-save middleware to update the updatedAt field
+waitlistEntrySchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+// Static method to get the applicants still waiting for a course (or intake), first in line first
+waitlistEntrySchema.statics.findQueue = function(courseId, intakeId = null) {
+  return this.find({ course: courseId, intake: intakeId || null, status: 'waiting' }).sort({ position: 1, createdAt: 1 });
+};
+
+// Static method to get the position for a new applicant at the end of the queue
+waitlistEntrySchema.statics.getNextPosition = async function(courseId, intakeId = null) {
+  const last = await this.findOne({ course: courseId, intake: intakeId || null, status: 'waiting' })
+    .sort({ position: -1 })
+    .select('position');
+  return last ? last.position + 1 : 1;
+};
+
+// Static method to number the waiting applicants 1, 2, 3... in their current order
+waitlistEntrySchema.statics.renumber = async function(courseId, intakeId = null) {
+  const queue = await this.findQueue(courseId, intakeId);
+  for (const [index, entry] of queue.entries()) {
+    if (entry.position !== index + 1) {
+      await this.updateOne({ _id: entry._id }, { $set: { position: index + 1 } });
+    }
+  }
+};
+
+// Static method to change the status only if the entry is still in the expected status
+// (and matches any extra conditions). Returns the updated entry, or null when another request
+// or the offer expiry changed it first
+waitlistEntrySchema.statics.changeStatus = function(id, fromStatus, changes, conditions = {}) {
+  return this.findOneAndUpdate(
+    { ...conditions, _id: id, status: fromStatus },
+    { $set: { ...changes, updatedAt: new Date() } },
+    { new: true, runValidators: true }
+  );
+};
+
+module.exports = mongoose.model('WaitlistEntry', waitlistEntrySchema);
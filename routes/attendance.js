@@ -1,22 +1,187 @@
 const express = require('express');
+const mongoose = require('mongoose');
+const rateLimit = require('express-rate-limit');
+const QRCode = require('qrcode');
 const router = express.Router();
 const Attendance = require('../models/Attendance');
 const Student = require('../models/Student');
 const Course = require('../models/Course');
 const Branch = require('../models/Branch');
-const { authenticateToken, requireRole } = require('../middleware/auth');
+const ClassSession = require('../models/ClassSession');
+const Holiday = require('../models/Holiday');
+const User = require('../models/User');
+const AttendanceVersion = require('../models/AttendanceVersion');
+const AttendanceCorrection = require('../models/AttendanceCorrection');
+const Notification = require('../models/Notification');
+const LeaveRequest = require('../models/LeaveRequest');
+const AuditLog = require('../models/AuditLog');
+const Activity = require('../models/Activity');
+const { publish } = require('../utils/liveEvents');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
 const { validationRules, handleValidationErrors } = require('../utils/validation');
+const { generateCheckInToken, verifyCheckInToken, decodeToken } = require('../utils/jwt');
+const { selfCheckIn } = require('../config/security');
+const { getEligibilityStatus, checkAttendanceAlerts } = require('../utils/attendanceAlerts');
+const { createLockCheck } = require('../utils/attendanceLock');
 const ExcelJS = require('exceljs');
 
+// Rate limiting for QR self check-in (public, identified by student ID and date of birth)
+const checkInLimiter = rateLimit({
+  windowMs: selfCheckIn.windowMinutes * 60 * 1000,
+  max: selfCheckIn.maxAttempts,
+  message: {
+    message: 'Too many check-in attempts, please ask your instructor to mark your attendance.',
+    retryAfter: `${selfCheckIn.windowMinutes} minutes`
+  },
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
+// Find the scheduled class session an attendance record belongs to
+// Courses without a timetable in the branch keep accepting attendance on any date
+// Returns { session } (null without a timetable) or { error }
+const resolveSession = async ({ sessionId, course, branch, intake, date }) => {
+  let session;
+
+  if (sessionId) {
+    session = mongoose.isValidObjectId(sessionId) ? await ClassSession.findById(sessionId) : null;
+    if (!session || !session.isActive ||
+        session.course.toString() !== course.toString() ||
+        session.branch.toString() !== branch.toString() ||
+        session.date.getTime() !== ClassSession.toDay(date).getTime()) {
+      return { error: 'Invalid class session for this course and date' };
+    }
+    if (session.intake && (!intake || session.intake.toString() !== intake.toString())) {
+      return { error: 'Student is not in the intake of this class session' };
+    }
+  } else {
+    if (!(await ClassSession.hasTimetable(course, branch))) {
+      return { session: null };
+    }
+    session = await ClassSession.findForAttendance({ course, branch, intake, date });
+    if (!session) {
+      return { error: 'No class is scheduled for this course on this date' };
+    }
+    // Each class of the day has its own attendance, so the class must be named when there are several
+    if (await ClassSession.countForAttendance({ course, branch, intake, date }) > 1) {
+      return { error: 'Several classes are scheduled for this course on this date; choose the class session' };
+    }
+  }
+
+  if (session.status === 'Cancelled') {
+    return { error: 'This class session has been cancelled' };
+  }
+
+  return { session };
+};
+
+// Check time in and time out are HH:MM and in order; returns an error message or null
+const validateTimes = (timeIn, timeOut) => {
+  const pattern = /^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/;
+  if (timeIn && !pattern.test(timeIn)) return 'Time in must be in HH:MM format';
+  if (timeOut && !pattern.test(timeOut)) return 'Time out must be in HH:MM format';
+  if (timeIn && timeOut && !Attendance.getAttendedMinutes(timeIn, timeOut)) return 'Time out must be after time in';
+  return null;
+};
+
+// Classify a Present arrival after the class start plus the course grace period as Late
+// Only applies to attendance taken for a scheduled class
+const applyLateRule = (status, timeIn, session, course) => {
+  const rules = course.attendanceRules || {};
+  if (status !== 'Present' || !session || !rules.autoLate) {
+    return status;
+  }
+  return Attendance.isLateArrival(timeIn, session.startTime, rules.lateGraceMinutes) ? 'Late' : status;
+};
+
+// Record an absence during approved leave as Excused, linked to the leave
+// Students who attend anyway keep their status. Returns { status, notes, leaveRequest }
+const applyLeave = (status, notes, leave) => {
+  if (!leave || (status !== 'Absent' && status !== 'Excused')) {
+    return { status, notes, leaveRequest: null };
+  }
+  return {
+    status: 'Excused',
+    notes: notes || `Approved leave: ${leave.reason}`.slice(0, 500),
+    leaveRequest: leave._id
+  };
+};
+
+// Check whether the branch is closed (holiday or closure) on a date
+// Depending on the branch policy the result is a { warning } or an { error }
+const checkClosedDay = async (branchId, date) => {
+  const closure = await Holiday.findClosure(branchId, date);
+  if (!closure) {
+    return {};
+  }
+
+  const branch = await Branch.findById(branchId).select('closedDayPolicy');
+  const message = `Branch is closed on ${Holiday.toDay(date).toISOString().split('T')[0]} (${closure.name})`;
+  return branch && branch.closedDayPolicy === 'block' ? { error: message } : { warning: message };
+};
+
+// Load a pending correction request the user may review; returns { correction } or { status, message }
+const findReviewableCorrection = async (req) => {
+  const correction = await AttendanceCorrection.findById(req.params.id);
+
+  if (!correction) {
+    return { status: 404, message: 'Correction request not found' };
+  }
+
+  if (req.user.role !== 'superAdmin' && correction.branch.toString() !== req.user.branch._id.toString()) {
+    return { status: 403, message: 'Access denied to this correction request' };
+  }
+
+  if (correction.status !== 'pending') {
+    return { status: 400, message: 'This correction request has already been reviewed' };
+  }
+
+  return { correction };
+};
+
+// Current day (midnight UTC, like attendance dates) and time of day (HH:MM) on the server clock
+const getNow = () => {
+  const now = new Date();
+  return {
+    day: new Date(Date.UTC(now.getFullYear(), now.getMonth(), now.getDate())),
+    time: now.toTimeString().slice(0, 5)
+  };
+};
+
+// Convert an HH:MM time to minutes after midnight
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+// Check a class session is open for self check-in: on the day of the class, from shortly
+// before it starts until it ends. Returns an error message or null
+const checkInWindowError = (session, now) => {
+  if (session.status === 'Cancelled') {
+    return 'This class session has been cancelled';
+  }
+  if (session.date.getTime() !== now.day.getTime()) {
+    return 'Check-in is only open on the day of the class';
+  }
+  if (toMinutes(now.time) < toMinutes(session.startTime) - selfCheckIn.opensMinutesBefore) {
+    return `Check-in opens ${selfCheckIn.opensMinutesBefore} minutes before the class starts`;
+  }
+  if (toMinutes(now.time) > toMinutes(session.endTime)) {
+    return 'Check-in for this class has closed';
+  }
+  return null;
+};
+
 // @route   GET /api/attendance
 // @desc    Get attendance records with filtering
 // @access  Private (All authenticated users)
-router.get('/', authenticateToken, async (req, res) => {
+router.get('/', authenticateToken, requirePermission('attendance.view'), async (req, res) => {
   try {
     const {
       page = 1,
       limit = 50,
       courseId,
+      intakeId,
       branchId,
       studentId,
       date,
@@ -30,6 +195,7 @@ router.get('/', authenticateToken, async (req, res) => {
     // Build filters based on user role
     const filters = {
       courseId,
+      intakeId,
       branchId,
       studentId,
       date,
@@ -59,6 +225,7 @@ router.get('/', authenticateToken, async (req, res) => {
     // Get total count for pagination
     let countQuery = { isActive: true };
     if (filters.courseId) countQuery.course = filters.courseId;
+    if (filters.intakeId) countQuery.intake = filters.intakeId;
     if (filters.studentId) countQuery.student = filters.studentId;
     if (filters.status) countQuery.status = filters.status;
     
@@ -97,10 +264,10 @@ router.get('/', authenticateToken, async (req, res) => {
 // @route   GET /api/attendance/students/:courseId
 // @desc    Get students enrolled in a course for attendance marking
 // @access  Private (All authenticated users)
-router.get('/students/:courseId', authenticateToken, async (req, res) => {
+router.get('/students/:courseId', authenticateToken, requirePermission('attendance.view'), async (req, res) => {
   try {
     const { courseId } = req.params;
-    const { date, branchId } = req.query;
+    const { date, branchId, intakeId, sessionId } = req.query;
 
     // Verify course exists and user has access
     const course = await Course.findById(courseId);
@@ -120,6 +287,11 @@ router.get('/students/:courseId', authenticateToken, async (req, res) => {
       status: 'Active'
     };
 
+    // Limit the roster to one intake of the course
+    if (intakeId) {
+      studentQuery.intake = intakeId;
+    }
+
     // Apply branch filtering - use user's currently logged branch
     if (req.user.branch) {
       studentQuery.branch = req.user.branch._id;
@@ -128,17 +300,56 @@ router.get('/students/:courseId', authenticateToken, async (req, res) => {
     // Get enrolled students
     const students = await Student.find(studentQuery)
       .populate('course', 'title')
+      .populate('intake', 'name')
       .populate('branch', 'name')
       .sort({ fullName: 1 });
 
-    // If date is provided, get existing attendance records
+    // If date is provided, get existing attendance records and the classes scheduled that day
     let attendanceRecords = [];
+    let sessions = [];
+    let lockedAt = null;
+    let leaves = new Map();
     if (date) {
-      attendanceRecords = await Attendance.find({
+      if (sessionId && !mongoose.isValidObjectId(sessionId)) {
+        return res.status(400).json({ message: 'Session ID must be valid' });
+      }
+
+      if (req.user.branch) {
+        const sessionQuery = { course: courseId, branch: req.user.branch._id, date: ClassSession.toDay(date), isActive: true };
+        if (intakeId) sessionQuery.intake = { $in: [intakeId, null] };
+        sessions = await ClassSession.find(sessionQuery).sort({ startTime: 1 });
+      }
+
+      // Each class of the day has its own records; with a single class there is nothing to choose
+      const activeSessions = sessions.filter(session => session.status !== 'Cancelled');
+      if (!sessionId && activeSessions.length > 1) {
+        return res.status(400).json({ message: 'Several classes are scheduled on this date; please choose a session' });
+      }
+      const selectedSession = sessionId || (activeSessions.length === 1 ? activeSessions[0]._id : null);
+
+      const attendanceQuery = {
         course: courseId,
         date: new Date(date),
         isActive: true
-      }).populate('student', '_id');
+      };
+      if (selectedSession) {
+        attendanceQuery.session = selectedSession;
+      }
+
+      attendanceRecords = await Attendance.find(attendanceQuery).populate('student', '_id');
+
+      // Without a known timetable the records themselves show whether the day had several classes
+      if (!selectedSession && new Set(attendanceRecords.map(record => String(record.session || ''))).size > 1) {
+        return res.status(400).json({ message: 'Several classes are scheduled on this date; please choose a session' });
+      }
+
+      leaves = await LeaveRequest.getApprovedForDate(students.map(student => student._id), date);
+
+      // Lets the screen show when the day's records stop being editable
+      if (req.user.branch) {
+        const branch = await Branch.findById(req.user.branch._id).select('attendanceLockHours');
+        lockedAt = Attendance.getLockTime(date, branch ? branch.attendanceLockHours : 0);
+      }
     }
 
     // Map students with their attendance status
@@ -146,6 +357,14 @@ router.get('/students/:courseId', authenticateToken, async (req, res) => {
       const attendance = attendanceRecords.find(
         record => record.student._id.toString() === student._id.toString()
       );
+      const leave = leaves.get(student._id.toString());
+
+      // Students on approved leave are pre-filled as Excused until attendance is saved
+      const prefill = !attendance && leave ? {
+        status: 'Excused',
+        notes: applyLeave('Excused', '', leave).notes,
+        leaveRequest: leave._id
+      } : null;
 
       return {
         _id: student._id,
@@ -153,15 +372,26 @@ router.get('/students/:courseId', authenticateToken, async (req, res) => {
         fullName: student.fullName,
         email: student.email,
         course: student.course,
+        intake: student.intake,
         branch: student.branch,
         attendance: attendance ? {
           status: attendance.status,
           timeIn: attendance.timeIn,
-          notes: attendance.notes
+          timeOut: attendance.timeOut,
+          notes: attendance.notes,
+          source: attendance.source,
+          session: attendance.session
+        } : prefill,
+        leave: leave ? {
+          _id: leave._id,
+          startDate: leave.startDate,
+          endDate: leave.endDate,
+          reason: leave.reason
         } : null,
         savedAttendance: attendance ? {
           status: attendance.status,
           timeIn: attendance.timeIn,
+          timeOut: attendance.timeOut,
           notes: attendance.notes
         } : null
       };
@@ -172,6 +402,8 @@ router.get('/students/:courseId', authenticateToken, async (req, res) => {
         _id: course._id,
         title: course.title
       },
+      sessions,
+      lockedAt,
       students: studentsWithAttendance,
       totalStudents: studentsWithAttendance.length
     });
@@ -184,9 +416,9 @@ router.get('/students/:courseId', authenticateToken, async (req, res) => {
 // @route   POST /api/attendance
 // @desc    Mark attendance for a student
 // @access  Private (SuperAdmin, Admin, Moderator)
-router.post('/', authenticateToken, requireRole('superAdmin', 'admin', 'moderator'), async (req, res) => {
+router.post('/', authenticateToken, requirePermission('attendance.mark'), async (req, res) => {
   try {
-    const { student, course, date, status, timeIn, notes } = req.body;
+    const { student, course, session: sessionId, date, status, timeIn, timeOut, notes } = req.body;
 
     // Validate required fields
     if (!student || !course || !date || !status) {
@@ -198,6 +430,11 @@ router.post('/', authenticateToken, requireRole('superAdmin', 'admin', 'moderato
       return res.status(400).json({ message: 'Invalid attendance status' });
     }
 
+    const timeError = validateTimes(timeIn, timeOut);
+    if (timeError) {
+      return res.status(400).json({ message: timeError });
+    }
+
     // Get student and course details
     const studentDoc = await Student.findById(student).populate('branch', '_id name');
     const courseDoc = await Course.findById(course);
@@ -217,22 +454,65 @@ router.post('/', authenticateToken, requireRole('superAdmin', 'admin', 'moderato
       }
     }
 
-    // Check if attendance already exists
+    // Students who left the course are only marked for days before their status changed
+    if (!studentDoc.isAttendingOn(date)) {
+      return res.status(400).json({ message: `${studentDoc.fullName} is ${studentDoc.status} and cannot be marked for this date` });
+    }
+
+    const checkLock = createLockCheck(req.user);
+    const lockError = await checkLock(studentDoc.branch._id, date);
+    if (lockError) {
+      return res.status(403).json({ message: lockError });
+    }
+
+    // Attendance is taken for a scheduled class
+    const { session, error: sessionError } = await resolveSession({
+      sessionId,
+      course,
+      branch: studentDoc.branch._id,
+      intake: studentDoc.intake,
+      date
+    });
+    if (sessionError) {
+      return res.status(400).json({ message: sessionError });
+    }
+
+    const { warning, error: closedError } = await checkClosedDay(studentDoc.branch._id, date);
+    if (closedError) {
+      return res.status(400).json({ message: closedError });
+    }
+
+    // Today's arrivals without a time are stamped now, so the late rule sees them too
+    const arrivalTime = timeIn || ((status === 'Present' || status === 'Late') ? Attendance.defaultTimeIn(date) : undefined);
+    const leave = (await LeaveRequest.getApprovedForDate([studentDoc._id], date)).get(studentDoc._id.toString());
+    const leaveResult = applyLeave(applyLateRule(status, arrivalTime, session, courseDoc), notes, leave);
+    const finalStatus = leaveResult.status;
+
+    // Check if attendance already exists for this class
     const existingAttendance = await Attendance.findOne({
       student,
       course,
-      date: new Date(date)
+      date: new Date(date),
+      session: session ? session._id : null
     });
 
     if (existingAttendance) {
       // Update existing attendance
-      existingAttendance.status = status;
-      existingAttendance.timeIn = timeIn;
-      existingAttendance.notes = notes;
+      const before = AuditLog.snapshot(existingAttendance);
+      existingAttendance.status = finalStatus;
+      existingAttendance.timeIn = arrivalTime;
+      existingAttendance.timeOut = timeOut;
+      existingAttendance.notes = leaveResult.notes;
+      existingAttendance.leaveRequest = leaveResult.leaveRequest;
       existingAttendance.lastModifiedBy = req.user._id;
       
       await existingAttendance.save();
-      
+
+      await AuditLog.record(req, { entity: 'Attendance', entityId: existingAttendance._id, action: 'update', before, after: existingAttendance });
+      await AttendanceVersion.record(existingAttendance, { action: 'update', user: req.user, before });
+
+      await checkAttendanceAlerts([existingAttendance]);
+
       await existingAttendance.populate([
         { path: 'student', select: 'studentId fullName email' },
         { path: 'course', select: 'title' },
@@ -243,23 +523,33 @@ router.post('/', authenticateToken, requireRole('superAdmin', 'admin', 'moderato
 
       return res.json({
         message: 'Attendance updated successfully',
-        attendance: existingAttendance
+        attendance: existingAttendance,
+        ...(warning ? { warning } : {})
       });
     } else {
       // Create new attendance record
       const attendance = new Attendance({
         student,
         course,
+        intake: studentDoc.intake,
         branch: studentDoc.branch._id,
+        session: session ? session._id : null,
+        leaveRequest: leaveResult.leaveRequest,
         date: new Date(date),
-        status,
-        timeIn,
-        notes,
+        status: finalStatus,
+        timeIn: arrivalTime,
+        timeOut,
+        notes: leaveResult.notes,
         markedBy: req.user._id
       });
 
       await attendance.save();
-      
+
+      await AuditLog.record(req, { entity: 'Attendance', entityId: attendance._id, action: 'create', after: attendance });
+      await AttendanceVersion.record(attendance, { action: 'create', user: req.user });
+
+      await checkAttendanceAlerts([attendance]);
+
       await attendance.populate([
         { path: 'student', select: 'studentId fullName email' },
         { path: 'course', select: 'title' },
@@ -269,7 +559,8 @@ router.post('/', authenticateToken, requireRole('superAdmin', 'admin', 'moderato
 
       return res.status(201).json({
         message: 'Attendance marked successfully',
-        attendance
+        attendance,
+        ...(warning ? { warning } : {})
       });
     }
   } catch (error) {
@@ -281,7 +572,7 @@ router.post('/', authenticateToken, requireRole('superAdmin', 'admin', 'moderato
 // @route   POST /api/attendance/bulk
 // @desc    Bulk mark attendance for multiple students
 // @access  Private (SuperAdmin, Admin, Moderator)
-router.post('/bulk', authenticateToken, requireRole('superAdmin', 'admin', 'moderator'), async (req, res) => {
+router.post('/bulk', authenticateToken, requirePermission('attendance.mark'), async (req, res) => {
   try {
     const { attendanceRecords } = req.body;
 
@@ -298,6 +589,11 @@ router.post('/bulk', authenticateToken, requireRole('superAdmin', 'admin', 'mode
       if (!['Present', 'Absent', 'Late', 'Excused'].includes(record.status)) {
         return res.status(400).json({ message: 'Invalid attendance status in one or more records' });
       }
+
+      const timeError = validateTimes(record.timeIn, record.timeOut);
+      if (timeError) {
+        return res.status(400).json({ message: `${timeError} in one or more records` });
+      }
     }
 
     // Get all students to validate branch access
@@ -315,23 +611,171 @@ router.post('/bulk', authenticateToken, requireRole('superAdmin', 'admin', 'mode
       }
     }
 
+    // Students who left the course are only marked for days before their status changed
+    for (const record of attendanceRecords) {
+      const student = students.find(s => s._id.toString() === record.student);
+      if (student && !student.isAttendingOn(record.date)) {
+        return res.status(400).json({ message: `${student.fullName} is ${student.status} and cannot be marked for this date` });
+      }
+    }
+
     // Add branch information to attendance records
     const recordsWithBranch = attendanceRecords.map(record => {
       const student = students.find(s => s._id.toString() === record.student);
       return {
         ...record,
-        branch: student.branch._id
+        branch: student.branch._id,
+        intake: student.intake
       };
     });
 
+    // Records past the branch lock window can only be changed through a correction request
+    const checkLock = createLockCheck(req.user);
+    for (const record of recordsWithBranch) {
+      const lockError = await checkLock(record.branch, record.date);
+      if (lockError) {
+        return res.status(403).json({ message: lockError });
+      }
+    }
+
+    // Tie each record to its scheduled class and apply the course late rule
+    const resolvedSessions = new Map();
+    const courseDocs = new Map(
+      (await Course.find({ _id: { $in: [...new Set(recordsWithBranch.map(r => r.course.toString()))] } }))
+        .map(course => [course._id.toString(), course])
+    );
+    for (const record of recordsWithBranch) {
+      const key = `${record.session}:${record.course}:${record.branch}:${record.intake}:${ClassSession.toDay(record.date).getTime()}`;
+      if (!resolvedSessions.has(key)) {
+        resolvedSessions.set(key, await resolveSession({
+          sessionId: record.session,
+          course: record.course,
+          branch: record.branch,
+          intake: record.intake,
+          date: record.date
+        }));
+      }
+
+      const { session, error: sessionError } = resolvedSessions.get(key);
+      if (sessionError) {
+        return res.status(400).json({ message: `${sessionError} (${record.date})` });
+      }
+      record.session = session ? session._id : null;
+
+      // Today's arrivals without a time are stamped now, so the late rule sees them too
+      if (!record.timeIn && (record.status === 'Present' || record.status === 'Late')) {
+        record.timeIn = Attendance.defaultTimeIn(record.date);
+      }
+
+      const courseDoc = courseDocs.get(record.course.toString());
+      if (courseDoc) {
+        record.status = applyLateRule(record.status, record.timeIn, session, courseDoc);
+      }
+    }
+
+    // Check for holidays and closures once per branch and day
+    const closedDayChecks = new Map();
+    for (const record of recordsWithBranch) {
+      const key = `${record.branch}:${Holiday.toDay(record.date).getTime()}`;
+      if (!closedDayChecks.has(key)) {
+        closedDayChecks.set(key, await checkClosedDay(record.branch, record.date));
+      }
+      const { error: closedError } = closedDayChecks.get(key);
+      if (closedError) {
+        return res.status(400).json({ message: closedError });
+      }
+    }
+    const warnings = [...closedDayChecks.values()].filter(check => check.warning).map(check => check.warning);
+
+    // Absences during approved leave are recorded as Excused, looking the leave up once per day
+    const leavesByDay = new Map();
+    for (const record of recordsWithBranch) {
+      const day = LeaveRequest.toDay(record.date).getTime();
+      if (!leavesByDay.has(day)) {
+        const dayStudents = recordsWithBranch
+          .filter(item => LeaveRequest.toDay(item.date).getTime() === day)
+          .map(item => item.student);
+        leavesByDay.set(day, await LeaveRequest.getApprovedForDate(dayStudents, record.date));
+      }
+      Object.assign(record, applyLeave(record.status, record.notes, leavesByDay.get(day).get(record.student.toString())));
+    }
+
+    // Keep the current state of the records for the audit log
+    const recordFilters = recordsWithBranch.map(record => ({
+      student: record.student,
+      course: record.course,
+      date: new Date(record.date),
+      session: record.session
+    }));
+    const recordKey = (record) => `${record.student}:${record.course}:${new Date(record.date).getTime()}:${record.session}`;
+    const previousRecords = new Map(
+      (await Attendance.find({ $or: recordFilters })).map(record => [recordKey(record), AuditLog.snapshot(record)])
+    );
+
     // Bulk upsert attendance records
     const result = await Attendance.bulkUpsertAttendance(recordsWithBranch, req.user._id);
 
+    const updatedRecords = await Attendance.find({ $or: recordFilters });
+    for (const record of updatedRecords) {
+      const before = previousRecords.get(recordKey(record));
+      await AuditLog.record(req, {
+        entity: 'Attendance',
+        entityId: record._id,
+        action: before ? 'update' : 'create',
+        before,
+        after: record,
+        description: 'Bulk attendance'
+      });
+      await AttendanceVersion.record(record, {
+        action: before ? 'update' : 'create',
+        user: req.user,
+        description: 'Bulk attendance',
+        before
+      });
+    }
+
+    await checkAttendanceAlerts(updatedRecords);
+
+    // One feed entry per class (course, branch and date) that was saved
+    const sessions = new Map();
+    for (const record of updatedRecords) {
+      const key = `${record.course}:${record.branch}:${record.date.getTime()}`;
+      if (!sessions.has(key)) {
+        sessions.set(key, { course: record.course, branch: record.branch, date: record.date, present: 0, total: 0 });
+      }
+      const session = sessions.get(key);
+      session.total += 1;
+      if (record.status === 'Present' || record.status === 'Late') session.present += 1;
+    }
+
+    for (const session of sessions.values()) {
+      // Bulk writes skip the model hooks, so live dashboards are told here
+      publish('attendance', 'updated', {
+        branch: session.branch,
+        data: { course: session.course, date: session.date, present: session.present, total: session.total }
+      });
+
+      const courseDoc = await Course.findById(session.course).select('title');
+      await Activity.record({
+        type: 'attendance',
+        message: `Attendance marked for ${courseDoc ? courseDoc.title : 'a course'} class`,
+        details: {
+          course: courseDoc ? courseDoc.title : null,
+          date: session.date,
+          present: session.present,
+          total: session.total
+        },
+        branch: session.branch,
+        user: req.user
+      });
+    }
+
     res.json({
       message: 'Bulk attendance operation completed successfully',
       modifiedCount: result.modifiedCount,
       upsertedCount: result.upsertedCount,
-      matchedCount: result.matchedCount
+      matchedCount: result.matchedCount,
+      ...(warnings.length > 0 ? { warnings } : {})
     });
   } catch (error) {
     console.error('Bulk attendance error:', error);
@@ -342,9 +786,9 @@ router.post('/bulk', authenticateToken, requireRole('superAdmin', 'admin', 'mode
 // @route   PUT /api/attendance/:id
 // @desc    Update attendance record
 // @access  Private (SuperAdmin, Admin, Moderator)
-router.put('/:id', authenticateToken, requireRole('superAdmin', 'admin', 'moderator'), async (req, res) => {
+router.put('/:id', authenticateToken, requirePermission('attendance.update'), async (req, res) => {
   try {
-    const { status, timeIn, notes } = req.body;
+    const { status, timeIn, timeOut, notes } = req.body;
 
     const attendance = await Attendance.findById(req.params.id)
       .populate('student', 'branch')
@@ -359,6 +803,14 @@ router.put('/:id', authenticateToken, requireRole('superAdmin', 'admin', 'modera
       return res.status(403).json({ message: 'Access denied to modify this attendance record' });
     }
 
+    const checkLock = createLockCheck(req.user);
+    const lockError = await checkLock(attendance.branch._id, attendance.date);
+    if (lockError) {
+      return res.status(403).json({ message: lockError });
+    }
+
+    const before = AuditLog.snapshot(attendance);
+
     // Update fields
     if (status) {
       if (!['Present', 'Absent', 'Late', 'Excused'].includes(status)) {
@@ -367,12 +819,27 @@ router.put('/:id', authenticateToken, requireRole('superAdmin', 'admin', 'modera
       attendance.status = status;
     }
 
+    // Edits are manual overrides, so the late rule is not applied again
+    const timeError = validateTimes(
+      timeIn !== undefined ? timeIn : attendance.timeIn,
+      timeOut !== undefined ? timeOut : attendance.timeOut
+    );
+    if (timeError) {
+      return res.status(400).json({ message: timeError });
+    }
+
     if (timeIn !== undefined) attendance.timeIn = timeIn;
+    if (timeOut !== undefined) attendance.timeOut = timeOut;
     if (notes !== undefined) attendance.notes = notes;
     attendance.lastModifiedBy = req.user._id;
 
     await attendance.save();
 
+    await AuditLog.record(req, { entity: 'Attendance', entityId: attendance._id, action: 'update', before, after: attendance });
+    await AttendanceVersion.record(attendance, { action: 'update', user: req.user, before });
+
+    await checkAttendanceAlerts([attendance]);
+
     await attendance.populate([
       { path: 'student', select: 'studentId fullName email' },
       { path: 'course', select: 'title' },
@@ -394,7 +861,7 @@ router.put('/:id', authenticateToken, requireRole('superAdmin', 'admin', 'modera
 // @route   DELETE /api/attendance/:id
 // @desc    Delete attendance record (soft delete)
 // @access  Private (SuperAdmin, Admin)
-router.delete('/:id', authenticateToken, requireRole('superAdmin', 'admin'), async (req, res) => {
+router.delete('/:id', authenticateToken, requirePermission('attendance.delete'), async (req, res) => {
   try {
     const attendance = await Attendance.findById(req.params.id)
       .populate('student', 'branch');
@@ -410,11 +877,23 @@ router.delete('/:id', authenticateToken, requireRole('superAdmin', 'admin'), asy
       }
     }
 
+    const checkLock = createLockCheck(req.user);
+    const lockError = await checkLock(attendance.branch, attendance.date);
+    if (lockError) {
+      return res.status(403).json({ message: lockError });
+    }
+
     // Soft delete
+    const before = AuditLog.snapshot(attendance);
     attendance.isActive = false;
     attendance.lastModifiedBy = req.user._id;
     await attendance.save();
 
+    await AuditLog.record(req, { entity: 'Attendance', entityId: attendance._id, action: 'delete', before, after: attendance });
+    await AttendanceVersion.record(attendance, { action: 'delete', user: req.user, before });
+
+    await checkAttendanceAlerts([attendance]);
+
     res.json({ message: 'Attendance record deleted successfully' });
   } catch (error) {
     console.error('Delete attendance error:', error);
@@ -425,10 +904,10 @@ router.delete('/:id', authenticateToken, requireRole('superAdmin', 'admin'), asy
 // @route   GET /api/attendance/stats/:courseId
 // @desc    Get attendance statistics for a course
 // @access  Private (All authenticated users)
-router.get('/stats/:courseId', authenticateToken, async (req, res) => {
+router.get('/stats/:courseId', authenticateToken, requirePermission('attendance.view'), async (req, res) => {
   try {
     const { courseId } = req.params;
-    const { date, branchId } = req.query;
+    const { date, branchId, intakeId } = req.query;
 
     if (!date) {
       return res.status(400).json({ message: 'Date is required' });
@@ -449,13 +928,16 @@ router.get('/stats/:courseId', authenticateToken, async (req, res) => {
     }
 
     // Get attendance statistics
-    const stats = await Attendance.getAttendanceStats(courseId, date, targetBranchId);
+    const stats = await Attendance.getAttendanceStats(courseId, date, targetBranchId, intakeId);
 
-    // Get total enrolled students for the course
+    // Get total enrolled students for the course (or the intake)
     let studentQuery = { course: courseId, isActive: true, status: 'Active' };
     if (targetBranchId) {
       studentQuery.branch = targetBranchId;
     }
+    if (intakeId) {
+      studentQuery.intake = intakeId;
+    }
     const totalEnrolled = await Student.countDocuments(studentQuery);
 
     res.json({
@@ -476,13 +958,640 @@ router.get('/stats/:courseId', authenticateToken, async (req, res) => {
   }
 });
 
+// @route   POST /api/attendance/:id/check-out
+// @desc    Record the time a student left the class (defaults to now for today's classes)
+// @access  Private (SuperAdmin, Admin, Moderator)
+router.post('/:id/check-out', authenticateToken, requirePermission('attendance.mark'), [
+  ...validationRules.mongoId,
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const attendance = await Attendance.findById(req.params.id);
+
+    if (!attendance || !attendance.isActive) {
+      return res.status(404).json({ message: 'Attendance record not found' });
+    }
+
+    if (!attendance.canModify(req.user.role, req.user.branch?._id)) {
+      return res.status(403).json({ message: 'Access denied to modify this attendance record' });
+    }
+
+    const checkLock = createLockCheck(req.user);
+    const lockError = await checkLock(attendance.branch, attendance.date);
+    if (lockError) {
+      return res.status(403).json({ message: lockError });
+    }
+
+    if (attendance.status !== 'Present' && attendance.status !== 'Late') {
+      return res.status(400).json({ message: 'Only present or late students can be checked out' });
+    }
+
+    const timeOut = req.body.timeOut || Attendance.defaultTimeIn(attendance.date);
+    if (!timeOut) {
+      return res.status(400).json({ message: 'Time out is required for past classes' });
+    }
+
+    const timeError = validateTimes(attendance.timeIn, timeOut);
+    if (timeError) {
+      return res.status(400).json({ message: timeError });
+    }
+
+    const before = AuditLog.snapshot(attendance);
+    attendance.timeOut = timeOut;
+    attendance.lastModifiedBy = req.user._id;
+    await attendance.save();
+
+    await AuditLog.record(req, { entity: 'Attendance', entityId: attendance._id, action: 'update', before, after: attendance, description: 'Check-out' });
+    await AttendanceVersion.record(attendance, { action: 'update', user: req.user, description: 'Check-out', before });
+
+    res.json({
+      message: 'Check-out recorded successfully',
+      attendance
+    });
+  } catch (error) {
+    console.error('Check-out attendance error:', error);
+    res.status(500).json({ message: 'Server error recording check-out' });
+  }
+});
+
+// @route   GET /api/attendance/sessions/:sessionId/qr
+// @desc    Get a short-lived QR code for students to check in to a class session
+// @access  Private (SuperAdmin, Admin, Moderator)
+router.get('/sessions/:sessionId/qr', authenticateToken, requirePermission('attendance.mark'), [
+  ...validationRules.checkInQr,
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const session = await ClassSession.findById(req.params.sessionId).populate('course', 'title');
+
+    if (!session || !session.isActive) {
+      return res.status(404).json({ message: 'Class session not found' });
+    }
+
+    if (req.user.role !== 'superAdmin' && session.branch.toString() !== req.user.branch._id.toString()) {
+      return res.status(403).json({ message: 'Access denied to this class session' });
+    }
+
+    if (session.status === 'Cancelled') {
+      return res.status(400).json({ message: 'This class session has been cancelled' });
+    }
+
+    if (session.date.getTime() !== getNow().day.getTime()) {
+      return res.status(400).json({ message: 'Check-in is only open on the day of the class' });
+    }
+
+    // The screen asks for a new code before this one expires, so a photo of it is soon useless
+    const token = generateCheckInToken(session._id, selfCheckIn.tokenExpire);
+    const checkInUrl = `${process.env.FRONTEND_URL || 'http://localhost:3000'}/check-in?token=${encodeURIComponent(token)}`;
+    const qrCode = await QRCode.toDataURL(checkInUrl);
+
+    const checkedIn = await Attendance.countDocuments({ session: session._id, source: 'qr', isActive: true });
+
+    res.json({
+      session: {
+        _id: session._id,
+        course: session.course,
+        date: session.date,
+        startTime: session.startTime,
+        endTime: session.endTime,
+        room: session.room
+      },
+      token,
+      checkInUrl,
+      qrCode,
+      expiresAt: new Date(decodeToken(token).exp * 1000),
+      opensMinutesBefore: selfCheckIn.opensMinutesBefore,
+      checkedIn
+    });
+  } catch (error) {
+    console.error('Get check-in QR code error:', error);
+    res.status(500).json({ message: 'Server error generating check-in code' });
+  }
+});
+
+// @route   POST /api/attendance/check-in
+// @desc    Student self check-in with a scanned QR code
+// @access  Public
+router.post('/check-in', checkInLimiter, [
+  ...validationRules.checkIn,
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const { token, studentId, dateOfBirth } = req.body;
+
+    let decoded;
+    try {
+      decoded = verifyCheckInToken(token);
+    } catch (error) {
+      return res.status(400).json({ message: 'This check-in code has expired. Please scan the code on the screen again.' });
+    }
+
+    const session = await ClassSession.findById(decoded.sessionId);
+    if (!session || !session.isActive) {
+      return res.status(404).json({ message: 'Class session not found' });
+    }
+
+    const now = getNow();
+    const windowError = checkInWindowError(session, now);
+    if (windowError) {
+      return res.status(400).json({ message: windowError });
+    }
+
+    // Students identify themselves with their student ID and date of birth
+    const student = await Student.findOne({ studentId: studentId.trim(), isActive: true });
+    const birthDay = new Date(dateOfBirth).toISOString().split('T')[0];
+    if (!student || !student.dateOfBirth || student.dateOfBirth.toISOString().split('T')[0] !== birthDay) {
+      return res.status(400).json({ message: 'Student ID or date of birth is incorrect' });
+    }
+
+    // Only students enrolled in the class may check in
+    if (student.status !== 'Active' ||
+        student.course.toString() !== session.course.toString() ||
+        student.branch.toString() !== session.branch.toString() ||
+        (session.intake && (!student.intake || student.intake.toString() !== session.intake.toString()))) {
+      return res.status(403).json({ message: 'You are not enrolled in this class' });
+    }
+
+    const { error: closedError } = await checkClosedDay(session.branch, session.date);
+    if (closedError) {
+      return res.status(400).json({ message: closedError });
+    }
+
+    // One check-in per student; a record marked by the instructor is not replaced either
+    const existingAttendance = await Attendance.findOne({ student: student._id, course: session.course, date: session.date, session: session._id });
+    if (existingAttendance && existingAttendance.isActive) {
+      return res.status(409).json({ message: 'Your attendance for this class has already been recorded' });
+    }
+
+    const course = await Course.findById(session.course);
+    const kiosk = await User.getKioskUser();
+
+    // A deleted record for the same class is brought back instead of adding a duplicate
+    const attendance = existingAttendance || new Attendance({ student: student._id, course: session.course, date: session.date, session: session._id });
+    const before = existingAttendance ? AuditLog.snapshot(existingAttendance) : undefined;
+    attendance.intake = student.intake;
+    attendance.branch = session.branch;
+    attendance.session = session._id;
+    attendance.status = applyLateRule('Present', now.time, session, course);
+    attendance.timeIn = now.time;
+    attendance.timeOut = undefined;
+    attendance.notes = undefined;
+    attendance.source = 'qr';
+    attendance.markedBy = kiosk._id;
+    attendance.lastModifiedBy = existingAttendance ? kiosk._id : undefined;
+    attendance.isActive = true;
+
+    try {
+      await attendance.save();
+    } catch (error) {
+      // Checked in twice at the same moment
+      if (error.code === 11000) {
+        return res.status(409).json({ message: 'Your attendance for this class has already been recorded' });
+      }
+      throw error;
+    }
+
+    await AuditLog.record(req, {
+      entity: 'Attendance',
+      entityId: attendance._id,
+      action: existingAttendance ? 'update' : 'create',
+      before,
+      after: attendance,
+      description: 'QR self check-in',
+      actor: kiosk
+    });
+    await AttendanceVersion.record(attendance, {
+      action: existingAttendance ? 'update' : 'create',
+      user: kiosk,
+      description: 'QR self check-in',
+      before
+    });
+
+    await checkAttendanceAlerts([attendance]);
+
+    res.status(201).json({
+      message: attendance.status === 'Late' ? 'Checked in late' : 'Checked in successfully',
+      attendance: {
+        _id: attendance._id,
+        student: { studentId: student.studentId, fullName: student.fullName },
+        course: course ? { _id: course._id, title: course.title } : null,
+        date: attendance.date,
+        status: attendance.status,
+        timeIn: attendance.timeIn
+      }
+    });
+  } catch (error) {
+    console.error('Self check-in error:', error);
+    res.status(500).json({ message: 'Server error during check-in' });
+  }
+});
+
+// @route   GET /api/attendance/summary
+// @desc    Attendance counts and contact hours per student
+// @access  Private (All authenticated users)
+router.get('/summary', authenticateToken, requirePermission('attendance.view'), [
+  ...validationRules.attendanceSummary,
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const { courseId, intakeId, studentId, branchId, dateFrom, dateTo } = req.query;
+
+    const summary = await Attendance.getStudentSummary({
+      courseId,
+      intakeId,
+      studentId,
+      branchId: req.user.role === 'superAdmin' ? branchId : req.user.branch._id,
+      dateFrom,
+      dateTo
+    });
+
+    res.json({
+      filters: {
+        courseId: courseId || null,
+        intakeId: intakeId || null,
+        studentId: studentId || null,
+        dateFrom: dateFrom || null,
+        dateTo: dateTo || null
+      },
+      totals: {
+        students: summary.length,
+        attendedMinutes: summary.reduce((sum, row) => sum + row.attendedMinutes, 0),
+        contactHours: Math.round((summary.reduce((sum, row) => sum + row.attendedMinutes, 0) / 60) * 100) / 100
+      },
+      students: summary
+    });
+  } catch (error) {
+    console.error('Get attendance summary error:', error);
+    res.status(500).json({ message: 'Server error fetching attendance summary' });
+  }
+});
+
+// @route   GET /api/attendance/:id/history
+// @desc    Get the version history and correction requests of an attendance record
+// @access  Private (All authenticated users)
+router.get('/:id/history', authenticateToken, requirePermission('attendance.view'), [
+  ...validationRules.mongoId,
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const attendance = await Attendance.findById(req.params.id)
+      .populate('student', 'studentId fullName')
+      .populate('course', 'title');
+
+    if (!attendance) {
+      return res.status(404).json({ message: 'Attendance record not found' });
+    }
+
+    if (req.user.role !== 'superAdmin' && attendance.branch.toString() !== req.user.branch._id.toString()) {
+      return res.status(403).json({ message: 'Access denied to this attendance record' });
+    }
+
+    const [versions, corrections] = await Promise.all([
+      AttendanceVersion.getHistory(attendance._id),
+      AttendanceCorrection.find({ attendance: attendance._id })
+        .populate('requestedBy', 'fullName username')
+        .populate('reviewedBy', 'fullName username')
+        .sort({ createdAt: -1 })
+    ]);
+
+    res.json({
+      attendance,
+      versions,
+      corrections
+    });
+  } catch (error) {
+    console.error('Get attendance history error:', error);
+    res.status(500).json({ message: 'Server error fetching attendance history' });
+  }
+});
+
+// @route   POST /api/attendance/:id/corrections
+// @desc    Request a correction to an attendance record (required once the record is locked)
+// @access  Private (SuperAdmin, Admin, Moderator)
+router.post('/:id/corrections', authenticateToken, requirePermission('attendance.update'), [
+  ...validationRules.mongoId,
+  ...validationRules.correctionCreate,
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const { status, timeIn, timeOut, notes, reason } = req.body;
+
+    const attendance = await Attendance.findById(req.params.id).populate('student', 'studentId fullName');
+
+    if (!attendance || !attendance.isActive) {
+      return res.status(404).json({ message: 'Attendance record not found' });
+    }
+
+    if (req.user.role !== 'superAdmin' && attendance.branch.toString() !== req.user.branch._id.toString()) {
+      return res.status(403).json({ message: 'Access denied to this attendance record' });
+    }
+
+    if (!status && !timeIn && !timeOut && notes === undefined) {
+      return res.status(400).json({ message: 'Please specify at least one change' });
+    }
+
+    const timeError = validateTimes(timeIn || attendance.timeIn, timeOut || attendance.timeOut);
+    if (timeError) {
+      return res.status(400).json({ message: timeError });
+    }
+
+    if (await AttendanceCorrection.exists({ attendance: attendance._id, status: 'pending' })) {
+      return res.status(409).json({ message: 'A correction request for this record is already pending' });
+    }
+
+    const correction = new AttendanceCorrection({
+      attendance: attendance._id,
+      student: attendance.student._id,
+      course: attendance.course,
+      branch: attendance.branch,
+      date: attendance.date,
+      changes: {
+        status: status || undefined,
+        timeIn: timeIn || undefined,
+        timeOut: timeOut || undefined,
+        notes
+      },
+      reason,
+      requestedBy: req.user._id
+    });
+
+    await correction.save();
+
+    await AuditLog.record(req, { entity: 'AttendanceCorrection', entityId: correction._id, action: 'create', after: correction });
+
+    await Notification.notifyBranchAdmins({
+      branch: attendance.branch,
+      type: 'attendance_correction',
+      title: 'Attendance correction requested',
+      message: `${req.user.fullName} requested a correction to the attendance of ${attendance.student.fullName} (${attendance.student.studentId}) on ${attendance.date.toISOString().split('T')[0]}`,
+      data: {
+        correction: correction._id,
+        attendance: attendance._id
+      }
+    });
+
+    res.status(201).json({
+      message: 'Correction request submitted successfully',
+      correction
+    });
+  } catch (error) {
+    console.error('Create attendance correction error:', error);
+    res.status(500).json({ message: 'Server error submitting correction request' });
+  }
+});
+
+// @route   GET /api/attendance/corrections
+// @desc    Get attendance correction requests (SuperAdmin: all, others: their branch)
+// @access  Private (All authenticated users)
+router.get('/corrections', authenticateToken, requirePermission('attendance.view'), [
+  ...validationRules.pagination,
+  ...validationRules.correctionQuery,
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status, branchId } = req.query;
+    const skip = (page - 1) * limit;
+
+    const query = {};
+    if (req.user.role === 'superAdmin') {
+      if (branchId) query.branch = branchId;
+    } else {
+      query.branch = req.user.branch._id;
+    }
+    if (status) query.status = status;
+
+    const corrections = await AttendanceCorrection.find(query)
+      .populate('student', 'studentId fullName')
+      .populate('course', 'title')
+      .populate('branch', 'name')
+      .populate('requestedBy', 'fullName username')
+      .populate('reviewedBy', 'fullName username')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await AttendanceCorrection.countDocuments(query);
+
+    res.json({
+      corrections,
+      pagination: {
+        current: parseInt(page),
+        pages: Math.ceil(total / limit),
+        total,
+        limit: parseInt(limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get attendance corrections error:', error);
+    res.status(500).json({ message: 'Server error fetching correction requests' });
+  }
+});
+
+// @route   POST /api/attendance/corrections/:id/approve
+// @desc    Approve a correction request and apply it to the attendance record
+// @access  Private (SuperAdmin, Admin)
+router.post('/corrections/:id/approve', authenticateToken, requirePermission('attendance.approveCorrections'), [
+  ...validationRules.mongoId,
+  ...validationRules.correctionReview,
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const { correction, status: errorStatus, message } = await findReviewableCorrection(req);
+    if (!correction) {
+      return res.status(errorStatus).json({ message });
+    }
+
+    // Requests are checked by someone other than the person who made them
+    if (req.user.role !== 'superAdmin' && correction.requestedBy.toString() === req.user._id.toString()) {
+      return res.status(403).json({ message: 'You cannot approve your own correction request' });
+    }
+
+    const attendance = await Attendance.findById(correction.attendance);
+    if (!attendance || !attendance.isActive) {
+      return res.status(404).json({ message: 'Attendance record not found' });
+    }
+
+    const { status, timeIn, timeOut, notes } = correction.changes;
+    const timeError = validateTimes(timeIn || attendance.timeIn, timeOut || attendance.timeOut);
+    if (timeError) {
+      return res.status(400).json({ message: timeError });
+    }
+
+    const before = AuditLog.snapshot(attendance);
+    const correctionBefore = AuditLog.snapshot(correction);
+
+    if (status) attendance.status = status;
+    if (timeIn) attendance.timeIn = timeIn;
+    if (timeOut) attendance.timeOut = timeOut;
+    if (notes !== undefined) attendance.notes = notes;
+    attendance.lastModifiedBy = req.user._id;
+    await attendance.save();
+
+    correction.status = 'approved';
+    correction.reviewedBy = req.user._id;
+    correction.reviewedAt = new Date();
+    correction.reviewNotes = req.body.reviewNotes;
+    await correction.save();
+
+    await AuditLog.record(req, { entity: 'Attendance', entityId: attendance._id, action: 'update', before, after: attendance, description: 'Correction approved' });
+    await AuditLog.record(req, { entity: 'AttendanceCorrection', entityId: correction._id, action: 'update', before: correctionBefore, after: correction });
+    await AttendanceVersion.record(attendance, {
+      action: 'correction',
+      user: req.user,
+      description: correction.reason,
+      correction: correction._id,
+      before
+    });
+
+    await checkAttendanceAlerts([attendance]);
+
+    res.json({
+      message: 'Correction approved successfully',
+      correction,
+      attendance
+    });
+  } catch (error) {
+    console.error('Approve attendance correction error:', error);
+    res.status(500).json({ message: 'Server error approving correction request' });
+  }
+});
+
+// @route   POST /api/attendance/corrections/:id/reject
+// @desc    Reject a correction request
+// @access  Private (SuperAdmin, Admin)
+router.post('/corrections/:id/reject', authenticateToken, requirePermission('attendance.approveCorrections'), [
+  ...validationRules.mongoId,
+  ...validationRules.correctionReview,
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const { correction, status: errorStatus, message } = await findReviewableCorrection(req);
+    if (!correction) {
+      return res.status(errorStatus).json({ message });
+    }
+
+    const before = AuditLog.snapshot(correction);
+    correction.status = 'rejected';
+    correction.reviewedBy = req.user._id;
+    correction.reviewedAt = new Date();
+    correction.reviewNotes = req.body.reviewNotes;
+    await correction.save();
+
+    await AuditLog.record(req, { entity: 'AttendanceCorrection', entityId: correction._id, action: 'update', before, after: correction });
+
+    res.json({
+      message: 'Correction rejected',
+      correction
+    });
+  } catch (error) {
+    console.error('Reject attendance correction error:', error);
+    res.status(500).json({ message: 'Server error rejecting correction request' });
+  }
+});
+
+// @route   GET /api/attendance/eligibility
+// @desc    Exam eligibility: students below or approaching the course minimum attendance
+// @access  Private (All authenticated users)
+router.get('/eligibility', authenticateToken, requirePermission('attendance.view'), [
+  ...validationRules.attendanceEligibility,
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const { courseId, intakeId, branchId, days } = req.query;
+    const includeAll = req.query.includeAll === 'true';
+
+    const course = await Course.findById(courseId);
+    if (!course || !course.isActive) {
+      return res.status(404).json({ message: 'Course not found' });
+    }
+
+    const targetBranchId = req.user.role === 'superAdmin' ? branchId : req.user.branch._id;
+    if (targetBranchId && course.branch !== 'all' && course.branch.toString() !== targetBranchId.toString()) {
+      return res.status(403).json({ message: 'Access denied to this course' });
+    }
+
+    const studentQuery = { course: courseId, isActive: true, status: 'Active' };
+    if (targetBranchId) studentQuery.branch = targetBranchId;
+    if (intakeId) studentQuery.intake = intakeId;
+
+    const students = await Student.find(studentQuery)
+      .select('studentId fullName email intake branch lowAttendanceSince')
+      .populate('intake', 'name')
+      .sort({ fullName: 1 });
+
+    // A rolling window of recent days, or everything recorded for the course so far
+    let dateFrom;
+    if (days) {
+      dateFrom = getNow().day;
+      dateFrom.setUTCDate(dateFrom.getUTCDate() - parseInt(days) + 1);
+    }
+
+    const rates = await Attendance.getAttendanceRates({
+      courseId,
+      studentIds: students.map(student => student._id),
+      dateFrom
+    });
+
+    const rules = {
+      minAttendancePercentage: course.attendanceRules?.minAttendancePercentage ?? 80,
+      warningMargin: course.attendanceRules?.warningMargin ?? 5
+    };
+
+    const rows = students.map(student => {
+      const rate = rates.get(student._id.toString()) || { attended: 0, absent: 0, excused: 0, counted: 0, percentage: null };
+      return {
+        student: {
+          _id: student._id,
+          studentId: student.studentId,
+          fullName: student.fullName,
+          email: student.email,
+          intake: student.intake
+        },
+        ...rate,
+        status: getEligibilityStatus(rate.percentage, rules),
+        lowAttendanceSince: student.lowAttendanceSince
+      };
+    });
+
+    const totals = {
+      students: rows.length,
+      eligible: rows.filter(row => row.status === 'eligible').length,
+      atRisk: rows.filter(row => row.status === 'at-risk').length,
+      below: rows.filter(row => row.status === 'below').length,
+      noRecords: rows.filter(row => row.status === null).length
+    };
+
+    // Lowest attendance first
+    const listed = (includeAll ? rows : rows.filter(row => row.status === 'below' || row.status === 'at-risk'))
+      .sort((a, b) => (a.percentage ?? 101) - (b.percentage ?? 101));
+
+    res.json({
+      course: {
+        _id: course._id,
+        title: course.title
+      },
+      rules,
+      window: {
+        days: days ? parseInt(days) : null,
+        dateFrom: dateFrom || null
+      },
+      totals,
+      students: listed
+    });
+  } catch (error) {
+    console.error('Get attendance eligibility error:', error);
+    res.status(500).json({ message: 'Server error fetching attendance eligibility' });
+  }
+});
+
 // @route   GET /api/attendance/export
 // @desc    Export attendance records to Excel
 // @access  Private (All authenticated users)
-router.get('/export', authenticateToken, async (req, res) => {
+router.get('/export', authenticateToken, requirePermission('attendance.view'), async (req, res) => {
   try {
     const {
       courseId,
+      intakeId,
       branchId,
       dateFrom,
       dateTo,
@@ -497,6 +1606,7 @@ router.get('/export', authenticateToken, async (req, res) => {
     // Build filters
     const filters = {
       courseId,
+      intakeId,
       branchId,
       dateFrom,
       dateTo,
@@ -525,6 +1635,8 @@ router.get('/export', authenticateToken, async (req, res) => {
       { header: 'Branch', key: 'branch', width: 15 },
       { header: 'Status', key: 'status', width: 12 },
       { header: 'Time In', key: 'timeIn', width: 10 },
+      { header: 'Time Out', key: 'timeOut', width: 10 },
+      { header: 'Minutes', key: 'attendedMinutes', width: 10 },
       { header: 'Notes', key: 'notes', width: 30 },
       { header: 'Marked By', key: 'markedBy', width: 20 }
     ];
@@ -547,6 +1659,8 @@ router.get('/export', authenticateToken, async (req, res) => {
         branch: record.branch.name,
         status: record.status,
         timeIn: record.formattedTime,
+        timeOut: record.timeOut || '',
+        attendedMinutes: record.attendedMinutes ?? '',
         notes: record.notes || '',
         markedBy: record.markedBy.fullName
       });
@@ -0,0 +1,65 @@
+const express = require('express');
+const router = express.Router();
+const AuditLog = require('../models/AuditLog');
+const { validationRules, handleValidationErrors } = require('../utils/validation');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+
+// @route   GET /api/audit
+// @desc    Get audit log entries (SuperAdmin: all, Admin: their branch)
+// @access  Private (audit.view permission)
+router.get('/', authenticateToken, requirePermission('audit.view'), [
+  ...validationRules.pagination,
+  ...validationRules.auditQuery,
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const { page = 1, limit = 20, entity = '', entityId = '', action = '', userId = '', branchId = '', startDate, endDate } = req.query;
+    const skip = (page - 1) * limit;
+
+    let query = {};
+
+    // Branch access control
+    if (req.user.role === 'superAdmin') {
+      if (branchId) {
+        query.branch = branchId;
+      }
+    } else {
+      query.branch = req.user.branch._id;
+    }
+
+    if (entity) query.entity = entity;
+    if (entityId) query.entityId = String(entityId);
+    if (action) query.action = action;
+    if (userId) query.user = userId;
+
+    if (startDate || endDate) {
+      query.createdAt = {};
+      if (startDate) query.createdAt.$gte = new Date(startDate);
+      if (endDate) query.createdAt.$lte = new Date(endDate);
+    }
+
+    const entries = await AuditLog.find(query)
+      .populate('user', 'fullName username role')
+      .populate('branch', 'name')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await AuditLog.countDocuments(query);
+
+    res.json({
+      entries,
+      pagination: {
+        current: parseInt(page),
+        pages: Math.ceil(total / limit),
+        total,
+        limit: parseInt(limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get audit log error:', error);
+    res.status(500).json({ message: 'Server error fetching audit log' });
+  }
+});
+
+module.exports = router;
@@ -1,16 +1,118 @@
 const express = require('express');
+const rateLimit = require('express-rate-limit');
 const { body } = require('express-validator');
 const router = express.Router();
 const User = require('../models/User');
 const Branch = require('../models/Branch');
-const { generateToken } = require('../utils/jwt');
+const Session = require('../models/Session');
+const PasswordReset = require('../models/PasswordReset');
+const LoginAttempt = require('../models/LoginAttempt');
+const AuditLog = require('../models/AuditLog');
+const QRCode = require('qrcode');
+const { generateToken, generateChallengeToken, verifyChallengeToken, hashToken } = require('../utils/jwt');
+const { generateSecret, verifyCode, buildOtpauthUri, generateBackupCodes, normalizeBackupCode } = require('../utils/totp');
+const { twoFactor: twoFactorConfig, isTwoFactorEnforced } = require('../config/security');
+const { sendMail } = require('../utils/mailer');
+const { passwordResetEmail, passwordChangedEmail } = require('../utils/mailTemplates');
 const { validationRules, handleValidationErrors } = require('../utils/validation');
-const { authenticateToken } = require('../middleware/auth');
+const { authenticateToken, authenticateTwoFactorSetup } = require('../middleware/auth');
+
+// Rate limiting for password reset requests
+const passwordResetLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 5,
+  message: {
+    message: 'Too many password reset requests, please try again later.',
+    retryAfter: '15 minutes'
+  },
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
+// Check whether 2FA is required for the user in any branch they can log into, not only the home branch
+const isTwoFactorRequired = (user) => {
+  return isTwoFactorEnforced(user.role) ||
+    user.getBranchAssignments().some(assignment => isTwoFactorEnforced(assignment.role));
+};
+
+// Finish a login: update last login, open a session and build the token response
+const completeLogin = async (user, branch, req) => {
+  // Update last login
+  await user.updateLastLogin();
+
+  // Open a session and generate tokens
+  const { session, refreshToken } = await Session.createForUser(user, branch?._id, req);
+
+  // The token carries the role the user has in the selected branch
+  const role = user.getRoleForBranch(branch?._id);
+  const token = generateToken(user._id, role, branch?._id, session._id);
+
+  return {
+    token,
+    refreshToken,
+    user: {
+      id: user._id,
+      fullName: user.fullName,
+      username: user.username,
+      email: user.email,
+      role,
+      branch: branch ? {
+        id: branch._id,
+        name: branch.name
+      } : null,
+      twoFactorEnabled: user.twoFactor.enabled
+    }
+  };
+};
+
+// Send 429 with Retry-After when the account is locked or must wait after recent failures
+const rejectThrottledLogin = (user, username, req, res, record = true) => {
+  // The wait may have just run out while the attempt was being refused
+  const retryAfter = Math.max(user.getLoginRetryAfter(), 1);
+
+  if (record) {
+    LoginAttempt.record(req, username, user, user.isLocked ? 'locked' : 'throttled');
+  }
+
+  res.set('Retry-After', String(retryAfter));
+  res.status(429).json({
+    message: user.isLocked
+      ? 'Account is temporarily locked because of too many failed login attempts. Please try again later.'
+      : 'Too many failed login attempts. Please wait before trying again.',
+    retryAfter
+  });
+};
+
+// Rate limiting for login attempts per IP, on top of the per-account throttle
+// Only failed attempts count, so a shared office IP is not blocked by successful logins
+const loginLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 20,
+  skipSuccessfulRequests: true,
+  message: {
+    message: 'Too many login attempts from this IP, please try again later.',
+    retryAfter: '15 minutes'
+  },
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
+// Rate limiting for second factor attempts
+const twoFactorLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 10,
+  message: {
+    message: 'Too many verification attempts, please try again later.',
+    retryAfter: '15 minutes'
+  },
+  standardHeaders: true,
+  legacyHeaders: false
+});
 
 // @route   POST /api/auth/login
 // @desc    Login user
 // @access  Public
-router.post('/login', validationRules.login, handleValidationErrors, async (req, res) => {
+router.post('/login', loginLimiter, validationRules.login, handleValidationErrors, async (req, res) => {
   try {
     const { username, password, branchId } = req.body;
 
@@ -21,88 +123,313 @@ router.post('/login', validationRules.login, handleValidationErrors, async (req,
     }).populate('branch', 'name isActive');
 
     if (!user) {
+      await LoginAttempt.record(req, username, null, 'unknown_user');
       return res.status(401).json({ message: 'Invalid credentials' });
     }
 
+    // Slow down repeated failures and refuse locked accounts
+    // The attempt is claimed before the password is checked so parallel guesses are all throttled
+    if (!(await user.claimLoginAttempt())) {
+      return rejectThrottledLogin(user, username, req, res);
+    }
+
     // Check password
     const isPasswordValid = await user.comparePassword(password);
     if (!isPasswordValid) {
+      await LoginAttempt.record(req, username, user, 'invalid_password');
+
+      if (user.isLocked) {
+        return rejectThrottledLogin(user, username, req, res, false);
+      }
       return res.status(401).json({ message: 'Invalid credentials' });
     }
 
+    await user.releaseLoginAttempt();
+
     // Handle branch validation based on user role
+    let loginBranch = null;
+
     if (user.role === 'superAdmin') {
       // SuperAdmin can login to any branch or without specifying a branch
-      let selectedBranch = null;
-      
       if (branchId) {
-        selectedBranch = await Branch.findById(branchId);
-        if (!selectedBranch || !selectedBranch.isActive) {
+        loginBranch = await Branch.findById(branchId);
+        if (!loginBranch || !loginBranch.isActive) {
           return res.status(400).json({ message: 'Invalid or inactive branch' });
         }
       }
-
-      // Update last login
-      await user.updateLastLogin();
-
-      // Generate token
-      const token = generateToken(user._id, user.role, selectedBranch?._id);
-
-      return res.json({
-        token,
-        user: {
-          id: user._id,
-          fullName: user.fullName,
-          username: user.username,
-          email: user.email,
-          role: user.role,
-          branch: selectedBranch ? {
-            id: selectedBranch._id,
-            name: selectedBranch.name
-          } : null
-        }
-      });
     } else {
-      // Other users must login to their assigned branch
-      if (!user.branch || !user.branch.isActive) {
-        return res.status(401).json({ message: 'User branch is inactive' });
-      }
-
+      // Other users must login to one of their assigned branches
       if (!branchId) {
         return res.status(400).json({ message: 'Branch selection is required' });
       }
 
-      if (user.branch._id.toString() !== branchId) {
+      if (!user.belongsToBranch(branchId)) {
         return res.status(401).json({ message: 'Access denied to this branch' });
       }
 
-      // Update last login
-      await user.updateLastLogin();
-
-      // Generate token
-      const token = generateToken(user._id, user.role, user.branch._id);
+      loginBranch = await Branch.findById(branchId);
+      if (!loginBranch || !loginBranch.isActive) {
+        return res.status(401).json({ message: 'User branch is inactive' });
+      }
+    }
 
+    // Second step required: hand out a challenge token instead of a session
+    // Failed login tracking is only cleared once the second factor is verified
+    if (user.twoFactor.enabled || isTwoFactorEnforced(user.role) ||
+        isTwoFactorEnforced(user.getRoleForBranch(loginBranch?._id))) {
       return res.json({
-        token,
-        user: {
-          id: user._id,
-          fullName: user.fullName,
-          username: user.username,
-          email: user.email,
-          role: user.role,
-          branch: {
-            id: user.branch._id,
-            name: user.branch.name
-          }
-        }
+        twoFactorRequired: true,
+        setupRequired: !user.twoFactor.enabled,
+        challengeToken: generateChallengeToken(user._id, loginBranch?._id, twoFactorConfig.challengeExpire)
       });
     }
+
+    await user.resetFailedLogins();
+    res.json(await completeLogin(user, loginBranch, req));
   } catch (error) {
     console.error('Login error:', error);
     res.status(500).json({ message: 'Server error during login' });
   }
 });
 
+// @route   POST /api/auth/2fa/verify
+// @desc    Complete login with a TOTP or backup code
+// @access  Public (challenge token from login)
+router.post('/2fa/verify', twoFactorLimiter, validationRules.twoFactorVerify, handleValidationErrors, async (req, res) => {
+  try {
+    const { challengeToken, code } = req.body;
+
+    let challenge;
+    try {
+      challenge = verifyChallengeToken(challengeToken);
+    } catch (error) {
+      return res.status(401).json({ message: 'Login challenge is invalid or has expired' });
+    }
+
+    const user = await User.findOne({ _id: challenge.userId, isActive: true })
+      .select('+twoFactor.secret +twoFactor.backupCodes +twoFactor.lastUsedStep')
+      .populate('branch', 'name isActive');
+
+    if (!user || !user.twoFactor.enabled) {
+      return res.status(401).json({ message: 'Login challenge is invalid or has expired' });
+    }
+
+    if (!(await user.claimLoginAttempt())) {
+      return rejectThrottledLogin(user, user.username, req, res);
+    }
+
+    const isCodeValid = await user.verifySecondFactor(code);
+    if (!isCodeValid) {
+      await LoginAttempt.record(req, user.username, user, 'invalid_2fa_code');
+
+      if (user.isLocked) {
+        return rejectThrottledLogin(user, user.username, req, res, false);
+      }
+      return res.status(401).json({ message: 'Invalid verification code' });
+    }
+
+    await user.resetFailedLogins();
+
+    const branch = challenge.branchId ? await Branch.findById(challenge.branchId) : null;
+    if (challenge.branchId && (!branch || !branch.isActive)) {
+      return res.status(401).json({ message: 'User branch is inactive' });
+    }
+
+    if (!user.getRoleForBranch(challenge.branchId)) {
+      return res.status(401).json({ message: 'Access denied to this branch' });
+    }
+
+    res.json(await completeLogin(user, branch, req));
+  } catch (error) {
+    console.error('Two-factor verify error:', error);
+    res.status(500).json({ message: 'Server error verifying code' });
+  }
+});
+
+// @route   GET /api/auth/2fa/status
+// @desc    Get 2FA status of the current user
+// @access  Private
+router.get('/2fa/status', authenticateToken, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select('+twoFactor.backupCodes');
+
+    res.json({
+      enabled: user.twoFactor.enabled,
+      enabledAt: user.twoFactor.enabledAt,
+      enforced: isTwoFactorRequired(user),
+      backupCodesRemaining: user.twoFactor.backupCodes.length
+    });
+  } catch (error) {
+    console.error('Two-factor status error:', error);
+    res.status(500).json({ message: 'Server error fetching 2FA status' });
+  }
+});
+
+// @route   POST /api/auth/2fa/setup
+// @desc    Start 2FA enrollment: returns the secret, otpauth URI and QR code
+// @access  Private (or challenge token when enrollment is required to log in)
+router.post('/2fa/setup', authenticateTwoFactorSetup, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+
+    if (user.twoFactor.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is already enabled' });
+    }
+
+    const secret = generateSecret();
+    user.twoFactor.pendingSecret = secret;
+    await user.save();
+
+    const otpauthUrl = buildOtpauthUri(secret, user.username, twoFactorConfig.issuer);
+    const qrCode = await QRCode.toDataURL(otpauthUrl);
+
+    res.json({
+      secret,
+      otpauthUrl,
+      qrCode
+    });
+  } catch (error) {
+    console.error('Two-factor setup error:', error);
+    res.status(500).json({ message: 'Server error starting 2FA setup' });
+  }
+});
+
+// @route   POST /api/auth/2fa/enable
+// @desc    Confirm enrollment with a first code; returns backup codes once
+// @access  Private (or challenge token when enrollment is required to log in)
+router.post('/2fa/enable', authenticateTwoFactorSetup, validationRules.twoFactorCode, handleValidationErrors, async (req, res) => {
+  try {
+    const { code } = req.body;
+    const user = await User.findById(req.user._id)
+      .select('+twoFactor.pendingSecret')
+      .populate('branch', 'name isActive');
+
+    if (user.twoFactor.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is already enabled' });
+    }
+
+    if (!user.twoFactor.pendingSecret) {
+      return res.status(400).json({ message: 'Start 2FA setup first' });
+    }
+
+    const step = verifyCode(user.twoFactor.pendingSecret, code, twoFactorConfig.window);
+    if (step === null) {
+      return res.status(400).json({ message: 'Invalid verification code' });
+    }
+
+    const backupCodes = generateBackupCodes(twoFactorConfig.backupCodeCount);
+
+    user.twoFactor.secret = user.twoFactor.pendingSecret;
+    user.twoFactor.pendingSecret = undefined;
+    user.twoFactor.backupCodes = backupCodes.map(backupCode => hashToken(normalizeBackupCode(backupCode)));
+    user.twoFactor.lastUsedStep = step;
+    user.twoFactor.enabled = true;
+    user.twoFactor.enabledAt = new Date();
+    await user.save();
+
+    await AuditLog.record(req, { entity: 'User', entityId: user._id, action: 'update', description: 'Two-factor authentication enabled', branch: user.branch });
+
+    const response = {
+      message: 'Two-factor authentication enabled successfully',
+      backupCodes
+    };
+
+    // Enrolling during login completes the login
+    if (req.twoFactorChallenge) {
+      const branch = req.twoFactorChallenge.branchId ? await Branch.findById(req.twoFactorChallenge.branchId) : null;
+      if (req.twoFactorChallenge.branchId && (!branch || !branch.isActive)) {
+        return res.status(401).json({ message: 'User branch is inactive' });
+      }
+      if (!user.getRoleForBranch(req.twoFactorChallenge.branchId)) {
+        return res.status(401).json({ message: 'Access denied to this branch' });
+      }
+      Object.assign(response, await completeLogin(user, branch, req));
+    }
+
+    res.json(response);
+  } catch (error) {
+    console.error('Two-factor enable error:', error);
+    res.status(500).json({ message: 'Server error enabling 2FA' });
+  }
+});
+
+// @route   POST /api/auth/2fa/disable
+// @desc    Turn off 2FA (not allowed for roles where it is enforced)
+// @access  Private
+router.post('/2fa/disable', authenticateToken, [
+  validationRules.login[1], // password validation
+  ...validationRules.twoFactorCode,
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const { password, code } = req.body;
+    const user = await User.findById(req.user._id)
+      .select('+twoFactor.secret +twoFactor.backupCodes +twoFactor.lastUsedStep');
+
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is not enabled' });
+    }
+
+    if (isTwoFactorRequired(user)) {
+      return res.status(403).json({ message: 'Two-factor authentication is required for your role in one of your branches' });
+    }
+
+    const isPasswordValid = await user.comparePassword(password);
+    if (!isPasswordValid) {
+      return res.status(400).json({ message: 'Current password is incorrect' });
+    }
+
+    const isCodeValid = await user.verifySecondFactor(code);
+    if (!isCodeValid) {
+      return res.status(400).json({ message: 'Invalid verification code' });
+    }
+
+    user.twoFactor = { enabled: false, backupCodes: [] };
+    await user.save();
+
+    await AuditLog.record(req, { entity: 'User', entityId: user._id, action: 'update', description: 'Two-factor authentication disabled', branch: user.branch });
+
+    res.json({ message: 'Two-factor authentication disabled successfully' });
+  } catch (error) {
+    console.error('Two-factor disable error:', error);
+    res.status(500).json({ message: 'Server error disabling 2FA' });
+  }
+});
+
+// @route   POST /api/auth/2fa/backup-codes
+// @desc    Replace all backup codes; returns the new codes once
+// @access  Private
+router.post('/2fa/backup-codes', authenticateToken, validationRules.twoFactorCode, handleValidationErrors, async (req, res) => {
+  try {
+    const { code } = req.body;
+    const user = await User.findById(req.user._id)
+      .select('+twoFactor.secret +twoFactor.backupCodes +twoFactor.lastUsedStep');
+
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is not enabled' });
+    }
+
+    const isCodeValid = await user.verifySecondFactor(code);
+    if (!isCodeValid) {
+      return res.status(400).json({ message: 'Invalid verification code' });
+    }
+
+    const backupCodes = generateBackupCodes(twoFactorConfig.backupCodeCount);
+    user.twoFactor.backupCodes = backupCodes.map(backupCode => hashToken(normalizeBackupCode(backupCode)));
+    await user.save();
+
+    await AuditLog.record(req, { entity: 'User', entityId: user._id, action: 'update', description: 'Backup codes regenerated', branch: user.branch });
+
+    res.json({
+      message: 'Backup codes regenerated successfully',
+      backupCodes
+    });
+  } catch (error) {
+    console.error('Regenerate backup codes error:', error);
+    res.status(500).json({ message: 'Server error regenerating backup codes' });
+  }
+});
+
 // @route   GET /api/auth/branches
 // @desc    Get available branches for a user
 // @access  Public
@@ -118,7 +445,7 @@ router.get('/branches', async (req, res) => {
     const user = await User.findOne({ 
       username: username.toLowerCase(),
       isActive: true 
-    }).populate('branch', 'name isActive');
+    }).populate('branch', 'name isActive').populate('branches.branch', 'name isActive');
 
     if (!user) {
       return res.json([]);
@@ -132,15 +459,15 @@ router.get('/branches', async (req, res) => {
         name: branch.name
       })));
     } else {
-      // Other users can only access their assigned branch
-      if (user.branch && user.branch.isActive) {
-        return res.json([{
-          id: user.branch._id,
-          name: user.branch.name
-        }]);
-      } else {
-        return res.json([]);
-      }
+      // Other users can only access their assigned branches
+      const branches = user.getBranchAssignments()
+        .filter(assignment => assignment.branch && assignment.branch.isActive)
+        .map(assignment => ({
+          id: assignment.branch._id,
+          name: assignment.branch.name
+        }));
+
+      return res.json(branches);
     }
   } catch (error) {
     console.error('Branches fetch error:', error);
@@ -153,6 +480,16 @@ router.get('/branches', async (req, res) => {
 // @access  Private
 router.get('/me', authenticateToken, async (req, res) => {
   try {
+    // Branches the user can switch to (req.user holds the selected branch and role)
+    let assignments = [];
+    if (req.user.role !== 'superAdmin') {
+      const user = await User.findById(req.user._id)
+        .populate('branch', 'name isActive')
+        .populate('branches.branch', 'name isActive');
+      assignments = user.getBranchAssignments()
+        .filter(assignment => assignment.branch && assignment.branch.isActive);
+    }
+
     res.json({
       user: {
         id: req.user._id,
@@ -164,7 +501,13 @@ router.get('/me', authenticateToken, async (req, res) => {
           id: req.user.branch._id,
           name: req.user.branch.name
         } : null,
-        lastLogin: req.user.lastLogin
+        branches: assignments.map(assignment => ({
+          id: assignment.branch._id,
+          name: assignment.branch.name,
+          role: assignment.role
+        })),
+        lastLogin: req.user.lastLogin,
+        twoFactorEnabled: req.user.twoFactor.enabled
       }
     });
   } catch (error) {
@@ -173,13 +516,126 @@ router.get('/me', authenticateToken, async (req, res) => {
   }
 });
 
+// @route   POST /api/auth/refresh
+// @desc    Exchange a refresh token for a new access token and refresh token
+// @access  Public
+router.post('/refresh', validationRules.refreshToken, handleValidationErrors, async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    const session = await Session.findByRefreshToken(refreshToken);
+
+    if (!session) {
+      // A rotated token being used again means it was stolen, so end every session of the user
+      const reusedSession = await Session.findByPreviousToken(refreshToken);
+      if (reusedSession) {
+        await Session.revokeAllForUser(reusedSession.user, 'token_reuse');
+        console.warn('Refresh token reuse detected for user:', reusedSession.user.toString());
+      }
+
+      return res.status(401).json({ message: 'Invalid refresh token' });
+    }
+
+    if (!session.isValid) {
+      return res.status(401).json({ message: 'Session has been revoked or expired' });
+    }
+
+    const user = await User.findById(session.user);
+    if (!user || !user.isActive) {
+      await session.revoke('user_deactivated');
+      return res.status(401).json({ message: 'Invalid refresh token' });
+    }
+
+    // Make sure the session branch is still usable
+    if (session.branch) {
+      const branch = await Branch.findById(session.branch);
+      if (!branch || !branch.isActive) {
+        await session.revoke();
+        return res.status(401).json({ message: 'User branch is inactive' });
+      }
+    }
+
+    // The user may have been removed from the branch since the session was opened
+    const role = user.getRoleForBranch(session.branch);
+    if (!role) {
+      await session.revoke();
+      return res.status(401).json({ message: 'Access denied to this branch' });
+    }
+
+    const newRefreshToken = await session.rotate();
+    if (!newRefreshToken) {
+      // Another request already rotated this token
+      return res.status(401).json({ message: 'Invalid refresh token' });
+    }
+
+    const token = generateToken(user._id, role, session.branch, session._id);
+
+    res.json({
+      token,
+      refreshToken: newRefreshToken
+    });
+  } catch (error) {
+    console.error('Refresh token error:', error);
+    res.status(500).json({ message: 'Server error refreshing token' });
+  }
+});
+
+// @route   POST /api/auth/switch-branch
+// @desc    Switch the current session to another assigned branch
+// @access  Private
+router.post('/switch-branch', authenticateToken, validationRules.switchBranch, handleValidationErrors, async (req, res) => {
+  try {
+    const { branchId } = req.body;
+
+    const user = await User.findById(req.user._id);
+    if (!user.getRoleForBranch(branchId)) {
+      return res.status(403).json({ message: 'Access denied to this branch' });
+    }
+
+    const branch = await Branch.findById(branchId);
+    if (!branch || !branch.isActive) {
+      return res.status(400).json({ message: 'Invalid or inactive branch' });
+    }
+
+    const role = user.getRoleForBranch(branch._id);
+    if (isTwoFactorEnforced(role) && !user.twoFactor.enabled) {
+      return res.status(403).json({ message: 'Two-factor authentication must be enabled to work in this branch' });
+    }
+
+    // The session keeps the selected branch so refreshed tokens stay in it
+    await Session.updateOne({ _id: req.sessionId }, { $set: { branch: branch._id } });
+
+    const token = generateToken(user._id, role, branch._id, req.sessionId);
+
+    res.json({
+      message: 'Branch switched successfully',
+      token,
+      user: {
+        id: user._id,
+        fullName: user.fullName,
+        username: user.username,
+        email: user.email,
+        role,
+        branch: {
+          id: branch._id,
+          name: branch.name
+        },
+        twoFactorEnabled: user.twoFactor.enabled
+      }
+    });
+  } catch (error) {
+    console.error('Switch branch error:', error);
+    res.status(500).json({ message: 'Server error switching branch' });
+  }
+});
+
 // @route   POST /api/auth/logout
-// @desc    Logout user (client-side token removal)
+// @desc    Logout user and revoke all of their sessions
 // @access  Private
 router.post('/logout', authenticateToken, async (req, res) => {
   try {
-    // In a JWT implementation, logout is typically handled client-side
-    // by removing the token. Here we just confirm the logout.
+    await Session.revokeAllForUser(req.user._id, 'logout');
+
     res.json({ message: 'Logged out successfully' });
   } catch (error) {
     console.error('Logout error:', error);
@@ -187,6 +643,54 @@ router.post('/logout', authenticateToken, async (req, res) => {
   }
 });
 
+// @route   GET /api/auth/sessions
+// @desc    Get active sessions of the current user
+// @access  Private
+router.get('/sessions', authenticateToken, async (req, res) => {
+  try {
+    const sessions = await Session.findActiveForUser(req.user._id);
+
+    res.json({
+      sessions: sessions.map(session => ({
+        id: session._id,
+        branch: session.branch ? {
+          id: session.branch._id,
+          name: session.branch.name
+        } : null,
+        ip: session.ip,
+        userAgent: session.userAgent,
+        createdAt: session.createdAt,
+        lastUsedAt: session.lastUsedAt,
+        expiresAt: session.expiresAt,
+        current: session._id.toString() === req.sessionId.toString()
+      }))
+    });
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({ message: 'Server error fetching sessions' });
+  }
+});
+
+// @route   DELETE /api/auth/sessions/:id
+// @desc    Revoke one of the current user's sessions
+// @access  Private
+router.delete('/sessions/:id', authenticateToken, validationRules.mongoId, handleValidationErrors, async (req, res) => {
+  try {
+    const session = await Session.findOne({ _id: req.params.id, user: req.user._id });
+
+    if (!session || !session.isValid) {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+
+    await session.revoke('revoked');
+
+    res.json({ message: 'Session revoked successfully' });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({ message: 'Server error revoking session' });
+  }
+});
+
 // @route   POST /api/auth/change-password
 // @desc    Change user password
 // @access  Private
@@ -211,11 +715,94 @@ router.post('/change-password', authenticateToken, [
     user.password = newPassword;
     await user.save();
 
-    res.json({ message: 'Password changed successfully' });
+    await AuditLog.record(req, { entity: 'User', entityId: user._id, action: 'update', description: 'Password changed', branch: user.branch });
+
+    // Sign out everywhere, including the current device
+    await Session.revokeAllForUser(user._id, 'password_change');
+
+    res.json({ message: 'Password changed successfully. Please log in again.' });
   } catch (error) {
     console.error('Change password error:', error);
     res.status(500).json({ message: 'Server error changing password' });
   }
 });
 
+// @route   POST /api/auth/forgot-password
+// @desc    Email a password reset link
+// @access  Public
+router.post('/forgot-password', passwordResetLimiter, validationRules.forgotPassword, handleValidationErrors, async (req, res) => {
+  // Same response whether or not the account exists, so emails cannot be probed
+  const genericResponse = { message: 'If an account exists for this email, a password reset link has been sent.' };
+
+  try {
+    const { email } = req.body;
+
+    const user = await User.findOne({ email: email.toLowerCase(), isActive: true });
+
+    if (!user) {
+      return res.json(genericResponse);
+    }
+
+    const token = await PasswordReset.createForUser(user, req);
+    const resetUrl = `${process.env.FRONTEND_URL || 'http://localhost:3000'}/reset-password?token=${token}`;
+
+    // A failed send must not change the response either, or it would reveal that the account exists
+    try {
+      await sendMail({
+        to: user.email,
+        ...passwordResetEmail(user, resetUrl, PasswordReset.getExpiryMinutes())
+      });
+    } catch (mailError) {
+      console.error('Password reset email error:', mailError);
+    }
+
+    res.json(genericResponse);
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({ message: 'Server error requesting password reset' });
+  }
+});
+
+// @route   POST /api/auth/reset-password
+// @desc    Set a new password using a reset token
+// @access  Public
+router.post('/reset-password', passwordResetLimiter, validationRules.resetPassword, handleValidationErrors, async (req, res) => {
+  try {
+    const { token, newPassword } = req.body;
+
+    const reset = await PasswordReset.consume(token);
+
+    if (!reset) {
+      return res.status(400).json({ message: 'Invalid or expired reset token' });
+    }
+
+    const user = await User.findById(reset.user);
+
+    if (!user || !user.isActive) {
+      return res.status(400).json({ message: 'Invalid or expired reset token' });
+    }
+
+    // Update password
+    user.password = newPassword;
+    await user.save();
+
+    await AuditLog.record(req, { entity: 'User', entityId: user._id, action: 'update', description: 'Password reset by email', actor: user });
+
+    // Existing logins stop working and any lockout is lifted
+    await Session.revokeAllForUser(user._id, 'password_reset');
+    await user.resetFailedLogins();
+
+    try {
+      await sendMail({ to: user.email, ...passwordChangedEmail(user) });
+    } catch (mailError) {
+      console.error('Password changed email error:', mailError);
+    }
+
+    res.json({ message: 'Password has been reset successfully. Please log in with your new password.' });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({ message: 'Server error resetting password' });
+  }
+});
+
 module.exports = router;
@@ -2,8 +2,9 @@ const express = require('express');
 const router = express.Router();
 const Branch = require('../models/Branch');
 const User = require('../models/User');
+const AuditLog = require('../models/AuditLog');
 const { validationRules, handleValidationErrors } = require('../utils/validation');
-const { authenticateToken, requireSuperAdmin } = require('../middleware/auth');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
 
 // @route   GET /api/branches
 // @desc    Get branches (SuperAdmin: all branches, Others: their branch only)
@@ -49,6 +50,10 @@ router.get('/', authenticateToken, async (req, res) => {
           _id: branch._id,
           id: branch._id, // Keep both for compatibility
           name: branch.name,
+          code: branch.code,
+          studentIdFormat: branch.studentIdFormat,
+          closedDayPolicy: branch.closedDayPolicy,
+          attendanceLockHours: branch.attendanceLockHours,
           address: branch.address,
           phone: branch.phone,
           email: branch.email,
@@ -112,7 +117,7 @@ router.get('/active', authenticateToken, async (req, res) => {
 // @route   GET /api/branches/:id
 // @desc    Get single branch
 // @access  Private (SuperAdmin only)
-router.get('/:id', authenticateToken, requireSuperAdmin, validationRules.mongoId, handleValidationErrors, async (req, res) => {
+router.get('/:id', authenticateToken, requirePermission('branches.manage'), validationRules.mongoId, handleValidationErrors, async (req, res) => {
   try {
     const branch = await Branch.findById(req.params.id)
       .populate('createdBy', 'fullName username');
@@ -137,9 +142,9 @@ router.get('/:id', authenticateToken, requireSuperAdmin, validationRules.mongoId
 // @route   POST /api/branches
 // @desc    Create new branch
 // @access  Private (SuperAdmin only)
-router.post('/', authenticateToken, requireSuperAdmin, validationRules.branchCreate, handleValidationErrors, async (req, res) => {
+router.post('/', authenticateToken, requirePermission('branches.manage'), validationRules.branchCreate, handleValidationErrors, async (req, res) => {
   try {
-    const { name } = req.body;
+    const { name, code, studentIdFormat, closedDayPolicy, attendanceLockHours } = req.body;
 
     // Check if branch name already exists
     const existingBranch = await Branch.findOne({ 
@@ -150,14 +155,25 @@ router.post('/', authenticateToken, requireSuperAdmin, validationRules.branchCre
       return res.status(400).json({ message: 'Branch name already exists' });
     }
 
-    // Create new branch
+    // Check if branch code already exists
+    if (code && await Branch.exists({ code: code.trim().toUpperCase() })) {
+      return res.status(400).json({ message: 'Branch code already exists' });
+    }
+
+    // Create new branch (a code is generated from the name when not given)
     const branch = new Branch({
       name: name.trim(),
+      code: code ? code.trim().toUpperCase() : undefined,
+      studentIdFormat: studentIdFormat ? studentIdFormat.trim() : undefined,
+      closedDayPolicy,
+      attendanceLockHours,
       createdBy: req.user._id
     });
 
     await branch.save();
 
+    await AuditLog.record(req, { entity: 'Branch', entityId: branch._id, action: 'create', after: branch, branch: branch._id });
+
     // Populate createdBy field for response
     await branch.populate('createdBy', 'fullName username');
 
@@ -177,12 +193,12 @@ router.post('/', authenticateToken, requireSuperAdmin, validationRules.branchCre
 // @route   PUT /api/branches/:id
 // @desc    Update branch
 // @access  Private (SuperAdmin only)
-router.put('/:id', authenticateToken, requireSuperAdmin, [
+router.put('/:id', authenticateToken, requirePermission('branches.manage'), [
   ...validationRules.mongoId,
   ...validationRules.branchUpdate
 ], handleValidationErrors, async (req, res) => {
   try {
-    const { name, isActive } = req.body;
+    const { name, code, studentIdFormat, closedDayPolicy, attendanceLockHours, isActive } = req.body;
 
     const branch = await Branch.findById(req.params.id);
 
@@ -190,6 +206,8 @@ router.put('/:id', authenticateToken, requireSuperAdmin, [
       return res.status(404).json({ message: 'Branch not found' });
     }
 
+    const before = AuditLog.snapshot(branch);
+
     // Check if new name already exists (excluding current branch)
     if (name && name !== branch.name) {
       const existingBranch = await Branch.findOne({ 
@@ -202,12 +220,30 @@ router.put('/:id', authenticateToken, requireSuperAdmin, [
       }
     }
 
+    // Check if new code already exists (excluding current branch)
+    if (code && code.trim().toUpperCase() !== branch.code) {
+      const existingCode = await Branch.exists({
+        code: code.trim().toUpperCase(),
+        _id: { $ne: req.params.id }
+      });
+
+      if (existingCode) {
+        return res.status(400).json({ message: 'Branch code already exists' });
+      }
+    }
+
     // Update fields
     if (name) branch.name = name.trim();
+    if (code) branch.code = code.trim().toUpperCase();
+    if (studentIdFormat) branch.studentIdFormat = studentIdFormat.trim();
+    if (closedDayPolicy) branch.closedDayPolicy = closedDayPolicy;
+    if (attendanceLockHours !== undefined) branch.attendanceLockHours = attendanceLockHours;
     if (typeof isActive === 'boolean') branch.isActive = isActive;
 
     await branch.save();
 
+    await AuditLog.record(req, { entity: 'Branch', entityId: branch._id, action: 'update', before, after: branch, branch: branch._id });
+
     // Populate createdBy field for response
     await branch.populate('createdBy', 'fullName username');
 
@@ -230,7 +266,7 @@ router.put('/:id', authenticateToken, requireSuperAdmin, [
 // @route   PATCH /api/branches/:id/toggle-status
 // @desc    Toggle branch active status
 // @access  Private (SuperAdmin only)
-router.patch('/:id/toggle-status', authenticateToken, requireSuperAdmin, validationRules.mongoId, handleValidationErrors, async (req, res) => {
+router.patch('/:id/toggle-status', authenticateToken, requirePermission('branches.manage'), validationRules.mongoId, handleValidationErrors, async (req, res) => {
   try {
     const branch = await Branch.findById(req.params.id);
 
@@ -238,9 +274,12 @@ router.patch('/:id/toggle-status', authenticateToken, requireSuperAdmin, validat
       return res.status(404).json({ message: 'Branch not found' });
     }
 
+    const before = AuditLog.snapshot(branch);
     branch.isActive = !branch.isActive;
     await branch.save();
 
+    await AuditLog.record(req, { entity: 'Branch', entityId: branch._id, action: 'update', before, after: branch, branch: branch._id });
+
     res.json({
       message: `Branch ${branch.isActive ? 'activated' : 'deactivated'} successfully`,
       branch: {
@@ -261,7 +300,7 @@ router.patch('/:id/toggle-status', authenticateToken, requireSuperAdmin, validat
 // @route   DELETE /api/branches/:id
 // @desc    Delete branch
 // @access  Private (SuperAdmin only)
-router.delete('/:id', authenticateToken, requireSuperAdmin, validationRules.mongoId, handleValidationErrors, async (req, res) => {
+router.delete('/:id', authenticateToken, requirePermission('branches.manage'), validationRules.mongoId, handleValidationErrors, async (req, res) => {
   try {
     const branch = await Branch.findById(req.params.id);
 
@@ -282,9 +321,12 @@ router.delete('/:id', authenticateToken, requireSuperAdmin, validationRules.mong
     }
 
     // Soft delete by setting isActive to false
+    const before = AuditLog.snapshot(branch);
     branch.isActive = false;
     await branch.save();
 
+    await AuditLog.record(req, { entity: 'Branch', entityId: branch._id, action: 'delete', before, after: branch, branch: branch._id });
+
     res.json({ message: 'Branch deleted successfully' });
   } catch (error) {
     console.error('Delete branch error:', error);
@@ -295,7 +337,7 @@ router.delete('/:id', authenticateToken, requireSuperAdmin, validationRules.mong
 // @route   POST /api/branches/:id/restore
 // @desc    Restore deleted branch
 // @access  Private (SuperAdmin only)
-router.post('/:id/restore', authenticateToken, requireSuperAdmin, validationRules.mongoId, handleValidationErrors, async (req, res) => {
+router.post('/:id/restore', authenticateToken, requirePermission('branches.manage'), validationRules.mongoId, handleValidationErrors, async (req, res) => {
   try {
     const branch = await Branch.findById(req.params.id);
 
@@ -307,9 +349,12 @@ router.post('/:id/restore', authenticateToken, requireSuperAdmin, validationRule
       return res.status(400).json({ message: 'Branch is already active' });
     }
 
+    const before = AuditLog.snapshot(branch);
     branch.isActive = true;
     await branch.save();
 
+    await AuditLog.record(req, { entity: 'Branch', entityId: branch._id, action: 'restore', before, after: branch, branch: branch._id });
+
     res.json({ message: 'Branch restored successfully' });
   } catch (error) {
     console.error('Restore branch error:', error);
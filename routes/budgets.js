@@ -3,17 +3,17 @@ const mongoose = require('mongoose');
 const router = express.Router();
 const Budget = require('../models/Budget');
 const Branch = require('../models/Branch');
+const AuditLog = require('../models/AuditLog');
 const { validationRules, handleValidationErrors } = require('../utils/validation');
 const { 
   authenticateToken, 
-  requireSuperAdmin,
-  requireRole
+  requirePermission
 } = require('../middleware/auth');
 
 // @route   GET /api/budgets
 // @desc    Get all budgets with filtering and pagination
 // @access  Private (SuperAdmin, Admin)
-router.get('/', authenticateToken, requireRole('superAdmin', 'admin'), async (req, res) => {
+router.get('/', authenticateToken, requirePermission('budgets.view'), async (req, res) => {
   try {
     const {
       page = 1,
@@ -89,7 +89,7 @@ router.get('/', authenticateToken, requireRole('superAdmin', 'admin'), async (re
 // @route   GET /api/budgets/statistics
 // @desc    Get budget statistics
 // @access  Private (SuperAdmin, Admin)
-router.get('/statistics', authenticateToken, requireRole('superAdmin', 'admin'), async (req, res) => {
+router.get('/statistics', authenticateToken, requirePermission('budgets.view'), async (req, res) => {
   try {
     const { branchId, period } = req.query;
     
@@ -117,7 +117,7 @@ router.get('/statistics', authenticateToken, requireRole('superAdmin', 'admin'),
 // @route   GET /api/budgets/:id
 // @desc    Get single budget
 // @access  Private (SuperAdmin, Admin)
-router.get('/:id', authenticateToken, requireRole('superAdmin', 'admin'), [
+router.get('/:id', authenticateToken, requirePermission('budgets.view'), [
   ...validationRules.mongoId,
   handleValidationErrors
 ], async (req, res) => {
@@ -152,7 +152,7 @@ router.get('/:id', authenticateToken, requireRole('superAdmin', 'admin'), [
 // @route   POST /api/budgets
 // @desc    Create new budget
 // @access  Private (SuperAdmin only)
-router.post('/', authenticateToken, requireSuperAdmin, [
+router.post('/', authenticateToken, requirePermission('budgets.create'), [
   ...validationRules.budgetCreate,
   handleValidationErrors
 ], async (req, res) => {
@@ -243,6 +243,8 @@ router.post('/', authenticateToken, requireSuperAdmin, [
 
     await budget.save();
 
+    await AuditLog.record(req, { entity: 'Budget', entityId: budget._id, action: 'create', after: budget });
+
     // Update spent amount
     await budget.updateSpentAmount();
 
@@ -272,7 +274,7 @@ router.post('/', authenticateToken, requireSuperAdmin, [
 // @route   PUT /api/budgets/:id
 // @desc    Update budget
 // @access  Private (SuperAdmin only)
-router.put('/:id', authenticateToken, requireSuperAdmin, [
+router.put('/:id', authenticateToken, requirePermission('budgets.update'), [
   ...validationRules.mongoId,
   ...validationRules.budgetUpdate,
   handleValidationErrors
@@ -291,6 +293,8 @@ router.put('/:id', authenticateToken, requireSuperAdmin, [
       return res.status(404).json({ message: 'Budget not found' });
     }
 
+    const before = AuditLog.snapshot(budget);
+
     const {
       category,
       allocated,
@@ -356,6 +360,8 @@ router.put('/:id', authenticateToken, requireSuperAdmin, [
 
     await budget.save();
 
+    await AuditLog.record(req, { entity: 'Budget', entityId: budget._id, action: 'update', before, after: budget });
+
     // Update spent amount
     await budget.updateSpentAmount();
 
@@ -386,7 +392,7 @@ router.put('/:id', authenticateToken, requireSuperAdmin, [
 // @route   DELETE /api/budgets/:id
 // @desc    Delete budget (soft delete)
 // @access  Private (SuperAdmin only)
-router.delete('/:id', authenticateToken, requireSuperAdmin, [
+router.delete('/:id', authenticateToken, requirePermission('budgets.delete'), [
   ...validationRules.mongoId,
   handleValidationErrors
 ], async (req, res) => {
@@ -405,10 +411,13 @@ router.delete('/:id', authenticateToken, requireSuperAdmin, [
     }
 
     // Soft delete
+    const before = AuditLog.snapshot(budget);
     budget.isActive = false;
     budget.updatedBy = req.user._id;
     await budget.save();
 
+    await AuditLog.record(req, { entity: 'Budget', entityId: budget._id, action: 'delete', before, after: budget });
+
     res.json({ message: 'Budget deleted successfully' });
   } catch (error) {
     console.error('Delete budget error:', error);
@@ -419,7 +428,7 @@ router.delete('/:id', authenticateToken, requireSuperAdmin, [
 // @route   POST /api/budgets/:id/refresh
 // @desc    Refresh budget spent amount
 // @access  Private (SuperAdmin, Admin)
-router.post('/:id/refresh', authenticateToken, requireRole('superAdmin', 'admin'), [
+router.post('/:id/refresh', authenticateToken, requirePermission('budgets.refresh'), [
   ...validationRules.mongoId,
   handleValidationErrors
 ], async (req, res) => {
@@ -437,9 +446,13 @@ router.post('/:id/refresh', authenticateToken, requireRole('superAdmin', 'admin'
       return res.status(404).json({ message: 'Budget not found' });
     }
 
+    const before = AuditLog.snapshot(budget);
+
     // Update spent amount
     await budget.updateSpentAmount();
 
+    await AuditLog.record(req, { entity: 'Budget', entityId: budget._id, action: 'update', before, after: budget, description: 'Spent amount refreshed' });
+
     // Populate the response
     await budget.populate([
       { path: 'branch', select: 'name' },
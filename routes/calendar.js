@@ -0,0 +1,340 @@
+const express = require('express');
+const multer = require('multer');
+const router = express.Router();
+const Holiday = require('../models/Holiday');
+const Branch = require('../models/Branch');
+const AuditLog = require('../models/AuditLog');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { validationRules, handleValidationErrors } = require('../utils/validation');
+const { parseEvents } = require('../utils/ical');
+
+// Calendar files are small, so they are read from memory
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 1024 * 1024 // 1MB limit
+  }
+});
+
+// Work out the branch a holiday belongs to: the user's branch, or for superAdmin
+// the requested branch (none for national holidays)
+const resolveHolidayBranch = (req, requestedBranchId) => {
+  if (req.user.role === 'superAdmin') {
+    return { branchId: requestedBranchId || null };
+  }
+
+  const branchId = req.user.branch._id.toString();
+  if (requestedBranchId && requestedBranchId !== branchId) {
+    return { error: 'Cannot manage the calendar of other branches' };
+  }
+  return { branchId };
+};
+
+// Check the user may change a holiday; national holidays are managed by superAdmin only
+const canManageHoliday = (req, holiday) => {
+  if (req.user.role === 'superAdmin') return true;
+  return Boolean(holiday.branch) && holiday.branch.toString() === req.user.branch._id.toString();
+};
+
+// @route   GET /api/calendar/holidays
+// @desc    Get holidays and closures in a date range (defaults to the current year)
+// @access  Private (All authenticated users)
+router.get('/holidays', authenticateToken, requirePermission('calendar.view'), [
+  ...validationRules.holidayQuery,
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const year = new Date().getUTCFullYear();
+    const from = req.query.from || `${year}-01-01`;
+    const to = req.query.to || `${year}-12-31`;
+
+    let holidays;
+    if (req.user.role !== 'superAdmin') {
+      holidays = await Holiday.findForBranch(req.user.branch._id, from, to);
+    } else if (req.query.branchId) {
+      holidays = await Holiday.findForBranch(req.query.branchId, from, to);
+    } else {
+      // SuperAdmin without a branch sees national holidays and every branch closure
+      holidays = await Holiday.find({
+        startDate: { $lte: Holiday.toDay(to) },
+        endDate: { $gte: Holiday.toDay(from) },
+        isActive: true
+      }).sort({ startDate: 1 });
+    }
+
+    await Holiday.populate(holidays, { path: 'branch', select: 'name' });
+
+    res.json({ from, to, holidays });
+  } catch (error) {
+    console.error('Get holidays error:', error);
+    res.status(500).json({ message: 'Server error fetching holidays' });
+  }
+});
+
+// @route   GET /api/calendar/closed-days
+// @desc    Get the days a branch is closed in a date range
+// @access  Private (All authenticated users)
+router.get('/closed-days', authenticateToken, requirePermission('calendar.view'), [
+  ...validationRules.holidayQuery,
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const year = new Date().getUTCFullYear();
+    const from = req.query.from || `${year}-01-01`;
+    const to = req.query.to || `${year}-12-31`;
+    const branchId = req.user.role === 'superAdmin' ? req.query.branchId : req.user.branch._id;
+
+    const closedDays = await Holiday.getClosedDays(branchId, from, to);
+
+    res.json({
+      from,
+      to,
+      closedDays: [...closedDays.entries()]
+        .sort(([a], [b]) => a - b)
+        .map(([day, name]) => ({ date: new Date(day).toISOString().split('T')[0], name }))
+    });
+  } catch (error) {
+    console.error('Get closed days error:', error);
+    res.status(500).json({ message: 'Server error fetching closed days' });
+  }
+});
+
+// @route   POST /api/calendar/holidays
+// @desc    Add a holiday or branch closure
+// @access  Private (SuperAdmin, Admin)
+router.post('/holidays', authenticateToken, requirePermission('calendar.manage'), [
+  ...validationRules.holidayCreate,
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const { name, type, startDate, endDate, branch: requestedBranchId, notes } = req.body;
+
+    const { branchId, error } = resolveHolidayBranch(req, requestedBranchId);
+    if (error) {
+      return res.status(403).json({ message: error });
+    }
+
+    if (branchId) {
+      const branch = await Branch.findById(branchId);
+      if (!branch || !branch.isActive) {
+        return res.status(400).json({ message: 'Invalid or inactive branch' });
+      }
+    }
+
+    const holiday = new Holiday({
+      branch: branchId,
+      name: name.trim(),
+      type: type || (branchId ? 'Branch Closure' : 'Public Holiday'),
+      startDate: Holiday.toDay(startDate),
+      endDate: Holiday.toDay(endDate || startDate),
+      notes,
+      createdBy: req.user._id
+    });
+
+    await holiday.save();
+
+    await AuditLog.record(req, { entity: 'Holiday', entityId: holiday._id, action: 'create', after: holiday });
+
+    res.status(201).json({
+      message: 'Holiday added successfully',
+      holiday
+    });
+  } catch (error) {
+    console.error('Create holiday error:', error);
+    res.status(500).json({ message: 'Server error adding holiday' });
+  }
+});
+
+// @route   POST /api/calendar/holidays/import
+// @desc    Import holidays from an iCalendar (.ics) file, e.g. the national holiday calendar
+// @access  Private (SuperAdmin, Admin)
+router.post('/holidays/import', authenticateToken, requirePermission('calendar.manage'), upload.single('file'), [
+  ...validationRules.holidayImport,
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const { branch: requestedBranchId, type } = req.body;
+    const dryRun = req.body.dryRun === true || req.body.dryRun === 'true';
+
+    const { branchId, error } = resolveHolidayBranch(req, requestedBranchId);
+    if (error) {
+      return res.status(403).json({ message: error });
+    }
+
+    const content = req.file ? req.file.buffer.toString('utf8') : req.body.ics;
+    if (!content || !content.includes('BEGIN:VCALENDAR')) {
+      return res.status(400).json({ message: 'Please upload an iCalendar (.ics) file' });
+    }
+
+    const events = parseEvents(content);
+    if (events.length === 0) {
+      return res.status(400).json({ message: 'No events found in the calendar file' });
+    }
+
+    const results = { created: 0, updated: 0, unchanged: 0, holidays: [] };
+
+    for (const event of events) {
+      const holidayType = type || (/poya/i.test(event.summary) ? 'Poya Day' : (branchId ? 'Branch Closure' : 'Public Holiday'));
+
+      // Re-importing a calendar updates the holidays it created before
+      const existing = event.uid
+        ? await Holiday.findOne({ sourceUid: event.uid, branch: branchId, isActive: true })
+        : await Holiday.findOne({ name: event.summary, startDate: event.startDate, branch: branchId, isActive: true });
+
+      let action = 'create';
+      if (existing) {
+        const unchanged = existing.name === event.summary &&
+          existing.startDate.getTime() === event.startDate.getTime() &&
+          existing.endDate.getTime() === event.endDate.getTime();
+        action = unchanged ? 'unchanged' : 'update';
+      }
+
+      results.holidays.push({
+        name: event.summary,
+        type: existing ? existing.type : holidayType,
+        startDate: event.startDate,
+        endDate: event.endDate,
+        action
+      });
+
+      if (action === 'unchanged') {
+        results.unchanged += 1;
+        continue;
+      }
+
+      if (dryRun) {
+        results[action === 'create' ? 'created' : 'updated'] += 1;
+        continue;
+      }
+
+      if (existing) {
+        const before = AuditLog.snapshot(existing);
+        existing.name = event.summary;
+        existing.startDate = event.startDate;
+        existing.endDate = event.endDate;
+        existing.updatedBy = req.user._id;
+        await existing.save();
+
+        await AuditLog.record(req, { entity: 'Holiday', entityId: existing._id, action: 'update', before, after: existing, description: 'Calendar import' });
+        results.updated += 1;
+      } else {
+        const holiday = new Holiday({
+          branch: branchId,
+          name: event.summary,
+          type: holidayType,
+          startDate: event.startDate,
+          endDate: event.endDate,
+          sourceUid: event.uid,
+          createdBy: req.user._id
+        });
+        await holiday.save();
+
+        await AuditLog.record(req, { entity: 'Holiday', entityId: holiday._id, action: 'create', after: holiday, description: 'Calendar import' });
+        results.created += 1;
+      }
+    }
+
+    res.json({
+      message: dryRun ? 'Calendar checked successfully' : 'Calendar imported successfully',
+      dryRun,
+      ...results
+    });
+  } catch (error) {
+    console.error('Import holidays error:', error);
+    res.status(500).json({ message: 'Server error importing holidays' });
+  }
+});
+
+// @route   PUT /api/calendar/holidays/:id
+// @desc    Update a holiday or branch closure
+// @access  Private (SuperAdmin, Admin)
+router.put('/holidays/:id', authenticateToken, requirePermission('calendar.manage'), [
+  ...validationRules.mongoId,
+  ...validationRules.holidayUpdate,
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const { name, type, startDate, endDate, notes } = req.body;
+
+    const holiday = await Holiday.findById(req.params.id);
+    if (!holiday || !holiday.isActive) {
+      return res.status(404).json({ message: 'Holiday not found' });
+    }
+
+    if (!canManageHoliday(req, holiday)) {
+      return res.status(403).json({ message: 'Access denied to this holiday' });
+    }
+
+    const newStart = startDate ? Holiday.toDay(startDate) : holiday.startDate;
+    const newEnd = endDate ? Holiday.toDay(endDate) : holiday.endDate;
+    if (newEnd < newStart) {
+      return res.status(400).json({ message: 'End date cannot be before start date' });
+    }
+
+    const before = AuditLog.snapshot(holiday);
+
+    if (name) holiday.name = name.trim();
+    if (type) holiday.type = type;
+    holiday.startDate = newStart;
+    holiday.endDate = newEnd;
+    if (notes !== undefined) holiday.notes = notes;
+    holiday.updatedBy = req.user._id;
+
+    await holiday.save();
+
+    await AuditLog.record(req, { entity: 'Holiday', entityId: holiday._id, action: 'update', before, after: holiday });
+
+    res.json({
+      message: 'Holiday updated successfully',
+      holiday
+    });
+  } catch (error) {
+    console.error('Update holiday error:', error);
+    res.status(500).json({ message: 'Server error updating holiday' });
+  }
+});
+
+// @route   DELETE /api/calendar/holidays/:id
+// @desc    Delete a holiday or branch closure (soft delete)
+// @access  Private (SuperAdmin, Admin)
+router.delete('/holidays/:id', authenticateToken, requirePermission('calendar.manage'), [
+  ...validationRules.mongoId,
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const holiday = await Holiday.findById(req.params.id);
+    if (!holiday || !holiday.isActive) {
+      return res.status(404).json({ message: 'Holiday not found' });
+    }
+
+    if (!canManageHoliday(req, holiday)) {
+      return res.status(403).json({ message: 'Access denied to this holiday' });
+    }
+
+    const before = AuditLog.snapshot(holiday);
+    holiday.isActive = false;
+    holiday.updatedBy = req.user._id;
+    await holiday.save();
+
+    await AuditLog.record(req, { entity: 'Holiday', entityId: holiday._id, action: 'delete', before, after: holiday });
+
+    res.json({ message: 'Holiday deleted successfully' });
+  } catch (error) {
+    console.error('Delete holiday error:', error);
+    res.status(500).json({ message: 'Server error deleting holiday' });
+  }
+});
+
+// Error handling middleware for multer
+router.use((error, req, res, next) => {
+  if (error instanceof multer.MulterError) {
+    if (error.code === 'LIMIT_FILE_SIZE') {
+      return res.status(400).json({ message: 'File too large. Maximum size is 1MB.' });
+    }
+    return res.status(400).json({ message: error.message });
+  }
+
+  next(error);
+});
+
+module.exports = router;
@@ -3,11 +3,19 @@ const mongoose = require('mongoose');
 const router = express.Router();
 const Course = require('../models/Course');
 const Branch = require('../models/Branch');
+const Intake = require('../models/Intake');
+const ClassSession = require('../models/ClassSession');
+const Holiday = require('../models/Holiday');
+const Attendance = require('../models/Attendance');
+const AuditLog = require('../models/AuditLog');
+const CalendarFeed = require('../models/CalendarFeed');
 const { validationRules, handleValidationErrors } = require('../utils/validation');
+const { buildCalendar } = require('../utils/ical');
+const { offerFreeSeats } = require('../utils/waitlist');
 const { 
   authenticateToken, 
-  requireSuperAdmin, 
-  requireRole,
+  authenticateCalendarFeed,
+  requirePermission,
   requireBranchAccess,
   validateBranchOwnership 
 } = require('../middleware/auth');
@@ -15,7 +23,7 @@ const {
 // @route   GET /api/courses
 // @desc    Get all courses (SuperAdmin) or branch courses (others)
 // @access  Private (All authenticated users)
-router.get('/', authenticateToken, async (req, res) => {
+router.get('/', authenticateToken, requirePermission('courses.view'), async (req, res) => {
   try {
     const { page = 1, limit = 10, search = '', status = '', branchId = '' } = req.query;
     const skip = (page - 1) * limit;
@@ -104,7 +112,7 @@ router.get('/', authenticateToken, async (req, res) => {
 // @route   GET /api/courses/statistics
 // @desc    Get course statistics
 // @access  Private (All authenticated users)
-router.get('/statistics', authenticateToken, async (req, res) => {
+router.get('/statistics', authenticateToken, requirePermission('courses.view'), async (req, res) => {
   try {
     let branchId = null;
 
@@ -115,7 +123,7 @@ router.get('/statistics', authenticateToken, async (req, res) => {
       branchId = req.query.branchId;
     }
 
-    const statistics = await Course.getStatistics(branchId, req.user.role);
+    const statistics = await Course.getStatistics(branchId, req.user.role, { intakeId: req.query.intakeId });
 
     res.json(statistics);
   } catch (error) {
@@ -127,7 +135,7 @@ router.get('/statistics', authenticateToken, async (req, res) => {
 // @route   GET /api/courses/:id
 // @desc    Get single course
 // @access  Private (All authenticated users)
-router.get('/:id', authenticateToken, [
+router.get('/:id', authenticateToken, requirePermission('courses.view'), [
   ...validationRules.mongoId,
   handleValidationErrors
 ], async (req, res) => {
@@ -170,7 +178,7 @@ router.get('/:id', authenticateToken, [
 // @route   POST /api/courses
 // @desc    Create new course
 // @access  Private (SuperAdmin only)
-router.post('/', authenticateToken, requireSuperAdmin, [
+router.post('/', authenticateToken, requirePermission('courses.create'), [
   ...validationRules.courseCreate,
   handleValidationErrors
 ], async (req, res) => {
@@ -186,6 +194,7 @@ router.post('/', authenticateToken, requireSuperAdmin, [
       nextStart, 
       status, 
       modules,
+      attendanceRules,
       branch 
     } = req.body;
 
@@ -222,12 +231,15 @@ router.post('/', authenticateToken, requireSuperAdmin, [
       nextStart: new Date(nextStart),
       status: status || 'Draft',
       modules: modules || [],
+      attendanceRules,
       branch: branch,
       createdBy: req.user._id
     });
 
     await course.save();
 
+    await AuditLog.record(req, { entity: 'Course', entityId: course._id, action: 'create', after: course });
+
     // Populate the response
     await course.populate('createdBy', 'fullName username');
 
@@ -262,7 +274,7 @@ router.post('/', authenticateToken, requireSuperAdmin, [
 // @route   PUT /api/courses/:id
 // @desc    Update course
 // @access  Private (SuperAdmin only)
-router.put('/:id', authenticateToken, requireSuperAdmin, [
+router.put('/:id', authenticateToken, requirePermission('courses.update'), [
   ...validationRules.mongoId,
   ...validationRules.courseUpdate,
   handleValidationErrors
@@ -279,6 +291,7 @@ router.put('/:id', authenticateToken, requireSuperAdmin, [
       nextStart,
       status,
       modules,
+      attendanceRules,
       branch
     } = req.body;
 
@@ -288,6 +301,9 @@ router.put('/:id', authenticateToken, requireSuperAdmin, [
       return res.status(404).json({ message: 'Course not found' });
     }
 
+    const before = AuditLog.snapshot(course);
+    const previousMaxStudents = course.maxStudents;
+
     // If branch is being changed, verify it exists (unless it's 'all')
     if (branch && branch !== course.branch.toString()) {
       if (branch !== 'all') {
@@ -324,10 +340,23 @@ router.put('/:id', authenticateToken, requireSuperAdmin, [
     if (nextStart) course.nextStart = new Date(nextStart);
     if (status) course.status = status;
     if (modules !== undefined) course.modules = modules;
+    if (attendanceRules) {
+      if (attendanceRules.autoLate !== undefined) course.attendanceRules.autoLate = attendanceRules.autoLate;
+      if (attendanceRules.lateGraceMinutes !== undefined) course.attendanceRules.lateGraceMinutes = attendanceRules.lateGraceMinutes;
+      if (attendanceRules.minAttendancePercentage !== undefined) course.attendanceRules.minAttendancePercentage = attendanceRules.minAttendancePercentage;
+      if (attendanceRules.warningMargin !== undefined) course.attendanceRules.warningMargin = attendanceRules.warningMargin;
+    }
     if (branch) course.branch = branch;
 
     await course.save();
 
+    await AuditLog.record(req, { entity: 'Course', entityId: course._id, action: 'update', before, after: course });
+
+    // Offer new places to the waitlist
+    if (course.maxStudents > previousMaxStudents) {
+      await offerFreeSeats(course._id);
+    }
+
     // Populate the response
     await course.populate('createdBy', 'fullName username');
 
@@ -362,7 +391,7 @@ router.put('/:id', authenticateToken, requireSuperAdmin, [
 // @route   DELETE /api/courses/:id
 // @desc    Delete course (soft delete)
 // @access  Private (SuperAdmin only)
-router.delete('/:id', authenticateToken, requireSuperAdmin, [
+router.delete('/:id', authenticateToken, requirePermission('courses.delete'), [
   ...validationRules.mongoId,
   handleValidationErrors
 ], async (req, res) => {
@@ -381,9 +410,12 @@ router.delete('/:id', authenticateToken, requireSuperAdmin, [
     }
 
     // Soft delete
+    const before = AuditLog.snapshot(course);
     course.isActive = false;
     await course.save();
 
+    await AuditLog.record(req, { entity: 'Course', entityId: course._id, action: 'delete', before, after: course });
+
     res.json({ message: 'Course deleted successfully' });
   } catch (error) {
     console.error('Delete course error:', error);
@@ -394,7 +426,7 @@ router.delete('/:id', authenticateToken, requireSuperAdmin, [
 // @route   POST /api/courses/:id/restore
 // @desc    Restore deleted course
 // @access  Private (SuperAdmin only)
-router.post('/:id/restore', authenticateToken, requireSuperAdmin, [
+router.post('/:id/restore', authenticateToken, requirePermission('courses.delete'), [
   ...validationRules.mongoId,
   handleValidationErrors
 ], async (req, res) => {
@@ -409,9 +441,12 @@ router.post('/:id/restore', authenticateToken, requireSuperAdmin, [
       return res.status(400).json({ message: 'Course is already active' });
     }
 
+    const before = AuditLog.snapshot(course);
     course.isActive = true;
     await course.save();
 
+    await AuditLog.record(req, { entity: 'Course', entityId: course._id, action: 'restore', before, after: course });
+
     res.json({ message: 'Course restored successfully' });
   } catch (error) {
     console.error('Restore course error:', error);
@@ -419,4 +454,449 @@ router.post('/:id/restore', authenticateToken, requireSuperAdmin, [
   }
 });
 
+// Load an active course for the timetable endpoints and work out the branch they apply to:
+// the user's branch, or for superAdmin the requested branch (required for all-branch courses).
+// Sends the error response and returns null when the course or branch is not usable
+const loadTimetableContext = async (req, res, requestedBranchId, requestedIntakeId) => {
+  const course = await Course.findById(req.params.id);
+  if (!course || !course.isActive) {
+    res.status(404).json({ message: 'Course not found' });
+    return null;
+  }
+
+  let branchId;
+  if (req.user.role !== 'superAdmin') {
+    branchId = req.user.branch._id.toString();
+    if (requestedBranchId && requestedBranchId !== branchId) {
+      res.status(403).json({ message: 'Access denied to this branch' });
+      return null;
+    }
+    if (course.branch !== 'all' && course.branch.toString() !== branchId) {
+      res.status(403).json({ message: 'Access denied to this course' });
+      return null;
+    }
+  } else {
+    branchId = requestedBranchId || (course.branch !== 'all' ? course.branch.toString() : null);
+  }
+
+  let intake = null;
+  if (requestedIntakeId) {
+    intake = await Intake.findById(requestedIntakeId);
+    if (!intake || !intake.isActive || intake.course.toString() !== course._id.toString() ||
+        (branchId && intake.branch.toString() !== branchId)) {
+      res.status(400).json({ message: 'Invalid intake for this course and branch' });
+      return null;
+    }
+    branchId = intake.branch.toString();
+  }
+
+  return { course, branchId, intake };
+};
+
+// @route   PUT /api/courses/:id/session-rules
+// @desc    Set the weekly timetable of a course (or of one of its intakes)
+// @access  Private (SuperAdmin, Admin)
+router.put('/:id/session-rules', authenticateToken, requirePermission('courses.manageSessions'), [
+  ...validationRules.mongoId,
+  ...validationRules.sessionRules,
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const { intake: intakeId, rules } = req.body;
+
+    const context = await loadTimetableContext(req, res, null, intakeId);
+    if (!context) return;
+    const { course, intake } = context;
+
+    const sessionRules = rules.map(rule => ({
+      weekday: rule.weekday,
+      startTime: rule.startTime,
+      endTime: rule.endTime,
+      room: rule.room
+    }));
+
+    if (intake) {
+      const before = AuditLog.snapshot(intake);
+      intake.sessionRules = sessionRules;
+      intake.updatedBy = req.user._id;
+      await intake.save();
+
+      await AuditLog.record(req, { entity: 'Intake', entityId: intake._id, action: 'update', before, after: intake });
+
+      return res.json({
+        message: 'Intake timetable updated successfully',
+        sessionRules: intake.sessionRules
+      });
+    }
+
+    // Courses offered in all branches share one timetable
+    if (req.user.role !== 'superAdmin' && course.branch === 'all') {
+      return res.status(403).json({ message: 'Only super admins can change the timetable of courses offered in all branches' });
+    }
+
+    const before = AuditLog.snapshot(course);
+    course.sessionRules = sessionRules;
+    await course.save();
+
+    await AuditLog.record(req, { entity: 'Course', entityId: course._id, action: 'update', before, after: course });
+
+    res.json({
+      message: 'Course timetable updated successfully',
+      sessionRules: course.sessionRules
+    });
+  } catch (error) {
+    console.error('Update session rules error:', error);
+    res.status(500).json({ message: 'Server error updating timetable' });
+  }
+});
+
+// @route   POST /api/courses/:id/sessions/generate
+// @desc    Generate class sessions from the timetable for a date range
+// @access  Private (SuperAdmin, Admin)
+router.post('/:id/sessions/generate', authenticateToken, requirePermission('courses.manageSessions'), [
+  ...validationRules.mongoId,
+  ...validationRules.sessionGenerate,
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const { intake: intakeId, branch: requestedBranchId, from, to, holidays = [], replace = false } = req.body;
+
+    const context = await loadTimetableContext(req, res, requestedBranchId, intakeId);
+    if (!context) return;
+    const { course, branchId, intake } = context;
+
+    if (!branchId) {
+      return res.status(400).json({ message: 'Branch is required for courses offered in all branches' });
+    }
+
+    const rules = intake && intake.sessionRules.length > 0 ? intake.sessionRules : course.sessionRules;
+    if (rules.length === 0) {
+      return res.status(400).json({ message: 'No timetable has been set for this course' });
+    }
+
+    const target = { course: course._id, intake: intake ? intake._id : null, branch: branchId };
+
+    // Drop generated sessions from the old timetable before creating the new ones
+    let removed = [];
+    if (replace) {
+      removed = await ClassSession.removeGenerated({ ...target, from, to });
+      for (const session of removed) {
+        await AuditLog.record(req, { entity: 'ClassSession', entityId: session._id, action: 'delete', before: AuditLog.snapshot(session), description: 'Timetable regenerated' });
+      }
+    }
+
+    // Holidays and closures from the branch calendar are cancelled along with the ones given
+    const closedDays = await Holiday.getClosedDays(branchId, from, to);
+    const allHolidays = [
+      ...holidays,
+      ...[...closedDays.entries()].map(([day, name]) => ({ date: new Date(day), name }))
+    ];
+
+    const { created, existing, createdIds } = await ClassSession.generate({
+      ...target,
+      rules,
+      from,
+      to,
+      holidays: allHolidays,
+      userId: req.user._id
+    });
+
+    // Bulk writes skip the model hooks, so each new session is recorded here
+    const createdSessions = await ClassSession.find({ _id: { $in: createdIds } });
+    for (const session of createdSessions) {
+      await AuditLog.record(req, { entity: 'ClassSession', entityId: session._id, action: 'create', after: session, description: 'Timetable generation' });
+    }
+
+    res.json({
+      message: 'Class sessions generated successfully',
+      created,
+      existing,
+      removed: removed.length
+    });
+  } catch (error) {
+    console.error('Generate sessions error:', error);
+    res.status(500).json({ message: 'Server error generating class sessions' });
+  }
+});
+
+// Build the session query of the list and calendar endpoints
+const buildSessionQuery = (course, branchId, query) => {
+  const { from, to, intakeId, status } = query;
+  const sessionQuery = { course: course._id, isActive: true };
+
+  if (branchId) sessionQuery.branch = branchId;
+  if (intakeId) sessionQuery.intake = intakeId;
+  if (status) sessionQuery.status = status;
+
+  if (from || to) {
+    sessionQuery.date = {};
+    if (from) sessionQuery.date.$gte = ClassSession.toDay(from);
+    if (to) sessionQuery.date.$lte = ClassSession.toDay(to);
+  }
+
+  return sessionQuery;
+};
+
+// @route   GET /api/courses/:id/sessions
+// @desc    Get the class sessions of a course
+// @access  Private (All authenticated users)
+router.get('/:id/sessions', authenticateToken, requirePermission('courses.view'), [
+  ...validationRules.mongoId,
+  ...validationRules.sessionQuery,
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const context = await loadTimetableContext(req, res, req.query.branchId, req.query.intakeId);
+    if (!context) return;
+    const { course, branchId } = context;
+
+    const sessions = await ClassSession.find(buildSessionQuery(course, branchId, req.query))
+      .populate('intake', 'name')
+      .populate('branch', 'name')
+      .sort({ date: 1, startTime: 1 })
+      .limit(1000);
+
+    res.json({
+      course: {
+        _id: course._id,
+        title: course.title,
+        sessionRules: course.sessionRules
+      },
+      sessions
+    });
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({ message: 'Server error fetching class sessions' });
+  }
+});
+
+// @route   GET /api/courses/:id/sessions.ics
+// @desc    iCalendar feed of the class sessions of a course (accepts a calendar feed ?token= for calendar apps)
+// @access  Private (All authenticated users)
+router.get('/:id/sessions.ics', authenticateCalendarFeed, requirePermission('courses.view'), [
+  ...validationRules.mongoId,
+  ...validationRules.sessionQuery,
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    // A feed token is bound to the branch and intake it was issued for
+    const feed = req.calendarFeed;
+    const context = feed
+      ? await loadTimetableContext(req, res, feed.branch ? feed.branch.toString() : null, feed.intake ? feed.intake.toString() : null)
+      : await loadTimetableContext(req, res, req.query.branchId, req.query.intakeId);
+    if (!context) return;
+    const { course, branchId } = context;
+
+    // Default to the recent past and the next six months
+    const range = { ...req.query };
+    if (!range.from) {
+      range.from = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000);
+    }
+    if (!range.to) {
+      range.to = new Date(Date.now() + 180 * 24 * 60 * 60 * 1000);
+    }
+
+    if (feed) {
+      range.intakeId = feed.intake;
+    }
+
+    const sessions = await ClassSession.find(buildSessionQuery(course, branchId, range))
+      .populate('intake', 'name')
+      .populate('branch', 'name')
+      .sort({ date: 1, startTime: 1 })
+      .limit(1000);
+
+    const events = sessions.map(session => ({
+      uid: `${session._id}@wintergreen-academy`,
+      day: session.date,
+      startTime: session.startTime,
+      endTime: session.endTime,
+      summary: session.intake ? `${course.title} (${session.intake.name})` : course.title,
+      location: [session.room, session.branch ? session.branch.name : null].filter(Boolean).join(', '),
+      description: session.status === 'Cancelled'
+        ? `Cancelled${session.cancellationReason ? `: ${session.cancellationReason}` : ''}`
+        : session.notes,
+      cancelled: session.status === 'Cancelled',
+      updatedAt: session.updatedAt
+    }));
+
+    const filename = course.title.replace(/[^A-Za-z0-9]+/g, '-').toLowerCase();
+    res.set({
+      'Content-Type': 'text/calendar; charset=utf-8',
+      'Content-Disposition': `inline; filename="${filename}.ics"`
+    });
+    res.send(buildCalendar(course.title, events));
+  } catch (error) {
+    console.error('Get sessions calendar error:', error);
+    res.status(500).json({ message: 'Server error building class calendar' });
+  }
+});
+
+// @route   POST /api/courses/:id/calendar-feed
+// @desc    Issue a calendar subscription link for the class sessions of a course
+// @access  Private (All authenticated users)
+router.post('/:id/calendar-feed', authenticateToken, requirePermission('courses.view'), [
+  ...validationRules.mongoId,
+  ...validationRules.calendarFeedCreate,
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const context = await loadTimetableContext(req, res, req.body.branchId, req.body.intakeId);
+    if (!context) return;
+    const { course, branchId, intake } = context;
+
+    // The token is only shown once; the feed follows the access the user keeps in the branch
+    const { feed, token } = await CalendarFeed.createForUser(req.user, course, branchId, intake ? intake._id : null);
+
+    res.status(201).json({
+      message: 'Calendar feed created successfully',
+      feed: {
+        _id: feed._id,
+        course: feed.course,
+        intake: feed.intake,
+        createdAt: feed.createdAt
+      },
+      token,
+      path: `/api/courses/${course._id}/sessions.ics?token=${token}`
+    });
+  } catch (error) {
+    console.error('Create calendar feed error:', error);
+    res.status(500).json({ message: 'Server error creating calendar feed' });
+  }
+});
+
+// @route   DELETE /api/courses/:id/calendar-feed
+// @desc    Revoke the user's calendar subscription links for a course
+// @access  Private (All authenticated users)
+router.delete('/:id/calendar-feed', authenticateToken, [
+  ...validationRules.mongoId,
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const revoked = await CalendarFeed.revokeForUser(req.user._id, req.params.id);
+
+    res.json({
+      message: 'Calendar feeds revoked successfully',
+      revoked
+    });
+  } catch (error) {
+    console.error('Revoke calendar feed error:', error);
+    res.status(500).json({ message: 'Server error revoking calendar feeds' });
+  }
+});
+
+// @route   POST /api/courses/:id/sessions
+// @desc    Add a one-off class session (e.g. a make-up class)
+// @access  Private (SuperAdmin, Admin)
+router.post('/:id/sessions', authenticateToken, requirePermission('courses.manageSessions'), [
+  ...validationRules.mongoId,
+  ...validationRules.sessionCreate,
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const { intake: intakeId, branch: requestedBranchId, date, startTime, endTime, room, notes } = req.body;
+
+    const context = await loadTimetableContext(req, res, requestedBranchId, intakeId);
+    if (!context) return;
+    const { course, branchId, intake } = context;
+
+    if (!branchId) {
+      return res.status(400).json({ message: 'Branch is required for courses offered in all branches' });
+    }
+
+    const session = new ClassSession({
+      course: course._id,
+      intake: intake ? intake._id : null,
+      branch: branchId,
+      date: ClassSession.toDay(date),
+      startTime,
+      endTime,
+      room,
+      notes,
+      isException: true,
+      createdBy: req.user._id
+    });
+
+    await session.save();
+
+    await AuditLog.record(req, { entity: 'ClassSession', entityId: session._id, action: 'create', after: session });
+
+    res.status(201).json({
+      message: 'Class session added successfully',
+      session
+    });
+  } catch (error) {
+    console.error('Create session error:', error);
+    if (error.code === 11000) {
+      return res.status(400).json({ message: 'A class session already starts at this time' });
+    }
+    res.status(500).json({ message: 'Server error adding class session' });
+  }
+});
+
+// @route   PATCH /api/courses/:id/sessions/:sessionId
+// @desc    Reschedule or cancel a class session
+// @access  Private (SuperAdmin, Admin)
+router.patch('/:id/sessions/:sessionId', authenticateToken, requirePermission('courses.manageSessions'), [
+  ...validationRules.mongoId,
+  ...validationRules.sessionUpdate,
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const { date, startTime, endTime, room, status, cancellationReason, notes } = req.body;
+
+    const session = await ClassSession.findById(req.params.sessionId);
+    if (!session || !session.isActive || session.course.toString() !== req.params.id) {
+      return res.status(404).json({ message: 'Class session not found' });
+    }
+
+    // Check access permissions for non-superAdmin users
+    if (req.user.role !== 'superAdmin' &&
+        session.branch.toString() !== req.user.branch._id.toString()) {
+      return res.status(403).json({ message: 'Access denied to this class session' });
+    }
+
+    const newStart = startTime || session.startTime;
+    const newEnd = endTime || session.endTime;
+    if (newEnd <= newStart) {
+      return res.status(400).json({ message: 'End time must be after start time' });
+    }
+
+    // Attendance belongs to the class as it happened, so it cannot be moved or cancelled afterwards
+    const movesClass = (date && ClassSession.toDay(date).getTime() !== session.date.getTime()) ||
+      status === 'Cancelled';
+    if (movesClass && await Attendance.exists({ session: session._id, isActive: true })) {
+      return res.status(400).json({ message: 'Attendance has already been marked for this class session' });
+    }
+
+    const before = AuditLog.snapshot(session);
+
+    if (date) session.date = ClassSession.toDay(date);
+    session.startTime = newStart;
+    session.endTime = newEnd;
+    if (room !== undefined) session.room = room;
+    if (notes !== undefined) session.notes = notes;
+    if (status) session.status = status;
+    if (cancellationReason !== undefined) session.cancellationReason = cancellationReason;
+    if (session.status === 'Scheduled') session.cancellationReason = undefined;
+    session.isException = true;
+    session.updatedBy = req.user._id;
+
+    await session.save();
+
+    await AuditLog.record(req, { entity: 'ClassSession', entityId: session._id, action: 'update', before, after: session });
+
+    res.json({
+      message: 'Class session updated successfully',
+      session
+    });
+  } catch (error) {
+    console.error('Update session error:', error);
+    if (error.code === 11000) {
+      return res.status(400).json({ message: 'A class session already starts at this time' });
+    }
+    res.status(500).json({ message: 'Server error updating class session' });
+  }
+});
+
 module.exports = router;
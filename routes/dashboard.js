@@ -2,7 +2,12 @@ const express = require('express');
 const router = express.Router();
 const User = require('../models/User');
 const Branch = require('../models/Branch');
-const { authenticateToken, requireBranchAccess } = require('../middleware/auth');
+const Activity = require('../models/Activity');
+const Session = require('../models/Session');
+const Role = require('../models/Role');
+const { subscribe } = require('../utils/liveEvents');
+const { validationRules, handleValidationErrors } = require('../utils/validation');
+const { authenticateToken, acceptQueryToken, requireBranchAccess } = require('../middleware/auth');
 
 // @route   GET /api/dashboard/stats
 // @desc    Get dashboard statistics
@@ -157,75 +162,150 @@ router.get('/stats', authenticateToken, async (req, res) => {
 // @route   GET /api/dashboard/recent-activity
 // @desc    Get recent activity for dashboard
 // @access  Private
-router.get('/recent-activity', authenticateToken, async (req, res) => {
+router.get('/recent-activity', authenticateToken, [
+  ...validationRules.pagination,
+  ...validationRules.activityQuery,
+  handleValidationErrors
+], async (req, res) => {
   try {
-    let branchFilter = {};
+    const { page = 1, limit = 15, type = '' } = req.query;
+    const skip = (page - 1) * limit;
+
+    let query = {};
 
     // Determine branch filter based on user role
     if (req.user.role !== 'superAdmin') {
-      branchFilter = { branch: req.user.branch._id };
+      query.branch = req.user.branch._id;
     } else {
       const { branchId } = req.query;
       if (branchId) {
-        branchFilter = { branch: branchId };
+        query.branch = branchId;
       }
     }
 
-    // Get recent user registrations
-    const recentUsers = await User.find({
-      ...branchFilter,
-      isActive: true
-    })
-    .populate('branch', 'name')
-    .populate('createdBy', 'fullName')
-    .sort({ createdAt: -1 })
-    .limit(10)
-    .select('fullName username role createdAt createdBy branch');
+    // One or more types, comma separated
+    if (type) {
+      query.type = { $in: type.split(',').map(item => item.trim()) };
+    }
+
+    const entries = await Activity.find(query)
+      .populate('branch', 'name')
+      .populate('user', 'fullName')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await Activity.countDocuments(query);
 
     // Format activities
-    const activities = recentUsers.map(user => ({
-      id: user._id,
-      type: 'user_registration',
-      message: `New ${user.role} registered: ${user.fullName}`,
+    const activities = entries.map(activity => ({
+      id: activity._id,
+      type: activity.type,
+      message: activity.message,
       details: {
-        username: user.username,
-        role: user.role,
-        branch: user.branch?.name,
-        createdBy: user.createdBy?.fullName
+        ...activity.details,
+        branch: activity.branch?.name,
+        user: activity.user?.fullName
       },
-      timestamp: user.createdAt
+      timestamp: activity.createdAt
     }));
 
-    // Mock additional activities (replace with actual data when available)
-    const mockActivities = [
-      {
-        id: 'mock_1',
-        type: 'payment',
-        message: 'Payment received: LKR 75,000',
-        details: { amount: 75000, student: 'Kasun Perera' },
-        timestamp: new Date(Date.now() - 2 * 60 * 60 * 1000) // 2 hours ago
-      },
-      {
-        id: 'mock_2',
-        type: 'attendance',
-        message: 'Attendance marked for CS101 class',
-        details: { course: 'CS101', present: 28, total: 30 },
-        timestamp: new Date(Date.now() - 4 * 60 * 60 * 1000) // 4 hours ago
+    res.json({
+      activities,
+      pagination: {
+        current: parseInt(page),
+        pages: Math.ceil(total / limit),
+        total,
+        limit: parseInt(limit)
       }
-    ];
-
-    // Combine and sort activities
-    const allActivities = [...activities, ...mockActivities]
-      .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))
-      .slice(0, 15);
-
-    res.json(allActivities);
+    });
   } catch (error) {
     console.error('Get recent activity error:', error);
     res.status(500).json({ message: 'Server error fetching recent activity' });
   }
 });
 
+// How often a comment is sent to keep idle streams open
+const STREAM_HEARTBEAT_INTERVAL = 25 * 1000; // 25 seconds
+
+// Permission needed to receive each type of live event
+const STREAM_EVENT_PERMISSIONS = {
+  student: 'students.view',
+  transaction: 'transactions.view',
+  budget: 'budgets.view',
+  attendance: 'attendance.view'
+};
+
+// @route   GET /api/dashboard/stream
+// @desc    Server-Sent Events stream of student, transaction, attendance and budget changes
+// @access  Private (events of the user's branch that their role may view; superAdmin: all or ?branchId)
+router.get('/stream', acceptQueryToken, authenticateToken, async (req, res) => {
+  // Permissions are resolved once; each event is only sent when the matching view permission is held
+  let allowedTypes;
+  try {
+    const granted = await Role.getPermissions(req.user.role);
+    allowedTypes = Object.keys(STREAM_EVENT_PERMISSIONS)
+      .filter(type => granted.includes(STREAM_EVENT_PERMISSIONS[type]));
+  } catch (error) {
+    console.error('Dashboard stream permissions error:', error);
+    return res.status(500).json({ message: 'Server error opening dashboard stream' });
+  }
+
+  if (allowedTypes.length === 0) {
+    return res.status(403).json({
+      message: 'Insufficient permissions',
+      required: Object.values(STREAM_EVENT_PERMISSIONS),
+      current: req.user.role
+    });
+  }
+
+  let branchId = null;
+  if (req.user.role !== 'superAdmin') {
+    branchId = req.user.branch._id.toString();
+  } else if (req.query.branchId) {
+    branchId = req.query.branchId.toString();
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no' // Disable proxy buffering (nginx)
+  });
+  res.flushHeaders();
+
+  const send = (eventName, data) => {
+    res.write(`event: ${eventName}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  send('ready', { branch: branchId, types: allowedTypes });
+
+  const unsubscribe = subscribe((event) => {
+    if (branchId && event.branch !== branchId) return;
+    if (!allowedTypes.includes(event.type)) return;
+    send(event.type, event);
+  });
+
+  // Heartbeats keep proxies from closing the stream; the session is re-checked each time
+  const heartbeat = setInterval(async () => {
+    try {
+      const session = await Session.findById(req.sessionId);
+      if (!session || !session.isValid) {
+        send('logout', { message: 'Session has been revoked or expired' });
+        return res.end();
+      }
+      res.write(': heartbeat\n\n');
+    } catch (error) {
+      console.error('Dashboard stream heartbeat error:', error);
+    }
+  }, STREAM_HEARTBEAT_INTERVAL);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+});
+
 // @route   GET /api/dashboard/charts/enrollment
 // @desc    Get enrollment trend data for charts
 // @access  Private
@@ -0,0 +1,306 @@
+const express = require('express');
+const router = express.Router();
+const Intake = require('../models/Intake');
+const Course = require('../models/Course');
+const Branch = require('../models/Branch');
+const Student = require('../models/Student');
+const AuditLog = require('../models/AuditLog');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { validationRules, handleValidationErrors } = require('../utils/validation');
+const { offerFreeSeats } = require('../utils/waitlist');
+
+// Load an active intake the user may access, or send the error response
+const findAccessibleIntake = async (req, res) => {
+  const intake = await Intake.findById(req.params.id)
+    .populate('course', 'title price')
+    .populate('branch', 'name')
+    .populate('createdBy', 'fullName username');
+
+  if (!intake || !intake.isActive) {
+    res.status(404).json({ message: 'Intake not found' });
+    return null;
+  }
+
+  // Check access permissions for non-superAdmin users
+  if (req.user.role !== 'superAdmin' &&
+      intake.branch._id.toString() !== req.user.branch._id.toString()) {
+    res.status(403).json({ message: 'Access denied to this intake' });
+    return null;
+  }
+
+  return intake;
+};
+
+// @route   GET /api/intakes
+// @desc    Get intakes, optionally filtered by course and status
+// @access  Private (All authenticated users)
+router.get('/', authenticateToken, requirePermission('intakes.view'), async (req, res) => {
+  try {
+    const { page = 1, limit = 20, courseId = '', branchId = '', status = '' } = req.query;
+    const skip = (page - 1) * limit;
+
+    let searchQuery = { isActive: true };
+
+    if (courseId) {
+      searchQuery.course = courseId;
+    }
+
+    if (status) {
+      searchQuery.status = status;
+    }
+
+    // Branch filter based on user role
+    if (req.user.role === 'superAdmin') {
+      if (branchId) {
+        searchQuery.branch = branchId;
+      }
+    } else {
+      searchQuery.branch = req.user.branch._id;
+    }
+
+    const intakes = await Intake.find(searchQuery)
+      .populate('course', 'title')
+      .populate('branch', 'name')
+      .sort({ startDate: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await Intake.countDocuments(searchQuery);
+
+    res.json({
+      intakes,
+      pagination: {
+        current: parseInt(page),
+        pages: Math.ceil(total / limit),
+        total,
+        limit: parseInt(limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get intakes error:', error);
+    res.status(500).json({ message: 'Server error fetching intakes' });
+  }
+});
+
+// @route   GET /api/intakes/:id
+// @desc    Get single intake
+// @access  Private (All authenticated users)
+router.get('/:id', authenticateToken, requirePermission('intakes.view'), [
+  ...validationRules.mongoId,
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const intake = await findAccessibleIntake(req, res);
+    if (!intake) return;
+
+    res.json(intake);
+  } catch (error) {
+    console.error('Get intake error:', error);
+    res.status(500).json({ message: 'Server error fetching intake' });
+  }
+});
+
+// @route   GET /api/intakes/:id/students
+// @desc    Get the roster of an intake
+// @access  Private (All authenticated users)
+router.get('/:id/students', authenticateToken, requirePermission('intakes.view'), requirePermission('students.view'), [
+  ...validationRules.mongoId,
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const intake = await findAccessibleIntake(req, res);
+    if (!intake) return;
+
+    const students = await Student.find({ intake: intake._id, isActive: true })
+      .select('studentId fullName email phone status enrollmentDate')
+      .sort({ fullName: 1 });
+
+    res.json({
+      intake: {
+        _id: intake._id,
+        name: intake.name,
+        course: intake.course,
+        branch: intake.branch,
+        startDate: intake.startDate,
+        endDate: intake.endDate,
+        capacity: intake.capacity,
+        currentEnrolled: intake.currentEnrolled,
+        status: intake.status
+      },
+      students
+    });
+  } catch (error) {
+    console.error('Get intake roster error:', error);
+    res.status(500).json({ message: 'Server error fetching intake roster' });
+  }
+});
+
+// @route   POST /api/intakes
+// @desc    Create new intake for a course
+// @access  Private (SuperAdmin, Admin)
+router.post('/', authenticateToken, requirePermission('intakes.manage'), [
+  ...validationRules.intakeCreate,
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const {
+      course: courseId,
+      branch: branchId,
+      name,
+      startDate,
+      endDate,
+      capacity,
+      instructor,
+      status
+    } = req.body;
+
+    // Non-superAdmin users can only create intakes for their branch
+    let targetBranchId = branchId;
+    if (req.user.role !== 'superAdmin') {
+      targetBranchId = req.user.branch._id.toString();
+      if (branchId && branchId !== targetBranchId) {
+        return res.status(403).json({ message: 'Cannot create intakes for other branches' });
+      }
+    }
+
+    if (!targetBranchId) {
+      return res.status(400).json({ message: 'Branch is required' });
+    }
+
+    const branch = await Branch.findById(targetBranchId);
+    if (!branch || !branch.isActive) {
+      return res.status(400).json({ message: 'Invalid or inactive branch' });
+    }
+
+    const course = await Course.findById(courseId);
+    if (!course || !course.isActive) {
+      return res.status(400).json({ message: 'Invalid or inactive course' });
+    }
+
+    // Check if course is available for the branch
+    if (course.branch !== 'all' && course.branch.toString() !== targetBranchId) {
+      return res.status(400).json({ message: 'Course not available for this branch' });
+    }
+
+    const intake = new Intake({
+      course: courseId,
+      branch: targetBranchId,
+      name: name.trim(),
+      startDate: new Date(startDate),
+      endDate: new Date(endDate),
+      capacity: parseInt(capacity),
+      instructor: instructor ? instructor.trim() : course.instructor,
+      status: status || 'Planned',
+      createdBy: req.user._id
+    });
+
+    await intake.save();
+
+    await AuditLog.record(req, { entity: 'Intake', entityId: intake._id, action: 'create', after: intake });
+
+    await intake.populate([
+      { path: 'course', select: 'title' },
+      { path: 'branch', select: 'name' }
+    ]);
+
+    res.status(201).json({
+      message: 'Intake created successfully',
+      intake
+    });
+  } catch (error) {
+    console.error('Create intake error:', error);
+    res.status(500).json({ message: 'Server error creating intake' });
+  }
+});
+
+// @route   PUT /api/intakes/:id
+// @desc    Update intake
+// @access  Private (SuperAdmin, Admin)
+router.put('/:id', authenticateToken, requirePermission('intakes.manage'), [
+  ...validationRules.mongoId,
+  ...validationRules.intakeUpdate,
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const { name, startDate, endDate, capacity, instructor, status } = req.body;
+
+    const intake = await findAccessibleIntake(req, res);
+    if (!intake) return;
+
+    const before = AuditLog.snapshot(intake);
+    const wasOpen = intake.isOpenForEnrollment();
+    const previousCapacity = intake.capacity;
+
+    const newStart = startDate ? new Date(startDate) : intake.startDate;
+    const newEnd = endDate ? new Date(endDate) : intake.endDate;
+    if (newEnd <= newStart) {
+      return res.status(400).json({ message: 'End date must be after start date' });
+    }
+
+    // Capacity cannot drop below the students already enrolled
+    if (capacity !== undefined && parseInt(capacity) < intake.currentEnrolled) {
+      return res.status(400).json({
+        message: `Capacity cannot be less than the ${intake.currentEnrolled} enrolled student(s)`
+      });
+    }
+
+    if (name) intake.name = name.trim();
+    intake.startDate = newStart;
+    intake.endDate = newEnd;
+    if (capacity !== undefined) intake.capacity = parseInt(capacity);
+    if (instructor !== undefined) intake.instructor = instructor.trim();
+    if (status) intake.status = status;
+    intake.updatedBy = req.user._id;
+
+    await intake.save();
+
+    await AuditLog.record(req, { entity: 'Intake', entityId: intake._id, action: 'update', before, after: intake });
+
+    // Offer new places (or places in a reopened intake) to the waitlist
+    if (intake.capacity > previousCapacity || (!wasOpen && intake.isOpenForEnrollment())) {
+      await offerFreeSeats(intake.course._id, intake._id);
+    }
+
+    res.json({
+      message: 'Intake updated successfully',
+      intake
+    });
+  } catch (error) {
+    console.error('Update intake error:', error);
+    res.status(500).json({ message: 'Server error updating intake' });
+  }
+});
+
+// @route   DELETE /api/intakes/:id
+// @desc    Delete intake (soft delete)
+// @access  Private (SuperAdmin, Admin)
+router.delete('/:id', authenticateToken, requirePermission('intakes.manage'), [
+  ...validationRules.mongoId,
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const intake = await findAccessibleIntake(req, res);
+    if (!intake) return;
+
+    // Check if intake has enrolled students
+    if (intake.currentEnrolled > 0) {
+      return res.status(400).json({
+        message: `Cannot delete intake. It has ${intake.currentEnrolled} enrolled student(s). Please move them to another intake first.`
+      });
+    }
+
+    const before = AuditLog.snapshot(intake);
+    intake.isActive = false;
+    intake.updatedBy = req.user._id;
+    await intake.save();
+
+    await AuditLog.record(req, { entity: 'Intake', entityId: intake._id, action: 'delete', before, after: intake });
+
+    res.json({ message: 'Intake deleted successfully' });
+  } catch (error) {
+    console.error('Delete intake error:', error);
+    res.status(500).json({ message: 'Server error deleting intake' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,379 @@
+const express = require('express');
+const router = express.Router();
+const LeaveRequest = require('../models/LeaveRequest');
+const Student = require('../models/Student');
+const Attendance = require('../models/Attendance');
+const AttendanceVersion = require('../models/AttendanceVersion');
+const Notification = require('../models/Notification');
+const AuditLog = require('../models/AuditLog');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { validationRules, handleValidationErrors } = require('../utils/validation');
+const { checkAttendanceAlerts } = require('../utils/attendanceAlerts');
+const { checkLockedRecords } = require('../utils/attendanceLock');
+
+// Load a leave request the user may see; returns { leave } or { status, message }
+const findAccessibleLeave = async (req) => {
+  const leave = await LeaveRequest.findById(req.params.id);
+
+  if (!leave) {
+    return { status: 404, message: 'Leave request not found' };
+  }
+
+  if (req.user.role !== 'superAdmin' && leave.branch.toString() !== req.user.branch._id.toString()) {
+    return { status: 403, message: 'Access denied to this leave request' };
+  }
+
+  return { leave };
+};
+
+// Absences already recorded during a leave (excused when it is approved)
+const findRecordedAbsences = (leave) => {
+  return Attendance.find({
+    student: leave.student,
+    course: leave.course,
+    date: { $gte: leave.startDate, $lte: leave.endDate },
+    status: 'Absent',
+    isActive: true
+  });
+};
+
+// Records excused by a leave (absences again when it is cancelled)
+const findExcusedAbsences = (leave) => {
+  return Attendance.find({ leaveRequest: leave._id, status: 'Excused', isActive: true });
+};
+
+// Mark absences already recorded during approved leave as Excused
+// Returns the number of records changed
+const excuseRecordedAbsences = async (req, leave, records) => {
+  for (const record of records) {
+    const before = AuditLog.snapshot(record);
+    record.status = 'Excused';
+    record.leaveRequest = leave._id;
+    if (!record.notes) record.notes = `Approved leave: ${leave.reason}`.slice(0, 500);
+    record.lastModifiedBy = req.user._id;
+    await record.save();
+
+    await AuditLog.record(req, { entity: 'Attendance', entityId: record._id, action: 'update', before, after: record, description: 'Leave approved' });
+    await AttendanceVersion.record(record, { action: 'update', user: req.user, description: 'Leave approved', before });
+  }
+
+  return records.length;
+};
+
+// Turn records excused by a leave that is cancelled back into absences
+// Returns the number of records changed
+const revertExcusedAbsences = async (req, leave, records) => {
+  for (const record of records) {
+    const before = AuditLog.snapshot(record);
+    record.status = 'Absent';
+    record.leaveRequest = null;
+    if (record.notes && record.notes.startsWith('Approved leave:')) record.notes = undefined;
+    record.lastModifiedBy = req.user._id;
+    await record.save();
+
+    await AuditLog.record(req, { entity: 'Attendance', entityId: record._id, action: 'update', before, after: record, description: 'Leave cancelled' });
+    await AttendanceVersion.record(record, { action: 'update', user: req.user, description: 'Leave cancelled', before });
+  }
+
+  return records.length;
+};
+
+// @route   GET /api/leave-requests
+// @desc    Get leave requests with filtering
+// @access  Private (All authenticated users)
+router.get('/', authenticateToken, requirePermission('leave.view'), [
+  ...validationRules.pagination,
+  ...validationRules.leaveQuery,
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status, studentId, courseId, branchId, from, to } = req.query;
+    const skip = (page - 1) * limit;
+
+    const query = {};
+    if (req.user.role === 'superAdmin') {
+      if (branchId) query.branch = branchId;
+    } else {
+      query.branch = req.user.branch._id;
+    }
+    if (status) query.status = status;
+    if (studentId) query.student = studentId;
+    if (courseId) query.course = courseId;
+
+    // Leave overlapping the requested range
+    if (from) query.endDate = { $gte: LeaveRequest.toDay(from) };
+    if (to) query.startDate = { $lte: LeaveRequest.toDay(to) };
+
+    const leaveRequests = await LeaveRequest.find(query)
+      .populate('student', 'studentId fullName')
+      .populate('course', 'title')
+      .populate('branch', 'name')
+      .populate('requestedBy', 'fullName username')
+      .populate('reviewedBy', 'fullName username')
+      .sort({ startDate: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await LeaveRequest.countDocuments(query);
+
+    res.json({
+      leaveRequests,
+      pagination: {
+        current: parseInt(page),
+        pages: Math.ceil(total / limit),
+        total,
+        limit: parseInt(limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get leave requests error:', error);
+    res.status(500).json({ message: 'Server error fetching leave requests' });
+  }
+});
+
+// @route   GET /api/leave-requests/:id
+// @desc    Get a single leave request
+// @access  Private (All authenticated users)
+router.get('/:id', authenticateToken, requirePermission('leave.view'), [
+  ...validationRules.mongoId,
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const { leave, status, message } = await findAccessibleLeave(req);
+    if (!leave) {
+      return res.status(status).json({ message });
+    }
+
+    await leave.populate([
+      { path: 'student', select: 'studentId fullName' },
+      { path: 'course', select: 'title' },
+      { path: 'branch', select: 'name' },
+      { path: 'requestedBy', select: 'fullName username' },
+      { path: 'reviewedBy', select: 'fullName username' }
+    ]);
+
+    res.json({ leaveRequest: leave });
+  } catch (error) {
+    console.error('Get leave request error:', error);
+    res.status(500).json({ message: 'Server error fetching leave request' });
+  }
+});
+
+// @route   POST /api/leave-requests
+// @desc    Record a leave request for a student
+// @access  Private (SuperAdmin, Admin, Moderator)
+router.post('/', authenticateToken, requirePermission('leave.create'), [
+  ...validationRules.leaveCreate,
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const { student: studentId, startDate, endDate, reason, document } = req.body;
+
+    const student = await Student.findById(studentId);
+    if (!student || !student.isActive) {
+      return res.status(404).json({ message: 'Student not found' });
+    }
+
+    if (req.user.role !== 'superAdmin' && student.branch.toString() !== req.user.branch._id.toString()) {
+      return res.status(403).json({ message: 'Access denied to this student' });
+    }
+
+    const overlapping = await LeaveRequest.findOverlapping(student._id, startDate, endDate);
+    if (overlapping) {
+      return res.status(409).json({ message: 'The student already has leave requested for some of these days' });
+    }
+
+    const leave = new LeaveRequest({
+      student: student._id,
+      course: student.course,
+      branch: student.branch,
+      startDate: LeaveRequest.toDay(startDate),
+      endDate: LeaveRequest.toDay(endDate),
+      reason,
+      document: document && document.url ? {
+        name: document.name,
+        url: document.url,
+        publicId: document.publicId,
+        type: document.type
+      } : undefined,
+      requestedBy: req.user._id
+    });
+
+    await leave.save();
+
+    await AuditLog.record(req, { entity: 'LeaveRequest', entityId: leave._id, action: 'create', after: leave });
+
+    await Notification.notifyBranchAdmins({
+      branch: leave.branch,
+      type: 'leave_request',
+      title: 'Leave request to review',
+      message: `Leave for ${student.fullName} (${student.studentId}) from ${leave.startDate.toISOString().split('T')[0]} to ${leave.endDate.toISOString().split('T')[0]} is waiting for approval`,
+      data: {
+        leaveRequest: leave._id,
+        student: student._id
+      }
+    });
+
+    res.status(201).json({
+      message: 'Leave request recorded successfully',
+      leaveRequest: leave
+    });
+  } catch (error) {
+    console.error('Create leave request error:', error);
+    res.status(500).json({ message: 'Server error recording leave request' });
+  }
+});
+
+// @route   POST /api/leave-requests/:id/approve
+// @desc    Approve a leave request; absences already recorded for those days become Excused
+// @access  Private (SuperAdmin, Admin)
+router.post('/:id/approve', authenticateToken, requirePermission('leave.approve'), [
+  ...validationRules.mongoId,
+  ...validationRules.leaveReview,
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const { leave, status, message } = await findAccessibleLeave(req);
+    if (!leave) {
+      return res.status(status).json({ message });
+    }
+
+    if (leave.status !== 'pending') {
+      return res.status(400).json({ message: 'Only pending leave requests can be approved' });
+    }
+
+    // Requests are checked by someone other than the person who made them
+    if (req.user.role !== 'superAdmin' && leave.requestedBy.toString() === req.user._id.toString()) {
+      return res.status(403).json({ message: 'You cannot approve your own leave request' });
+    }
+
+    // Approval rewrites recorded absences, so locked days need the correction approval permission
+    const absences = await findRecordedAbsences(leave);
+    const lockError = await checkLockedRecords(req.user, absences);
+    if (lockError) {
+      return res.status(403).json({ message: lockError });
+    }
+
+    // Claim the request before touching attendance, so a concurrent review or cancellation cannot overlap it
+    const before = AuditLog.snapshot(leave);
+    const approved = await LeaveRequest.changeStatus(leave._id, 'pending', {
+      status: 'approved',
+      reviewedBy: req.user._id,
+      reviewedAt: new Date(),
+      reviewNotes: req.body.reviewNotes
+    });
+    if (!approved) {
+      return res.status(409).json({ message: 'This leave request has already been reviewed or cancelled' });
+    }
+
+    await AuditLog.record(req, { entity: 'LeaveRequest', entityId: leave._id, action: 'update', before, after: approved });
+
+    const excusedRecords = await excuseRecordedAbsences(req, approved, absences);
+    if (excusedRecords > 0) {
+      await checkAttendanceAlerts([{ student: leave.student, course: leave.course }]);
+    }
+
+    res.json({
+      message: 'Leave request approved successfully',
+      leaveRequest: approved,
+      excusedRecords
+    });
+  } catch (error) {
+    console.error('Approve leave request error:', error);
+    res.status(500).json({ message: 'Server error approving leave request' });
+  }
+});
+
+// @route   POST /api/leave-requests/:id/reject
+// @desc    Reject a leave request
+// @access  Private (SuperAdmin, Admin)
+router.post('/:id/reject', authenticateToken, requirePermission('leave.approve'), [
+  ...validationRules.mongoId,
+  ...validationRules.leaveReview,
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const { leave, status, message } = await findAccessibleLeave(req);
+    if (!leave) {
+      return res.status(status).json({ message });
+    }
+
+    if (leave.status !== 'pending') {
+      return res.status(400).json({ message: 'Only pending leave requests can be rejected' });
+    }
+
+    const before = AuditLog.snapshot(leave);
+    const rejected = await LeaveRequest.changeStatus(leave._id, 'pending', {
+      status: 'rejected',
+      reviewedBy: req.user._id,
+      reviewedAt: new Date(),
+      reviewNotes: req.body.reviewNotes
+    });
+    if (!rejected) {
+      return res.status(409).json({ message: 'This leave request has already been reviewed or cancelled' });
+    }
+
+    await AuditLog.record(req, { entity: 'LeaveRequest', entityId: leave._id, action: 'update', before, after: rejected });
+
+    res.json({
+      message: 'Leave request rejected',
+      leaveRequest: rejected
+    });
+  } catch (error) {
+    console.error('Reject leave request error:', error);
+    res.status(500).json({ message: 'Server error rejecting leave request' });
+  }
+});
+
+// @route   POST /api/leave-requests/:id/cancel
+// @desc    Cancel a leave request; days already excused by approved leave become absences again
+// @access  Private (SuperAdmin, Admin, Moderator)
+router.post('/:id/cancel', authenticateToken, requirePermission('leave.create'), [
+  ...validationRules.mongoId,
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const { leave, status, message } = await findAccessibleLeave(req);
+    if (!leave) {
+      return res.status(status).json({ message });
+    }
+
+    if (leave.status !== 'pending' && leave.status !== 'approved') {
+      return res.status(400).json({ message: 'Only pending or approved leave requests can be cancelled' });
+    }
+
+    const wasApproved = leave.status === 'approved';
+
+    // Cancelling approved leave turns excused days back into absences, which locked days do not allow
+    const excused = wasApproved ? await findExcusedAbsences(leave) : [];
+    const lockError = await checkLockedRecords(req.user, excused);
+    if (lockError) {
+      return res.status(403).json({ message: lockError });
+    }
+
+    // Cancel only from the status that was checked, so an approval cannot land in between
+    const before = AuditLog.snapshot(leave);
+    const cancelled = await LeaveRequest.changeStatus(leave._id, leave.status, { status: 'cancelled' });
+    if (!cancelled) {
+      return res.status(409).json({ message: 'This leave request was reviewed or cancelled meanwhile; reload and try again' });
+    }
+
+    await AuditLog.record(req, { entity: 'LeaveRequest', entityId: leave._id, action: 'update', before, after: cancelled });
+
+    const revertedRecords = wasApproved ? await revertExcusedAbsences(req, cancelled, excused) : 0;
+    if (revertedRecords > 0) {
+      await checkAttendanceAlerts([{ student: leave.student, course: leave.course }]);
+    }
+
+    res.json({
+      message: 'Leave request cancelled successfully',
+      leaveRequest: cancelled,
+      revertedRecords
+    });
+  } catch (error) {
+    console.error('Cancel leave request error:', error);
+    res.status(500).json({ message: 'Server error cancelling leave request' });
+  }
+});
+
+module.exports = router;
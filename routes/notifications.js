@@ -0,0 +1,113 @@
+const express = require('express');
+const router = express.Router();
+const Notification = require('../models/Notification');
+const AuditLog = require('../models/AuditLog');
+const { validationRules, handleValidationErrors } = require('../utils/validation');
+const { authenticateToken } = require('../middleware/auth');
+
+// @route   GET /api/notifications
+// @desc    Get the signed-in user's notifications (newest first)
+// @access  Private (All authenticated users)
+router.get('/', authenticateToken, [
+  ...validationRules.pagination,
+  ...validationRules.notificationQuery,
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const { page = 1, limit = 20, unread } = req.query;
+    const skip = (page - 1) * limit;
+
+    const query = { recipient: req.user._id };
+    if (unread === 'true') {
+      query.readAt = null;
+    }
+
+    const notifications = await Notification.find(query)
+      .populate('branch', 'name')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const [total, unreadCount] = await Promise.all([
+      Notification.countDocuments(query),
+      Notification.countDocuments({ recipient: req.user._id, readAt: null })
+    ]);
+
+    res.json({
+      notifications,
+      unreadCount,
+      pagination: {
+        current: parseInt(page),
+        pages: Math.ceil(total / limit),
+        total,
+        limit: parseInt(limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get notifications error:', error);
+    res.status(500).json({ message: 'Server error fetching notifications' });
+  }
+});
+
+// @route   PATCH /api/notifications/read-all
+// @desc    Mark all of the signed-in user's notifications as read
+// @access  Private (All authenticated users)
+router.patch('/read-all', authenticateToken, async (req, res) => {
+  try {
+    const result = await Notification.updateMany(
+      { recipient: req.user._id, readAt: null },
+      { $set: { readAt: new Date() } }
+    );
+
+    if (result.modifiedCount > 0) {
+      await AuditLog.record(req, {
+        entity: 'Notification',
+        entityId: req.user._id,
+        action: 'update',
+        description: `${result.modifiedCount} notification(s) marked as read`
+      });
+    }
+
+    res.json({
+      message: 'Notifications marked as read',
+      modifiedCount: result.modifiedCount
+    });
+  } catch (error) {
+    console.error('Mark all notifications read error:', error);
+    res.status(500).json({ message: 'Server error updating notifications' });
+  }
+});
+
+// @route   PATCH /api/notifications/:id/read
+// @desc    Mark a notification as read
+// @access  Private (recipient only)
+router.patch('/:id/read', authenticateToken, [
+  ...validationRules.mongoId,
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const notification = await Notification.findOne({ _id: req.params.id, recipient: req.user._id });
+
+    if (!notification) {
+      return res.status(404).json({ message: 'Notification not found' });
+    }
+
+    if (!notification.readAt) {
+      const before = AuditLog.snapshot(notification);
+      notification.readAt = new Date();
+      await notification.save();
+
+      await AuditLog.record(req, { entity: 'Notification', entityId: notification._id, action: 'update', before, after: notification });
+    }
+
+    res.json({
+      message: 'Notification marked as read',
+      notification
+    });
+  } catch (error) {
+    console.error('Mark notification read error:', error);
+    res.status(500).json({ message: 'Server error updating notification' });
+  }
+});
+
+module.exports = router;
@@ -7,7 +7,9 @@ const Course = require('../models/Course');
 const Transaction = require('../models/Transaction');
 const Budget = require('../models/Budget');
 const Attendance = require('../models/Attendance');
-const { authenticateToken } = require('../middleware/auth');
+const Holiday = require('../models/Holiday');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { validationRules, handleValidationErrors } = require('../utils/validation');
 const XLSX = require('xlsx');
 
 // Helper function to determine branch filter based on user role
@@ -54,10 +56,64 @@ const getDateRangeFilter = (req) => {
   return dateFilter;
 };
 
+// Helper function to calculate the attendance rate between two days
+// Present and Late count as attended; Excused records and days the branch was closed are left out
+const getAttendanceRate = async (branchFilter, from, to) => {
+  const mongoose = require('mongoose');
+  const matchQuery = {
+    isActive: true,
+    status: { $ne: 'Excused' },
+    date: { $gte: from, $lte: to }
+  };
+
+  if (branchFilter.branch) {
+    matchQuery.branch = new mongoose.Types.ObjectId(branchFilter.branch.toString());
+  }
+
+  const days = await Attendance.aggregate([
+    { $match: matchQuery },
+    {
+      $group: {
+        _id: { branch: '$branch', date: '$date' },
+        total: { $sum: 1 },
+        attended: {
+          $sum: { $cond: [{ $in: ['$status', ['Present', 'Late']] }, 1, 0] }
+        }
+      }
+    }
+  ]);
+
+  const closedDaysByBranch = new Map();
+  let total = 0;
+  let attended = 0;
+  let excludedRecords = 0;
+
+  for (const day of days) {
+    const branchKey = day._id.branch.toString();
+    if (!closedDaysByBranch.has(branchKey)) {
+      closedDaysByBranch.set(branchKey, await Holiday.getClosedDays(day._id.branch, from, to));
+    }
+
+    if (closedDaysByBranch.get(branchKey).has(Holiday.toDay(day._id.date).getTime())) {
+      excludedRecords += day.total;
+      continue;
+    }
+
+    total += day.total;
+    attended += day.attended;
+  }
+
+  return {
+    rate: total > 0 ? Math.round((attended / total) * 1000) / 10 : 0,
+    records: total,
+    excludedRecords
+  };
+};
+
 // @route   GET /api/reports/comprehensive
 // @desc    Get comprehensive report data
 // @access  Private
-router.get('/comprehensive', authenticateToken, async (req, res) => {
+router.get('/comprehensive', authenticateToken, requirePermission('reports.view', 'reports.financial'), async (req, res) => {
   try {
     const branchFilter = getBranchFilter(req);
     const dateFilter = getDateRangeFilter(req);
@@ -205,7 +261,7 @@ router.get('/comprehensive', authenticateToken, async (req, res) => {
 // @route   GET /api/reports/student-performance
 // @desc    Get student performance report
 // @access  Private
-router.get('/student-performance', authenticateToken, async (req, res) => {
+router.get('/student-performance', authenticateToken, requirePermission('reports.view'), async (req, res) => {
   try {
     const branchId = req.user.role === 'superAdmin' ? req.query.branchId : req.user.branch._id.toString();
     
@@ -236,7 +292,7 @@ router.get('/student-performance', authenticateToken, async (req, res) => {
 // @route   GET /api/reports/financial-summary
 // @desc    Get financial summary report
 // @access  Private
-router.get('/financial-summary', authenticateToken, async (req, res) => {
+router.get('/financial-summary', authenticateToken, requirePermission('reports.view', 'reports.financial'), async (req, res) => {
   try {
     const branchId = req.user.role === 'superAdmin' ? req.query.branchId : req.user.branch._id.toString();
     
@@ -273,17 +329,30 @@ router.get('/financial-summary', authenticateToken, async (req, res) => {
 // @route   GET /api/reports/attendance-summary
 // @desc    Get attendance summary report
 // @access  Private
-router.get('/attendance-summary', authenticateToken, async (req, res) => {
+router.get('/attendance-summary', authenticateToken, requirePermission('reports.view'), async (req, res) => {
   try {
     const branchFilter = getBranchFilter(req);
-    
-    // Get attendance statistics (mock data for now - replace with actual attendance model)
+
+    const today = Holiday.toDay(new Date());
+    const weekStart = new Date(today.getTime() - 6 * 24 * 60 * 60 * 1000);
+    const monthStart = new Date(today.getTime() - 29 * 24 * 60 * 60 * 1000);
+
+    const [todayStats, weeklyStats, monthlyStats, totalStudents, closure] = await Promise.all([
+      getAttendanceRate(branchFilter, today, today),
+      getAttendanceRate(branchFilter, weekStart, today),
+      getAttendanceRate(branchFilter, monthStart, today),
+      Student.countDocuments({ ...branchFilter, isActive: true, status: 'Active' }),
+      Holiday.findClosure(branchFilter.branch || null, today)
+    ]);
+
     const attendanceStats = {
-      todayAttendance: 85.5,
-      weeklyAverage: 87.2,
-      monthlyAverage: 86.8,
-      totalStudents: 233,
-      attendanceTrend: 87.2 > 86.8 ? 'improving' : 'declining',
+      todayAttendance: todayStats.rate,
+      weeklyAverage: weeklyStats.rate,
+      monthlyAverage: monthlyStats.rate,
+      totalStudents,
+      attendanceTrend: weeklyStats.rate >= monthlyStats.rate ? 'improving' : 'declining',
+      closedToday: closure ? closure.name : null,
+      excludedClosedDayRecords: monthlyStats.excludedRecords,
       generatedAt: new Date().toISOString()
     };
 
@@ -294,10 +363,56 @@ router.get('/attendance-summary', authenticateToken, async (req, res) => {
   }
 });
 
+// @route   GET /api/reports/dropout-reasons
+// @desc    Get drop-outs by course and reason code (startDate/endDate filter the effective dates)
+// @access  Private
+router.get('/dropout-reasons', authenticateToken, requirePermission('reports.view'), [
+  ...validationRules.dropoutReport,
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const branchFilter = getBranchFilter(req);
+    const { courseId, startDate, endDate } = req.query;
+
+    const courses = await Student.getDropoutReasons({
+      branchId: branchFilter.branch || null,
+      courseId,
+      from: startDate,
+      to: endDate
+    });
+
+    const titles = new Map(
+      (await Course.find({ _id: { $in: courses.map(entry => entry.course) } }).select('title'))
+        .map(course => [course._id.toString(), course.title])
+    );
+
+    // Totals across all courses
+    const reasons = new Map();
+    for (const entry of courses) {
+      entry.courseTitle = titles.get(entry.course.toString()) || 'Unknown course';
+      for (const { reason, count } of entry.reasons) {
+        reasons.set(reason, (reasons.get(reason) || 0) + count);
+      }
+    }
+
+    res.json({
+      totalDropouts: courses.reduce((sum, entry) => sum + entry.dropped, 0),
+      reasons: [...reasons.entries()]
+        .map(([reason, count]) => ({ reason, count }))
+        .sort((a, b) => b.count - a.count),
+      courses,
+      generatedAt: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Get dropout reasons report error:', error);
+    res.status(500).json({ message: 'Server error fetching dropout reasons report' });
+  }
+});
+
 // @route   GET /api/reports/export
 // @desc    Export report data to Excel
 // @access  Private
-router.get('/export', authenticateToken, async (req, res) => {
+router.get('/export', authenticateToken, requirePermission('reports.view'), async (req, res) => {
   try {
     const { type, format } = req.query;
     const branchId = req.user.role === 'superAdmin' ? req.query.branchId : req.user.branch._id.toString();
@@ -0,0 +1,130 @@
+const express = require('express');
+const router = express.Router();
+const Role = require('../models/Role');
+const AuditLog = require('../models/AuditLog');
+const { PERMISSIONS, DEFAULT_ROLE_PERMISSIONS } = require('../config/permissions');
+const { validationRules, handleValidationErrors } = require('../utils/validation');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+
+// Format a role for responses
+const formatRole = (role) => ({
+  name: role.name,
+  description: role.description,
+  permissions: role.name === 'superAdmin' ? Object.keys(PERMISSIONS) : role.permissions,
+  editable: role.name !== 'superAdmin',
+  updatedBy: role.updatedBy,
+  updatedAt: role.updatedAt
+});
+
+// @route   GET /api/roles
+// @desc    Get all roles with their permissions and the permission catalog
+// @access  Private (roles.manage permission)
+router.get('/', authenticateToken, requirePermission('roles.manage'), async (req, res) => {
+  try {
+    await Role.ensureDefaults();
+
+    const roles = await Role.find()
+      .populate('updatedBy', 'fullName username');
+
+    res.json({
+      roles: roles.map(formatRole),
+      permissions: Object.entries(PERMISSIONS).map(([key, description]) => ({ key, description }))
+    });
+  } catch (error) {
+    console.error('Get roles error:', error);
+    res.status(500).json({ message: 'Server error fetching roles' });
+  }
+});
+
+// @route   GET /api/roles/me
+// @desc    Get the permissions of the current user's role
+// @access  Private
+router.get('/me', authenticateToken, async (req, res) => {
+  try {
+    const permissions = await Role.getPermissions(req.user.role);
+
+    res.json({
+      role: req.user.role,
+      permissions
+    });
+  } catch (error) {
+    console.error('Get my permissions error:', error);
+    res.status(500).json({ message: 'Server error fetching permissions' });
+  }
+});
+
+// @route   PUT /api/roles/:name
+// @desc    Replace the permissions of a role
+// @access  Private (roles.manage permission)
+router.put('/:name', authenticateToken, requirePermission('roles.manage'), [
+  ...validationRules.roleName,
+  ...validationRules.rolePermissionsUpdate,
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const { permissions, description } = req.body;
+
+    if (req.params.name === 'superAdmin') {
+      return res.status(400).json({ message: 'SuperAdmin permissions cannot be changed' });
+    }
+
+    await Role.ensureDefaults();
+    const role = await Role.findOne({ name: req.params.name });
+
+    const before = AuditLog.snapshot(role);
+    role.permissions = [...new Set(permissions)];
+    if (description !== undefined) role.description = description;
+    role.updatedBy = req.user._id;
+    await role.save();
+
+    // Roles apply to every branch
+    await AuditLog.record(req, { entity: 'Role', entityId: role.name, action: 'update', before, after: role, branch: null });
+
+    await role.populate('updatedBy', 'fullName username');
+
+    res.json({
+      message: 'Role permissions updated successfully',
+      role: formatRole(role)
+    });
+  } catch (error) {
+    console.error('Update role error:', error);
+    res.status(500).json({ message: 'Server error updating role' });
+  }
+});
+
+// @route   POST /api/roles/:name/reset
+// @desc    Restore the default permissions of a role
+// @access  Private (roles.manage permission)
+router.post('/:name/reset', authenticateToken, requirePermission('roles.manage'), [
+  ...validationRules.roleName,
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    if (req.params.name === 'superAdmin') {
+      return res.status(400).json({ message: 'SuperAdmin permissions cannot be changed' });
+    }
+
+    await Role.ensureDefaults();
+    const role = await Role.findOne({ name: req.params.name });
+
+    const before = AuditLog.snapshot(role);
+    role.permissions = DEFAULT_ROLE_PERMISSIONS[role.name];
+    role.updatedBy = req.user._id;
+    await role.save();
+
+    // Roles apply to every branch
+    await AuditLog.record(req, { entity: 'Role', entityId: role.name, action: 'update', before, after: role, branch: null });
+
+    await role.populate('updatedBy', 'fullName username');
+
+    res.json({
+      message: 'Role permissions reset to defaults',
+      role: formatRole(role)
+    });
+  } catch (error) {
+    console.error('Reset role error:', error);
+    res.status(500).json({ message: 'Server error resetting role' });
+  }
+});
+
+module.exports = router;
@@ -1,17 +1,94 @@
 const express = require('express');
+const mongoose = require('mongoose');
+const multer = require('multer');
 const router = express.Router();
 const Student = require('../models/Student');
 const Course = require('../models/Course');
+const Intake = require('../models/Intake');
 const Branch = require('../models/Branch');
-const { authenticateToken, requireRole } = require('../middleware/auth');
-const { validationRules, handleValidationErrors } = require('../utils/validation');
+const Invoice = require('../models/Invoice');
+const Transaction = require('../models/Transaction');
+const AuditLog = require('../models/AuditLog');
+const Activity = require('../models/Activity');
+const StudentTransfer = require('../models/StudentTransfer');
+const Notification = require('../models/Notification');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { validationRules, handleValidationErrors, validateData } = require('../utils/validation');
+const { holdsSeat, resolveIntake, takeSeat, releaseSeat, takeSeats, releaseSeats, openFeeAccount } = require('../utils/enrollment');
+const { offerFreeSeats } = require('../utils/waitlist');
+const { getTransitionError } = require('../utils/studentLifecycle');
+const { parseStudentFile } = require('../utils/studentImport');
+const { publish } = require('../utils/liveEvents');
+
+// Import files are small, so they are read from memory
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 5 * 1024 * 1024 // 5MB limit
+  },
+  fileFilter: (req, file, cb) => {
+    if (/\.(csv|xlsx|xls)$/i.test(file.originalname)) {
+      cb(null, true);
+    } else {
+      cb(new Error('Only CSV and Excel files are allowed'), false);
+    }
+  }
+});
+
+// Escape a value for use in a regular expression
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Find the course an import row names (by ID or title) for a branch; results are cached per request
+// Returns { course } or { error }
+const findImportCourse = async (value, branchId, cache) => {
+  const key = value.toLowerCase();
+  if (!cache.has(key)) {
+    const course = mongoose.isValidObjectId(value)
+      ? await Course.findById(value)
+      : await Course.findOne({ title: { $regex: new RegExp(`^${escapeRegex(value)}$`, 'i') }, isActive: true });
+
+    if (!course || !course.isActive) {
+      cache.set(key, { error: `Course "${value}" not found` });
+    } else if (course.branch !== 'all' && course.branch.toString() !== branchId.toString()) {
+      cache.set(key, { error: `Course "${course.title}" is not available for this branch` });
+    } else {
+      cache.set(key, { course });
+    }
+  }
+  return cache.get(key);
+};
+
+// Find the intake an import row enrolls into (by ID or name) and check it has room; cached per request
+// Returns { intake } (null for courses without intakes) or { error }
+const findImportIntake = async (course, value, branchId, cache) => {
+  const key = `${course._id}:${(value || '').toLowerCase()}`;
+  if (!cache.has(key)) {
+    let intakeId = null;
+    if (value) {
+      const intake = mongoose.isValidObjectId(value)
+        ? await Intake.findById(value)
+        : await Intake.findOne({
+          course: course._id,
+          branch: branchId,
+          name: { $regex: new RegExp(`^${escapeRegex(value)}$`, 'i') },
+          isActive: true
+        });
+      intakeId = intake ? intake._id : undefined;
+    }
+
+    cache.set(key, intakeId === undefined
+      ? { error: `Intake "${value}" not found for ${course.title}` }
+      : await resolveIntake(course, branchId, intakeId));
+  }
+  return cache.get(key);
+};
 
 // @route   GET /api/students
 // @desc    Get all students (SuperAdmin) or branch students (others)
 // @access  Private (All authenticated users)
-router.get('/', authenticateToken, async (req, res) => {
+router.get('/', authenticateToken, requirePermission('students.view'), async (req, res) => {
   try {
-    const { page = 1, limit = 10, search = '', status = '', branchId = '', courseId = '' } = req.query;
+    const { page = 1, limit = 10, search = '', status = '', branchId = '', courseId = '', intakeId = '' } = req.query;
     const skip = (page - 1) * limit;
 
     // Build search query
@@ -37,6 +114,11 @@ router.get('/', authenticateToken, async (req, res) => {
       searchQuery.course = courseId;
     }
 
+    // Intake filter
+    if (intakeId) {
+      searchQuery.intake = intakeId;
+    }
+
     // Branch filter based on user role
     if (req.user.role === 'superAdmin') {
       // SuperAdmin can see all students or filter by specific branch
@@ -52,6 +134,7 @@ router.get('/', authenticateToken, async (req, res) => {
     // Get students with pagination
     const students = await Student.find(searchQuery)
       .populate('course', 'title')
+      .populate('intake', 'name startDate endDate')
       .populate('branch', 'name')
       .populate('createdBy', 'fullName username')
       .sort({ createdAt: -1 })
@@ -79,7 +162,7 @@ router.get('/', authenticateToken, async (req, res) => {
 // @route   GET /api/students/statistics
 // @desc    Get student statistics
 // @access  Private (All authenticated users)
-router.get('/statistics', authenticateToken, async (req, res) => {
+router.get('/statistics', authenticateToken, requirePermission('students.view'), async (req, res) => {
   try {
     const { branchId } = req.query;
     
@@ -98,16 +181,59 @@ router.get('/statistics', authenticateToken, async (req, res) => {
   }
 });
 
+// @route   GET /api/students/outstanding
+// @desc    Get outstanding fee balances per student for a branch
+// @access  Private (SuperAdmin, Admin)
+router.get('/outstanding', authenticateToken, requirePermission('students.viewLedger'), async (req, res) => {
+  try {
+    const { branchId, courseId, overdueOnly, page = 1, limit = 20 } = req.query;
+
+    let targetBranchId = null;
+    if (req.user.role === 'superAdmin') {
+      targetBranchId = branchId || (req.user.branch ? req.user.branch._id.toString() : null);
+    } else {
+      targetBranchId = req.user.branch._id.toString();
+    }
+
+    const result = await Invoice.getOutstandingBalances(targetBranchId, {
+      courseId,
+      overdueOnly: overdueOnly === 'true'
+    });
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const total = result.students.length;
+
+    res.json({
+      students: result.students.slice(skip, skip + parseInt(limit)),
+      summary: {
+        totalOutstanding: result.totalOutstanding,
+        totalOverdue: result.totalOverdue,
+        studentsWithBalance: total
+      },
+      pagination: {
+        current: parseInt(page),
+        pages: Math.ceil(total / limit),
+        total,
+        limit: parseInt(limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get outstanding balances error:', error);
+    res.status(500).json({ message: 'Server error fetching outstanding balances' });
+  }
+});
+
 // @route   GET /api/students/:id
 // @desc    Get single student
 // @access  Private (All authenticated users)
-router.get('/:id', authenticateToken, [
+router.get('/:id', authenticateToken, requirePermission('students.view'), [
   ...validationRules.mongoId,
   handleValidationErrors
 ], async (req, res) => {
   try {
     const student = await Student.findById(req.params.id)
       .populate('course', 'title modules')
+      .populate('intake', 'name startDate endDate')
       .populate('branch', 'name')
       .populate('createdBy', 'fullName username');
 
@@ -131,7 +257,7 @@ router.get('/:id', authenticateToken, [
 // @route   POST /api/students
 // @desc    Create new student
 // @access  Private (SuperAdmin, Admin, Moderator)
-router.post('/', authenticateToken, requireRole('superAdmin', 'admin', 'moderator'), [
+router.post('/', authenticateToken, requirePermission('students.create'), [
   ...validationRules.studentCreate,
   handleValidationErrors
 ], async (req, res) => {
@@ -143,9 +269,9 @@ router.post('/', authenticateToken, requireRole('superAdmin', 'admin', 'moderato
       address,
       dateOfBirth,
       course: courseId,
+      intake: intakeId,
       modules,
       branch: branchId,
-      status,
       enrollmentDate,
       level,
       certifications,
@@ -186,9 +312,10 @@ router.post('/', authenticateToken, requireRole('superAdmin', 'admin', 'moderato
       }
     }
 
-    // Check if course is full
-    if (course.isFull()) {
-      return res.status(400).json({ message: 'Course is full' });
+    // Check the intake (or the course when it has no intakes) has room
+    const { intake, error: intakeError } = await resolveIntake(course, targetBranchId, intakeId);
+    if (intakeError) {
+      return res.status(400).json({ message: intakeError });
     }
 
     // Check for duplicate email
@@ -197,8 +324,15 @@ router.post('/', authenticateToken, requireRole('superAdmin', 'admin', 'moderato
       return res.status(400).json({ message: 'Student with this email already exists' });
     }
 
+    // Take the seat before saving so two enrollments cannot share the last one
+    try {
+      await takeSeat(course, intake);
+    } catch (error) {
+      return res.status(400).json({ message: error.message });
+    }
+
     // Generate student ID
-    const studentId = await Student.generateStudentId(courseId);
+    const studentId = await Student.generateStudentId(courseId, targetBranchId);
 
     // Create new student
     const student = new Student({
@@ -209,9 +343,10 @@ router.post('/', authenticateToken, requireRole('superAdmin', 'admin', 'moderato
       address: address.trim(),
       dateOfBirth: new Date(dateOfBirth),
       course: courseId,
+      intake: intake ? intake._id : null,
       modules: modules || [],
       branch: targetBranchId,
-      status: status || 'Active',
+      status: 'Active',
       enrollmentDate: enrollmentDate ? new Date(enrollmentDate) : new Date(),
       level: level || 'Beginner',
       certifications: certifications || [],
@@ -232,21 +367,43 @@ router.post('/', authenticateToken, requireRole('superAdmin', 'admin', 'moderato
       createdBy: req.user._id
     });
 
-    await student.save();
+    try {
+      await student.save();
+    } catch (error) {
+      await releaseSeat(course._id, intake ? intake._id : null);
+      throw error;
+    }
 
-    // Update course enrollment count
-    await course.enrollStudent();
+    await AuditLog.record(req, { entity: 'Student', entityId: student._id, action: 'create', after: student });
+
+    // Open the student's fee account with the course fee
+    const feeWarning = await openFeeAccount(student, course, req.user._id);
+
+    await Activity.record({
+      type: 'student_enrollment',
+      message: `New student enrolled: ${student.fullName} (${course.title}${intake ? ` - ${intake.name}` : ''})`,
+      details: {
+        student: student._id,
+        studentId: student.studentId,
+        course: course.title,
+        intake: intake ? intake.name : null
+      },
+      branch: student.branch,
+      user: req.user
+    });
 
     // Populate the response
     await student.populate([
       { path: 'course', select: 'title modules' },
+      { path: 'intake', select: 'name startDate endDate' },
       { path: 'branch', select: 'name' },
       { path: 'createdBy', select: 'fullName username' }
     ]);
 
     res.status(201).json({
       message: 'Student created successfully',
-      student
+      student,
+      ...(feeWarning ? { warning: feeWarning } : {})
     });
   } catch (error) {
     console.error('Create student error:', error);
@@ -262,10 +419,239 @@ router.post('/', authenticateToken, requireRole('superAdmin', 'admin', 'moderato
   }
 });
 
+// @route   POST /api/students/import
+// @desc    Import students from a CSV or XLSX file. With dryRun every row is checked and nothing
+//          is saved; otherwise the students are only imported when every row is valid
+// @access  Private (SuperAdmin, Admin, Moderator)
+router.post('/import', authenticateToken, requirePermission('students.create'), upload.single('file'), [
+  ...validationRules.studentImport,
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ message: 'Please upload a CSV or Excel file' });
+    }
+
+    const dryRun = req.body.dryRun === true || req.body.dryRun === 'true';
+    const { branch: branchId, course: defaultCourse, intake: defaultIntake } = req.body;
+
+    // Validate branch access for non-superAdmin users
+    let targetBranchId = branchId;
+    if (req.user.role !== 'superAdmin') {
+      targetBranchId = req.user.branch._id.toString();
+      if (branchId && branchId !== targetBranchId) {
+        return res.status(403).json({ message: 'Cannot import students for other branches' });
+      }
+    }
+
+    const branch = targetBranchId ? await Branch.findById(targetBranchId) : null;
+    if (!branch || !branch.isActive) {
+      return res.status(400).json({ message: 'Invalid or inactive branch' });
+    }
+
+    const parsed = parseStudentFile(req.file.buffer, req.file.originalname);
+    if (parsed.error) {
+      return res.status(400).json({ message: parsed.error });
+    }
+
+    // Check every row with the same rules as a single enrollment
+    const courseCache = new Map();
+    const intakeCache = new Map();
+    const emailsInFile = new Map();
+    const results = [];
+
+    for (const { row, data } of parsed.rows) {
+      const errors = [];
+      let course = null;
+      let intake = null;
+
+      const courseValue = data.course || defaultCourse;
+      if (courseValue) {
+        const courseResult = await findImportCourse(courseValue, targetBranchId, courseCache);
+        if (courseResult.error) {
+          errors.push(courseResult.error);
+        } else {
+          course = courseResult.course;
+          data.course = course._id.toString();
+
+          const intakeResult = await findImportIntake(course, data.intake || defaultIntake, targetBranchId, intakeCache);
+          if (intakeResult.error) {
+            errors.push(intakeResult.error);
+          } else {
+            intake = intakeResult.intake;
+          }
+        }
+      }
+      delete data.intake;
+
+      const { data: student, errors: validationErrors } = await validateData(validationRules.studentCreate, data);
+      for (const error of validationErrors) {
+        // A course that was not found is already reported above
+        if (error.field === 'course' && courseValue) continue;
+        errors.push(error.message);
+      }
+
+      if (student.email && !validationErrors.some(error => error.field === 'email')) {
+        const email = student.email.toLowerCase();
+        if (emailsInFile.has(email)) {
+          errors.push(`Email is already used in row ${emailsInFile.get(email)}`);
+        } else {
+          emailsInFile.set(email, row);
+          if (await Student.exists({ email, isActive: true })) {
+            errors.push('Student with this email already exists');
+          }
+        }
+      }
+
+      results.push({ row, student, course, intake, errors });
+    }
+
+    // Rows are only accepted while their course or intake has free places
+    const groups = new Map();
+    for (const result of results) {
+      if (result.errors.length > 0 || !result.course) continue;
+      const key = `${result.course._id}:${result.intake ? result.intake._id : ''}`;
+      if (!groups.has(key)) {
+        groups.set(key, { course: result.course, intake: result.intake, rows: [] });
+      }
+      groups.get(key).rows.push(result);
+    }
+
+    for (const group of groups.values()) {
+      const available = group.intake ? group.intake.getAvailableSpots() : group.course.getAvailableSpots();
+      group.rows.slice(available).forEach(result => {
+        result.errors.push(group.intake
+          ? `Intake ${group.intake.name} only has ${available} free places`
+          : `Course ${group.course.title} only has ${available} free places`);
+      });
+    }
+
+    const invalidRows = results.filter(result => result.errors.length > 0);
+    const report = {
+      dryRun,
+      totalRows: results.length,
+      validRows: results.length - invalidRows.length,
+      invalidRows: invalidRows.length,
+      columns: parsed.columns,
+      ignoredColumns: parsed.ignoredColumns,
+      rows: results.map(result => ({
+        row: result.row,
+        fullName: result.student.fullName || null,
+        email: result.student.email || null,
+        course: result.course ? result.course.title : null,
+        intake: result.intake ? result.intake.name : null,
+        errors: result.errors
+      }))
+    };
+
+    if (dryRun) {
+      return res.json({
+        message: invalidRows.length > 0 ? 'Some rows have errors' : 'All rows are ready to import',
+        ...report
+      });
+    }
+
+    if (invalidRows.length > 0) {
+      return res.status(400).json({
+        message: 'No students were imported because some rows have errors',
+        ...report
+      });
+    }
+
+    // Take the seats of every course and intake before saving anyone
+    const seatsTaken = [];
+    try {
+      for (const group of groups.values()) {
+        await takeSeats(group.course, group.intake, group.rows.length);
+        seatsTaken.push(group);
+      }
+    } catch (error) {
+      for (const group of seatsTaken) {
+        await releaseSeats(group.course._id, group.intake ? group.intake._id : null, group.rows.length);
+      }
+      return res.status(400).json({ message: error.message });
+    }
+
+    // Save the students in one batch; if any of them fails none are kept
+    const documents = [];
+    try {
+      for (const { student, course, intake } of results) {
+        documents.push(new Student({
+          studentId: await Student.generateStudentId(course._id, targetBranchId),
+          fullName: student.fullName,
+          email: student.email.toLowerCase().trim(),
+          phone: student.phone,
+          address: student.address,
+          dateOfBirth: new Date(student.dateOfBirth),
+          course: course._id,
+          intake: intake ? intake._id : null,
+          branch: targetBranchId,
+          status: 'Active',
+          enrollmentDate: student.enrollmentDate ? new Date(student.enrollmentDate) : new Date(),
+          level: student.level || 'Beginner',
+          childBabyCare: student.childBabyCare || false,
+          elderCare: student.elderCare || false,
+          hostelRequirement: student.hostelRequirement || false,
+          mealRequirement: student.mealRequirement || false,
+          createdBy: req.user._id
+        }));
+      }
+      await Student.insertMany(documents, { ordered: true });
+    } catch (error) {
+      await Student.deleteMany({ _id: { $in: documents.map(document => document._id) } });
+      for (const group of seatsTaken) {
+        await releaseSeats(group.course._id, group.intake ? group.intake._id : null, group.rows.length);
+      }
+      throw error;
+    }
+
+    const warnings = [];
+    for (const [index, student] of documents.entries()) {
+      await AuditLog.record(req, { entity: 'Student', entityId: student._id, action: 'create', after: student, description: 'Student import' });
+
+      // Open the student's fee account with the course fee
+      const feeWarning = await openFeeAccount(student, results[index].course, req.user._id);
+      if (feeWarning) warnings.push(feeWarning);
+    }
+
+    // Batch inserts skip the model hooks, so live dashboards are told here
+    publish('student', 'imported', { branch: targetBranchId, data: { count: documents.length } });
+
+    await Activity.record({
+      type: 'student_enrollment',
+      message: `${documents.length} students imported from ${req.file.originalname}`,
+      details: {
+        count: documents.length,
+        file: req.file.originalname
+      },
+      branch: targetBranchId,
+      user: req.user
+    });
+
+    res.status(201).json({
+      message: `${documents.length} students imported successfully`,
+      ...report,
+      students: documents.map(student => ({
+        _id: student._id,
+        studentId: student.studentId,
+        fullName: student.fullName,
+        email: student.email
+      })),
+      ...(warnings.length > 0 ? { warnings } : {})
+    });
+  } catch (error) {
+    console.error('Import students error:', error);
+    if (error.code === 11000) {
+      return res.status(400).json({ message: 'No students were imported because a student ID or email already exists' });
+    }
+    res.status(500).json({ message: 'Server error importing students' });
+  }
+});
+
 // @route   PUT /api/students/:id
 // @desc    Update student
 // @access  Private (SuperAdmin, Admin, Moderator)
-router.put('/:id', authenticateToken, requireRole('superAdmin', 'admin', 'moderator'), [
+router.put('/:id', authenticateToken, requirePermission('students.update'), [
   ...validationRules.mongoId,
   ...validationRules.studentUpdate,
   handleValidationErrors
@@ -278,6 +664,7 @@ router.put('/:id', authenticateToken, requireRole('superAdmin', 'admin', 'modera
       address,
       dateOfBirth,
       course: newCourseId,
+      intake: newIntakeId,
       modules,
       status,
       enrollmentDate,
@@ -305,29 +692,37 @@ router.put('/:id', authenticateToken, requireRole('superAdmin', 'admin', 'modera
       return res.status(403).json({ message: 'Access denied to this student' });
     }
 
-    // Handle course change if provided
-    let courseChanged = false;
+    // Course changes go through a transfer so seats, attendance, fees and history are handled
     if (newCourseId && newCourseId !== student.course._id.toString()) {
-      // Verify new course exists and is active
-      const newCourse = await Course.findById(newCourseId);
-      if (!newCourse || !newCourse.isActive) {
-        return res.status(400).json({ message: 'Invalid or inactive course' });
-      }
+      return res.status(400).json({ message: 'Use a student transfer to move the student to another course' });
+    }
 
-      // Check if new course is available for the branch
-      if (req.user.role !== 'superAdmin') {
-        const userBranchId = req.user.branch._id.toString();
-        if (newCourse.branch !== 'all' && newCourse.branch !== userBranchId) {
-          return res.status(400).json({ message: 'Course not available for your branch' });
-        }
-      }
+    // Status changes need a reason and have side effects, see POST /api/students/:id/status
+    if (status && status !== student.status) {
+      return res.status(400).json({ message: 'Use a status change with a reason to change the student\'s status' });
+    }
+
+    const before = AuditLog.snapshot(student);
+    const heldSeat = holdsSeat(student.status);
+
+    // Handle intake change if provided
+    const currentIntakeId = student.intake ? student.intake.toString() : null;
+    const intakeChanged = newIntakeId !== undefined && (newIntakeId || null) !== currentIntakeId;
+    let targetCourse = null;
+    let targetIntake = null;
 
-      // Check if new course is full
-      if (newCourse.isFull()) {
-        return res.status(400).json({ message: 'New course is full' });
+    if (intakeChanged) {
+      targetCourse = await Course.findById(student.course._id);
+      if (!targetCourse) {
+        return res.status(400).json({ message: 'Invalid or inactive course' });
       }
 
-      courseChanged = true;
+      // Check the new intake (or the course when it has no intakes) has room
+      const { intake, error: intakeError } = await resolveIntake(targetCourse, student.branch._id, newIntakeId || null);
+      if (intakeError) {
+        return res.status(400).json({ message: intakeError });
+      }
+      targetIntake = intake;
     }
 
     // Check for duplicate email (excluding current student)
@@ -349,7 +744,6 @@ router.put('/:id', authenticateToken, requireRole('superAdmin', 'admin', 'modera
     if (address) student.address = address.trim();
     if (dateOfBirth) student.dateOfBirth = new Date(dateOfBirth);
     if (modules !== undefined) student.modules = modules;
-    if (status) student.status = status;
     if (enrollmentDate) student.enrollmentDate = new Date(enrollmentDate);
     if (level) student.level = level;
     if (certifications !== undefined) student.certifications = certifications;
@@ -360,28 +754,35 @@ router.put('/:id', authenticateToken, requireRole('superAdmin', 'admin', 'modera
     if (hostelRequirement !== undefined) student.hostelRequirement = hostelRequirement;
     if (mealRequirement !== undefined) student.mealRequirement = mealRequirement;
 
-    // Handle course change
-    if (courseChanged) {
-      const oldCourse = await Course.findById(student.course._id);
-      const newCourse = await Course.findById(newCourseId);
-
-      // Generate new student ID for new course
-      const newStudentId = await Student.generateStudentId(newCourseId);
-      student.studentId = newStudentId;
-      student.course = newCourseId;
-
-      // Update enrollment counts
-      if (oldCourse) {
-        await oldCourse.unenrollStudent();
+    // Handle intake change (dropped students do not hold a place to move)
+    if (targetCourse) {
+      if (heldSeat) {
+        // Take the new seat first so a full intake leaves the student where they were
+        try {
+          await takeSeat(targetCourse, targetIntake);
+        } catch (error) {
+          return res.status(400).json({ message: error.message });
+        }
+        await releaseSeat(student.course._id, currentIntakeId);
       }
-      await newCourse.enrollStudent();
+
+      student.closeEnrollment('intake_change');
+      student.intake = targetIntake ? targetIntake._id : null;
     }
 
     await student.save();
 
+    await AuditLog.record(req, { entity: 'Student', entityId: student._id, action: 'update', before, after: student });
+
+    // Offer the place the student left to the waitlist
+    if (targetCourse && heldSeat) {
+      await offerFreeSeats(student.course._id, currentIntakeId);
+    }
+
     // Populate the response
     await student.populate([
       { path: 'course', select: 'title modules' },
+      { path: 'intake', select: 'name startDate endDate' },
       { path: 'branch', select: 'name' },
       { path: 'createdBy', select: 'fullName username' }
     ]);
@@ -404,10 +805,430 @@ router.put('/:id', authenticateToken, requireRole('superAdmin', 'admin', 'modera
   }
 });
 
+// @route   POST /api/students/:id/status
+// @desc    Change a student's status with a reason code and effective date.
+//          Dropping or graduating gives the course place back and dropping can cancel open fees;
+//          readmission takes a place again, in a new intake when the old one is no longer open;
+//          leaving for good withdraws pending transfers
+// @access  Private (SuperAdmin, Admin, Moderator)
+router.post('/:id/status', authenticateToken, requirePermission('students.update'), [
+  ...validationRules.mongoId,
+  ...validationRules.studentStatusChange,
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const { status, reason, notes, effectiveDate, feeAction = 'keep', intake: intakeId } = req.body;
+
+    const student = await Student.findById(req.params.id);
+    if (!student || !student.isActive) {
+      return res.status(404).json({ message: 'Student not found' });
+    }
+
+    // Check access permissions for non-superAdmin users
+    if (req.user.role !== 'superAdmin' && student.branch.toString() !== req.user.branch._id.toString()) {
+      return res.status(403).json({ message: 'Access denied to this student' });
+    }
+
+    const transitionError = getTransitionError(student.status, status, reason, notes);
+    if (transitionError) {
+      return res.status(400).json({ message: transitionError });
+    }
+
+    if (feeAction === 'cancel' && status !== 'Dropped') {
+      return res.status(400).json({ message: 'Fees can only be cancelled when a student is dropped' });
+    }
+
+    // Effective dates are whole days, like attendance dates
+    const day = effectiveDate ? new Date(effectiveDate) : new Date();
+    const effectiveDay = new Date(Date.UTC(day.getUTCFullYear(), day.getUTCMonth(), day.getUTCDate()));
+
+    const lastChange = student.statusHistory[student.statusHistory.length - 1];
+    if (lastChange && effectiveDay < lastChange.effectiveDate) {
+      return res.status(400).json({ message: 'Effective date cannot be before the previous status change' });
+    }
+
+    const heldSeat = holdsSeat(student.status);
+    const holdsSeatNow = holdsSeat(status);
+
+    const readmits = holdsSeatNow && !heldSeat;
+    if (intakeId && !readmits) {
+      return res.status(400).json({ message: 'An intake can only be chosen when readmitting a student' });
+    }
+
+    // A readmitted student needs a free place again, checked like a new enrollment
+    let readmitIntake = null;
+    if (readmits) {
+      const course = await Course.findById(student.course);
+      if (!course || !course.isActive) {
+        return res.status(400).json({ message: 'Invalid or inactive course' });
+      }
+
+      const { intake, error: intakeError } = await resolveIntake(course, student.branch, intakeId || student.intake);
+      if (intakeError) {
+        return res.status(400).json({
+          message: !intakeId && student.intake ? `${intakeError}; choose a new intake to readmit the student` : intakeError
+        });
+      }
+
+      try {
+        await takeSeat(course, intake);
+      } catch (error) {
+        return res.status(400).json({ message: error.message });
+      }
+      readmitIntake = intake;
+    }
+
+    const before = AuditLog.snapshot(student);
+
+    student.statusHistory.push({
+      from: student.status,
+      to: status,
+      reason,
+      notes,
+      effectiveDate: effectiveDay,
+      course: student.course,
+      changedBy: req.user._id
+    });
+    student.status = status;
+    if (readmits) student.intake = readmitIntake ? readmitIntake._id : null;
+
+    try {
+      await student.save();
+    } catch (error) {
+      if (readmits) await releaseSeat(student.course, student.intake);
+      throw error;
+    }
+
+    await AuditLog.record(req, {
+      entity: 'Student',
+      entityId: student._id,
+      action: 'update',
+      before,
+      after: student,
+      description: `Status changed to ${status} (${reason})`
+    });
+
+    if (heldSeat && !holdsSeatNow) {
+      await releaseSeat(student.course, student.intake);
+      await offerFreeSeats(student.course, student.intake);
+    }
+
+    // Open fees of the course are written off; payments already made go towards any other invoices
+    let cancelledInvoices = 0;
+    if (feeAction === 'cancel') {
+      const invoices = await Invoice.find({
+        student: student._id,
+        course: student.course,
+        isActive: true,
+        status: { $in: ['unpaid', 'partial'] }
+      });
+
+      for (const invoice of invoices) {
+        const invoiceBefore = AuditLog.snapshot(invoice);
+        invoice.status = 'cancelled';
+        invoice.updatedBy = req.user._id;
+        await invoice.save();
+
+        await AuditLog.record(req, { entity: 'Invoice', entityId: invoice._id, action: 'update', before: invoiceBefore, after: invoice, description: 'Student dropped' });
+      }
+
+      cancelledInvoices = invoices.length;
+      if (cancelledInvoices > 0) {
+        await Invoice.syncStudentLedger(student._id);
+      }
+    }
+
+    // Students who have left no longer move between branches or courses
+    if (status === 'Dropped' || status === 'Graduated') {
+      const transfers = await StudentTransfer.find({ student: student._id, status: 'pending' });
+      for (const pendingTransfer of transfers) {
+        const transferBefore = AuditLog.snapshot(pendingTransfer);
+        const transfer = await StudentTransfer.changeStatus(pendingTransfer._id, 'pending', { status: 'cancelled' });
+        if (!transfer) continue;
+
+        await AuditLog.record(req, { entity: 'StudentTransfer', entityId: transfer._id, action: 'update', before: transferBefore, after: transfer, description: `Student ${status.toLowerCase()}` });
+      }
+    }
+
+    res.json({
+      message: `Student status changed to ${status}`,
+      student,
+      cancelledInvoices
+    });
+  } catch (error) {
+    console.error('Change student status error:', error);
+    res.status(500).json({ message: 'Server error changing student status' });
+  }
+});
+
+// @route   POST /api/students/:id/transfer
+// @desc    Request a transfer of a student to another branch and/or course; the receiving branch approves it
+// @access  Private (SuperAdmin, Admin, Moderator)
+router.post('/:id/transfer', authenticateToken, requirePermission('students.transfer'), [
+  ...validationRules.mongoId,
+  ...validationRules.transferCreate,
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const { toBranch, toCourse, toIntake, reason } = req.body;
+
+    const student = await Student.findById(req.params.id);
+    if (!student || !student.isActive) {
+      return res.status(404).json({ message: 'Student not found' });
+    }
+
+    // Check access permissions for non-superAdmin users
+    if (req.user.role !== 'superAdmin' && student.branch.toString() !== req.user.branch._id.toString()) {
+      return res.status(403).json({ message: 'Access denied to this student' });
+    }
+
+    if (student.status === 'Dropped' || student.status === 'Graduated') {
+      return res.status(400).json({ message: `${student.status} students cannot be transferred` });
+    }
+
+    const toBranchId = toBranch || student.branch.toString();
+    const toCourseId = toCourse || student.course.toString();
+    const changesBranch = toBranchId !== student.branch.toString();
+    const changesCourse = toCourseId !== student.course.toString();
+
+    if (!changesBranch && !changesCourse) {
+      return res.status(400).json({ message: 'A transfer must move the student to another branch or course' });
+    }
+
+    // Attendance belongs to a course, so it can only follow the student on the same course
+    const attendanceAction = req.body.attendanceAction || (changesCourse ? 'keep' : 'move');
+    if (attendanceAction === 'move' && changesCourse) {
+      return res.status(400).json({ message: 'Attendance can only be moved when the student stays on the same course' });
+    }
+
+    const feeAction = req.body.feeAction || 'transfer';
+    if (feeAction === 'cancel' && !changesCourse) {
+      return res.status(400).json({ message: 'Fees can only be cancelled when the student changes course' });
+    }
+
+    const branch = await Branch.findById(toBranchId);
+    if (!branch || !branch.isActive) {
+      return res.status(400).json({ message: 'Invalid or inactive branch' });
+    }
+
+    const course = await Course.findById(toCourseId);
+    if (!course || !course.isActive) {
+      return res.status(400).json({ message: 'Invalid or inactive course' });
+    }
+    if (course.branch !== 'all' && course.branch !== toBranchId) {
+      return res.status(400).json({ message: 'Course not available for the receiving branch' });
+    }
+
+    // Check there is room now; the seat itself is only taken when the transfer is approved
+    const { intake, error: intakeError } = await resolveIntake(course, toBranchId, toIntake || null, {
+      holdsCourseSeat: !changesCourse && !student.intake
+    });
+    if (intakeError) {
+      return res.status(400).json({ message: intakeError });
+    }
+
+    const pending = await StudentTransfer.findOne({ student: student._id, status: { $in: ['pending', 'approving'] } });
+    if (pending) {
+      return res.status(409).json({ message: 'The student already has a transfer waiting for approval' });
+    }
+
+    const transfer = new StudentTransfer({
+      student: student._id,
+      fromBranch: student.branch,
+      fromCourse: student.course,
+      fromIntake: student.intake,
+      toBranch: toBranchId,
+      toCourse: toCourseId,
+      toIntake: intake ? intake._id : null,
+      reason,
+      attendanceAction,
+      feeAction,
+      requestedBy: req.user._id
+    });
+
+    await transfer.save();
+
+    await AuditLog.record(req, { entity: 'StudentTransfer', entityId: transfer._id, action: 'create', after: transfer });
+
+    await Notification.notifyBranchAdmins({
+      branch: toBranchId,
+      type: 'student_transfer',
+      title: 'Student transfer to review',
+      message: `Transfer of ${student.fullName} (${student.studentId}) to ${course.title}${intake ? ` - ${intake.name}` : ''} at ${branch.name} is waiting for approval`,
+      data: {
+        transfer: transfer._id,
+        student: student._id
+      }
+    });
+
+    res.status(201).json({
+      message: 'Transfer requested successfully',
+      transfer
+    });
+  } catch (error) {
+    console.error('Request transfer error:', error);
+    res.status(500).json({ message: 'Server error requesting transfer' });
+  }
+});
+
+// @route   GET /api/students/:id/ledger
+// @desc    Get student fee ledger (invoices, installments, payments and balances)
+// @access  Private (SuperAdmin, Admin)
+router.get('/:id/ledger', authenticateToken, requirePermission('students.viewLedger'), [
+  ...validationRules.mongoId,
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const student = await Student.findById(req.params.id)
+      .populate('course', 'title price')
+      .populate('branch', 'name');
+
+    if (!student || !student.isActive) {
+      return res.status(404).json({ message: 'Student not found' });
+    }
+
+    // Check access permissions for non-superAdmin users
+    if (req.user.role !== 'superAdmin' &&
+        student.branch._id.toString() !== req.user.branch._id.toString()) {
+      return res.status(403).json({ message: 'Access denied to this student' });
+    }
+
+    // Allocations are kept current when payments or invoices change; reading never re-allocates
+    const credit = await Invoice.getStudentCredit(student._id);
+
+    const invoices = await Invoice.find({ student: student._id, isActive: true })
+      .populate('course', 'title')
+      .populate('createdBy', 'fullName username')
+      .sort({ issueDate: 1, createdAt: 1 });
+
+    const payments = await Transaction.find({
+      student: student._id,
+      type: 'income',
+      isActive: true
+    })
+      .populate('createdBy', 'fullName username')
+      .select('reference amount currency date status category description createdBy')
+      .sort({ date: 1, createdAt: 1 });
+
+    const openInvoices = invoices.filter(invoice => invoice.status !== 'cancelled');
+    const now = new Date();
+    const nextInstallment = openInvoices
+      .flatMap(invoice => invoice.installments.map(installment => ({ invoice: invoice._id, installment })))
+      .filter(({ installment }) => installment.status !== 'paid')
+      .sort((a, b) => a.installment.dueDate - b.installment.dueDate)[0];
+
+    const totalBilled = openInvoices.reduce((sum, invoice) => sum + invoice.amount, 0);
+    const totalPaid = openInvoices.reduce((sum, invoice) => sum + invoice.paidAmount, 0);
+
+    res.json({
+      student: {
+        _id: student._id,
+        studentId: student.studentId,
+        fullName: student.fullName,
+        course: student.course,
+        branch: student.branch
+      },
+      invoices,
+      payments,
+      summary: {
+        totalBilled,
+        totalPaid,
+        outstanding: openInvoices.reduce((sum, invoice) => sum + invoice.balance, 0),
+        overdue: openInvoices.reduce((sum, invoice) => sum + invoice.overdueAmount, 0),
+        credit,
+        nextDue: nextInstallment ? {
+          invoice: nextInstallment.invoice,
+          dueDate: nextInstallment.installment.dueDate,
+          amount: nextInstallment.installment.amount - nextInstallment.installment.paidAmount,
+          isOverdue: nextInstallment.installment.dueDate < now
+        } : null
+      }
+    });
+  } catch (error) {
+    console.error('Get student ledger error:', error);
+    res.status(500).json({ message: 'Server error fetching student ledger' });
+  }
+});
+
+// @route   PUT /api/students/:id/ledger/installments
+// @desc    Split a student invoice into an installment schedule
+// @access  Private (SuperAdmin, Admin)
+router.put('/:id/ledger/installments', authenticateToken, requirePermission('students.manageInstallments'), [
+  ...validationRules.mongoId,
+  ...validationRules.installmentPlan,
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const { invoice: invoiceId, installments, count, firstDueDate, intervalMonths } = req.body;
+
+    const student = await Student.findById(req.params.id);
+
+    if (!student || !student.isActive) {
+      return res.status(404).json({ message: 'Student not found' });
+    }
+
+    // Check access permissions for non-superAdmin users
+    if (req.user.role !== 'superAdmin' &&
+        student.branch.toString() !== req.user.branch._id.toString()) {
+      return res.status(403).json({ message: 'Access denied to this student' });
+    }
+
+    // Default to the student's most recent open invoice
+    const invoiceQuery = { student: student._id, isActive: true, status: { $ne: 'cancelled' } };
+    if (invoiceId) invoiceQuery._id = invoiceId;
+
+    const invoice = await Invoice.findOne(invoiceQuery).sort({ issueDate: -1, createdAt: -1 });
+
+    if (!invoice) {
+      return res.status(404).json({ message: 'Invoice not found' });
+    }
+
+    const plan = installments || Invoice.buildInstallmentPlan(
+      invoice.amount,
+      parseInt(count),
+      firstDueDate ? new Date(firstDueDate) : new Date(),
+      intervalMonths ? parseInt(intervalMonths) : 1
+    );
+
+    const before = AuditLog.snapshot(invoice);
+
+    try {
+      invoice.setInstallments(plan);
+    } catch (planError) {
+      return res.status(400).json({ message: planError.message });
+    }
+
+    invoice.updatedBy = req.user._id;
+    await invoice.save();
+
+    await AuditLog.record(req, {
+      entity: 'Invoice',
+      entityId: invoice._id,
+      action: 'update',
+      before,
+      after: invoice,
+      description: `Installment schedule changed for student ${student.studentId}`
+    });
+
+    // Re-apply existing payments against the new schedule
+    await Invoice.syncStudentLedger(student._id);
+
+    const updatedInvoice = await Invoice.findById(invoice._id).populate('course', 'title');
+
+    res.json({
+      message: 'Installment schedule updated successfully',
+      invoice: updatedInvoice
+    });
+  } catch (error) {
+    console.error('Update installments error:', error);
+    res.status(500).json({ message: 'Server error updating installment schedule' });
+  }
+});
+
 // @route   DELETE /api/students/:id
 // @desc    Delete student (soft delete)
 // @access  Private (SuperAdmin, Admin, Moderator)
-router.delete('/:id', authenticateToken, requireRole('superAdmin', 'admin', 'moderator'), [
+router.delete('/:id', authenticateToken, requirePermission('students.delete'), [
   ...validationRules.mongoId,
   handleValidationErrors
 ], async (req, res) => {
@@ -427,13 +1248,16 @@ router.delete('/:id', authenticateToken, requireRole('superAdmin', 'admin', 'mod
     }
 
     // Soft delete the student
+    const before = AuditLog.snapshot(student);
     student.isActive = false;
     await student.save();
 
-    // Update course enrollment count
-    const course = await Course.findById(student.course._id);
-    if (course) {
-      await course.unenrollStudent();
+    await AuditLog.record(req, { entity: 'Student', entityId: student._id, action: 'delete', before, after: student });
+
+    // Update intake and course enrollment counts (dropped and graduated students already gave their place back)
+    if (holdsSeat(student.status)) {
+      await releaseSeat(student.course._id, student.intake);
+      await offerFreeSeats(student.course._id, student.intake);
     }
 
     res.json({ message: 'Student deleted successfully' });
@@ -443,4 +1267,20 @@ router.delete('/:id', authenticateToken, requireRole('superAdmin', 'admin', 'mod
   }
 });
 
+// Error handling middleware for multer
+router.use((error, req, res, next) => {
+  if (error instanceof multer.MulterError) {
+    if (error.code === 'LIMIT_FILE_SIZE') {
+      return res.status(400).json({ message: 'File too large. Maximum size is 5MB.' });
+    }
+    return res.status(400).json({ message: error.message });
+  }
+
+  if (error.message === 'Only CSV and Excel files are allowed') {
+    return res.status(400).json({ message: error.message });
+  }
+
+  next(error);
+});
+
 module.exports = router;
@@ -2,14 +2,19 @@ const express = require('express');
 const mongoose = require('mongoose');
 const router = express.Router();
 const Transaction = require('../models/Transaction');
+const AuditLog = require('../models/AuditLog');
+const Activity = require('../models/Activity');
 const Budget = require('../models/Budget');
 const Student = require('../models/Student');
 const Course = require('../models/Course');
 const Branch = require('../models/Branch');
+const Invoice = require('../models/Invoice');
 const { validationRules, handleValidationErrors } = require('../utils/validation');
+const { generateReceiptPdf, formatAmount } = require('../utils/receipt');
 const {
   authenticateToken,
-  requireRole,
+  requirePermission,
+  hasPermission,
   validateBranchOwnership
 } = require('../middleware/auth');
 
@@ -56,10 +61,33 @@ const updateRelatedBudgets = async (transaction, oldTransaction = null) => {
   }
 };
 
+// Helper function to re-allocate student payments when income transactions change
+const updateStudentLedgers = async (transaction, oldTransaction = null) => {
+  try {
+    const studentsToUpdate = new Set();
+
+    if (transaction && transaction.student && transaction.type === 'income') {
+      studentsToUpdate.add(transaction.student.toString());
+    }
+
+    // The old student still needs re-allocating if the payment moved or stopped being income
+    if (oldTransaction && oldTransaction.student && oldTransaction.type === 'income') {
+      studentsToUpdate.add(oldTransaction.student.toString());
+    }
+
+    for (const studentId of studentsToUpdate) {
+      await Invoice.syncStudentLedger(studentId);
+    }
+  } catch (error) {
+    console.error('Error updating student ledgers:', error);
+    // Don't throw error to avoid breaking transaction operations
+  }
+};
+
 // @route   GET /api/transactions
 // @desc    Get all transactions with filtering and pagination
 // @access  Private (SuperAdmin, Admin)
-router.get('/', authenticateToken, requireRole('superAdmin', 'admin'), async (req, res) => {
+router.get('/', authenticateToken, requirePermission('transactions.view'), async (req, res) => {
   try {
     const {
       page = 1,
@@ -141,7 +169,7 @@ router.get('/', authenticateToken, requireRole('superAdmin', 'admin'), async (re
 // @route   GET /api/transactions/statistics
 // @desc    Get transaction statistics
 // @access  Private (SuperAdmin, Admin)
-router.get('/statistics', authenticateToken, requireRole('superAdmin', 'admin'), async (req, res) => {
+router.get('/statistics', authenticateToken, requirePermission('transactions.view'), async (req, res) => {
   try {
     const { branchId, startDate, endDate } = req.query;
     
@@ -170,7 +198,7 @@ router.get('/statistics', authenticateToken, requireRole('superAdmin', 'admin'),
 // @route   GET /api/transactions/:id
 // @desc    Get single transaction
 // @access  Private (SuperAdmin, Admin)
-router.get('/:id', authenticateToken, requireRole('superAdmin', 'admin'), [
+router.get('/:id', authenticateToken, requirePermission('transactions.view'), [
   ...validationRules.mongoId,
   handleValidationErrors
 ], async (req, res) => {
@@ -200,10 +228,66 @@ router.get('/:id', authenticateToken, requireRole('superAdmin', 'admin'), [
   }
 });
 
+// @route   GET /api/transactions/:id/receipt
+// @desc    Download a PDF payment receipt for an income transaction
+// @access  Private (SuperAdmin, Admin)
+router.get('/:id/receipt', authenticateToken, requirePermission('transactions.printReceipt'), [
+  ...validationRules.mongoId,
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    let matchQuery = { _id: req.params.id, isActive: true };
+
+    // Apply branch filter for non-superAdmin users
+    if (req.user.role !== 'superAdmin') {
+      matchQuery.branch = req.user.branch._id;
+    }
+
+    const transaction = await Transaction.findOne(matchQuery);
+
+    if (!transaction) {
+      return res.status(404).json({ message: 'Transaction not found' });
+    }
+
+    if (transaction.type !== 'income') {
+      return res.status(400).json({ message: 'Receipts can only be issued for income transactions' });
+    }
+
+    if (transaction.status === 'cancelled') {
+      return res.status(400).json({ message: 'Cannot issue a receipt for a cancelled transaction' });
+    }
+
+    // Count the print atomically so concurrent reprints are still marked as duplicates
+    const printed = await Transaction.findByIdAndUpdate(
+      transaction._id,
+      { $inc: { receiptPrintCount: 1 }, $set: { receiptLastPrintedAt: new Date() } },
+      { new: true }
+    )
+      .populate('student', 'fullName studentId')
+      .populate('course', 'title')
+      .populate('branch', 'name')
+      .populate('createdBy', 'fullName username');
+
+    const doc = generateReceiptPdf(printed, {
+      duplicate: printed.receiptPrintCount > 1,
+      copyNumber: printed.receiptPrintCount - 1
+    });
+
+    const filename = `receipt_${printed.reference || printed._id}.pdf`;
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `inline; filename="${filename}"`);
+
+    doc.pipe(res);
+  } catch (error) {
+    console.error('Generate receipt error:', error);
+    res.status(500).json({ message: 'Server error generating receipt' });
+  }
+});
+
 // @route   POST /api/transactions
 // @desc    Create new transaction
 // @access  Private (SuperAdmin, Admin)
-router.post('/', authenticateToken, requireRole('superAdmin', 'admin'), [
+router.post('/', authenticateToken, requirePermission('transactions.create'), [
   ...validationRules.transactionCreate,
   handleValidationErrors
 ], async (req, res) => {
@@ -221,6 +305,11 @@ router.post('/', authenticateToken, requireRole('superAdmin', 'admin'), [
       branch 
     } = req.body;
 
+    // Recording a transaction as anything other than pending needs the approve permission
+    if (status && status !== 'pending' && !(await hasPermission(req.user, 'transactions.approve'))) {
+      return res.status(403).json({ message: 'Insufficient permissions to set transaction status' });
+    }
+
     // Determine target branch
     let targetBranchId = branch;
 
@@ -297,11 +386,16 @@ router.post('/', authenticateToken, requireRole('superAdmin', 'admin'), [
 
     await transaction.save();
 
+    await AuditLog.record(req, { entity: 'Transaction', entityId: transaction._id, action: 'create', after: transaction });
+
     // Update related budgets if this is an expense transaction
     if (transaction.type === 'expense') {
       await updateRelatedBudgets(transaction);
     }
 
+    // Allocate student payments against their fee invoices
+    await updateStudentLedgers(transaction);
+
     // Populate the response
     await transaction.populate([
       { path: 'student', select: 'fullName studentId' },
@@ -310,6 +404,23 @@ router.post('/', authenticateToken, requireRole('superAdmin', 'admin'), [
       { path: 'createdBy', select: 'fullName username' }
     ]);
 
+    if (transaction.type === 'income') {
+      await Activity.record({
+        type: 'payment',
+        message: `Payment received: ${formatAmount(transaction.amount, transaction.currency)}`,
+        details: {
+          transaction: transaction._id,
+          reference: transaction.reference,
+          amount: transaction.amount,
+          category: transaction.category,
+          status: transaction.status,
+          student: transaction.student?.fullName
+        },
+        branch: transaction.branch,
+        user: req.user
+      });
+    }
+
     res.status(201).json({
       message: 'Transaction created successfully',
       transaction
@@ -328,7 +439,7 @@ router.post('/', authenticateToken, requireRole('superAdmin', 'admin'), [
 // @route   PUT /api/transactions/:id
 // @desc    Update transaction
 // @access  Private (SuperAdmin, Admin)
-router.put('/:id', authenticateToken, requireRole('superAdmin', 'admin'), [
+router.put('/:id', authenticateToken, requirePermission('transactions.update'), [
   ...validationRules.mongoId,
   ...validationRules.transactionUpdate,
   handleValidationErrors
@@ -347,6 +458,8 @@ router.put('/:id', authenticateToken, requireRole('superAdmin', 'admin'), [
       return res.status(404).json({ message: 'Transaction not found' });
     }
 
+    const before = AuditLog.snapshot(transaction);
+
     // Store old transaction data for budget updates
     const oldTransaction = {
       type: transaction.type,
@@ -354,7 +467,8 @@ router.put('/:id', authenticateToken, requireRole('superAdmin', 'admin'), [
       amount: transaction.amount,
       date: transaction.date,
       status: transaction.status,
-      branch: transaction.branch
+      branch: transaction.branch,
+      student: transaction.student
     };
 
     const {
@@ -369,6 +483,11 @@ router.put('/:id', authenticateToken, requireRole('superAdmin', 'admin'), [
       course
     } = req.body;
 
+    // Changing the status (e.g. approving a pending transaction) needs its own permission
+    if (status !== undefined && status !== transaction.status && !(await hasPermission(req.user, 'transactions.approve'))) {
+      return res.status(403).json({ message: 'Insufficient permissions to change transaction status' });
+    }
+
     // Verify student exists and belongs to the branch (if provided)
     if (student && student !== transaction.student?.toString()) {
       const studentExists = await Student.findOne({
@@ -408,11 +527,16 @@ router.put('/:id', authenticateToken, requireRole('superAdmin', 'admin'), [
 
     await transaction.save();
 
+    await AuditLog.record(req, { entity: 'Transaction', entityId: transaction._id, action: 'update', before, after: transaction });
+
     // Update related budgets if this is an expense transaction or if expense-related fields changed
     if (transaction.type === 'expense' || oldTransaction.type === 'expense') {
       await updateRelatedBudgets(transaction, oldTransaction);
     }
 
+    // Re-allocate student payments against their fee invoices
+    await updateStudentLedgers(transaction, oldTransaction);
+
     // Populate the response
     await transaction.populate([
       { path: 'student', select: 'fullName studentId' },
@@ -440,7 +564,7 @@ router.put('/:id', authenticateToken, requireRole('superAdmin', 'admin'), [
 // @route   DELETE /api/transactions/:id
 // @desc    Delete transaction (soft delete)
 // @access  Private (SuperAdmin, Admin)
-router.delete('/:id', authenticateToken, requireRole('superAdmin', 'admin'), [
+router.delete('/:id', authenticateToken, requirePermission('transactions.delete'), [
   ...validationRules.mongoId,
   handleValidationErrors
 ], async (req, res) => {
@@ -465,19 +589,26 @@ router.delete('/:id', authenticateToken, requireRole('superAdmin', 'admin'), [
       amount: transaction.amount,
       date: transaction.date,
       status: transaction.status,
-      branch: transaction.branch
+      branch: transaction.branch,
+      student: transaction.student
     };
 
     // Soft delete
+    const before = AuditLog.snapshot(transaction);
     transaction.isActive = false;
     transaction.updatedBy = req.user._id;
     await transaction.save();
 
+    await AuditLog.record(req, { entity: 'Transaction', entityId: transaction._id, action: 'delete', before, after: transaction });
+
     // Update related budgets if this was an expense transaction
     if (deletedTransaction.type === 'expense') {
       await updateRelatedBudgets(null, deletedTransaction);
     }
 
+    // Release any fee allocations made by this payment
+    await updateStudentLedgers(null, deletedTransaction);
+
     res.json({ message: 'Transaction deleted successfully' });
   } catch (error) {
     console.error('Delete transaction error:', error);
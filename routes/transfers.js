@@ -0,0 +1,448 @@
+const express = require('express');
+const router = express.Router();
+const StudentTransfer = require('../models/StudentTransfer');
+const Student = require('../models/Student');
+const Course = require('../models/Course');
+const Branch = require('../models/Branch');
+const Attendance = require('../models/Attendance');
+const LeaveRequest = require('../models/LeaveRequest');
+const Invoice = require('../models/Invoice');
+const AuditLog = require('../models/AuditLog');
+const Activity = require('../models/Activity');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { validationRules, handleValidationErrors } = require('../utils/validation');
+const { resolveIntake, takeSeat, releaseSeat } = require('../utils/enrollment');
+const { offerFreeSeats } = require('../utils/waitlist');
+
+// Load a transfer the user may see (from either branch); returns { transfer } or { status, message }
+const findAccessibleTransfer = async (req) => {
+  const transfer = await StudentTransfer.findById(req.params.id);
+
+  if (!transfer) {
+    return { status: 404, message: 'Transfer not found' };
+  }
+
+  if (req.user.role !== 'superAdmin') {
+    const branchId = req.user.branch._id.toString();
+    if (transfer.fromBranch.toString() !== branchId && transfer.toBranch.toString() !== branchId) {
+      return { status: 403, message: 'Access denied to this transfer' };
+    }
+  }
+
+  return { transfer };
+};
+
+// Only the receiving branch decides on a transfer
+const isReceivingBranch = (req, transfer) => {
+  return req.user.role === 'superAdmin' || transfer.toBranch.toString() === req.user.branch._id.toString();
+};
+
+// Steps of an approved transfer after the student has moved: audit, attendance, fees and activity
+// Fills in the counts on result as it goes
+const completeTransfer = async (req, transfer, { student, before, course, intake, branch, result }) => {
+  const previousStudentId = result.previousStudentId;
+
+  await AuditLog.record(req, { entity: 'Student', entityId: student._id, action: 'update', before, after: student, description: 'Student transfer' });
+
+  if (transfer.attendanceAction === 'move' && transfer.changesBranch()) {
+    const moved = await Attendance.updateMany(
+      { student: student._id, course: transfer.fromCourse, isActive: true },
+      { $set: { branch: transfer.toBranch } }
+    );
+    result.movedAttendance = moved.modifiedCount;
+
+    // Leave that excuses the moved attendance is reviewed by the new branch too
+    await LeaveRequest.updateMany(
+      { student: student._id, course: transfer.fromCourse, status: { $in: ['pending', 'approved'] } },
+      { $set: { branch: transfer.toBranch } }
+    );
+  }
+
+  const openInvoices = await Invoice.find({
+    student: student._id,
+    isActive: true,
+    status: { $in: ['unpaid', 'partial'] }
+  });
+
+  for (const invoice of openInvoices) {
+    const invoiceBefore = AuditLog.snapshot(invoice);
+
+    if (transfer.feeAction === 'cancel' && invoice.course.toString() === transfer.fromCourse.toString()) {
+      invoice.status = 'cancelled';
+      result.cancelledInvoices += 1;
+    } else if (transfer.feeAction === 'transfer' && transfer.changesBranch()) {
+      invoice.branch = transfer.toBranch;
+      result.movedInvoices += 1;
+    } else {
+      continue;
+    }
+
+    invoice.updatedBy = req.user._id;
+    await invoice.save();
+
+    await AuditLog.record(req, { entity: 'Invoice', entityId: invoice._id, action: 'update', before: invoiceBefore, after: invoice, description: 'Student transfer' });
+  }
+
+  if (transfer.changesCourse()) {
+    // The new course fee is billed from the day of the transfer
+    const invoice = await Invoice.createForEnrollment(student, course, req.user._id, new Date());
+    result.invoice = invoice ? invoice._id : null;
+  }
+
+  // Payments on cancelled invoices go towards the remaining ones
+  if (result.cancelledInvoices > 0 || result.invoice) {
+    await Invoice.syncStudentLedger(student._id);
+  }
+
+  await Activity.record({
+    type: 'student_enrollment',
+    message: `Student transferred: ${student.fullName} (${course.title}${intake ? ` - ${intake.name}` : ''}, ${branch.name})`,
+    details: {
+      student: student._id,
+      studentId: student.studentId,
+      previousStudentId,
+      transfer: transfer._id
+    },
+    branch: transfer.toBranch,
+    user: req.user
+  });
+};
+
+// Apply an approved transfer to the student: move the seat, enrollment, attendance and fees
+// Returns { student, result } or { status, message } when the transfer can no longer be applied.
+// Errors before the student is saved leave the seats as they were and are thrown; once the student
+// has moved, failures of the remaining steps are logged and returned as a warning
+const applyTransfer = async (req, transfer) => {
+  const student = await Student.findById(transfer.student);
+  if (!student || !student.isActive) {
+    return { status: 400, message: 'The student is no longer active' };
+  }
+
+  const currentIntakeId = student.intake ? student.intake.toString() : null;
+  const fromIntakeId = transfer.fromIntake ? transfer.fromIntake.toString() : null;
+  if (student.branch.toString() !== transfer.fromBranch.toString() ||
+      student.course.toString() !== transfer.fromCourse.toString() ||
+      currentIntakeId !== fromIntakeId) {
+    return { status: 409, message: 'The student\'s enrollment has changed since the transfer was requested' };
+  }
+
+  if (student.status === 'Dropped' || student.status === 'Graduated') {
+    return { status: 400, message: `${student.status} students cannot be transferred` };
+  }
+
+  const branch = await Branch.findById(transfer.toBranch);
+  if (!branch || !branch.isActive) {
+    return { status: 400, message: 'Invalid or inactive branch' };
+  }
+
+  const course = await Course.findById(transfer.toCourse);
+  if (!course || !course.isActive) {
+    return { status: 400, message: 'Invalid or inactive course' };
+  }
+
+  // A student staying on a course without intakes already holds one of its places
+  const holdsCourseSeat = !transfer.changesCourse() && !currentIntakeId;
+  const { intake, error: intakeError } = await resolveIntake(course, transfer.toBranch, transfer.toIntake, { holdsCourseSeat });
+  if (intakeError) {
+    return { status: 400, message: intakeError };
+  }
+
+  // Take the new seat first so a full intake leaves the student where they were
+  const movesSeat = !holdsCourseSeat || Boolean(intake);
+  if (movesSeat) {
+    try {
+      await takeSeat(course, intake);
+    } catch (error) {
+      return { status: 400, message: error.message };
+    }
+  }
+
+  const before = AuditLog.snapshot(student);
+  const previousStudentId = student.studentId;
+
+  try {
+    // Student IDs carry the branch and course codes
+    const newStudentId = await Student.generateStudentId(transfer.toCourse, transfer.toBranch);
+
+    student.closeEnrollment('transfer', transfer._id);
+    student.branch = transfer.toBranch;
+    student.course = transfer.toCourse;
+    student.intake = intake ? intake._id : null;
+    student.studentId = newStudentId;
+
+    // Attendance on the new course starts afresh
+    if (transfer.changesCourse()) student.lowAttendanceSince = null;
+
+    await student.save();
+  } catch (error) {
+    // The student did not move, so give the new seat back
+    if (movesSeat) await releaseSeat(course._id, intake ? intake._id : null);
+    throw error;
+  }
+
+  // The student has moved: free the old seat and offer it to the waitlist
+  if (movesSeat) {
+    await releaseSeat(transfer.fromCourse, currentIntakeId);
+    await offerFreeSeats(transfer.fromCourse, currentIntakeId);
+  }
+
+  const result = {
+    previousStudentId,
+    newStudentId: student.studentId,
+    movedAttendance: 0,
+    movedInvoices: 0,
+    cancelledInvoices: 0,
+    invoice: null
+  };
+
+  try {
+    await completeTransfer(req, transfer, { student, before, course, intake, branch, result });
+  } catch (error) {
+    console.error('Complete transfer error:', error);
+    return { student, result, warning: 'The student was transferred, but moving their attendance or fees did not finish; please check them' };
+  }
+
+  return { student, result };
+};
+
+// @route   GET /api/student-transfers
+// @desc    Get transfers into and out of the branch
+// @access  Private (All authenticated users)
+router.get('/', authenticateToken, requirePermission('students.view'), [
+  ...validationRules.pagination,
+  ...validationRules.transferQuery,
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status, direction, studentId, branchId } = req.query;
+    const skip = (page - 1) * limit;
+
+    const query = {};
+    const scopeBranchId = req.user.role === 'superAdmin' ? branchId : req.user.branch._id;
+    if (scopeBranchId) {
+      if (direction === 'incoming') {
+        query.toBranch = scopeBranchId;
+      } else if (direction === 'outgoing') {
+        query.fromBranch = scopeBranchId;
+      } else {
+        query.$or = [{ fromBranch: scopeBranchId }, { toBranch: scopeBranchId }];
+      }
+    }
+    if (status) query.status = status;
+    if (studentId) query.student = studentId;
+
+    const transfers = await StudentTransfer.find(query)
+      .populate('student', 'studentId fullName')
+      .populate('fromBranch', 'name')
+      .populate('toBranch', 'name')
+      .populate('fromCourse', 'title')
+      .populate('toCourse', 'title')
+      .populate('fromIntake', 'name')
+      .populate('toIntake', 'name')
+      .populate('requestedBy', 'fullName username')
+      .populate('reviewedBy', 'fullName username')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await StudentTransfer.countDocuments(query);
+
+    res.json({
+      transfers,
+      pagination: {
+        current: parseInt(page),
+        pages: Math.ceil(total / limit),
+        total,
+        limit: parseInt(limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get transfers error:', error);
+    res.status(500).json({ message: 'Server error fetching transfers' });
+  }
+});
+
+// @route   GET /api/student-transfers/:id
+// @desc    Get a single transfer
+// @access  Private (All authenticated users)
+router.get('/:id', authenticateToken, requirePermission('students.view'), [
+  ...validationRules.mongoId,
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const { transfer, status, message } = await findAccessibleTransfer(req);
+    if (!transfer) {
+      return res.status(status).json({ message });
+    }
+
+    await transfer.populate([
+      { path: 'student', select: 'studentId fullName' },
+      { path: 'fromBranch', select: 'name' },
+      { path: 'toBranch', select: 'name' },
+      { path: 'fromCourse', select: 'title' },
+      { path: 'toCourse', select: 'title' },
+      { path: 'fromIntake', select: 'name' },
+      { path: 'toIntake', select: 'name' },
+      { path: 'requestedBy', select: 'fullName username' },
+      { path: 'reviewedBy', select: 'fullName username' }
+    ]);
+
+    res.json({ transfer });
+  } catch (error) {
+    console.error('Get transfer error:', error);
+    res.status(500).json({ message: 'Server error fetching transfer' });
+  }
+});
+
+// @route   POST /api/student-transfers/:id/approve
+// @desc    Approve a transfer into the branch and move the student
+// @access  Private (SuperAdmin, Admin of the receiving branch)
+router.post('/:id/approve', authenticateToken, requirePermission('students.approveTransfers'), [
+  ...validationRules.mongoId,
+  ...validationRules.transferReview,
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const { transfer, status, message } = await findAccessibleTransfer(req);
+    if (!transfer) {
+      return res.status(status).json({ message });
+    }
+
+    if (!isReceivingBranch(req, transfer)) {
+      return res.status(403).json({ message: 'Only the receiving branch can approve this transfer' });
+    }
+
+    if (transfer.status !== 'pending') {
+      return res.status(400).json({ message: 'Only pending transfers can be approved' });
+    }
+
+    const before = AuditLog.snapshot(transfer);
+
+    // Claim the transfer first, so concurrent approvals cannot apply it (and take a seat) twice
+    const claimed = await StudentTransfer.changeStatus(transfer._id, 'pending', { status: 'approving' });
+    if (!claimed) {
+      return res.status(409).json({ message: 'This transfer has already been reviewed or cancelled' });
+    }
+
+    // applyTransfer only throws before the student has moved, so the transfer can be reviewed again
+    let applied;
+    try {
+      applied = await applyTransfer(req, claimed);
+    } catch (error) {
+      await StudentTransfer.changeStatus(transfer._id, 'approving', { status: 'pending' });
+      throw error;
+    }
+
+    if (!applied.student) {
+      await StudentTransfer.changeStatus(transfer._id, 'approving', { status: 'pending' });
+      return res.status(applied.status).json({ message: applied.message });
+    }
+
+    const approved = await StudentTransfer.changeStatus(transfer._id, 'approving', {
+      status: 'approved',
+      reviewedBy: req.user._id,
+      reviewedAt: new Date(),
+      reviewNotes: req.body.reviewNotes,
+      result: applied.result
+    });
+
+    await AuditLog.record(req, { entity: 'StudentTransfer', entityId: transfer._id, action: 'update', before, after: approved });
+
+    res.json({
+      message: 'Transfer approved successfully',
+      transfer: approved,
+      student: applied.student,
+      ...(applied.warning ? { warning: applied.warning } : {})
+    });
+  } catch (error) {
+    console.error('Approve transfer error:', error);
+    res.status(500).json({ message: 'Server error approving transfer' });
+  }
+});
+
+// @route   POST /api/student-transfers/:id/reject
+// @desc    Reject a transfer into the branch
+// @access  Private (SuperAdmin, Admin of the receiving branch)
+router.post('/:id/reject', authenticateToken, requirePermission('students.approveTransfers'), [
+  ...validationRules.mongoId,
+  ...validationRules.transferReview,
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const { transfer, status, message } = await findAccessibleTransfer(req);
+    if (!transfer) {
+      return res.status(status).json({ message });
+    }
+
+    if (!isReceivingBranch(req, transfer)) {
+      return res.status(403).json({ message: 'Only the receiving branch can reject this transfer' });
+    }
+
+    if (transfer.status !== 'pending') {
+      return res.status(400).json({ message: 'Only pending transfers can be rejected' });
+    }
+
+    const before = AuditLog.snapshot(transfer);
+    const rejected = await StudentTransfer.changeStatus(transfer._id, 'pending', {
+      status: 'rejected',
+      reviewedBy: req.user._id,
+      reviewedAt: new Date(),
+      reviewNotes: req.body.reviewNotes
+    });
+    if (!rejected) {
+      return res.status(409).json({ message: 'This transfer has already been reviewed or cancelled' });
+    }
+
+    await AuditLog.record(req, { entity: 'StudentTransfer', entityId: transfer._id, action: 'update', before, after: rejected });
+
+    res.json({
+      message: 'Transfer rejected',
+      transfer: rejected
+    });
+  } catch (error) {
+    console.error('Reject transfer error:', error);
+    res.status(500).json({ message: 'Server error rejecting transfer' });
+  }
+});
+
+// @route   POST /api/student-transfers/:id/cancel
+// @desc    Withdraw a pending transfer
+// @access  Private (SuperAdmin, Admin, Moderator of the requesting branch)
+router.post('/:id/cancel', authenticateToken, requirePermission('students.transfer'), [
+  ...validationRules.mongoId,
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const { transfer, status, message } = await findAccessibleTransfer(req);
+    if (!transfer) {
+      return res.status(status).json({ message });
+    }
+
+    // Only the requesting branch withdraws a transfer; the receiving branch rejects it instead
+    if (req.user.role !== 'superAdmin' && transfer.fromBranch.toString() !== req.user.branch._id.toString()) {
+      return res.status(403).json({ message: 'Only the requesting branch can cancel this transfer' });
+    }
+
+    if (transfer.status !== 'pending') {
+      return res.status(400).json({ message: 'Only pending transfers can be cancelled' });
+    }
+
+    const before = AuditLog.snapshot(transfer);
+    const cancelled = await StudentTransfer.changeStatus(transfer._id, 'pending', { status: 'cancelled' });
+    if (!cancelled) {
+      return res.status(409).json({ message: 'This transfer has already been reviewed or cancelled' });
+    }
+
+    await AuditLog.record(req, { entity: 'StudentTransfer', entityId: transfer._id, action: 'update', before, after: cancelled });
+
+    res.json({
+      message: 'Transfer cancelled successfully',
+      transfer: cancelled
+    });
+  } catch (error) {
+    console.error('Cancel transfer error:', error);
+    res.status(500).json({ message: 'Server error cancelling transfer' });
+  }
+});
+
+module.exports = router;
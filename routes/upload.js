@@ -3,7 +3,8 @@ const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
 const router = express.Router();
-const { authenticateToken, requireRole } = require('../middleware/auth');
+const AuditLog = require('../models/AuditLog');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
 const { uploadToCloudinary, deleteFromCloudinary, getFileType } = require('../config/cloudinary');
 
 // Configure multer for temporary file storage
@@ -55,7 +56,7 @@ const upload = multer({
 // @route   POST /api/upload/single
 // @desc    Upload single file
 // @access  Private (SuperAdmin, Admin, Moderator)
-router.post('/single', authenticateToken, requireRole('superAdmin', 'admin', 'moderator'), upload.single('file'), async (req, res) => {
+router.post('/single', authenticateToken, requirePermission('uploads.create'), upload.single('file'), async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({ message: 'No file uploaded' });
@@ -70,6 +71,13 @@ router.post('/single', authenticateToken, requireRole('superAdmin', 'admin', 'mo
     // Determine file type
     const fileType = getFileType(cloudinaryResult.format);
 
+    await AuditLog.record(req, {
+      entity: 'Upload',
+      entityId: cloudinaryResult.publicId,
+      action: 'create',
+      after: { name: req.file.originalname, url: cloudinaryResult.url, format: cloudinaryResult.format, size: cloudinaryResult.bytes }
+    });
+
     res.json({
       message: 'File uploaded successfully',
       file: {
@@ -98,7 +106,7 @@ router.post('/single', authenticateToken, requireRole('superAdmin', 'admin', 'mo
 // @route   POST /api/upload/multiple
 // @desc    Upload multiple files
 // @access  Private (SuperAdmin, Admin, Moderator)
-router.post('/multiple', authenticateToken, requireRole('superAdmin', 'admin', 'moderator'), upload.array('files', 5), async (req, res) => {
+router.post('/multiple', authenticateToken, requirePermission('uploads.create'), upload.array('files', 5), async (req, res) => {
   try {
     if (!req.files || req.files.length === 0) {
       return res.status(400).json({ message: 'No files uploaded' });
@@ -130,6 +138,15 @@ router.post('/multiple', authenticateToken, requireRole('superAdmin', 'admin', '
 
     const uploadedFiles = await Promise.all(uploadPromises);
 
+    for (const file of uploadedFiles) {
+      await AuditLog.record(req, {
+        entity: 'Upload',
+        entityId: file.publicId,
+        action: 'create',
+        after: { name: file.name, url: file.url, format: file.format, size: file.size }
+      });
+    }
+
     res.json({
       message: 'Files uploaded successfully',
       files: uploadedFiles
@@ -155,7 +172,7 @@ router.post('/multiple', authenticateToken, requireRole('superAdmin', 'admin', '
 // @route   DELETE /api/upload/:publicId
 // @desc    Delete file from Cloudinary
 // @access  Private (SuperAdmin, Admin, Moderator)
-router.delete('/:publicId', authenticateToken, requireRole('superAdmin', 'admin', 'moderator'), async (req, res) => {
+router.delete('/:publicId', authenticateToken, requirePermission('uploads.delete'), async (req, res) => {
   try {
     const { publicId } = req.params;
     
@@ -165,6 +182,7 @@ router.delete('/:publicId', authenticateToken, requireRole('superAdmin', 'admin'
     const result = await deleteFromCloudinary(decodedPublicId);
     
     if (result.result === 'ok') {
+      await AuditLog.record(req, { entity: 'Upload', entityId: decodedPublicId, action: 'delete' });
       res.json({ message: 'File deleted successfully' });
     } else {
       res.status(404).json({ message: 'File not found or already deleted' });
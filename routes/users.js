@@ -4,15 +4,43 @@ const { body } = require('express-validator');
 const router = express.Router();
 const User = require('../models/User');
 const Branch = require('../models/Branch');
+const Session = require('../models/Session');
+const LoginAttempt = require('../models/LoginAttempt');
+const AuditLog = require('../models/AuditLog');
+const Activity = require('../models/Activity');
 const { validationRules, handleValidationErrors } = require('../utils/validation');
 const { 
   authenticateToken, 
-  requireSuperAdmin, 
-  requireRole,
+  requirePermission,
   requireBranchAdmin,
   validateBranchOwnership 
 } = require('../middleware/auth');
 
+// Filter for users working in a branch (home branch or additional assignment)
+const branchUsersFilter = (branchId) => ({
+  $or: [{ branch: branchId }, { 'branches.branch': branchId }]
+});
+
+// Check additional branch assignments; returns an error message or the cleaned list
+const resolveBranchAssignments = async (branches, homeBranchId) => {
+  const assignments = [];
+
+  for (const item of branches) {
+    const branchId = item.branch.toString();
+    if (homeBranchId && branchId === homeBranchId.toString()) continue;
+    if (assignments.some(assignment => assignment.branch === branchId)) continue;
+
+    const branchDoc = await Branch.findById(branchId);
+    if (!branchDoc || !branchDoc.isActive) {
+      return { error: 'Invalid or inactive branch in branch assignments' };
+    }
+
+    assignments.push({ branch: branchId, role: item.role || undefined });
+  }
+
+  return { assignments };
+};
+
 // @route   GET /api/users/branch-users
 // @desc    Get branch users (for branch-specific user management)
 // @access  Private (Admin, Moderator, Staff)
@@ -27,11 +55,11 @@ router.get('/branch-users', authenticateToken, async (req, res) => {
       // SuperAdmin can see all users
     } else if (req.user.role === 'admin') {
       // Admin can see users in their branch, but not superAdmin users
-      query.branch = req.user.branch._id;
+      query.$and = [branchUsersFilter(req.user.branch._id)];
       query.role = { $ne: 'superAdmin' };
     } else {
       // Moderators and staff can only see users in their branch, but not superAdmin users
-      query.branch = req.user.branch._id;
+      query.$and = [branchUsersFilter(req.user.branch._id)];
       query.role = { $ne: 'superAdmin' };
     }
 
@@ -98,13 +126,13 @@ router.get('/branch-users', authenticateToken, async (req, res) => {
 // @route   GET /api/users
 // @desc    Get all users (SuperAdmin) or branch users (Admin)
 // @access  Private (SuperAdmin, Admin)
-router.get('/', authenticateToken, requireRole('superAdmin', 'admin'), async (req, res) => {
+router.get('/', authenticateToken, requirePermission('users.view'), async (req, res) => {
   try {
     const { page = 1, limit = 10, search = '', role = '', branchId = '' } = req.query;
     const skip = (page - 1) * limit;
 
-    // Build search query
-    let searchQuery = {};
+    // Build search query (system accounts are not listed)
+    let searchQuery = { isSystem: { $ne: true } };
 
     // Text search
     if (search) {
@@ -125,16 +153,17 @@ router.get('/', authenticateToken, requireRole('superAdmin', 'admin'), async (re
     if (req.user.role === 'superAdmin') {
       // SuperAdmin can see all users or filter by branch
       if (branchId) {
-        searchQuery.branch = branchId;
+        searchQuery.$and = [branchUsersFilter(branchId)];
       }
-    } else if (req.user.role === 'admin') {
-      // Admin can only see users from their branch
-      searchQuery.branch = req.user.branch._id;
+    } else {
+      // Other users can only see users from their branch
+      searchQuery.$and = [branchUsersFilter(req.user.branch._id)];
     }
 
     // Get users with pagination
     const users = await User.find(searchQuery)
       .populate('branch', 'name')
+      .populate('branches.branch', 'name')
       .populate('createdBy', 'fullName username')
       .select('-password')
       .sort({ createdAt: -1 })
@@ -155,7 +184,13 @@ router.get('/', authenticateToken, requireRole('superAdmin', 'admin'), async (re
         id: user.branch._id,
         name: user.branch.name
       } : null,
+      branches: user.branches.filter(assignment => assignment.branch).map(assignment => ({
+        id: assignment.branch._id,
+        name: assignment.branch.name,
+        role: assignment.role || user.role
+      })),
       isActive: user.isActive,
+      isLocked: user.isLocked,
       createdAt: user.createdAt,
       updatedAt: user.updatedAt
     }));
@@ -175,6 +210,63 @@ router.get('/', authenticateToken, requireRole('superAdmin', 'admin'), async (re
   }
 });
 
+// @route   GET /api/users/login-attempts
+// @desc    Get failed and blocked login attempts (SuperAdmin: all, Admin: their branch)
+// @access  Private (SuperAdmin, Admin)
+router.get('/login-attempts', authenticateToken, requirePermission('users.viewLoginAttempts'), [
+  ...validationRules.pagination,
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const { page = 1, limit = 20, username = '', userId = '', reason = '', ip = '', branchId = '', startDate, endDate } = req.query;
+    const skip = (page - 1) * limit;
+
+    let query = {};
+
+    // Branch access control (attempts on unknown usernames have no branch)
+    if (req.user.role === 'superAdmin') {
+      if (branchId) {
+        query.branch = branchId;
+      }
+    } else {
+      query.branch = req.user.branch._id;
+    }
+
+    if (username) query.username = username.toLowerCase();
+    if (userId && mongoose.Types.ObjectId.isValid(userId)) query.user = userId;
+    if (reason) query.reason = reason;
+    if (ip) query.ip = ip;
+
+    if (startDate || endDate) {
+      query.createdAt = {};
+      if (startDate) query.createdAt.$gte = new Date(startDate);
+      if (endDate) query.createdAt.$lte = new Date(endDate);
+    }
+
+    const attempts = await LoginAttempt.find(query)
+      .populate('user', 'fullName username role')
+      .populate('branch', 'name')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await LoginAttempt.countDocuments(query);
+
+    res.json({
+      attempts,
+      pagination: {
+        current: parseInt(page),
+        pages: Math.ceil(total / limit),
+        total,
+        limit: parseInt(limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get login attempts error:', error);
+    res.status(500).json({ message: 'Server error fetching login attempts' });
+  }
+});
+
 // @route   GET /api/users/branch/:branchId
 // @desc    Get users by branch
 // @access  Private (SuperAdmin, Branch Admin/Moderator/Staff)
@@ -202,13 +294,14 @@ router.get('/branch/:branchId', authenticateToken, [
 // @route   GET /api/users/:id
 // @desc    Get single user
 // @access  Private (SuperAdmin, Admin)
-router.get('/:id', authenticateToken, requireRole('superAdmin', 'admin'), [
+router.get('/:id', authenticateToken, requirePermission('users.view'), [
   ...validationRules.userId,
   handleValidationErrors
 ], async (req, res) => {
   try {
     const user = await User.findById(req.params.id)
       .populate('branch', 'name')
+      .populate('branches.branch', 'name')
       .populate('createdBy', 'fullName username')
       .select('-password');
 
@@ -217,7 +310,7 @@ router.get('/:id', authenticateToken, requireRole('superAdmin', 'admin'), [
     }
 
     // Check access permissions for admin
-    if (req.user.role === 'admin' && user.branch._id.toString() !== req.user.branch._id.toString()) {
+    if (req.user.role !== 'superAdmin' && !user.belongsToBranch(req.user.branch._id)) {
       return res.status(403).json({ message: 'Access denied to this user' });
     }
 
@@ -231,12 +324,12 @@ router.get('/:id', authenticateToken, requireRole('superAdmin', 'admin'), [
 // @route   POST /api/users
 // @desc    Create new user
 // @access  Private (SuperAdmin, Admin)
-router.post('/', authenticateToken, requireRole('superAdmin', 'admin'), [
+router.post('/', authenticateToken, requirePermission('users.create'), [
   ...validationRules.userRegistration,
   handleValidationErrors
 ], async (req, res) => {
   try {
-    const { fullName, nicOrPassport, contactNumber, email, username, password, role, branch } = req.body;
+    const { fullName, nicOrPassport, contactNumber, email, username, password, role, branch, branches } = req.body;
 
     console.log('User creation request:', {
       body: req.body,
@@ -254,7 +347,7 @@ router.post('/', authenticateToken, requireRole('superAdmin', 'admin'), [
       }
 
       // Admin cannot create other admins
-      if (role === 'admin') {
+      if (role === 'admin' || role === 'superAdmin') {
         return res.status(403).json({ message: 'Cannot create admin users' });
       }
     }
@@ -272,6 +365,23 @@ router.post('/', authenticateToken, requireRole('superAdmin', 'admin'), [
       }
     }
 
+    // Only superAdmin assigns users to additional branches
+    let branchAssignments = [];
+    if (branches && branches.length > 0) {
+      if (req.user.role !== 'superAdmin') {
+        return res.status(403).json({ message: 'Only super admin can assign users to multiple branches' });
+      }
+      if (role === 'superAdmin') {
+        return res.status(400).json({ message: 'Super admin users cannot have branch assignments' });
+      }
+
+      const { error, assignments } = await resolveBranchAssignments(branches, branch);
+      if (error) {
+        return res.status(400).json({ message: error });
+      }
+      branchAssignments = assignments;
+    }
+
     // Check for existing username, email, or NIC/Passport
     const existingUser = await User.findOne({
       $or: [
@@ -303,13 +413,29 @@ router.post('/', authenticateToken, requireRole('superAdmin', 'admin'), [
       password,
       role,
       branch: branch || null,
+      branches: branchAssignments,
       createdBy: req.user._id
     });
 
     await user.save();
 
+    await AuditLog.record(req, { entity: 'User', entityId: user._id, action: 'create', after: user });
+
+    await Activity.record({
+      type: 'user_registration',
+      message: `New ${user.role} registered: ${user.fullName}`,
+      details: {
+        username: user.username,
+        role: user.role,
+        createdBy: req.user.fullName
+      },
+      branch: user.branch,
+      user: req.user
+    });
+
     // Populate fields for response
     await user.populate('branch', 'name');
+    await user.populate('branches.branch', 'name');
     await user.populate('createdBy', 'fullName username');
 
     res.status(201).json({
@@ -328,13 +454,13 @@ router.post('/', authenticateToken, requireRole('superAdmin', 'admin'), [
 // @route   PUT /api/users/:id
 // @desc    Update user
 // @access  Private (SuperAdmin, Admin)
-router.put('/:id', authenticateToken, requireRole('superAdmin', 'admin'), [
+router.put('/:id', authenticateToken, requirePermission('users.update'), [
   ...validationRules.userId,
   ...validationRules.userUpdate,
   handleValidationErrors
 ], async (req, res) => {
   try {
-    const { fullName, nicOrPassport, contactNumber, email, role, isActive } = req.body;
+    const { fullName, nicOrPassport, contactNumber, email, role, isActive, branches } = req.body;
 
     console.log('User update request:', {
       userId: req.params.id,
@@ -344,31 +470,48 @@ router.put('/:id', authenticateToken, requireRole('superAdmin', 'admin'), [
 
     const user = await User.findById(req.params.id);
 
-    if (!user) {
+    // System accounts are managed by the application
+    if (!user || user.isSystem) {
       return res.status(404).json({ message: 'User not found' });
     }
 
+    const before = AuditLog.snapshot(user);
+
+    // Admins of another branch the user is assigned to only change the user's role in that branch
+    const isHomeBranchAdmin = req.user.role === 'superAdmin' ||
+      Boolean(user.branch && user.branch.toString() === req.user.branch._id.toString());
+
     // Check access permissions
-    if (req.user.role === 'admin') {
+    if (req.user.role !== 'superAdmin') {
       // Admin can only update users in their branch
-      if (user.branch.toString() !== req.user.branch._id.toString()) {
+      if (!user.belongsToBranch(req.user.branch._id)) {
         return res.status(403).json({ message: 'Access denied to this user' });
       }
 
-      // Admin cannot update other admins (except themselves)
-      if (user.role === 'admin' && user._id.toString() !== req.user._id.toString()) {
-        return res.status(403).json({ message: 'Cannot update other admin users' });
-      }
-
       // Admin cannot update superAdmin users
       if (user.role === 'superAdmin') {
         return res.status(403).json({ message: 'Cannot update super admin users' });
       }
 
+      // Admin cannot update other admins (except themselves), including admins of another branch
+      if (user.hasAdminRole() && user._id.toString() !== req.user._id.toString()) {
+        return res.status(403).json({ message: 'Cannot update other admin users' });
+      }
+
       // Admin cannot change role to admin or superAdmin
       if (role === 'admin' || role === 'superAdmin') {
         return res.status(403).json({ message: 'Cannot set role to admin or superAdmin' });
       }
+
+      // Only superAdmin changes branch assignments
+      if (branches !== undefined) {
+        return res.status(403).json({ message: 'Only super admin can assign users to multiple branches' });
+      }
+
+      // Activation applies in every branch, so only the user's home branch decides it
+      if (!isHomeBranchAdmin && typeof isActive === 'boolean' && isActive !== user.isActive) {
+        return res.status(403).json({ message: 'Only an admin of the user\'s home branch can activate or deactivate them' });
+      }
     }
     // SuperAdmin has no restrictions - can update any user and set any role
 
@@ -401,13 +544,38 @@ router.put('/:id', authenticateToken, requireRole('superAdmin', 'admin'), [
     if (nicOrPassport) user.nicOrPassport = nicOrPassport.trim();
     if (contactNumber) user.contactNumber = contactNumber.trim();
     if (email) user.email = email.toLowerCase();
-    if (role) user.role = role;
+    if (role && isHomeBranchAdmin) {
+      user.role = role;
+    } else if (role) {
+      const assignment = user.branches.find(item => item.branch.toString() === req.user.branch._id.toString());
+      assignment.role = role;
+    }
     if (typeof isActive === 'boolean') user.isActive = isActive;
 
+    if (Array.isArray(branches)) {
+      if ((role || user.role) === 'superAdmin' && branches.length > 0) {
+        return res.status(400).json({ message: 'Super admin users cannot have branch assignments' });
+      }
+
+      const { error, assignments } = await resolveBranchAssignments(branches, user.branch);
+      if (error) {
+        return res.status(400).json({ message: error });
+      }
+      user.branches = assignments;
+    }
+
     await user.save();
 
+    await AuditLog.record(req, { entity: 'User', entityId: user._id, action: 'update', before, after: user });
+
+    // Deactivated users are signed out everywhere
+    if (isActive === false) {
+      await Session.revokeAllForUser(user._id, 'user_deactivated');
+    }
+
     // Populate fields for response
     await user.populate('branch', 'name');
+    await user.populate('branches.branch', 'name');
     await user.populate('createdBy', 'fullName username');
 
     res.json({
@@ -426,26 +594,27 @@ router.put('/:id', authenticateToken, requireRole('superAdmin', 'admin'), [
 // @route   DELETE /api/users/:id
 // @desc    Delete user
 // @access  Private (SuperAdmin, Admin)
-router.delete('/:id', authenticateToken, requireRole('superAdmin', 'admin'), [
+router.delete('/:id', authenticateToken, requirePermission('users.delete'), [
   ...validationRules.userId,
   handleValidationErrors
 ], async (req, res) => {
   try {
     const user = await User.findById(req.params.id);
 
-    if (!user) {
+    // System accounts are managed by the application
+    if (!user || user.isSystem) {
       return res.status(404).json({ message: 'User not found' });
     }
 
     // Check access permissions for admin
-    if (req.user.role === 'admin') {
+    if (req.user.role !== 'superAdmin') {
       // Admin can only delete users in their branch
-      if (user.branch.toString() !== req.user.branch._id.toString()) {
+      if (!user.belongsToBranch(req.user.branch._id)) {
         return res.status(403).json({ message: 'Access denied to this user' });
       }
 
-      // Admin cannot delete other admins
-      if (user.role === 'admin') {
+      // Admin cannot delete other admins, including admins of another branch
+      if (user.hasAdminRole()) {
         return res.status(403).json({ message: 'Cannot delete admin users' });
       }
     }
@@ -456,9 +625,15 @@ router.delete('/:id', authenticateToken, requireRole('superAdmin', 'admin'), [
     }
 
     // Soft delete by setting isActive to false
+    const before = AuditLog.snapshot(user);
     user.isActive = false;
     await user.save();
 
+    await AuditLog.record(req, { entity: 'User', entityId: user._id, action: 'delete', before, after: user });
+
+    // Sign the user out everywhere
+    await Session.revokeAllForUser(user._id, 'user_deactivated');
+
     res.json({ message: 'User deleted successfully' });
   } catch (error) {
     console.error('Delete user error:', error);
@@ -469,19 +644,20 @@ router.delete('/:id', authenticateToken, requireRole('superAdmin', 'admin'), [
 // @route   POST /api/users/:id/restore
 // @desc    Restore deleted user
 // @access  Private (SuperAdmin, Admin)
-router.post('/:id/restore', authenticateToken, requireRole('superAdmin', 'admin'), [
+router.post('/:id/restore', authenticateToken, requirePermission('users.delete'), [
   ...validationRules.userId,
   handleValidationErrors
 ], async (req, res) => {
   try {
     const user = await User.findById(req.params.id);
 
-    if (!user) {
+    // System accounts are managed by the application
+    if (!user || user.isSystem) {
       return res.status(404).json({ message: 'User not found' });
     }
 
     // Check access permissions for admin
-    if (req.user.role === 'admin' && user.branch.toString() !== req.user.branch._id.toString()) {
+    if (req.user.role !== 'superAdmin' && !user.belongsToBranch(req.user.branch._id)) {
       return res.status(403).json({ message: 'Access denied to this user' });
     }
 
@@ -489,9 +665,12 @@ router.post('/:id/restore', authenticateToken, requireRole('superAdmin', 'admin'
       return res.status(400).json({ message: 'User is already active' });
     }
 
+    const before = AuditLog.snapshot(user);
     user.isActive = true;
     await user.save();
 
+    await AuditLog.record(req, { entity: 'User', entityId: user._id, action: 'restore', before, after: user });
+
     res.json({ message: 'User restored successfully' });
   } catch (error) {
     console.error('Restore user error:', error);
@@ -499,10 +678,103 @@ router.post('/:id/restore', authenticateToken, requireRole('superAdmin', 'admin'
   }
 });
 
+// @route   POST /api/users/:id/unlock
+// @desc    Clear failed login attempts and lift a lockout
+// @access  Private (SuperAdmin, Admin)
+router.post('/:id/unlock', authenticateToken, requirePermission('users.unlock'), [
+  ...validationRules.userId,
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    // Check access permissions for admin
+    if (req.user.role !== 'superAdmin') {
+      // Admin can only unlock users in their branch
+      if (!user.belongsToBranch(req.user.branch._id)) {
+        return res.status(403).json({ message: 'Access denied to this user' });
+      }
+
+      // Admin cannot unlock admins or superAdmins, including admins of another branch
+      if (user.hasAdminRole()) {
+        return res.status(403).json({ message: 'Cannot unlock admin users' });
+      }
+    }
+
+    if (!user.failedLoginAttempts && !user.lockUntil) {
+      return res.status(400).json({ message: 'User is not locked' });
+    }
+
+    await user.resetFailedLogins();
+
+    await AuditLog.record(req, { entity: 'User', entityId: user._id, action: 'update', description: 'Account unlocked', branch: user.branch });
+
+    res.json({ message: 'User unlocked successfully' });
+  } catch (error) {
+    console.error('Unlock user error:', error);
+    res.status(500).json({ message: 'Server error unlocking user' });
+  }
+});
+
+// @route   POST /api/users/:id/2fa/reset
+// @desc    Reset 2FA for a user who lost their authenticator (they enroll again at next login)
+// @access  Private (SuperAdmin, Admin)
+router.post('/:id/2fa/reset', authenticateToken, requirePermission('users.reset2fa'), [
+  ...validationRules.userId,
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    // Check access permissions for admin
+    if (req.user.role !== 'superAdmin') {
+      // Admin can only reset users in their branch
+      if (!user.belongsToBranch(req.user.branch._id)) {
+        return res.status(403).json({ message: 'Access denied to this user' });
+      }
+
+      // Admin cannot reset other admins or superAdmins, including admins of another branch
+      if (user.hasAdminRole()) {
+        return res.status(403).json({ message: 'Cannot reset 2FA for admin users' });
+      }
+    }
+
+    // Prevent resetting your own 2FA this way
+    if (user._id.toString() === req.user._id.toString()) {
+      return res.status(400).json({ message: 'Cannot reset your own 2FA' });
+    }
+
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is not enabled for this user' });
+    }
+
+    user.twoFactor = { enabled: false, backupCodes: [] };
+    await user.save();
+
+    await AuditLog.record(req, { entity: 'User', entityId: user._id, action: 'update', description: 'Two-factor authentication reset', branch: user.branch });
+
+    // Sign the user out everywhere
+    await Session.revokeAllForUser(user._id, 'revoked');
+
+    res.json({ message: 'Two-factor authentication reset successfully' });
+  } catch (error) {
+    console.error('Reset 2FA error:', error);
+    res.status(500).json({ message: 'Server error resetting 2FA' });
+  }
+});
+
 // @route   PUT /api/users/:id/role
-// @desc    Update user role (Branch Admin only)
-// @access  Private (Admin)
-router.put('/:id/role', authenticateToken, requireRole('admin'), [
+// @desc    Update user role between moderator and staff
+// @access  Private (users.changeRole permission)
+router.put('/:id/role', authenticateToken, requirePermission('users.changeRole'), [
   ...validationRules.userId,
   body('role')
     .isIn(['moderator', 'staff'])
@@ -514,17 +786,18 @@ router.put('/:id/role', authenticateToken, requireRole('admin'), [
 
     const user = await User.findById(req.params.id);
 
-    if (!user) {
+    // System accounts are managed by the application
+    if (!user || user.isSystem) {
       return res.status(404).json({ message: 'User not found' });
     }
 
     // Admin can only update users in their branch
-    if (user.branch.toString() !== req.user.branch._id.toString()) {
+    if (req.user.role !== 'superAdmin' && (!req.user.branch || !user.belongsToBranch(req.user.branch._id))) {
       return res.status(403).json({ message: 'Access denied to this user' });
     }
 
-    // Admin cannot change other admin roles
-    if (user.role === 'admin') {
+    // Admin cannot change other admin roles; branch admins also cannot re-role admins of another branch
+    if (user.role === 'admin' || (req.user.role !== 'superAdmin' && user.hasAdminRole())) {
       return res.status(403).json({ message: 'Cannot change admin role' });
     }
 
@@ -533,9 +806,12 @@ router.put('/:id/role', authenticateToken, requireRole('admin'), [
       return res.status(400).json({ message: 'Cannot change your own role' });
     }
 
+    const before = AuditLog.snapshot(user);
     user.role = role;
     await user.save();
 
+    await AuditLog.record(req, { entity: 'User', entityId: user._id, action: 'update', before, after: user });
+
     await user.populate('branch', 'name');
 
     res.json({
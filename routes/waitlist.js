@@ -0,0 +1,430 @@
+const express = require('express');
+const router = express.Router();
+const WaitlistEntry = require('../models/WaitlistEntry');
+const Student = require('../models/Student');
+const Course = require('../models/Course');
+const Intake = require('../models/Intake');
+const Branch = require('../models/Branch');
+const AuditLog = require('../models/AuditLog');
+const Activity = require('../models/Activity');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { validationRules, handleValidationErrors } = require('../utils/validation');
+const { releaseOffer } = require('../utils/waitlist');
+const { openFeeAccount } = require('../utils/enrollment');
+
+// Load a waitlist entry the user may see; returns { entry } or { status, message }
+const findAccessibleEntry = async (req) => {
+  const entry = await WaitlistEntry.findById(req.params.id);
+
+  if (!entry) {
+    return { status: 404, message: 'Waitlist entry not found' };
+  }
+
+  if (req.user.role !== 'superAdmin' && entry.branch.toString() !== req.user.branch._id.toString()) {
+    return { status: 403, message: 'Access denied to this waitlist entry' };
+  }
+
+  return { entry };
+};
+
+// @route   GET /api/waitlist
+// @desc    Get waitlisted applicants, in queue order per course and intake
+// @access  Private (All authenticated users)
+router.get('/', authenticateToken, requirePermission('waitlist.view'), [
+  ...validationRules.pagination,
+  ...validationRules.waitlistQuery,
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const { page = 1, limit = 20, courseId, intakeId, branchId, status } = req.query;
+    const skip = (page - 1) * limit;
+
+    const query = {};
+    if (req.user.role === 'superAdmin') {
+      if (branchId) query.branch = branchId;
+    } else {
+      query.branch = req.user.branch._id;
+    }
+    if (courseId) query.course = courseId;
+    if (intakeId) query.intake = intakeId;
+    query.status = status || { $in: ['waiting', 'offered'] };
+
+    const entries = await WaitlistEntry.find(query)
+      .populate('course', 'title')
+      .populate('intake', 'name startDate')
+      .populate('branch', 'name')
+      .populate('student', 'studentId fullName')
+      .populate('createdBy', 'fullName username')
+      .sort({ course: 1, intake: 1, position: 1, createdAt: 1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await WaitlistEntry.countDocuments(query);
+
+    res.json({
+      entries,
+      pagination: {
+        current: parseInt(page),
+        pages: Math.ceil(total / limit),
+        total,
+        limit: parseInt(limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get waitlist error:', error);
+    res.status(500).json({ message: 'Server error fetching waitlist' });
+  }
+});
+
+// @route   POST /api/waitlist
+// @desc    Add an applicant to the waitlist of a full course (or intake)
+// @access  Private (SuperAdmin, Admin, Moderator)
+router.post('/', authenticateToken, requirePermission('waitlist.manage'), [
+  ...validationRules.waitlistCreate,
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const {
+      fullName,
+      email,
+      phone,
+      address,
+      dateOfBirth,
+      level,
+      course: courseId,
+      intake: intakeId,
+      branch: branchId,
+      notes
+    } = req.body;
+
+    // Validate branch access for non-superAdmin users
+    let targetBranchId = branchId;
+    if (req.user.role !== 'superAdmin') {
+      targetBranchId = req.user.branch._id.toString();
+      if (branchId && branchId !== targetBranchId) {
+        return res.status(403).json({ message: 'Cannot add applicants for other branches' });
+      }
+    }
+
+    const branch = targetBranchId ? await Branch.findById(targetBranchId) : null;
+    if (!branch || !branch.isActive) {
+      return res.status(400).json({ message: 'Invalid or inactive branch' });
+    }
+
+    const course = await Course.findById(courseId);
+    if (!course || !course.isActive) {
+      return res.status(400).json({ message: 'Invalid or inactive course' });
+    }
+    if (course.branch !== 'all' && course.branch !== targetBranchId) {
+      return res.status(400).json({ message: 'Course not available for this branch' });
+    }
+
+    // Applicants queue for the same place a new student would take
+    let intake = null;
+    if (intakeId) {
+      intake = await Intake.findById(intakeId);
+      if (!intake || !intake.isActive ||
+          intake.course.toString() !== course._id.toString() ||
+          intake.branch.toString() !== targetBranchId) {
+        return res.status(400).json({ message: 'Invalid intake for this course and branch' });
+      }
+      if (!intake.isOpenForEnrollment()) {
+        return res.status(400).json({ message: 'Intake is not open for enrollment' });
+      }
+    } else {
+      const openIntakes = await Intake.findOpen(course._id, targetBranchId);
+      if (openIntakes.length > 0) {
+        return res.status(400).json({ message: 'Please select an intake for this course' });
+      }
+    }
+
+    if (!(intake ? intake.isFull() : course.isFull())) {
+      return res.status(400).json({ message: 'There are free places; enroll the student directly' });
+    }
+
+    const normalizedEmail = email.toLowerCase().trim();
+
+    const existingStudent = await Student.findOne({ email: normalizedEmail, isActive: true });
+    if (existingStudent) {
+      return res.status(400).json({ message: 'Student with this email already exists' });
+    }
+
+    const existingEntry = await WaitlistEntry.findOne({
+      course: course._id,
+      intake: intake ? intake._id : null,
+      'applicant.email': normalizedEmail,
+      status: { $in: ['waiting', 'offered'] }
+    });
+    if (existingEntry) {
+      return res.status(409).json({ message: 'This applicant is already on the waitlist' });
+    }
+
+    const entry = new WaitlistEntry({
+      course: course._id,
+      intake: intake ? intake._id : null,
+      branch: targetBranchId,
+      applicant: {
+        fullName: fullName.trim(),
+        email: normalizedEmail,
+        phone: phone.trim(),
+        address: address.trim(),
+        dateOfBirth: new Date(dateOfBirth),
+        level: level || 'Beginner'
+      },
+      position: await WaitlistEntry.getNextPosition(course._id, intake ? intake._id : null),
+      notes,
+      createdBy: req.user._id
+    });
+
+    await entry.save();
+
+    await AuditLog.record(req, { entity: 'WaitlistEntry', entityId: entry._id, action: 'create', after: entry });
+
+    res.status(201).json({
+      message: `Applicant added to the waitlist at position ${entry.position}`,
+      entry
+    });
+  } catch (error) {
+    console.error('Add waitlist entry error:', error);
+    res.status(500).json({ message: 'Server error adding applicant to waitlist' });
+  }
+});
+
+// @route   PATCH /api/waitlist/:id/position
+// @desc    Move a waiting applicant to another place in the queue
+// @access  Private (SuperAdmin, Admin, Moderator)
+router.patch('/:id/position', authenticateToken, requirePermission('waitlist.manage'), [
+  ...validationRules.mongoId,
+  ...validationRules.waitlistPosition,
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const { entry, status, message } = await findAccessibleEntry(req);
+    if (!entry) {
+      return res.status(status).json({ message });
+    }
+
+    if (entry.status !== 'waiting') {
+      return res.status(400).json({ message: 'Only waiting applicants can be moved' });
+    }
+
+    const before = AuditLog.snapshot(entry);
+
+    const queue = (await WaitlistEntry.findQueue(entry.course, entry.intake))
+      .filter(queued => queued._id.toString() !== entry._id.toString());
+    const index = Math.min(parseInt(req.body.position), queue.length + 1) - 1;
+    queue.splice(index, 0, entry);
+
+    for (const [i, queued] of queue.entries()) {
+      if (queued.position !== i + 1) {
+        await WaitlistEntry.updateOne({ _id: queued._id }, { $set: { position: i + 1 } });
+      }
+    }
+
+    entry.position = index + 1;
+    entry.updatedBy = req.user._id;
+    await entry.save();
+
+    await AuditLog.record(req, { entity: 'WaitlistEntry', entityId: entry._id, action: 'update', before, after: entry });
+
+    res.json({
+      message: 'Waitlist position updated successfully',
+      entry
+    });
+  } catch (error) {
+    console.error('Move waitlist entry error:', error);
+    res.status(500).json({ message: 'Server error moving waitlist entry' });
+  }
+});
+
+// @route   POST /api/waitlist/:id/enroll
+// @desc    Enroll an applicant into the place they were offered
+// @access  Private (SuperAdmin, Admin, Moderator)
+router.post('/:id/enroll', authenticateToken, requirePermission('waitlist.manage', 'students.create'), [
+  ...validationRules.mongoId,
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const { entry, status, message } = await findAccessibleEntry(req);
+    if (!entry) {
+      return res.status(status).json({ message });
+    }
+
+    if (entry.status !== 'offered') {
+      return res.status(400).json({ message: 'Only applicants with an offered place can be enrolled' });
+    }
+
+    if (entry.offerExpiresAt <= new Date()) {
+      return res.status(400).json({ message: 'The offer has expired' });
+    }
+
+    const existingStudent = await Student.findOne({ email: entry.applicant.email, isActive: true });
+    if (existingStudent) {
+      return res.status(400).json({ message: 'Student with this email already exists' });
+    }
+
+    // Claim the offer first so the expiry job, a decline or another enrollment cannot take it meanwhile
+    const before = AuditLog.snapshot(entry);
+    const claimed = await WaitlistEntry.changeStatus(entry._id, 'offered', {
+      status: 'enrolled',
+      updatedBy: req.user._id
+    }, { offerExpiresAt: { $gt: new Date() } });
+    if (!claimed) {
+      return res.status(409).json({ message: 'The offer is no longer open; it was taken up, declined or has expired' });
+    }
+
+    const course = await Course.findById(entry.course);
+    const intake = entry.intake ? await Intake.findById(entry.intake) : null;
+
+    // The offer already holds the place, so no seat is taken here
+    const student = new Student({
+      studentId: await Student.generateStudentId(entry.course, entry.branch),
+      fullName: entry.applicant.fullName,
+      email: entry.applicant.email,
+      phone: entry.applicant.phone,
+      address: entry.applicant.address,
+      dateOfBirth: entry.applicant.dateOfBirth,
+      course: entry.course,
+      intake: entry.intake,
+      branch: entry.branch,
+      status: 'Active',
+      enrollmentDate: new Date(),
+      level: entry.applicant.level || 'Beginner',
+      createdBy: req.user._id
+    });
+
+    try {
+      await student.save();
+    } catch (error) {
+      // Hand the offer back so it can still be taken up or expire
+      await WaitlistEntry.changeStatus(entry._id, 'enrolled', { status: 'offered' }, { student: null });
+      throw error;
+    }
+
+    await AuditLog.record(req, { entity: 'Student', entityId: student._id, action: 'create', after: student, description: 'Waitlist enrollment' });
+
+    const enrolled = await WaitlistEntry.findByIdAndUpdate(
+      entry._id,
+      { $set: { student: student._id, updatedAt: new Date() } },
+      { new: true }
+    );
+
+    await AuditLog.record(req, { entity: 'WaitlistEntry', entityId: entry._id, action: 'update', before, after: enrolled });
+
+    // Open the student's fee account with the course fee
+    const feeWarning = await openFeeAccount(student, course, req.user._id);
+
+    await Activity.record({
+      type: 'student_enrollment',
+      message: `New student enrolled from waitlist: ${student.fullName} (${course.title}${intake ? ` - ${intake.name}` : ''})`,
+      details: {
+        student: student._id,
+        studentId: student.studentId,
+        course: course.title,
+        intake: intake ? intake.name : null
+      },
+      branch: student.branch,
+      user: req.user
+    });
+
+    res.status(201).json({
+      message: 'Student enrolled successfully',
+      entry: enrolled,
+      student,
+      ...(feeWarning ? { warning: feeWarning } : {})
+    });
+  } catch (error) {
+    console.error('Enroll waitlist entry error:', error);
+    if (error.code === 11000) {
+      return res.status(400).json({ message: 'Student with this email already exists' });
+    }
+    res.status(500).json({ message: 'Server error enrolling applicant' });
+  }
+});
+
+// @route   POST /api/waitlist/:id/decline
+// @desc    Record that an applicant declined the offered place; it is offered to the next applicant
+// @access  Private (SuperAdmin, Admin, Moderator)
+router.post('/:id/decline', authenticateToken, requirePermission('waitlist.manage'), [
+  ...validationRules.mongoId,
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const { entry, status, message } = await findAccessibleEntry(req);
+    if (!entry) {
+      return res.status(status).json({ message });
+    }
+
+    if (entry.status !== 'offered') {
+      return res.status(400).json({ message: 'Only offered places can be declined' });
+    }
+
+    // Only release the place if this request moved the offer; an enrollment or the expiry job may have got there first
+    const before = AuditLog.snapshot(entry);
+    const declined = await WaitlistEntry.changeStatus(entry._id, 'offered', {
+      status: 'declined',
+      updatedBy: req.user._id
+    });
+    if (!declined) {
+      return res.status(409).json({ message: 'The offer is no longer open; it was taken up or has expired' });
+    }
+
+    await AuditLog.record(req, { entity: 'WaitlistEntry', entityId: entry._id, action: 'update', before, after: declined });
+
+    const offered = await releaseOffer(declined);
+
+    res.json({
+      message: 'Offer declined',
+      entry: declined,
+      offeredTo: offered.map(next => next._id)
+    });
+  } catch (error) {
+    console.error('Decline waitlist offer error:', error);
+    res.status(500).json({ message: 'Server error declining offer' });
+  }
+});
+
+// @route   DELETE /api/waitlist/:id
+// @desc    Remove an applicant from the waitlist; a place held for them is offered to the next applicant
+// @access  Private (SuperAdmin, Admin, Moderator)
+router.delete('/:id', authenticateToken, requirePermission('waitlist.manage'), [
+  ...validationRules.mongoId,
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const { entry, status, message } = await findAccessibleEntry(req);
+    if (!entry) {
+      return res.status(status).json({ message });
+    }
+
+    if (entry.status !== 'waiting' && entry.status !== 'offered') {
+      return res.status(400).json({ message: 'Only waiting or offered applicants can be removed' });
+    }
+
+    // Withdraw only from the status that was checked, so a held place is never released twice
+    const wasOffered = entry.status === 'offered';
+    const before = AuditLog.snapshot(entry);
+    const withdrawn = await WaitlistEntry.changeStatus(entry._id, entry.status, {
+      status: 'withdrawn',
+      updatedBy: req.user._id
+    });
+    if (!withdrawn) {
+      return res.status(409).json({ message: 'The applicant changed status meanwhile; reload and try again' });
+    }
+
+    await AuditLog.record(req, { entity: 'WaitlistEntry', entityId: entry._id, action: 'delete', before, after: withdrawn });
+
+    if (wasOffered) {
+      await releaseOffer(withdrawn);
+    } else {
+      await WaitlistEntry.renumber(withdrawn.course, withdrawn.intake);
+    }
+
+    res.json({ message: 'Applicant removed from the waitlist' });
+  } catch (error) {
+    console.error('Remove waitlist entry error:', error);
+    res.status(500).json({ message: 'Server error removing applicant from waitlist' });
+  }
+});
+
+module.exports = router;
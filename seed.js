@@ -2,6 +2,7 @@ const mongoose = require('mongoose');
 const User = require('./models/User');
 const Branch = require('./models/Branch');
 const Course = require('./models/Course');
+const Role = require('./models/Role');
 require('dotenv').config();
 
 const seedDatabase = async () => {
@@ -14,6 +15,10 @@ const seedDatabase = async () => {
 
     console.log('Connected to MongoDB');
 
+    // Create default role permissions (existing roles are kept as they are)
+    await Role.ensureDefaults();
+    console.log('Default role permissions ensured');
+
     // Check if superAdmin already exists
     let superAdmin = await User.findOne({ role: 'superAdmin' });
 
@@ -73,7 +73,8 @@ const limiter = rateLimit({
   legacyHeaders: false,
   skip: (req) => {
     // Skip rate limiting for health checks and preflight requests
-    return req.method === 'OPTIONS' || req.path === '/api/health';
+    // Logins have their own limiter (see routes/auth.js)
+    return req.method === 'OPTIONS' || req.path === '/api/health' || req.path === '/api/auth/login';
   }
 });
 app.use(limiter);
@@ -92,6 +93,9 @@ const connectDB = async () => {
       useUnifiedTopology: true,
     });
     console.log(`MongoDB Connected: ${conn.connection.host}`);
+
+    // Make sure every role has a permission document
+    await require('./models/Role').ensureDefaults();
   } catch (error) {
     console.error('Database connection error:', error);
     process.exit(1);
@@ -106,13 +110,21 @@ app.use('/api/auth', require('./routes/auth'));
 app.use('/api/branches', require('./routes/branches'));
 app.use('/api/users', require('./routes/users'));
 app.use('/api/courses', require('./routes/courses'));
+app.use('/api/intakes', require('./routes/intakes'));
 app.use('/api/students', require('./routes/students'));
+app.use('/api/student-transfers', require('./routes/transfers'));
+app.use('/api/waitlist', require('./routes/waitlist'));
 app.use('/api/attendance', require('./routes/attendance'));
+app.use('/api/calendar', require('./routes/calendar'));
+app.use('/api/leave-requests', require('./routes/leave'));
 app.use('/api/dashboard', require('./routes/dashboard'));
 app.use('/api/transactions', require('./routes/transactions'));
 app.use('/api/budgets', require('./routes/budgets'));
 app.use('/api/reports', require('./routes/reports'));
 app.use('/api/upload', require('./routes/upload'));
+app.use('/api/roles', require('./routes/roles'));
+app.use('/api/audit', require('./routes/audit'));
+app.use('/api/notifications', require('./routes/notifications'));
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -144,4 +156,7 @@ app.listen(PORT, () => {
   console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
 });
 
+// Expire waitlist offers that were not taken up and pass the places to the next applicants
+require('./utils/waitlist').startOfferExpiry();
+
 module.exports = app;
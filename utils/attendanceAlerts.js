@@ -0,0 +1,81 @@
+const Attendance = require('../models/Attendance');
+const Student = require('../models/Student');
+const Course = require('../models/Course');
+const Notification = require('../models/Notification');
+
+// Classes a student must have on record before a low attendance alert is raised,
+// so a single absence in the first week does not notify anyone
+const MIN_COUNTED_CLASSES = 3;
+
+// Classify an attendance percentage against the course rules: eligible, at-risk or below
+// Returns null when the student has no counted classes yet
+const getEligibilityStatus = (percentage, rules = {}) => {
+  if (percentage === null || percentage === undefined) return null;
+
+  const minimum = rules.minAttendancePercentage ?? 80;
+  const margin = rules.warningMargin ?? 5;
+
+  if (percentage < minimum) return 'below';
+  if (percentage < minimum + margin) return 'at-risk';
+  return 'eligible';
+};
+
+// Re-check the attendance of students after their records changed and notify the branch
+// admins about students who have just fallen below their course minimum
+// records: [{ student, course }] (ids); failures are logged and never affect the change itself
+const checkAttendanceAlerts = async (records) => {
+  try {
+    const studentsByCourse = new Map();
+    for (const record of records) {
+      const courseId = (record.course._id || record.course).toString();
+      if (!studentsByCourse.has(courseId)) {
+        studentsByCourse.set(courseId, new Set());
+      }
+      studentsByCourse.get(courseId).add((record.student._id || record.student).toString());
+    }
+
+    for (const [courseId, studentIds] of studentsByCourse) {
+      const course = await Course.findById(courseId).select('title attendanceRules');
+      if (!course) continue;
+
+      const minimum = course.attendanceRules?.minAttendancePercentage ?? 80;
+      const rates = await Attendance.getAttendanceRates({ courseId, studentIds: [...studentIds] });
+      const students = await Student.find({ _id: { $in: [...studentIds] }, course: courseId })
+        .select('studentId fullName branch lowAttendanceSince');
+
+      for (const student of students) {
+        const rate = rates.get(student._id.toString());
+        if (!rate || rate.counted < MIN_COUNTED_CLASSES) continue;
+
+        const isBelow = rate.percentage < minimum;
+
+        // Direct updates, so the alert state does not show up as a student change
+        if (isBelow && !student.lowAttendanceSince) {
+          await Student.updateOne({ _id: student._id }, { $set: { lowAttendanceSince: new Date() } });
+          await Notification.notifyBranchAdmins({
+            branch: student.branch,
+            type: 'low_attendance',
+            title: 'Low attendance',
+            message: `${student.fullName} (${student.studentId}) has fallen to ${rate.percentage}% attendance in ${course.title}, below the ${minimum}% needed to sit exams`,
+            data: {
+              student: student._id,
+              course: course._id,
+              percentage: rate.percentage,
+              minAttendancePercentage: minimum
+            }
+          });
+        } else if (!isBelow && student.lowAttendanceSince) {
+          // Back above the minimum; a later drop raises a new alert
+          await Student.updateOne({ _id: student._id }, { $set: { lowAttendanceSince: null } });
+        }
+      }
+    }
+  } catch (error) {
+    console.error('Error checking attendance alerts:', error);
+  }
+};
+
+module.exports = {
+  getEligibilityStatus,
+  checkAttendanceAlerts
+};
@@ -0,0 +1,48 @@
+const Attendance = require('../models/Attendance');
+const Branch = require('../models/Branch');
+const Holiday = require('../models/Holiday');
+const { hasPermission } = require('../middleware/auth');
+
+// Attendance becomes read-only the branch lock window after the class day; users who approve
+// corrections can still change it. Returns a check (branchId, date) => error message or null
+// that caches its lookups, so bulk requests check the permission and each branch once
+const createLockCheck = (user) => {
+  let canEditLocked;
+  const lockHours = new Map();
+
+  return async (branchId, date) => {
+    if (canEditLocked === undefined) {
+      canEditLocked = await hasPermission(user, 'attendance.approveCorrections');
+    }
+    if (canEditLocked) {
+      return null;
+    }
+
+    const key = branchId.toString();
+    if (!lockHours.has(key)) {
+      const branch = await Branch.findById(branchId).select('attendanceLockHours');
+      lockHours.set(key, branch ? branch.attendanceLockHours : 0);
+    }
+
+    const lockTime = Attendance.getLockTime(date, lockHours.get(key));
+    if (lockTime && lockTime <= new Date()) {
+      return `Attendance for ${Holiday.toDay(date).toISOString().split('T')[0]} is locked. Please submit a correction request`;
+    }
+    return null;
+  };
+};
+
+// Check every record against the lock window; returns the first error message or null
+const checkLockedRecords = async (user, records) => {
+  const checkLock = createLockCheck(user);
+  for (const record of records) {
+    const lockError = await checkLock(record.branch, record.date);
+    if (lockError) return lockError;
+  }
+  return null;
+};
+
+module.exports = {
+  createLockCheck,
+  checkLockedRecords
+};
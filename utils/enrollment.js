@@ -0,0 +1,125 @@
+const Course = require('../models/Course');
+const Intake = require('../models/Intake');
+const Invoice = require('../models/Invoice');
+
+// Dropped and graduated students give their place back; every other status keeps it
+const holdsSeat = (status) => status !== 'Dropped' && status !== 'Graduated';
+
+// Find the intake a student enrolls into and check it has room.
+// Courses that run intakes in the branch require one; others fall back to the course capacity.
+// Returns { intake } (null when the course has no intakes there) or { error }
+// holdsCourseSeat: the student already has one of the course places (a branch transfer on a course without intakes)
+const resolveIntake = async (course, branchId, intakeId = null, { holdsCourseSeat = false } = {}) => {
+  if (intakeId) {
+    const intake = await Intake.findById(intakeId);
+
+    if (!intake || !intake.isActive ||
+        intake.course.toString() !== course._id.toString() ||
+        intake.branch.toString() !== branchId.toString()) {
+      return { error: 'Invalid intake for this course and branch' };
+    }
+
+    if (!intake.isOpenForEnrollment()) {
+      return { error: 'Intake is not open for enrollment' };
+    }
+
+    if (intake.isFull()) {
+      return { error: 'Intake is full' };
+    }
+
+    return { intake };
+  }
+
+  const openIntakes = await Intake.findOpen(course._id, branchId);
+  if (openIntakes.length > 0) {
+    return { error: 'Please select an intake for this course' };
+  }
+
+  if (!holdsCourseSeat && course.isFull()) {
+    return { error: 'Course is full' };
+  }
+
+  return { intake: null };
+};
+
+// Take a seat in the intake (or the course when there is none)
+// The course counter keeps the total across its intakes
+const takeSeat = async (course, intake = null) => {
+  if (intake) {
+    await intake.enrollStudent();
+    await Course.updateOne({ _id: course._id }, { $inc: { currentEnrolled: 1 } });
+    return;
+  }
+
+  await course.enrollStudent();
+};
+
+// Give back a seat taken with takeSeat
+const releaseSeat = async (courseId, intakeId = null) => {
+  if (intakeId) {
+    const intake = await Intake.findById(intakeId);
+    if (intake) {
+      await intake.unenrollStudent();
+    }
+    await Course.updateOne({ _id: courseId, currentEnrolled: { $gt: 0 } }, { $inc: { currentEnrolled: -1 } });
+    return;
+  }
+
+  const course = await Course.findById(courseId);
+  if (course && course.currentEnrolled > 0) {
+    await course.unenrollStudent();
+  }
+};
+
+// Take several seats at once (e.g. for an import); either all of them are taken or none
+const takeSeats = async (course, intake, count) => {
+  if (intake) {
+    const updated = await Intake.findOneAndUpdate(
+      { _id: intake._id, $expr: { $lte: [{ $add: ['$currentEnrolled', count] }, '$capacity'] } },
+      { $inc: { currentEnrolled: count } }
+    );
+    if (!updated) {
+      throw new Error(`Intake ${intake.name} does not have ${count} free places`);
+    }
+    await Course.updateOne({ _id: course._id }, { $inc: { currentEnrolled: count } });
+    return;
+  }
+
+  const updated = await Course.findOneAndUpdate(
+    { _id: course._id, $expr: { $lte: [{ $add: ['$currentEnrolled', count] }, '$maxStudents'] } },
+    { $inc: { currentEnrolled: count } }
+  );
+  if (!updated) {
+    throw new Error(`Course ${course.title} does not have ${count} free places`);
+  }
+};
+
+// Give back seats taken with takeSeats
+const releaseSeats = async (courseId, intakeId, count) => {
+  if (intakeId) {
+    await Intake.updateOne({ _id: intakeId, currentEnrolled: { $gte: count } }, { $inc: { currentEnrolled: -count } });
+  }
+  await Course.updateOne({ _id: courseId, currentEnrolled: { $gte: count } }, { $inc: { currentEnrolled: -count } });
+};
+
+// Open a new student's fee account with the course fee
+// The student is already enrolled by then, so a failure is logged and returned as a warning (null when it worked)
+const openFeeAccount = async (student, course, userId) => {
+  try {
+    await Invoice.createForEnrollment(student, course, userId);
+    return null;
+  } catch (error) {
+    console.error(`Enrollment invoice error for ${student.studentId}:`, error);
+    return `The course fee invoice for ${student.studentId} could not be created; please create it manually`;
+  }
+};
+
+module.exports = {
+  holdsSeat,
+  resolveIntake,
+  takeSeat,
+  releaseSeat,
+  takeSeats,
+  releaseSeats,
+  openFeeAccount
+};
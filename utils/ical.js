@@ -0,0 +1,161 @@
+// Class times are local to Sri Lanka, which has no daylight saving
+const CALENDAR_TIMEZONE = 'Asia/Colombo';
+
+const VTIMEZONE = [
+  'BEGIN:VTIMEZONE',
+  `TZID:${CALENDAR_TIMEZONE}`,
+  'BEGIN:STANDARD',
+  'DTSTART:19700101T000000',
+  'TZOFFSETFROM:+0530',
+  'TZOFFSETTO:+0530',
+  'TZNAME:+0530',
+  'END:STANDARD',
+  'END:VTIMEZONE'
+];
+
+// Escape text values (RFC 5545 section 3.3.11)
+const escapeText = (value) => {
+  return String(value || '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+};
+
+// Fold lines longer than 75 octets (RFC 5545 section 3.1)
+const foldLine = (line) => {
+  const parts = [];
+  let current = '';
+
+  for (const char of line) {
+    if (Buffer.byteLength(current + char) > (parts.length === 0 ? 75 : 74)) {
+      parts.push(current);
+      current = '';
+    }
+    current += char;
+  }
+  parts.push(current);
+
+  return parts.join('\r\n ');
+};
+
+// Format a day (midnight UTC) and an HH:MM time as a local date-time, e.g. 20250106T180000
+const formatLocalDateTime = (day, time) => {
+  const date = day.toISOString().slice(0, 10).replace(/-/g, '');
+  return `${date}T${time.replace(':', '')}00`;
+};
+
+// Format a timestamp in UTC, e.g. 20250106T123000Z
+const formatUtcDateTime = (date) => {
+  return new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+};
+
+// Build an iCalendar document from events
+// Each event: { uid, day, startTime, endTime, summary, location, description, cancelled, updatedAt }
+const buildCalendar = (name, events) => {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Wintergreen Academy//Class Timetable//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    `X-WR-TIMEZONE:${CALENDAR_TIMEZONE}`,
+    ...VTIMEZONE
+  ];
+
+  for (const event of events) {
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${event.uid}`,
+      `DTSTAMP:${formatUtcDateTime(event.updatedAt || new Date())}`,
+      `DTSTART;TZID=${CALENDAR_TIMEZONE}:${formatLocalDateTime(event.day, event.startTime)}`,
+      `DTEND;TZID=${CALENDAR_TIMEZONE}:${formatLocalDateTime(event.day, event.endTime)}`,
+      `SUMMARY:${escapeText(event.summary)}`
+    );
+    if (event.location) lines.push(`LOCATION:${escapeText(event.location)}`);
+    if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+    lines.push(`STATUS:${event.cancelled ? 'CANCELLED' : 'CONFIRMED'}`, 'END:VEVENT');
+  }
+
+  lines.push('END:VCALENDAR');
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+};
+
+// Undo escapeText
+const unescapeText = (value) => {
+  return value.replace(/\\([\\;,nN])/g, (match, char) => (char === 'n' || char === 'N' ? '\n' : char));
+};
+
+// Read a DATE or DATE-TIME value as a day (midnight UTC), ignoring the time of day
+const parseDay = (value) => {
+  const match = /^(\d{4})(\d{2})(\d{2})/.exec(value);
+  return match ? new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3]))) : null;
+};
+
+// Parse the all-day events of an iCalendar document, e.g. a national holiday calendar
+// Returns [{ uid, summary, startDate, endDate }] with inclusive days; recurrence rules are not expanded
+const parseEvents = (text) => {
+  const lines = String(text).replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+  const events = [];
+  let event = null;
+
+  for (const line of lines) {
+    if (line === 'BEGIN:VEVENT') {
+      event = {};
+      continue;
+    }
+
+    if (line === 'END:VEVENT') {
+      if (event && event.startDate && event.status !== 'CANCELLED') {
+        // An all-day DTEND is the day after the event
+        let endDate = event.endDate || event.startDate;
+        if (event.endDate && event.allDay && event.endDate > event.startDate) {
+          endDate = new Date(event.endDate.getTime() - 24 * 60 * 60 * 1000);
+        }
+        events.push({
+          uid: event.uid || null,
+          summary: event.summary || 'Holiday',
+          startDate: event.startDate,
+          endDate
+        });
+      }
+      event = null;
+      continue;
+    }
+
+    if (!event) continue;
+
+    const separator = line.indexOf(':');
+    if (separator === -1) continue;
+    const [name, ...params] = line.slice(0, separator).split(';');
+    const value = line.slice(separator + 1);
+
+    switch (name.toUpperCase()) {
+      case 'UID':
+        event.uid = value.trim();
+        break;
+      case 'SUMMARY':
+        event.summary = unescapeText(value).trim();
+        break;
+      case 'STATUS':
+        event.status = value.trim().toUpperCase();
+        break;
+      case 'DTSTART':
+        event.startDate = parseDay(value);
+        event.allDay = params.some(param => param.toUpperCase() === 'VALUE=DATE') || /^\d{8}$/.test(value);
+        break;
+      case 'DTEND':
+        event.endDate = parseDay(value);
+        break;
+    }
+  }
+
+  return events;
+};
+
+module.exports = {
+  CALENDAR_TIMEZONE,
+  buildCalendar,
+  parseEvents
+};
@@ -1,18 +1,64 @@
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 
-// Generate JWT token
-const generateToken = (userId, role, branchId = null) => {
+// Generate a short-lived JWT access token bound to a server-side session
+const generateToken = (userId, role, branchId = null, sessionId = null) => {
   const payload = {
     userId,
     role,
-    branchId
+    branchId,
+    sid: sessionId
   };
 
   return jwt.sign(payload, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRE || '7d'
+    expiresIn: process.env.JWT_ACCESS_EXPIRE || '15m'
   });
 };
 
+// Generate a short-lived token for the second login step (not accepted as an access token)
+const generateChallengeToken = (userId, branchId = null, expiresIn = '5m') => {
+  return jwt.sign({ userId, branchId, purpose: 'mfa' }, process.env.JWT_SECRET, { expiresIn });
+};
+
+// Verify a second step token
+const verifyChallengeToken = (token) => {
+  const decoded = verifyToken(token);
+  if (decoded.purpose !== 'mfa') {
+    throw new Error('Invalid token');
+  }
+  return decoded;
+};
+
+// Generate a short-lived token shown as a QR code for students to check in to a class session
+const generateCheckInToken = (sessionId, expiresIn = '2m') => {
+  return jwt.sign({ sessionId, purpose: 'checkin' }, process.env.JWT_SECRET, { expiresIn });
+};
+
+// Verify a check-in token
+const verifyCheckInToken = (token) => {
+  const decoded = verifyToken(token);
+  if (decoded.purpose !== 'checkin') {
+    throw new Error('Invalid token');
+  }
+  return decoded;
+};
+
+// Generate an opaque refresh token (only its hash is stored)
+const generateRefreshToken = () => {
+  return crypto.randomBytes(48).toString('hex');
+};
+
+// Hash a refresh token for storage and lookup
+const hashToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+// Get the expiry date for a new or rotated refresh token
+const getRefreshTokenExpiry = () => {
+  const days = parseInt(process.env.JWT_REFRESH_EXPIRE_DAYS, 10) || 7;
+  return new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+};
+
 // Verify JWT token
 const verifyToken = (token) => {
   try {
@@ -29,6 +75,13 @@ const decodeToken = (token) => {
 
 module.exports = {
   generateToken,
+  generateChallengeToken,
+  verifyChallengeToken,
+  generateCheckInToken,
+  verifyCheckInToken,
+  generateRefreshToken,
+  hashToken,
+  getRefreshTokenExpiry,
   verifyToken,
   decodeToken
 };
@@ -0,0 +1,127 @@
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const mongoose = require('mongoose');
+
+// Change notifications for live dashboards.
+// LIVE_EVENTS_TRANSPORT=memory (default) only reaches clients of this process;
+// LIVE_EVENTS_TRANSPORT=mongo shares events between API instances through a capped collection.
+const TRANSPORT = (process.env.LIVE_EVENTS_TRANSPORT || 'memory').toLowerCase();
+const COLLECTION = 'live_events';
+const COLLECTION_SIZE = 5 * 1024 * 1024; // 5 MB, old events are dropped automatically
+const RETRY_DELAY = 2000; // 2 seconds
+
+// Identifies this process so it skips its own events when reading them back
+const instanceId = crypto.randomBytes(8).toString('hex');
+
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0);
+
+let tailing = false;
+
+const getCollection = async () => {
+  const db = mongoose.connection.db;
+  const existing = await db.listCollections({ name: COLLECTION }).toArray();
+  if (existing.length === 0) {
+    try {
+      await db.createCollection(COLLECTION, { capped: true, size: COLLECTION_SIZE });
+    } catch (error) {
+      // Another instance created it first
+      if (error.codeName !== 'NamespaceExists') throw error;
+    }
+  }
+  return db.collection(COLLECTION);
+};
+
+// Follow the capped collection and deliver events published by other instances
+const startTailing = async () => {
+  if (tailing) return;
+  tailing = true;
+
+  let since = new Date();
+
+  while (tailing) {
+    try {
+      if (mongoose.connection.readyState !== 1) {
+        await new Promise(resolve => setTimeout(resolve, RETRY_DELAY));
+        continue;
+      }
+
+      const collection = await getCollection();
+      const cursor = collection.find(
+        { createdAt: { $gt: since } },
+        { tailable: true, awaitData: true }
+      );
+
+      for await (const doc of cursor) {
+        since = doc.createdAt;
+        if (doc.origin !== instanceId) {
+          emitter.emit('event', doc.event);
+        }
+      }
+    } catch (error) {
+      console.error('Live events tailing error:', error.message);
+    }
+
+    // The cursor ends when the collection is empty or the connection drops
+    await new Promise(resolve => setTimeout(resolve, RETRY_DELAY));
+  }
+};
+
+// Publish a change: { type: 'student' | 'transaction' | 'attendance' | 'budget', action, id, branch }
+// Failures are logged and never affect the change itself
+const publish = (type, action, { id = null, branch = null, data = {} } = {}) => {
+  const event = {
+    type,
+    action,
+    id: id ? id.toString() : null,
+    branch: branch ? (branch._id || branch).toString() : null,
+    data,
+    timestamp: new Date()
+  };
+
+  emitter.emit('event', event);
+
+  if (TRANSPORT === 'mongo' && mongoose.connection.readyState === 1) {
+    getCollection()
+      .then(collection => collection.insertOne({ origin: instanceId, event, createdAt: new Date() }))
+      .catch(error => console.error('Error publishing live event:', error.message));
+  }
+};
+
+// Subscribe to events; returns a function that removes the listener
+const subscribe = (listener) => {
+  if (TRANSPORT === 'mongo') {
+    startTailing();
+  }
+
+  emitter.on('event', listener);
+  return () => emitter.off('event', listener);
+};
+
+// Mongoose plugin that publishes an event whenever a document is saved
+// options: { type, fields } where fields are copied into the event data
+const liveEventsPlugin = (schema, { type, fields = [] }) => {
+  schema.pre('save', function(next) {
+    this.$locals.wasNew = this.isNew;
+    next();
+  });
+
+  schema.post('save', function(doc) {
+    let action = 'updated';
+    if (doc.$locals.wasNew) action = 'created';
+    else if (doc.isActive === false) action = 'deleted';
+
+    const data = {};
+    for (const field of fields) {
+      data[field] = doc.get(field);
+    }
+
+    publish(type, action, { id: doc._id, branch: doc.branch, data });
+  });
+};
+
+module.exports = {
+  publish,
+  subscribe,
+  liveEventsPlugin
+};
@@ -0,0 +1,80 @@
+// Escape user supplied values before putting them into HTML emails
+const escapeHtml = (value) => {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+};
+
+// Wrap email content in the academy layout
+const layout = (title, bodyHtml) => `
+<div style="font-family: Arial, sans-serif; max-width: 560px; margin: 0 auto; color: #111827;">
+  <div style="background: #166534; color: #ffffff; padding: 16px 24px; font-size: 18px; font-weight: bold;">Wintergreen Academy</div>
+  <div style="padding: 24px;">
+    <h2 style="margin-top: 0; font-size: 18px;">${escapeHtml(title)}</h2>
+    ${bodyHtml}
+  </div>
+</div>`;
+
+// Password reset email with a single-use link
+const passwordResetEmail = (user, resetUrl, expiresInMinutes) => ({
+  subject: 'Reset your Wintergreen Academy password',
+  text: [
+    `Hello ${user.fullName},`,
+    '',
+    'We received a request to reset the password for your account.',
+    `Open the link below within ${expiresInMinutes} minutes to choose a new password:`,
+    resetUrl,
+    '',
+    'If you did not request this, you can ignore this email. Your password will not change.'
+  ].join('\n'),
+  html: layout('Reset your password', `
+    <p>Hello ${escapeHtml(user.fullName)},</p>
+    <p>We received a request to reset the password for your account.
+    The link below is valid for ${expiresInMinutes} minutes and can only be used once.</p>
+    <p><a href="${escapeHtml(resetUrl)}" style="display: inline-block; background: #166534; color: #ffffff; padding: 10px 18px; text-decoration: none;">Reset password</a></p>
+    <p style="color: #6B7280; font-size: 12px;">If you did not request this, you can ignore this email. Your password will not change.</p>
+  `)
+});
+
+// Confirmation sent after the password has been changed through a reset link
+const passwordChangedEmail = (user) => ({
+  subject: 'Your Wintergreen Academy password was changed',
+  text: [
+    `Hello ${user.fullName},`,
+    '',
+    'The password for your account was just reset and you have been signed out on all devices.',
+    'If this was not you, contact your branch administrator immediately.'
+  ].join('\n'),
+  html: layout('Your password was changed', `
+    <p>Hello ${escapeHtml(user.fullName)},</p>
+    <p>The password for your account was just reset and you have been signed out on all devices.</p>
+    <p>If this was not you, contact your branch administrator immediately.</p>
+  `)
+});
+
+// Offer of a course place to an applicant on the waitlist
+const waitlistOfferEmail = (entry, courseTitle, expiresAt) => ({
+  subject: `A place is available on ${courseTitle}`,
+  text: [
+    `Hello ${entry.applicant.fullName},`,
+    '',
+    `A place has become available on ${courseTitle} and it is being held for you.`,
+    `Please contact the academy before ${expiresAt.toUTCString()} to confirm your enrollment.`,
+    'After that the place will be offered to the next applicant on the waitlist.'
+  ].join('\n'),
+  html: layout('A place is available', `
+    <p>Hello ${escapeHtml(entry.applicant.fullName)},</p>
+    <p>A place has become available on <strong>${escapeHtml(courseTitle)}</strong> and it is being held for you.</p>
+    <p>Please contact the academy before <strong>${escapeHtml(expiresAt.toUTCString())}</strong> to confirm your enrollment.</p>
+    <p style="color: #6B7280; font-size: 12px;">After that the place will be offered to the next applicant on the waitlist.</p>
+  `)
+});
+
+module.exports = {
+  escapeHtml,
+  passwordResetEmail,
+  passwordChangedEmail,
+  waitlistOfferEmail
+};
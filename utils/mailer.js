@@ -0,0 +1,88 @@
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+// Mail drivers (set MAIL_DRIVER):
+//   smtp    - deliver through an SMTP server (SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS)
+//   file    - write each message as an .eml file to MAIL_FILE_DIR (default storage/mail)
+//   console - print each message to the console (default outside production)
+const drivers = {
+  smtp: () => nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT, 10) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER ? {
+      user: process.env.SMTP_USER,
+      pass: process.env.SMTP_PASS
+    } : undefined
+  }),
+
+  file: () => {
+    const transport = nodemailer.createTransport({ streamTransport: true, buffer: true });
+    const directory = path.resolve(process.env.MAIL_FILE_DIR || path.join(__dirname, '..', 'storage', 'mail'));
+
+    return {
+      sendMail: async (message) => {
+        const info = await transport.sendMail(message);
+        await fs.promises.mkdir(directory, { recursive: true });
+
+        const filename = `${Date.now()}-${info.messageId.replace(/[^A-Za-z0-9.-]/g, '')}.eml`;
+        await fs.promises.writeFile(path.join(directory, filename), info.message);
+
+        return { ...info, path: path.join(directory, filename) };
+      }
+    };
+  },
+
+  console: () => {
+    const transport = nodemailer.createTransport({ jsonTransport: true });
+
+    return {
+      sendMail: async (message) => {
+        const info = await transport.sendMail(message);
+        const { to, subject, text } = JSON.parse(info.message);
+        console.log(`Mail to ${to.map(address => address.address).join(', ')}: ${subject}\n${text}`);
+        return info;
+      }
+    };
+  }
+};
+
+let transport = null;
+
+// Get the transport for the configured driver (created once)
+const getTransport = () => {
+  if (!transport) {
+    const driver = process.env.MAIL_DRIVER || (process.env.NODE_ENV === 'production' ? 'smtp' : 'console');
+
+    if (!drivers[driver]) {
+      throw new Error(`Unknown mail driver: ${driver}`);
+    }
+
+    transport = drivers[driver]();
+  }
+
+  return transport;
+};
+
+// Replace the transport, e.g. with a stub that records messages
+const setTransport = (customTransport) => {
+  transport = customTransport;
+};
+
+// Send an email through the configured transport
+const sendMail = async ({ to, subject, text, html }) => {
+  return await getTransport().sendMail({
+    from: process.env.MAIL_FROM || 'Wintergreen Academy <no-reply@wintergreen.edu>',
+    to,
+    subject,
+    text,
+    html
+  });
+};
+
+module.exports = {
+  sendMail,
+  getTransport,
+  setTransport
+};
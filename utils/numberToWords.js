@@ -0,0 +1,69 @@
+const ONES = [
+  '', 'One', 'Two', 'Three', 'Four', 'Five', 'Six', 'Seven', 'Eight', 'Nine',
+  'Ten', 'Eleven', 'Twelve', 'Thirteen', 'Fourteen', 'Fifteen', 'Sixteen',
+  'Seventeen', 'Eighteen', 'Nineteen'
+];
+const TENS = ['', '', 'Twenty', 'Thirty', 'Forty', 'Fifty', 'Sixty', 'Seventy', 'Eighty', 'Ninety'];
+const SCALES = ['', 'Thousand', 'Million', 'Billion'];
+
+const CURRENCY_NAMES = {
+  LKR: { major: 'Rupees', minor: 'Cents' },
+  USD: { major: 'Dollars', minor: 'Cents' }
+};
+
+// Convert a number below 1000 to words
+const convertHundreds = (number) => {
+  const words = [];
+
+  if (number >= 100) {
+    words.push(`${ONES[Math.floor(number / 100)]} Hundred`);
+    number %= 100;
+  }
+
+  if (number >= 20) {
+    words.push(number % 10 ? `${TENS[Math.floor(number / 10)]}-${ONES[number % 10]}` : TENS[Math.floor(number / 10)]);
+  } else if (number > 0) {
+    words.push(ONES[number]);
+  }
+
+  return words.join(' ');
+};
+
+// Convert a whole number to words
+const integerToWords = (number) => {
+  if (number === 0) return 'Zero';
+
+  const words = [];
+  let scale = 0;
+
+  while (number > 0) {
+    const chunk = number % 1000;
+    if (chunk > 0) {
+      words.unshift(SCALES[scale] ? `${convertHundreds(chunk)} ${SCALES[scale]}` : convertHundreds(chunk));
+    }
+    number = Math.floor(number / 1000);
+    scale += 1;
+  }
+
+  return words.join(' ');
+};
+
+// Convert a monetary amount to words, e.g. 75000.5 => "Seventy-Five Thousand Rupees and Fifty Cents Only"
+const amountToWords = (amount, currency = 'LKR') => {
+  const names = CURRENCY_NAMES[currency] || CURRENCY_NAMES.LKR;
+  const totalCents = Math.round(Number(amount) * 100);
+  const major = Math.floor(totalCents / 100);
+  const minor = totalCents % 100;
+
+  let words = `${integerToWords(major)} ${names.major}`;
+  if (minor > 0) {
+    words += ` and ${integerToWords(minor)} ${names.minor}`;
+  }
+
+  return `${words} Only`;
+};
+
+module.exports = {
+  integerToWords,
+  amountToWords
+};
@@ -0,0 +1,89 @@
+const PDFDocument = require('pdfkit');
+const { amountToWords } = require('./numberToWords');
+
+const BRAND_COLOR = '#166534';
+const MUTED_COLOR = '#6B7280';
+
+// Format an amount with thousand separators, e.g. LKR 75,000.00
+const formatAmount = (amount, currency = 'LKR') => {
+  return `${currency} ${Number(amount).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+};
+
+const formatDate = (date) => {
+  return new Date(date).toLocaleDateString('en-GB', { day: '2-digit', month: 'short', year: 'numeric' });
+};
+
+// Draw a label/value row and return the next y position
+const drawRow = (doc, label, value, y) => {
+  doc.font('Helvetica-Bold').fontSize(10).fillColor(MUTED_COLOR).text(label, 60, y, { width: 140 });
+  doc.font('Helvetica').fontSize(11).fillColor('#111827').text(value || '-', 200, y, { width: 335 });
+  return Math.max(doc.y, y + 14) + 10;
+};
+
+// Generate a payment receipt PDF for an income transaction
+// The returned document is a readable stream and must be piped to the response
+const generateReceiptPdf = (transaction, options = {}) => {
+  const { duplicate = false, copyNumber = 1 } = options;
+  const doc = new PDFDocument({ size: 'A5', layout: 'landscape', margin: 40 });
+
+  const pageWidth = doc.page.width;
+  const pageHeight = doc.page.height;
+
+  // Watermark for reprints
+  if (duplicate) {
+    doc.save();
+    doc.rotate(-25, { origin: [pageWidth / 2, pageHeight / 2] });
+    doc.font('Helvetica-Bold').fontSize(90).fillColor('#DC2626').fillOpacity(0.12)
+      .text('DUPLICATE', 0, pageHeight / 2 - 50, { width: pageWidth, align: 'center' });
+    doc.restore();
+    doc.fillOpacity(1);
+  }
+
+  // Header band
+  doc.rect(0, 0, pageWidth, 70).fill(BRAND_COLOR);
+  doc.font('Helvetica-Bold').fontSize(20).fillColor('#FFFFFF').text('Wintergreen Academy', 40, 18);
+  doc.font('Helvetica').fontSize(10).fillColor('#DCFCE7')
+    .text(transaction.branch?.name ? `${transaction.branch.name} Branch` : '', 40, 44);
+  doc.font('Helvetica-Bold').fontSize(14).fillColor('#FFFFFF')
+    .text('PAYMENT RECEIPT', 0, 26, { width: pageWidth - 40, align: 'right' });
+
+  // Receipt meta
+  doc.font('Helvetica').fontSize(10).fillColor(MUTED_COLOR)
+    .text(`Receipt No: ${transaction.reference || '-'}`, 40, 85)
+    .text(`Date: ${formatDate(transaction.date)}`, 0, 85, { width: pageWidth - 40, align: 'right' });
+
+  doc.moveTo(40, 102).lineTo(pageWidth - 40, 102).strokeColor('#E5E7EB').stroke();
+
+  let y = 115;
+  const student = transaction.student;
+  y = drawRow(doc, 'Received from', student ? `${student.fullName} (${student.studentId})` : '-', y);
+  y = drawRow(doc, 'Course', transaction.course?.title, y);
+  y = drawRow(doc, 'Payment for', [transaction.category, transaction.description].filter(Boolean).join(' - '), y);
+  y = drawRow(doc, 'Amount', formatAmount(transaction.amount, transaction.currency), y);
+  y = drawRow(doc, 'Amount in words', amountToWords(transaction.amount, transaction.currency), y);
+  y = drawRow(doc, 'Recorded by', transaction.createdBy?.fullName, y);
+
+  if (transaction.status !== 'completed') {
+    drawRow(doc, 'Status', transaction.status.toUpperCase(), y);
+  }
+
+  // Footer sits inside the bottom margin, so lift the margin while drawing it to stay on one page
+  const bottomMargin = doc.page.margins.bottom;
+  doc.page.margins.bottom = 0;
+  doc.font('Helvetica').fontSize(8).fillColor(MUTED_COLOR)
+    .text(
+      `This is a computer generated receipt. ${duplicate ? `Duplicate copy #${copyNumber}. ` : ''}Printed on ${new Date().toLocaleString('en-GB')}.`,
+      40,
+      pageHeight - 40,
+      { width: pageWidth - 80, align: 'center', lineBreak: false }
+    );
+  doc.page.margins.bottom = bottomMargin;
+
+  doc.end();
+  return doc;
+};
+
+module.exports = {
+  generateReceiptPdf,
+  formatAmount
+};
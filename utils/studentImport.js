@@ -0,0 +1,92 @@
+const XLSX = require('xlsx');
+
+// Largest file accepted in one import
+const MAX_IMPORT_ROWS = 1000;
+
+// Spreadsheet headings accepted for each student field (compared in lower case without punctuation)
+const COLUMN_ALIASES = {
+  fullName: ['full name', 'fullname', 'name', 'student name'],
+  email: ['email', 'email address', 'e mail'],
+  phone: ['phone', 'phone number', 'mobile', 'contact number', 'contact'],
+  address: ['address'],
+  dateOfBirth: ['date of birth', 'dob', 'birth date', 'birthday'],
+  course: ['course', 'course title', 'course id'],
+  intake: ['intake', 'intake name', 'intake id', 'batch'],
+  status: ['status'],
+  enrollmentDate: ['enrollment date', 'enrolment date', 'enrolled on'],
+  level: ['level'],
+  childBabyCare: ['child baby care', 'childbabycare', 'child care', 'baby care'],
+  elderCare: ['elder care', 'eldercare'],
+  hostelRequirement: ['hostel', 'hostel requirement'],
+  mealRequirement: ['meal', 'meals', 'meal requirement']
+};
+
+const BOOLEAN_FIELDS = ['childBabyCare', 'elderCare', 'hostelRequirement', 'mealRequirement'];
+
+const normalizeHeading = (heading) => {
+  return String(heading).toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+};
+
+// Yes/no cells: yes, y, true and 1 are true; anything else is false
+const parseBoolean = (value) => {
+  return ['yes', 'y', 'true', '1'].includes(String(value).trim().toLowerCase());
+};
+
+// Read the first sheet of a CSV or XLSX file into student fields
+// Returns { rows: [{ row, data }], columns: { heading: field }, ignoredColumns } or { error }
+// `row` is the spreadsheet row number (the heading is row 1)
+const parseStudentFile = (buffer, filename) => {
+  const isCsv = /\.csv$/i.test(filename || '');
+
+  let workbook;
+  try {
+    // CSV cells are kept as typed, so dates are not reinterpreted in another format
+    workbook = XLSX.read(buffer, isCsv
+      ? { type: 'buffer', raw: true }
+      : { type: 'buffer', cellDates: true, dateNF: 'yyyy-mm-dd' });
+  } catch (error) {
+    return { error: 'The file could not be read as CSV or Excel' };
+  }
+
+  const sheet = workbook.Sheets[workbook.SheetNames[0]];
+  if (!sheet) {
+    return { error: 'The file does not contain any sheets' };
+  }
+
+  const records = XLSX.utils.sheet_to_json(sheet, { raw: false, defval: '', blankrows: false });
+  if (records.length === 0) {
+    return { error: 'The file does not contain any students' };
+  }
+  if (records.length > MAX_IMPORT_ROWS) {
+    return { error: `A file can contain at most ${MAX_IMPORT_ROWS} students` };
+  }
+
+  const columns = {};
+  const ignoredColumns = [];
+  for (const heading of Object.keys(records[0])) {
+    const normalized = normalizeHeading(heading);
+    const field = Object.keys(COLUMN_ALIASES).find(key => COLUMN_ALIASES[key].includes(normalized));
+    if (field && !Object.values(columns).includes(field)) {
+      columns[heading] = field;
+    } else {
+      ignoredColumns.push(heading);
+    }
+  }
+
+  const rows = records.map((record, index) => {
+    const data = {};
+    for (const [heading, field] of Object.entries(columns)) {
+      const value = typeof record[heading] === 'string' ? record[heading].trim() : record[heading];
+      if (value === '' || value === undefined || value === null) continue;
+      data[field] = BOOLEAN_FIELDS.includes(field) ? parseBoolean(value) : String(value);
+    }
+    return { row: index + 2, data };
+  });
+
+  return { rows, columns, ignoredColumns };
+};
+
+module.exports = {
+  MAX_IMPORT_ROWS,
+  parseStudentFile
+};
@@ -0,0 +1,46 @@
+// Statuses a student can move to from each status; Graduated is final
+const STATUS_TRANSITIONS = {
+  Active: ['Inactive', 'Suspended', 'Graduated', 'Dropped'],
+  Inactive: ['Active', 'Dropped'],
+  Suspended: ['Active', 'Dropped'],
+  Dropped: ['Active'],
+  Graduated: []
+};
+
+// Reason codes accepted when moving into each status
+const STATUS_REASONS = {
+  Active: ['returned', 'suspension_lifted', 'readmitted', 'other'],
+  Inactive: ['deferred', 'medical', 'personal', 'financial', 'other'],
+  Suspended: ['disciplinary', 'non_payment', 'attendance', 'other'],
+  Graduated: ['completed'],
+  Dropped: ['financial', 'relocation', 'employment', 'medical', 'personal', 'academic', 'attendance', 'disciplinary', 'other']
+};
+
+// Check a status change is allowed; returns an error message or null
+const getTransitionError = (from, to, reason, notes) => {
+  if (from === to) {
+    return `Student is already ${to}`;
+  }
+
+  if (!(STATUS_TRANSITIONS[from] || []).includes(to)) {
+    return from === 'Graduated'
+      ? 'Graduated students cannot change status'
+      : `Status cannot change from ${from} to ${to}`;
+  }
+
+  if (!STATUS_REASONS[to].includes(reason)) {
+    return `Reason for ${to} must be one of: ${STATUS_REASONS[to].join(', ')}`;
+  }
+
+  if (reason === 'other' && !(notes && notes.trim())) {
+    return 'Notes are required when the reason is other';
+  }
+
+  return null;
+};
+
+module.exports = {
+  STATUS_TRANSITIONS,
+  STATUS_REASONS,
+  getTransitionError
+};
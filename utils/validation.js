@@ -1,4 +1,6 @@
 const { body, param, query, validationResult } = require('express-validator');
+const { PERMISSIONS, ROLES } = require('../config/permissions');
+const { ENTITIES: AUDIT_ENTITIES, ACTIONS: AUDIT_ACTIONS } = require('../models/AuditLog');
 
 // Validation middleware to check for errors
 const handleValidationErrors = (req, res, next) => {
@@ -18,6 +20,31 @@ const handleValidationErrors = (req, res, next) => {
   next();
 };
 
+// Run validation rules against plain data outside a request (e.g. rows of an import file)
+// Returns { data, errors } with the sanitized data and [{ field, message }] errors
+const validateData = async (rules, data) => {
+  const req = { body: { ...data } };
+  for (const rule of rules) {
+    await rule.run(req);
+  }
+  return {
+    data: req.body,
+    errors: validationResult(req).array().map(error => ({ field: error.path, message: error.msg }))
+  };
+};
+
+// Tokens that can be used in a branch student ID format
+const STUDENT_ID_FORMAT_TOKENS = ['{BRANCH}', '{COURSE}', '{YYYY}', '{YY}'];
+
+// Check a branch student ID format: letters, digits, dashes and at least one known token
+const isValidStudentIdFormat = (value) => {
+  const literal = value.replace(/\{[A-Z]+\}/g, token => STUDENT_ID_FORMAT_TOKENS.includes(token) ? '' : '?');
+  return /^[A-Za-z0-9-]*$/.test(literal) && value.length > literal.length;
+};
+
+// Class times are stored as HH:MM (24-hour)
+const TIME_PATTERN = /^([0-1][0-9]|2[0-3]):[0-5][0-9]$/;
+
 // Common validation rules
 const validationRules = {
   // User validation rules
@@ -74,7 +101,21 @@ const validationRules = {
     body('branch')
       .optional()
       .isMongoId()
-      .withMessage('Branch must be a valid ID')
+      .withMessage('Branch must be a valid ID'),
+
+    body('branches')
+      .optional()
+      .isArray({ max: 50 })
+      .withMessage('Branches must be an array'),
+
+    body('branches.*.branch')
+      .isMongoId()
+      .withMessage('Each branch assignment needs a valid branch ID'),
+
+    body('branches.*.role')
+      .optional({ checkFalsy: true })
+      .isIn(['admin', 'moderator', 'staff'])
+      .withMessage('Branch role must be one of: admin, moderator, staff')
   ],
 
   userUpdate: [
@@ -110,7 +151,21 @@ const validationRules = {
     body('isActive')
       .optional()
       .isBoolean()
-      .withMessage('isActive must be a boolean value')
+      .withMessage('isActive must be a boolean value'),
+
+    body('branches')
+      .optional()
+      .isArray({ max: 50 })
+      .withMessage('Branches must be an array'),
+
+    body('branches.*.branch')
+      .isMongoId()
+      .withMessage('Each branch assignment needs a valid branch ID'),
+
+    body('branches.*.role')
+      .optional({ checkFalsy: true })
+      .isIn(['admin', 'moderator', 'staff'])
+      .withMessage('Branch role must be one of: admin, moderator, staff')
   ],
 
   // Login validation rules
@@ -130,12 +185,98 @@ const validationRules = {
       .withMessage('Branch ID must be valid')
   ],
 
+  refreshToken: [
+    body('refreshToken')
+      .isString()
+      .withMessage('Refresh token is required')
+      .trim()
+      .isLength({ min: 32, max: 200 })
+      .withMessage('Invalid refresh token format')
+  ],
+
+  switchBranch: [
+    body('branchId')
+      .isMongoId()
+      .withMessage('Branch ID must be valid')
+  ],
+
+  twoFactorCode: [
+    body('code')
+      .isString()
+      .withMessage('Verification code is required')
+      .trim()
+      .isLength({ min: 6, max: 12 })
+      .withMessage('Verification code must be a 6 digit code or a backup code')
+  ],
+
+  twoFactorVerify: [
+    body('challengeToken')
+      .isString()
+      .withMessage('Challenge token is required')
+      .notEmpty()
+      .withMessage('Challenge token is required'),
+
+    body('code')
+      .isString()
+      .withMessage('Verification code is required')
+      .trim()
+      .isLength({ min: 6, max: 12 })
+      .withMessage('Verification code must be a 6 digit code or a backup code')
+  ],
+
+  forgotPassword: [
+    body('email')
+      .notEmpty()
+      .withMessage('Email is required')
+      .isEmail()
+      .normalizeEmail()
+      .withMessage('Please enter a valid email address')
+  ],
+
+  resetPassword: [
+    body('token')
+      .isString()
+      .withMessage('Reset token is required')
+      .trim()
+      .isLength({ min: 32, max: 200 })
+      .withMessage('Invalid reset token format'),
+
+    body('newPassword')
+      .isLength({ min: 6 })
+      .withMessage('New password must be at least 6 characters long')
+  ],
+
   // Branch validation rules
   branchCreate: [
     body('name')
       .trim()
       .isLength({ min: 2, max: 100 })
-      .withMessage('Branch name must be between 2 and 100 characters')
+      .withMessage('Branch name must be between 2 and 100 characters'),
+
+    body('code')
+      .optional()
+      .trim()
+      .matches(/^[A-Za-z0-9]{2,6}$/)
+      .withMessage('Branch code must be 2-6 letters or digits'),
+
+    body('studentIdFormat')
+      .optional()
+      .trim()
+      .isLength({ min: 1, max: 30 })
+      .withMessage('Student ID format must be between 1 and 30 characters')
+      .custom(isValidStudentIdFormat)
+      .withMessage('Student ID format may only contain letters, digits, dashes and the tokens {BRANCH}, {COURSE}, {YYYY}, {YY}'),
+
+    body('closedDayPolicy')
+      .optional()
+      .isIn(['warn', 'block'])
+      .withMessage('Closed day policy must be one of: warn, block'),
+
+    body('attendanceLockHours')
+      .optional()
+      .isInt({ min: 0, max: 8760 })
+      .withMessage('Attendance lock window must be between 0 and 8760 hours')
+      .toInt()
   ],
 
   branchUpdate: [
@@ -143,7 +284,32 @@ const validationRules = {
       .optional()
       .trim()
       .isLength({ min: 2, max: 100 })
-      .withMessage('Branch name must be between 2 and 100 characters')
+      .withMessage('Branch name must be between 2 and 100 characters'),
+
+    body('code')
+      .optional()
+      .trim()
+      .matches(/^[A-Za-z0-9]{2,6}$/)
+      .withMessage('Branch code must be 2-6 letters or digits'),
+
+    body('studentIdFormat')
+      .optional()
+      .trim()
+      .isLength({ min: 1, max: 30 })
+      .withMessage('Student ID format must be between 1 and 30 characters')
+      .custom(isValidStudentIdFormat)
+      .withMessage('Student ID format may only contain letters, digits, dashes and the tokens {BRANCH}, {COURSE}, {YYYY}, {YY}'),
+
+    body('closedDayPolicy')
+      .optional()
+      .isIn(['warn', 'block'])
+      .withMessage('Closed day policy must be one of: warn, block'),
+
+    body('attendanceLockHours')
+      .optional()
+      .isInt({ min: 0, max: 8760 })
+      .withMessage('Attendance lock window must be between 0 and 8760 hours')
+      .toInt()
   ],
 
   // Course validation rules
@@ -217,6 +383,30 @@ const validationRules = {
       .isLength({ max: 200 })
       .withMessage('Module name cannot exceed 200 characters'),
 
+    body('attendanceRules.autoLate')
+      .optional()
+      .isBoolean()
+      .withMessage('Automatic late marking must be true or false')
+      .toBoolean(),
+
+    body('attendanceRules.lateGraceMinutes')
+      .optional()
+      .isInt({ min: 0, max: 120 })
+      .withMessage('Late grace period must be between 0 and 120 minutes')
+      .toInt(),
+
+    body('attendanceRules.minAttendancePercentage')
+      .optional()
+      .isFloat({ min: 0, max: 100 })
+      .withMessage('Minimum attendance must be between 0 and 100%')
+      .toFloat(),
+
+    body('attendanceRules.warningMargin')
+      .optional()
+      .isFloat({ min: 0, max: 50 })
+      .withMessage('Warning margin must be between 0 and 50 percentage points')
+      .toFloat(),
+
     body('branch')
       .notEmpty()
       .withMessage('Branch is required')
@@ -283,29 +473,671 @@ const validationRules = {
       .isIn(['Draft', 'Active', 'Inactive', 'Completed'])
       .withMessage('Status must be one of: Draft, Active, Inactive, Completed'),
 
-    body('modules')
+    body('modules')
+      .optional()
+      .isArray()
+      .withMessage('Modules must be an array'),
+
+    body('modules.*')
+      .optional()
+      .trim()
+      .isLength({ max: 200 })
+      .withMessage('Module name cannot exceed 200 characters'),
+
+    body('attendanceRules.autoLate')
+      .optional()
+      .isBoolean()
+      .withMessage('Automatic late marking must be true or false')
+      .toBoolean(),
+
+    body('attendanceRules.lateGraceMinutes')
+      .optional()
+      .isInt({ min: 0, max: 120 })
+      .withMessage('Late grace period must be between 0 and 120 minutes')
+      .toInt(),
+
+    body('attendanceRules.minAttendancePercentage')
+      .optional()
+      .isFloat({ min: 0, max: 100 })
+      .withMessage('Minimum attendance must be between 0 and 100%')
+      .toFloat(),
+
+    body('attendanceRules.warningMargin')
+      .optional()
+      .isFloat({ min: 0, max: 50 })
+      .withMessage('Warning margin must be between 0 and 50 percentage points')
+      .toFloat(),
+
+    body('branch')
+      .optional({ checkFalsy: true })
+      .custom((value) => {
+        // Allow 'all' string or valid MongoDB ObjectId
+        if (value === 'all') {
+          return true;
+        }
+        if (typeof value === 'string' && /^[0-9a-fA-F]{24}$/.test(value)) {
+          return true;
+        }
+        throw new Error('Branch must be a valid ID or "all"');
+      })
+  ],
+
+  // Intake validation rules
+  intakeCreate: [
+    body('course')
+      .notEmpty()
+      .withMessage('Course is required')
+      .isMongoId()
+      .withMessage('Course must be a valid ID'),
+
+    body('branch')
+      .optional({ checkFalsy: true })
+      .isMongoId()
+      .withMessage('Branch must be a valid ID'),
+
+    body('name')
+      .notEmpty()
+      .withMessage('Intake name is required')
+      .trim()
+      .isLength({ min: 2, max: 100 })
+      .withMessage('Intake name must be between 2 and 100 characters'),
+
+    body('startDate')
+      .notEmpty()
+      .withMessage('Start date is required')
+      .isISO8601()
+      .withMessage('Start date must be a valid date'),
+
+    body('endDate')
+      .notEmpty()
+      .withMessage('End date is required')
+      .isISO8601()
+      .withMessage('End date must be a valid date')
+      .custom((value, { req }) => new Date(value) > new Date(req.body.startDate))
+      .withMessage('End date must be after start date'),
+
+    body('capacity')
+      .notEmpty()
+      .withMessage('Capacity is required')
+      .isInt({ min: 1, max: 500 })
+      .withMessage('Capacity must be between 1 and 500'),
+
+    body('instructor')
+      .optional()
+      .trim()
+      .isLength({ max: 100 })
+      .withMessage('Instructor name cannot exceed 100 characters'),
+
+    body('status')
+      .optional()
+      .isIn(['Planned', 'Open', 'Running', 'Completed', 'Cancelled'])
+      .withMessage('Status must be one of: Planned, Open, Running, Completed, Cancelled')
+  ],
+
+  intakeUpdate: [
+    body('name')
+      .optional({ checkFalsy: true })
+      .trim()
+      .isLength({ min: 2, max: 100 })
+      .withMessage('Intake name must be between 2 and 100 characters'),
+
+    body('startDate')
+      .optional({ checkFalsy: true })
+      .isISO8601()
+      .withMessage('Start date must be a valid date'),
+
+    body('endDate')
+      .optional({ checkFalsy: true })
+      .isISO8601()
+      .withMessage('End date must be a valid date'),
+
+    body('capacity')
+      .optional({ checkFalsy: true })
+      .isInt({ min: 1, max: 500 })
+      .withMessage('Capacity must be between 1 and 500'),
+
+    body('instructor')
+      .optional()
+      .trim()
+      .isLength({ max: 100 })
+      .withMessage('Instructor name cannot exceed 100 characters'),
+
+    body('status')
+      .optional({ checkFalsy: true })
+      .isIn(['Planned', 'Open', 'Running', 'Completed', 'Cancelled'])
+      .withMessage('Status must be one of: Planned, Open, Running, Completed, Cancelled')
+  ],
+
+  // Class timetable validation rules
+  sessionRules: [
+    body('intake')
+      .optional({ checkFalsy: true })
+      .isMongoId()
+      .withMessage('Intake must be a valid ID'),
+
+    body('rules')
+      .isArray({ max: 14 })
+      .withMessage('Rules must be an array of at most 14 weekly classes'),
+
+    body('rules.*.weekday')
+      .isInt({ min: 0, max: 6 })
+      .withMessage('Weekday must be between 0 (Sunday) and 6 (Saturday)')
+      .toInt(),
+
+    body('rules.*.startTime')
+      .matches(TIME_PATTERN)
+      .withMessage('Start time must be in HH:MM format'),
+
+    body('rules.*.endTime')
+      .matches(TIME_PATTERN)
+      .withMessage('End time must be in HH:MM format')
+      .custom((value, { req, path }) => {
+        const index = Number(path.match(/\[(\d+)\]/)[1]);
+        return value > req.body.rules[index].startTime;
+      })
+      .withMessage('End time must be after start time'),
+
+    body('rules.*.room')
+      .optional()
+      .trim()
+      .isLength({ max: 100 })
+      .withMessage('Room cannot exceed 100 characters')
+  ],
+
+  sessionGenerate: [
+    body('intake')
+      .optional({ checkFalsy: true })
+      .isMongoId()
+      .withMessage('Intake must be a valid ID'),
+
+    body('branch')
+      .optional({ checkFalsy: true })
+      .isMongoId()
+      .withMessage('Branch must be a valid ID'),
+
+    body('from')
+      .notEmpty()
+      .withMessage('From date is required')
+      .isISO8601()
+      .withMessage('From date must be a valid date'),
+
+    body('to')
+      .notEmpty()
+      .withMessage('To date is required')
+      .isISO8601()
+      .withMessage('To date must be a valid date')
+      .custom((value, { req }) => {
+        const days = (new Date(value) - new Date(req.body.from)) / (24 * 60 * 60 * 1000);
+        return days >= 0 && days <= 366;
+      })
+      .withMessage('To date must be on or after the from date and within one year of it'),
+
+    body('holidays')
+      .optional()
+      .isArray()
+      .withMessage('Holidays must be an array'),
+
+    body('holidays.*.date')
+      .isISO8601()
+      .withMessage('Holiday date must be a valid date'),
+
+    body('holidays.*.name')
+      .optional()
+      .trim()
+      .isLength({ max: 200 })
+      .withMessage('Holiday name cannot exceed 200 characters'),
+
+    body('replace')
+      .optional()
+      .isBoolean()
+      .withMessage('Replace must be true or false')
+      .toBoolean()
+  ],
+
+  sessionCreate: [
+    body('intake')
+      .optional({ checkFalsy: true })
+      .isMongoId()
+      .withMessage('Intake must be a valid ID'),
+
+    body('branch')
+      .optional({ checkFalsy: true })
+      .isMongoId()
+      .withMessage('Branch must be a valid ID'),
+
+    body('date')
+      .notEmpty()
+      .withMessage('Date is required')
+      .isISO8601()
+      .withMessage('Date must be a valid date'),
+
+    body('startTime')
+      .matches(TIME_PATTERN)
+      .withMessage('Start time must be in HH:MM format'),
+
+    body('endTime')
+      .matches(TIME_PATTERN)
+      .withMessage('End time must be in HH:MM format')
+      .custom((value, { req }) => value > req.body.startTime)
+      .withMessage('End time must be after start time'),
+
+    body('room')
+      .optional()
+      .trim()
+      .isLength({ max: 100 })
+      .withMessage('Room cannot exceed 100 characters'),
+
+    body('notes')
+      .optional()
+      .trim()
+      .isLength({ max: 500 })
+      .withMessage('Notes cannot exceed 500 characters')
+  ],
+
+  sessionUpdate: [
+    param('sessionId')
+      .isMongoId()
+      .withMessage('Invalid session ID format'),
+
+    body('date')
+      .optional({ checkFalsy: true })
+      .isISO8601()
+      .withMessage('Date must be a valid date'),
+
+    body('startTime')
+      .optional({ checkFalsy: true })
+      .matches(TIME_PATTERN)
+      .withMessage('Start time must be in HH:MM format'),
+
+    body('endTime')
+      .optional({ checkFalsy: true })
+      .matches(TIME_PATTERN)
+      .withMessage('End time must be in HH:MM format'),
+
+    body('room')
+      .optional()
+      .trim()
+      .isLength({ max: 100 })
+      .withMessage('Room cannot exceed 100 characters'),
+
+    body('status')
+      .optional({ checkFalsy: true })
+      .isIn(['Scheduled', 'Cancelled'])
+      .withMessage('Status must be one of: Scheduled, Cancelled'),
+
+    body('cancellationReason')
+      .optional()
+      .trim()
+      .isLength({ max: 200 })
+      .withMessage('Cancellation reason cannot exceed 200 characters'),
+
+    body('notes')
+      .optional()
+      .trim()
+      .isLength({ max: 500 })
+      .withMessage('Notes cannot exceed 500 characters')
+  ],
+
+  sessionQuery: [
+    query('from')
+      .optional()
+      .isISO8601()
+      .withMessage('From date must be a valid date'),
+
+    query('to')
+      .optional()
+      .isISO8601()
+      .withMessage('To date must be a valid date'),
+
+    query('intakeId')
+      .optional()
+      .isMongoId()
+      .withMessage('Intake ID must be valid'),
+
+    query('branchId')
+      .optional()
+      .isMongoId()
+      .withMessage('Branch ID must be valid'),
+
+    query('status')
+      .optional()
+      .isIn(['Scheduled', 'Cancelled'])
+      .withMessage('Status must be one of: Scheduled, Cancelled')
+  ],
+
+  calendarFeedCreate: [
+    body('intakeId')
+      .optional({ checkFalsy: true })
+      .isMongoId()
+      .withMessage('Intake ID must be valid'),
+
+    body('branchId')
+      .optional({ checkFalsy: true })
+      .isMongoId()
+      .withMessage('Branch ID must be valid')
+  ],
+
+  attendanceSummary: [
+    query('courseId')
+      .optional()
+      .isMongoId()
+      .withMessage('Course ID must be valid'),
+
+    query('intakeId')
+      .optional()
+      .isMongoId()
+      .withMessage('Intake ID must be valid'),
+
+    query('studentId')
+      .optional()
+      .isMongoId()
+      .withMessage('Student ID must be valid'),
+
+    query('branchId')
+      .optional()
+      .isMongoId()
+      .withMessage('Branch ID must be valid'),
+
+    query('dateFrom')
+      .optional()
+      .isISO8601()
+      .withMessage('From date must be a valid date'),
+
+    query('dateTo')
+      .optional()
+      .isISO8601()
+      .withMessage('To date must be a valid date')
+  ],
+
+  attendanceEligibility: [
+    query('courseId')
+      .isMongoId()
+      .withMessage('Course ID must be valid'),
+
+    query('intakeId')
+      .optional()
+      .isMongoId()
+      .withMessage('Intake ID must be valid'),
+
+    query('branchId')
+      .optional()
+      .isMongoId()
+      .withMessage('Branch ID must be valid'),
+
+    query('days')
+      .optional()
+      .isInt({ min: 1, max: 730 })
+      .withMessage('Days must be between 1 and 730'),
+
+    query('includeAll')
+      .optional()
+      .isBoolean()
+      .withMessage('Include all must be true or false')
+  ],
+
+  notificationQuery: [
+    query('unread')
+      .optional()
+      .isBoolean()
+      .withMessage('Unread must be true or false')
+  ],
+
+  correctionCreate: [
+    body('status')
+      .optional({ checkFalsy: true })
+      .isIn(['Present', 'Absent', 'Late', 'Excused'])
+      .withMessage('Status must be one of: Present, Absent, Late, Excused'),
+
+    body('timeIn')
+      .optional({ checkFalsy: true })
+      .matches(TIME_PATTERN)
+      .withMessage('Time in must be in HH:MM format'),
+
+    body('timeOut')
+      .optional({ checkFalsy: true })
+      .matches(TIME_PATTERN)
+      .withMessage('Time out must be in HH:MM format'),
+
+    body('notes')
+      .optional()
+      .trim()
+      .isLength({ max: 500 })
+      .withMessage('Notes cannot exceed 500 characters'),
+
+    body('reason')
+      .notEmpty()
+      .withMessage('Reason is required')
+      .trim()
+      .isLength({ max: 500 })
+      .withMessage('Reason cannot exceed 500 characters')
+  ],
+
+  correctionReview: [
+    body('reviewNotes')
+      .optional()
+      .trim()
+      .isLength({ max: 500 })
+      .withMessage('Review notes cannot exceed 500 characters')
+  ],
+
+  correctionQuery: [
+    query('status')
+      .optional()
+      .isIn(['pending', 'approved', 'rejected'])
+      .withMessage('Status must be one of: pending, approved, rejected'),
+
+    query('branchId')
+      .optional()
+      .isMongoId()
+      .withMessage('Branch ID must be valid')
+  ],
+
+  // Leave request validation rules
+  leaveCreate: [
+    body('student')
+      .isMongoId()
+      .withMessage('Valid student ID is required'),
+
+    body('startDate')
+      .isISO8601()
+      .withMessage('Start date must be a valid date'),
+
+    body('endDate')
+      .isISO8601()
+      .withMessage('End date must be a valid date')
+      .custom((value, { req }) => new Date(value) >= new Date(req.body.startDate))
+      .withMessage('End date cannot be before start date'),
+
+    body('reason')
+      .notEmpty()
+      .withMessage('Reason is required')
+      .trim()
+      .isLength({ max: 500 })
+      .withMessage('Reason cannot exceed 500 characters'),
+
+    body('document.name')
+      .optional()
+      .trim()
+      .isLength({ min: 1, max: 200 })
+      .withMessage('Document name must be between 1 and 200 characters'),
+
+    body('document.url')
+      .optional()
+      .isURL()
+      .withMessage('Document URL must be a valid URL'),
+
+    body('document.type')
+      .optional()
+      .isIn(['image', 'pdf', 'document'])
+      .withMessage('Document type must be one of: image, pdf, document')
+  ],
+
+  leaveReview: [
+    body('reviewNotes')
+      .optional()
+      .trim()
+      .isLength({ max: 500 })
+      .withMessage('Review notes cannot exceed 500 characters')
+  ],
+
+  leaveQuery: [
+    query('status')
+      .optional()
+      .isIn(['pending', 'approved', 'rejected', 'cancelled'])
+      .withMessage('Status must be one of: pending, approved, rejected, cancelled'),
+
+    query('studentId')
+      .optional()
+      .isMongoId()
+      .withMessage('Student ID must be valid'),
+
+    query('courseId')
+      .optional()
+      .isMongoId()
+      .withMessage('Course ID must be valid'),
+
+    query('branchId')
+      .optional()
+      .isMongoId()
+      .withMessage('Branch ID must be valid'),
+
+    query('from')
+      .optional()
+      .isISO8601()
+      .withMessage('From date must be a valid date'),
+
+    query('to')
+      .optional()
+      .isISO8601()
+      .withMessage('To date must be a valid date')
+  ],
+
+  checkInQr: [
+    param('sessionId')
+      .isMongoId()
+      .withMessage('Invalid session ID format')
+  ],
+
+  checkIn: [
+    body('token')
+      .notEmpty()
+      .withMessage('Check-in code is required'),
+
+    body('studentId')
+      .notEmpty()
+      .withMessage('Student ID is required')
+      .trim()
+      .isLength({ max: 20 })
+      .withMessage('Student ID cannot exceed 20 characters'),
+
+    body('dateOfBirth')
+      .notEmpty()
+      .withMessage('Date of birth is required')
+      .isISO8601()
+      .withMessage('Date of birth must be a valid date')
+  ],
+
+  // Holiday calendar validation rules
+  holidayCreate: [
+    body('name')
+      .notEmpty()
+      .withMessage('Holiday name is required')
+      .trim()
+      .isLength({ max: 200 })
+      .withMessage('Holiday name cannot exceed 200 characters'),
+
+    body('type')
+      .optional({ checkFalsy: true })
+      .isIn(['Public Holiday', 'Poya Day', 'Branch Closure'])
+      .withMessage('Type must be one of: Public Holiday, Poya Day, Branch Closure'),
+
+    body('startDate')
+      .notEmpty()
+      .withMessage('Start date is required')
+      .isISO8601()
+      .withMessage('Start date must be a valid date'),
+
+    body('endDate')
+      .optional({ checkFalsy: true })
+      .isISO8601()
+      .withMessage('End date must be a valid date')
+      .custom((value, { req }) => new Date(value) >= new Date(req.body.startDate))
+      .withMessage('End date cannot be before start date'),
+
+    body('branch')
+      .optional({ checkFalsy: true })
+      .isMongoId()
+      .withMessage('Branch must be a valid ID'),
+
+    body('notes')
+      .optional()
+      .trim()
+      .isLength({ max: 500 })
+      .withMessage('Notes cannot exceed 500 characters')
+  ],
+
+  holidayUpdate: [
+    body('name')
+      .optional({ checkFalsy: true })
+      .trim()
+      .isLength({ max: 200 })
+      .withMessage('Holiday name cannot exceed 200 characters'),
+
+    body('type')
+      .optional({ checkFalsy: true })
+      .isIn(['Public Holiday', 'Poya Day', 'Branch Closure'])
+      .withMessage('Type must be one of: Public Holiday, Poya Day, Branch Closure'),
+
+    body('startDate')
+      .optional({ checkFalsy: true })
+      .isISO8601()
+      .withMessage('Start date must be a valid date'),
+
+    body('endDate')
+      .optional({ checkFalsy: true })
+      .isISO8601()
+      .withMessage('End date must be a valid date'),
+
+    body('notes')
+      .optional()
+      .trim()
+      .isLength({ max: 500 })
+      .withMessage('Notes cannot exceed 500 characters')
+  ],
+
+  holidayImport: [
+    body('branch')
+      .optional({ checkFalsy: true })
+      .isMongoId()
+      .withMessage('Branch must be a valid ID'),
+
+    body('type')
+      .optional({ checkFalsy: true })
+      .isIn(['Public Holiday', 'Poya Day', 'Branch Closure'])
+      .withMessage('Type must be one of: Public Holiday, Poya Day, Branch Closure'),
+
+    body('ics')
+      .optional()
+      .isString()
+      .isLength({ max: 1024 * 1024 })
+      .withMessage('Calendar text cannot exceed 1MB')
+  ],
+
+  holidayQuery: [
+    query('from')
       .optional()
-      .isArray()
-      .withMessage('Modules must be an array'),
+      .isISO8601()
+      .withMessage('From date must be a valid date'),
 
-    body('modules.*')
+    query('to')
       .optional()
-      .trim()
-      .isLength({ max: 200 })
-      .withMessage('Module name cannot exceed 200 characters'),
+      .isISO8601()
+      .withMessage('To date must be a valid date'),
 
-    body('branch')
-      .optional({ checkFalsy: true })
-      .custom((value) => {
-        // Allow 'all' string or valid MongoDB ObjectId
-        if (value === 'all') {
-          return true;
-        }
-        if (typeof value === 'string' && /^[0-9a-fA-F]{24}$/.test(value)) {
-          return true;
-        }
-        throw new Error('Branch must be a valid ID or "all"');
-      })
+    query('branchId')
+      .optional()
+      .isMongoId()
+      .withMessage('Branch ID must be valid')
   ],
 
   // Student validation rules
@@ -356,6 +1188,11 @@ const validationRules = {
       .isMongoId()
       .withMessage('Course must be a valid ID'),
 
+    body('intake')
+      .optional({ checkFalsy: true })
+      .isMongoId()
+      .withMessage('Intake must be a valid ID'),
+
     body('modules')
       .optional()
       .isArray()
@@ -372,10 +1209,11 @@ const validationRules = {
       .isMongoId()
       .withMessage('Branch must be a valid ID'),
 
+    // Other statuses need a reason, so they are set afterwards with a status change
     body('status')
       .optional()
-      .isIn(['Active', 'Inactive', 'Suspended', 'Graduated', 'Dropped'])
-      .withMessage('Status must be one of: Active, Inactive, Suspended, Graduated, Dropped'),
+      .equals('Active')
+      .withMessage('New students are enrolled as Active; change the status afterwards with a reason'),
 
     body('enrollmentDate')
       .optional()
@@ -466,6 +1304,250 @@ const validationRules = {
       .withMessage('Certification name cannot exceed 200 characters')
   ],
 
+  studentImport: [
+    body('dryRun')
+      .optional()
+      .isBoolean()
+      .withMessage('Dry run must be true or false'),
+
+    body('branch')
+      .optional({ checkFalsy: true })
+      .isMongoId()
+      .withMessage('Branch must be a valid ID'),
+
+    body('course')
+      .optional({ checkFalsy: true })
+      .isMongoId()
+      .withMessage('Course must be a valid ID'),
+
+    body('intake')
+      .optional({ checkFalsy: true })
+      .isMongoId()
+      .withMessage('Intake must be a valid ID')
+  ],
+
+  studentStatusChange: [
+    body('status')
+      .isIn(['Active', 'Inactive', 'Suspended', 'Graduated', 'Dropped'])
+      .withMessage('Status must be one of: Active, Inactive, Suspended, Graduated, Dropped'),
+
+    body('reason')
+      .notEmpty()
+      .withMessage('Reason is required')
+      .isString()
+      .trim(),
+
+    body('notes')
+      .optional()
+      .trim()
+      .isLength({ max: 500 })
+      .withMessage('Notes cannot exceed 500 characters'),
+
+    body('effectiveDate')
+      .optional()
+      .isISO8601()
+      .withMessage('Effective date must be a valid date')
+      .custom((value) => {
+        if (new Date(value) > new Date()) {
+          throw new Error('Effective date cannot be in the future');
+        }
+        return true;
+      }),
+
+    body('feeAction')
+      .optional()
+      .isIn(['keep', 'cancel'])
+      .withMessage('Fee action must be one of: keep, cancel'),
+
+    body('intake')
+      .optional({ checkFalsy: true })
+      .isMongoId()
+      .withMessage('Intake must be a valid ID')
+  ],
+
+  dropoutReport: [
+    query('courseId')
+      .optional()
+      .isMongoId()
+      .withMessage('Course ID must be valid'),
+
+    query('branchId')
+      .optional()
+      .isMongoId()
+      .withMessage('Branch ID must be valid'),
+
+    query('startDate')
+      .optional()
+      .isISO8601()
+      .withMessage('Start date must be a valid date'),
+
+    query('endDate')
+      .optional()
+      .isISO8601()
+      .withMessage('End date must be a valid date')
+  ],
+
+  transferCreate: [
+    body('toBranch')
+      .optional({ checkFalsy: true })
+      .isMongoId()
+      .withMessage('Receiving branch must be a valid ID'),
+
+    body('toCourse')
+      .optional({ checkFalsy: true })
+      .isMongoId()
+      .withMessage('New course must be a valid ID'),
+
+    body('toIntake')
+      .optional({ checkFalsy: true })
+      .isMongoId()
+      .withMessage('New intake must be a valid ID'),
+
+    body('reason')
+      .notEmpty()
+      .withMessage('Reason is required')
+      .trim()
+      .isLength({ max: 500 })
+      .withMessage('Reason cannot exceed 500 characters'),
+
+    body('attendanceAction')
+      .optional()
+      .isIn(['move', 'keep'])
+      .withMessage('Attendance action must be one of: move, keep'),
+
+    body('feeAction')
+      .optional()
+      .isIn(['transfer', 'keep', 'cancel'])
+      .withMessage('Fee action must be one of: transfer, keep, cancel')
+  ],
+
+  waitlistCreate: [
+    body('fullName')
+      .notEmpty()
+      .withMessage('Full name is required')
+      .trim()
+      .isLength({ min: 2, max: 100 })
+      .withMessage('Full name must be between 2 and 100 characters'),
+
+    body('email')
+      .notEmpty()
+      .withMessage('Email is required')
+      .isEmail()
+      .normalizeEmail()
+      .withMessage('Please enter a valid email address'),
+
+    body('phone')
+      .notEmpty()
+      .withMessage('Phone number is required')
+      .trim()
+      .matches(/^[0-9+\-\s()]+$/)
+      .withMessage('Please enter a valid phone number'),
+
+    body('address')
+      .notEmpty()
+      .withMessage('Address is required')
+      .trim()
+      .isLength({ max: 500 })
+      .withMessage('Address cannot exceed 500 characters'),
+
+    body('dateOfBirth')
+      .notEmpty()
+      .withMessage('Date of birth is required')
+      .isISO8601()
+      .withMessage('Date of birth must be a valid date')
+      .custom((value) => {
+        if (new Date(value) >= new Date()) {
+          throw new Error('Date of birth must be in the past');
+        }
+        return true;
+      }),
+
+    body('level')
+      .optional()
+      .isIn(['Beginner', 'Intermediate', 'Advanced'])
+      .withMessage('Level must be one of: Beginner, Intermediate, Advanced'),
+
+    body('course')
+      .notEmpty()
+      .withMessage('Course is required')
+      .isMongoId()
+      .withMessage('Course must be a valid ID'),
+
+    body('intake')
+      .optional({ checkFalsy: true })
+      .isMongoId()
+      .withMessage('Intake must be a valid ID'),
+
+    body('branch')
+      .optional({ checkFalsy: true })
+      .isMongoId()
+      .withMessage('Branch must be a valid ID'),
+
+    body('notes')
+      .optional()
+      .trim()
+      .isLength({ max: 500 })
+      .withMessage('Notes cannot exceed 500 characters')
+  ],
+
+  waitlistPosition: [
+    body('position')
+      .isInt({ min: 1 })
+      .withMessage('Position must be a whole number of at least 1')
+  ],
+
+  waitlistQuery: [
+    query('courseId')
+      .optional()
+      .isMongoId()
+      .withMessage('Course ID must be valid'),
+
+    query('intakeId')
+      .optional()
+      .isMongoId()
+      .withMessage('Intake ID must be valid'),
+
+    query('branchId')
+      .optional()
+      .isMongoId()
+      .withMessage('Branch ID must be valid'),
+
+    query('status')
+      .optional()
+      .isIn(['waiting', 'offered', 'enrolled', 'declined', 'expired', 'withdrawn'])
+      .withMessage('Status must be one of: waiting, offered, enrolled, declined, expired, withdrawn')
+  ],
+
+  transferReview: [
+    body('reviewNotes')
+      .optional()
+      .trim()
+      .isLength({ max: 500 })
+      .withMessage('Review notes cannot exceed 500 characters')
+  ],
+
+  transferQuery: [
+    query('status')
+      .optional()
+      .isIn(['pending', 'approving', 'approved', 'rejected', 'cancelled'])
+      .withMessage('Status must be one of: pending, approving, approved, rejected, cancelled'),
+
+    query('direction')
+      .optional()
+      .isIn(['incoming', 'outgoing'])
+      .withMessage('Direction must be one of: incoming, outgoing'),
+
+    query('studentId')
+      .optional()
+      .isMongoId()
+      .withMessage('Student ID must be valid'),
+
+    query('branchId')
+      .optional()
+      .isMongoId()
+      .withMessage('Branch ID must be valid')
+  ],
+
   studentUpdate: [
     body('fullName')
       .optional({ checkFalsy: true })
@@ -507,6 +1589,11 @@ const validationRules = {
       .isMongoId()
       .withMessage('Course must be a valid ID'),
 
+    body('intake')
+      .optional({ checkFalsy: true })
+      .isMongoId()
+      .withMessage('Intake must be a valid ID'),
+
     body('modules')
       .optional()
       .isArray()
@@ -612,7 +1699,74 @@ const validationRules = {
       .withMessage('Certification name cannot exceed 200 characters')
   ],
 
+  // Fee ledger validation rules
+  installmentPlan: [
+    body('invoice')
+      .optional()
+      .isMongoId()
+      .withMessage('Invoice must be a valid ID'),
+
+    body('installments')
+      .optional()
+      .isArray({ min: 1, max: 24 })
+      .withMessage('Installments must be an array of 1 to 24 entries'),
+
+    body('installments.*.dueDate')
+      .isISO8601()
+      .withMessage('Installment due date must be a valid date'),
+
+    body('installments.*.amount')
+      .isFloat({ min: 0.01 })
+      .withMessage('Installment amount must be greater than 0'),
+
+    body('count')
+      .optional()
+      .isInt({ min: 1, max: 24 })
+      .withMessage('Installment count must be between 1 and 24'),
+
+    body('firstDueDate')
+      .optional()
+      .isISO8601()
+      .withMessage('First due date must be a valid date'),
+
+    body('intervalMonths')
+      .optional()
+      .isInt({ min: 1, max: 12 })
+      .withMessage('Interval must be between 1 and 12 months'),
+
+    body()
+      .custom((value) => {
+        if (!value.installments && !value.count) {
+          throw new Error('Either installments or count is required');
+        }
+        return true;
+      })
+  ],
+
   // Parameter validation rules
+  // Role permission validation rules
+  roleName: [
+    param('name')
+      .isIn(ROLES)
+      .withMessage(`Role must be one of: ${ROLES.join(', ')}`)
+  ],
+
+  rolePermissionsUpdate: [
+    body('permissions')
+      .isArray()
+      .withMessage('Permissions must be an array'),
+
+    body('permissions.*')
+      .isIn(Object.keys(PERMISSIONS))
+      .withMessage('Unknown permission'),
+
+    body('description')
+      .optional()
+      .trim()
+      .isLength({ max: 300 })
+      .withMessage('Description cannot exceed 300 characters')
+  ],
+
   mongoId: [
     param('id')
       .isMongoId()
@@ -644,6 +1798,52 @@ const validationRules = {
       .withMessage('Limit must be between 1 and 100')
   ],
 
+  activityQuery: [
+    query('type')
+      .optional()
+      .custom(value => value.split(',').every(item =>
+        ['user_registration', 'student_enrollment', 'payment', 'attendance', 'budget_exceeded'].includes(item.trim())
+      ))
+      .withMessage('Type must be one or more of: user_registration, student_enrollment, payment, attendance, budget_exceeded'),
+
+    query('branchId')
+      .optional()
+      .isMongoId()
+      .withMessage('Branch ID must be valid')
+  ],
+
+  auditQuery: [
+    query('entity')
+      .optional()
+      .isIn(AUDIT_ENTITIES)
+      .withMessage(`Entity must be one of: ${AUDIT_ENTITIES.join(', ')}`),
+
+    query('action')
+      .optional()
+      .isIn(AUDIT_ACTIONS)
+      .withMessage(`Action must be one of: ${AUDIT_ACTIONS.join(', ')}`),
+
+    query('userId')
+      .optional()
+      .isMongoId()
+      .withMessage('User ID must be valid'),
+
+    query('branchId')
+      .optional()
+      .isMongoId()
+      .withMessage('Branch ID must be valid'),
+
+    query('startDate')
+      .optional()
+      .isISO8601()
+      .withMessage('Start date must be a valid date'),
+
+    query('endDate')
+      .optional()
+      .isISO8601()
+      .withMessage('End date must be a valid date')
+  ],
+
   // Transaction validation rules
   transactionCreate: [
     body('type')
@@ -846,5 +2046,8 @@ const validationRules = {
 
 module.exports = {
   handleValidationErrors,
-  validationRules
+  validateData,
+  validationRules,
+  STUDENT_ID_FORMAT_TOKENS,
+  isValidStudentIdFormat
 };
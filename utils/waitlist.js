@@ -0,0 +1,123 @@
+const Course = require('../models/Course');
+const Intake = require('../models/Intake');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const Notification = require('../models/Notification');
+const { takeSeat, releaseSeat } = require('./enrollment');
+const { sendMail } = require('./mailer');
+const { waitlistOfferEmail } = require('./mailTemplates');
+
+// How long an offered place is held for the applicant
+const OFFER_HOURS = parseInt(process.env.WAITLIST_OFFER_HOURS, 10) || 48;
+
+// How often offers past their deadline are expired
+const EXPIRY_CHECK_INTERVAL = 5 * 60 * 1000; // 5 minutes
+
+// Offer the free places of a course (or intake) to the applicants at the front of its waitlist
+// Each offer takes the place, so it cannot be given to anyone else while the applicant decides
+// Failures are logged and never affect the change that freed the place; returns the entries offered
+const offerFreeSeats = async (courseId, intakeId = null) => {
+  const offered = [];
+
+  try {
+    const course = await Course.findById(courseId);
+    if (!course || !course.isActive) return offered;
+
+    const intake = intakeId ? await Intake.findById(intakeId) : null;
+    if (intakeId && (!intake || !intake.isOpenForEnrollment())) return offered;
+
+    const queue = await WaitlistEntry.findQueue(courseId, intakeId);
+
+    for (const entry of queue) {
+      try {
+        await takeSeat(course, intake);
+      } catch (error) {
+        // No places left
+        break;
+      }
+
+      const offeredAt = new Date();
+      const offer = await WaitlistEntry.changeStatus(entry._id, 'waiting', {
+        status: 'offered',
+        offeredAt,
+        offerExpiresAt: new Date(offeredAt.getTime() + OFFER_HOURS * 60 * 60 * 1000)
+      });
+
+      // Removed from the queue since it was loaded: the place goes to the next applicant
+      if (!offer) {
+        await releaseSeat(course._id, intake ? intake._id : null);
+        continue;
+      }
+
+      Object.assign(entry, { status: offer.status, offeredAt: offer.offeredAt, offerExpiresAt: offer.offerExpiresAt });
+      offered.push(entry);
+
+      const courseTitle = `${course.title}${intake ? ` - ${intake.name}` : ''}`;
+
+      await Notification.notifyBranchAdmins({
+        branch: entry.branch,
+        type: 'waitlist_offer',
+        title: 'Waitlist place offered',
+        message: `A place on ${courseTitle} is held for ${entry.applicant.fullName} until ${entry.offerExpiresAt.toISOString()}`,
+        data: {
+          waitlistEntry: entry._id,
+          course: course._id
+        }
+      });
+
+      try {
+        await sendMail({ to: entry.applicant.email, ...waitlistOfferEmail(entry, courseTitle, entry.offerExpiresAt) });
+      } catch (mailError) {
+        console.error('Waitlist offer email error:', mailError);
+      }
+    }
+
+    if (offered.length > 0) {
+      await WaitlistEntry.renumber(courseId, intakeId);
+    }
+  } catch (error) {
+    console.error('Error offering waitlist places:', error);
+  }
+
+  return offered;
+};
+
+// Give back the place held by an offer that was declined, withdrawn or expired, and offer it to the next applicant
+const releaseOffer = async (entry) => {
+  await releaseSeat(entry.course, entry.intake);
+  return await offerFreeSeats(entry.course, entry.intake);
+};
+
+// Expire offers past their deadline and pass the places on down the queue
+const expireOffers = async () => {
+  try {
+    const expired = await WaitlistEntry.find({ status: 'offered', offerExpiresAt: { $lte: new Date() } });
+
+    for (const entry of expired) {
+      // Skip entries enrolled, declined or withdrawn since they were loaded
+      const updated = await WaitlistEntry.changeStatus(entry._id, 'offered', { status: 'expired' }, {
+        offerExpiresAt: { $lte: new Date() }
+      });
+      if (!updated) continue;
+
+      await releaseOffer(entry);
+    }
+
+    return expired.length;
+  } catch (error) {
+    console.error('Error expiring waitlist offers:', error);
+    return 0;
+  }
+};
+
+// Check for expired offers on an interval
+const startOfferExpiry = () => {
+  return setInterval(expireOffers, EXPIRY_CHECK_INTERVAL);
+};
+
+module.exports = {
+  OFFER_HOURS,
+  offerFreeSeats,
+  releaseOffer,
+  expireOffers,
+  startOfferExpiry
+};